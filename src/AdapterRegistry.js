@@ -7,9 +7,22 @@
  */
 
 const { EventEmitter } = require('events');
+const CircuitBreaker = require('./CircuitBreaker');
+const PerformanceMetrics = require('./metrics/PerformanceMetrics');
+const RoutingObjective = require('./routing/RoutingObjective');
+
+// task:failed reasons that leave an adapter's circuit alone
+const NON_ADAPTER_FAILURES = ['cancelled', 'budget', 'rejected'];
 
 class AdapterRegistry extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} options - `circuitBreaker`: { failureThreshold,
+     *   resetTimeoutMs } for every adapter version; `healthCheckIntervalMs`
+     *   starts periodic health checks; `metrics`: { windowSize, halfLifeMs,
+     *   maxAgeMs } for recent-run statistics; `metricsStore` persists runs
+     *   (see src/metrics)
+     */
+    constructor(options = {}) {
         super();
         
         // Map of adapter name -> version -> adapter instance
@@ -18,8 +31,21 @@ class AdapterRegistry extends EventEmitter {
         // Map of adapter name -> default version
         this._defaultVersions = new Map();
         
-        // Performance metrics for adapters
+        // Performance metrics for adapters: lifetime totals, and recent runs
+        // per task type that routing decisions use
         this._metrics = new Map();
+        this._performance = new PerformanceMetrics(options.metrics);
+        this.metricsStore = options.metricsStore || null;
+        
+        // Map of "name:version" -> circuit breaker
+        this._circuitOptions = options.circuitBreaker || {};
+        this._breakers = new Map();
+        this._healthTimer = null;
+        this._healthCheckRunning = false;
+        
+        if (options.healthCheckIntervalMs) {
+            this.startHealthChecks(options.healthCheckIntervalMs);
+        }
     }
     
     /**
@@ -146,7 +172,8 @@ class AdapterRegistry extends EventEmitter {
                     isDefault: version === defaultVersion,
                     capabilities: adapter.capabilities,
                     supportedApiVersions: adapter.supportedApiVersions,
-                    adapterVersion: adapter.adapterVersion
+                    adapterVersion: adapter.adapterVersion,
+                    circuit: this.getCircuitState(name, version)
                 });
             }
         }
@@ -155,7 +182,8 @@ class AdapterRegistry extends EventEmitter {
     }
     
     /**
-     * Find adapters matching specific capabilities
+     * Find adapters matching specific capabilities. Adapters whose circuit
+     * is open are left out.
      * @param {Object} requirements - Required capabilities
      * @returns {Array<Object>} Matching adapters with scores
      */
@@ -164,6 +192,10 @@ class AdapterRegistry extends EventEmitter {
         
         for (const [name, versionMap] of this._adapters) {
             for (const [version, adapter] of versionMap) {
+                if (!this._isAvailable(name, version)) {
+                    continue;
+                }
+                
                 const score = this._calculateCapabilityScore(adapter, requirements);
                 if (score > 0) {
                     matches.push({
@@ -184,22 +216,42 @@ class AdapterRegistry extends EventEmitter {
     /**
      * Select optimal adapter based on requirements and preferences
      * @param {Object} requirements - Required capabilities
-     * @param {Object} preferences - User preferences (preferred adapters, etc.)
-     * @returns {Object|null} Selected adapter info or null
+     * @param {Object} preferences - User preferences (preferred adapters,
+     *   etc.); with `objectives` the adapters are ranked by a
+     *   RoutingObjective instead of the fixed boosts
+     * @returns {Object|null} Selected adapter info, with a `breakdown` of
+     *   its score, or null
      */
     selectOptimalAdapter(requirements, preferences = {}) {
+        if (preferences.objectives) {
+            const { ranked, rejected } = this.rankAdapters(requirements, preferences);
+            if (ranked.length === 0) {
+                return null;
+            }
+            return {
+                ...ranked[0],
+                alternatives: ranked.slice(1).map(({ name, version, score }) => ({ name, version, score })),
+                rejected
+            };
+        }
+        
         const matches = this.findMatchingAdapters(requirements);
         
         if (matches.length === 0) {
             return null;
         }
         
+        matches.forEach(match => {
+            match.breakdown = { capability: match.score, preferred: 1, speed: 1, tail: 1, reliability: 1 };
+        });
+        
         // Apply preferences
         if (preferences.preferredAdapters) {
             // Boost score for preferred adapters
             matches.forEach(match => {
                 if (preferences.preferredAdapters.includes(match.name)) {
-                    match.score *= 1.5; // 50% boost for preferred adapters
+                    match.breakdown.preferred = 1.5; // 50% boost for preferred adapters
+                    match.score *= match.breakdown.preferred;
                 }
             });
             
@@ -210,19 +262,50 @@ class AdapterRegistry extends EventEmitter {
         // Consider performance metrics
         if (preferences.considerPerformance) {
             matches.forEach(match => {
-                const metrics = this.getAdapterMetrics(match.name, match.version);
-                if (metrics.avgDuration) {
+                const metrics = this.getAdapterMetrics(match.name, match.version, requirements.taskType);
+                if (metrics.p50) {
                     // Boost faster adapters
-                    const speedBoost = 1000 / metrics.avgDuration; // Inverse of avg duration
-                    match.score *= (1 + Math.min(speedBoost * 0.1, 0.3)); // Max 30% boost
+                    const speedBoost = 1000 / metrics.p50; // Inverse of median duration
+                    match.breakdown.speed = 1 + Math.min(speedBoost * 0.1, 0.3); // Max 30% boost
+                    
+                    // Penalize a long tail, at most 10%
+                    match.breakdown.tail = 0.9 + 0.1 * (metrics.p50 / metrics.p95);
                 }
+                
+                // Penalize unreliable adapters, at most halving the score
+                match.breakdown.reliability = 0.5 + 0.5 * metrics.successRate;
+                
+                match.score *= match.breakdown.speed * match.breakdown.tail * match.breakdown.reliability;
             });
             
             // Final sort
             matches.sort((a, b) => b.score - a.score);
         }
         
-        return matches[0];
+        matches.forEach(match => {
+            match.breakdown.total = match.score;
+        });
+        
+        return {
+            ...matches[0],
+            alternatives: matches.slice(1).map(({ name, version, score }) => ({ name, version, score }))
+        };
+    }
+    
+    /**
+     * Rank matching adapters against a routing objective
+     * @param {Object} requirements - Required capabilities
+     * @param {Object} preferences - { objectives, preferredAdapters }
+     * @returns {Object} { ranked, rejected } (see RoutingObjective.rank)
+     */
+    rankAdapters(requirements, preferences = {}) {
+        const objective = RoutingObjective.from(preferences.objectives || 'balanced');
+        const candidates = this.findMatchingAdapters(requirements).map(match => ({
+            ...match,
+            metrics: this.getAdapterMetrics(match.name, match.version, requirements.taskType)
+        }));
+        
+        return objective.rank(candidates, preferences.preferredAdapters || []);
     }
     
     /**
@@ -275,6 +358,13 @@ class AdapterRegistry extends EventEmitter {
             this._defaultVersions.delete(name);
         }
         
+        for (const key of this._breakers.keys()) {
+            if (version ? key === `${name}:${version}` : key.startsWith(`${name}:`)) {
+                this._breakers.delete(key);
+            }
+        }
+        this._performance.forget(name, version);
+        
         this.emit('adapter:unregistered', {
             name,
             version,
@@ -287,7 +377,10 @@ class AdapterRegistry extends EventEmitter {
      * Record performance metrics for an adapter
      * @param {string} name - Adapter name
      * @param {string} version - Adapter version
-     * @param {Object} metrics - Performance metrics
+     * @param {Object} metrics - Performance metrics: { duration, failed,
+     *   error, reason, taskType, costUsd }. Failures whose reason is
+     *   'cancelled', 'budget' or 'rejected' count against the success rate
+     *   but not the circuit breaker.
      */
     recordMetrics(name, version, metrics) {
         const key = `${name}:${version}`;
@@ -311,17 +404,46 @@ class AdapterRegistry extends EventEmitter {
         // Calculate derived metrics
         stats.avgDuration = stats.totalDuration / stats.totalExecutions;
         stats.successRate = (stats.totalExecutions - stats.failures) / stats.totalExecutions;
+        
+        const sample = this._performance.add({
+            adapter: name,
+            version,
+            taskType: metrics.taskType,
+            duration: metrics.duration || 0,
+            success: !metrics.failed,
+            costUsd: metrics.costUsd
+        });
+        if (this.metricsStore) {
+            this.metricsStore.append(sample).catch(error => {
+                console.warn(`Failed to persist metrics for ${name} v${version}:`, error.message);
+            });
+        }
+        
+        // Consecutive failures open the adapter's circuit; a task stopped or
+        // turned away says nothing about whether the adapter works
+        if (metrics.failed && NON_ADAPTER_FAILURES.includes(metrics.reason)) {
+            return;
+        }
+        const breaker = this._breakerFor(name, version);
+        const change = metrics.failed
+            ? breaker.recordFailure(metrics.error || 'Execution failed')
+            : breaker.recordSuccess();
+        this._circuitChanged(name, version, change);
     }
     
     /**
-     * Get performance metrics for an adapter
+     * Get performance metrics for an adapter. Totals cover every recorded
+     * run; successRate, avgDuration and the p50/p95/p99 latencies weight
+     * recent runs more and forget old ones.
      * @param {string} name - Adapter name
      * @param {string} version - Adapter version
+     * @param {string} taskType - Optional task type; falls back to all
+     *   types when the adapter has no recent runs of it
      * @returns {Object} Performance metrics
      */
-    getAdapterMetrics(name, version) {
+    getAdapterMetrics(name, version, taskType = null) {
         const key = `${name}:${version}`;
-        return this._metrics.get(key) || {
+        const totals = this._metrics.get(key) || {
             totalExecutions: 0,
             totalDuration: 0,
             failures: 0,
@@ -329,9 +451,189 @@ class AdapterRegistry extends EventEmitter {
             successRate: 1,
             lastUpdated: null
         };
+        
+        const typed = taskType ? this._performance.summarize(name, version, taskType) : null;
+        const recent = typed || this._performance.summarize(name, version);
+        if (!recent) {
+            return { ...totals, p50: 0, p95: 0, p99: 0, avgCostUsd: null, recentExecutions: 0, taskType: null };
+        }
+        
+        return {
+            ...totals,
+            successRate: recent.successRate,
+            avgDuration: recent.avgDuration,
+            avgCostUsd: recent.avgCostUsd,
+            p50: recent.p50,
+            p95: recent.p95,
+            p99: recent.p99,
+            recentExecutions: recent.executions,
+            taskType: typed ? taskType : null
+        };
+    }
+    
+    /**
+     * Load persisted runs from the metrics store, e.g. at startup, and drop
+     * those too old to matter
+     * @returns {number} Number of runs loaded
+     */
+    async loadMetrics() {
+        if (!this.metricsStore) {
+            return 0;
+        }
+        
+        const since = Date.now() - this._performance.maxAgeMs;
+        await this.metricsStore.prune(since);
+        const samples = await this.metricsStore.load(since);
+        
+        return this._performance.load(samples);
+    }
+    
+    // Circuit breakers
+    /**
+     * Circuit state of an adapter version
+     * @param {string} name - Adapter name
+     * @param {string} version - Adapter version
+     * @returns {Object} { state, consecutiveFailures, openedAt, retryAt, lastFailure }
+     */
+    getCircuitState(name, version) {
+        this._syncCircuit(name, version);
+        return this._breakerFor(name, version).getStatus();
+    }
+    
+    /**
+     * Run every adapter's healthCheck() once. A failing check opens the
+     * adapter's circuit; a passing one lets an open circuit try again.
+     * @returns {Array<Object>} { name, version, healthy, error, circuit } per adapter
+     */
+    async checkHealth() {
+        const results = [];
+        
+        for (const [name, versionMap] of this._adapters) {
+            for (const [version, adapter] of versionMap) {
+                let healthy;
+                let error = null;
+                try {
+                    const health = await adapter.healthCheck();
+                    healthy = health?.healthy ?? (health?.status ? health.status === 'healthy' : true);
+                    error = healthy ? null : (health?.error || 'Health check failed');
+                } catch (e) {
+                    healthy = false;
+                    error = e.message;
+                }
+                
+                const breaker = this._breakerFor(name, version);
+                const change = healthy ? breaker.probe() : breaker.trip(`Health check: ${error}`);
+                this._circuitChanged(name, version, change);
+                
+                results.push({ name, version, healthy, error, circuit: breaker.getStatus() });
+            }
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Check adapter health periodically
+     * @param {number} intervalMs - Time between checks
+     */
+    startHealthChecks(intervalMs = 60000) {
+        this.stopHealthChecks();
+        
+        this._healthTimer = setInterval(async () => {
+            if (this._healthCheckRunning) {
+                return;
+            }
+            this._healthCheckRunning = true;
+            try {
+                await this.checkHealth();
+            } catch (error) {
+                console.warn('Adapter health check failed:', error.message);
+            } finally {
+                this._healthCheckRunning = false;
+            }
+        }, intervalMs);
+        this._healthTimer.unref();
+    }
+    
+    /**
+     * Stop periodic health checks
+     */
+    stopHealthChecks() {
+        if (this._healthTimer) {
+            clearInterval(this._healthTimer);
+            this._healthTimer = null;
+        }
     }
     
     // Private helper methods
+    /**
+     * @private
+     */
+    _breakerFor(name, version) {
+        const key = `${name}:${version}`;
+        if (!this._breakers.has(key)) {
+            this._breakers.set(key, new CircuitBreaker(this._circuitOptions));
+        }
+        return this._breakers.get(key);
+    }
+    
+    /**
+     * Whether an adapter may be selected
+     * @private
+     */
+    _isAvailable(name, version) {
+        return this._syncCircuit(name, version) !== CircuitBreaker.STATES.OPEN;
+    }
+    
+    /**
+     * Current circuit state; an open circuit whose reset timeout has
+     * passed turns half-open here
+     * @private
+     */
+    _syncCircuit(name, version) {
+        const breaker = this._breakers.get(`${name}:${version}`);
+        if (!breaker) {
+            return CircuitBreaker.STATES.CLOSED;
+        }
+        
+        const before = breaker.state;
+        const state = breaker.currentState();
+        if (state !== before) {
+            this._circuitChanged(name, version, state);
+        }
+        return state;
+    }
+    
+    /**
+     * Emit the event for a circuit state change
+     * @private
+     */
+    _circuitChanged(name, version, state) {
+        if (!state) {
+            return;
+        }
+        
+        const breaker = this._breakerFor(name, version);
+        const event = {
+            name,
+            version,
+            state,
+            consecutiveFailures: breaker.consecutiveFailures,
+            reason: breaker.lastFailure?.reason || null,
+            timestamp: new Date()
+        };
+        
+        if (state === CircuitBreaker.STATES.OPEN) {
+            console.warn(`⚡ Circuit open for ${name} v${version}: ${event.reason}`);
+            this.emit('adapter:circuit-open', event);
+        } else if (state === CircuitBreaker.STATES.CLOSED) {
+            console.log(`✅ Circuit closed for ${name} v${version}`);
+            this.emit('adapter:circuit-closed', event);
+        } else {
+            this.emit('adapter:circuit-half-open', event);
+        }
+    }
+    
     /**
      * Calculate capability match score
      * @private
@@ -366,15 +668,17 @@ class AdapterRegistry extends EventEmitter {
             }
         }
         
-        // Check language support
+        // Check language support; languages only guessed from the task's
+        // wording earn points but do not rule adapters out
         if (requirements.languages) {
-            requiredCount++;
+            const hardLanguages = (requirements.confidence?.languages ?? 1) >= 0.5;
+            if (hardLanguages) requiredCount++;
             const supportedLangs = new Set(capabilities.supportedLanguages || []);
             const requiredLangs = new Set(requirements.languages);
             const matchingLangs = [...requiredLangs].filter(lang => supportedLangs.has(lang));
             
             if (matchingLangs.length === requiredLangs.size) {
-                matchedCount++;
+                if (hardLanguages) matchedCount++;
                 score += 5;
             } else if (matchingLangs.length > 0) {
                 score += (matchingLangs.length / requiredLangs.size) * 5;
@@ -0,0 +1,130 @@
+/**
+ * Circuit Breaker
+ *
+ * Tracks whether one adapter version is fit to receive work. Closed is
+ * normal operation; after `failureThreshold` consecutive failures (or a
+ * failed health check) the circuit opens and the adapter is skipped. Once
+ * `resetTimeoutMs` has passed it turns half-open: the adapter may be
+ * selected again, and the next outcome closes the circuit or opens it for
+ * another period.
+ */
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options - { failureThreshold, resetTimeoutMs }
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeoutMs = options.resetTimeoutMs || 60000; // 1 minute
+        
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastFailure = null;
+    }
+    
+    /**
+     * Current state, turning an open circuit half-open once its reset
+     * timeout has passed
+     * @param {number} now - Current time (ms since epoch)
+     * @returns {string} 'closed', 'open' or 'half-open'
+     */
+    currentState(now = Date.now()) {
+        if (this.state === STATES.OPEN && now - this.openedAt >= this.resetTimeoutMs) {
+            this.state = STATES.HALF_OPEN;
+        }
+        return this.state;
+    }
+    
+    /**
+     * Whether the adapter may be selected
+     */
+    isAvailable(now = Date.now()) {
+        return this.currentState(now) !== STATES.OPEN;
+    }
+    
+    /**
+     * Record a successful execution
+     * @returns {string|null} The new state when it changed
+     */
+    recordSuccess(now = Date.now()) {
+        const previous = this.currentState(now);
+        this.consecutiveFailures = 0;
+        
+        if (previous === STATES.CLOSED) {
+            return null;
+        }
+        this.state = STATES.CLOSED;
+        this.openedAt = null;
+        return this.state;
+    }
+    
+    /**
+     * Record a failed execution
+     * @param {string} reason - What failed
+     * @returns {string|null} The new state when it changed
+     */
+    recordFailure(reason = null, now = Date.now()) {
+        const previous = this.currentState(now);
+        this.consecutiveFailures++;
+        this.lastFailure = { reason, at: new Date(now) };
+        
+        // A half-open circuit gets one trial; a closed one its threshold
+        if (previous === STATES.HALF_OPEN || (previous === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+            return this.trip(reason, now);
+        }
+        return null;
+    }
+    
+    /**
+     * Open the circuit now, e.g. after a failed health check
+     * @param {string} reason - Why the circuit opened
+     * @returns {string|null} The new state when it changed
+     */
+    trip(reason = null, now = Date.now()) {
+        const previous = this.currentState(now);
+        this.state = STATES.OPEN;
+        this.openedAt = now;
+        this.lastFailure = { reason, at: new Date(now) };
+        
+        return previous === STATES.OPEN ? null : this.state;
+    }
+    
+    /**
+     * Let an open circuit try again before its reset timeout, e.g. after a
+     * passing health check
+     * @returns {string|null} The new state when it changed
+     */
+    probe(now = Date.now()) {
+        if (this.currentState(now) !== STATES.OPEN) {
+            return null;
+        }
+        this.state = STATES.HALF_OPEN;
+        return this.state;
+    }
+    
+    /**
+     * State for diagnostics
+     * @returns {Object} { state, consecutiveFailures, openedAt, retryAt, lastFailure }
+     */
+    getStatus(now = Date.now()) {
+        const state = this.currentState(now);
+        return {
+            state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt ? new Date(this.openedAt) : null,
+            retryAt: state === STATES.OPEN ? new Date(this.openedAt + this.resetTimeoutMs) : null,
+            lastFailure: this.lastFailure
+        };
+    }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -6,8 +6,25 @@
  */
 
 const { EventEmitter } = require('events');
+const BudgetWindow = require('./budget/BudgetWindow');
+const RoutingObjective = require('./routing/RoutingObjective');
+const TaskAnalyzer = require('./routing/TaskAnalyzer');
+const ContextPlanner = require('./strategies/ContextPlanner');
 
 class TaskRouter extends EventEmitter {
+    /**
+     * @param {AdapterRegistry} registry - Adapters to route to
+     * @param {Object} preferences - Routing preferences; `budget` sets an
+     *   aggregate spend limit for everything routed here:
+     *   { windowMs, maxCostUsd, maxTokens, downgradeAt, economyAdapters };
+     *   `objectives` ranks adapters by weighted cost, latency, success rate
+     *   and capability (see src/routing/RoutingObjective.js), and tasks can
+     *   refine it with their own `objectives`; `workspaceRoot` is where
+     *   task files are measured and manifests read when a task's context
+     *   names no root of its own, and `analyzer` replaces the TaskAnalyzer;
+     *   `contextPlanner` decides when a task's context overflows the chosen
+     *   adapter and has to run in chunks (see src/strategies/ContextPlanner.js)
+     */
     constructor(registry, preferences = {}) {
         super();
         
@@ -19,9 +36,25 @@ class TaskRouter extends EventEmitter {
             ...preferences
         };
         
+        this.analyzer = this.preferences.analyzer ||
+            new TaskAnalyzer({ workspaceRoot: this.preferences.workspaceRoot });
+        this.contextPlanner = this.preferences.contextPlanner ||
+            new ContextPlanner({ tokenEstimator: this.analyzer.tokenEstimator, workspaceRoot: this.preferences.workspaceRoot });
+        
         // Cache for routing decisions
         this._routingCache = new Map();
         this._cacheTTL = 5 * 60 * 1000; // 5 minutes
+        
+        // Cached routes must not keep sending work to an adapter whose circuit opened
+        if (typeof registry?.on === 'function') {
+            registry.on('adapter:circuit-open', () => this.clearCache());
+        }
+        
+        // Outcome and spend of routed tasks, reported by their adapters'
+        // task events: task id -> { adapterName, adapterVersion, taskType }
+        this.budget = this.preferences.budget ? new BudgetWindow(this.preferences.budget) : null;
+        this._routedTasks = new Map();
+        this._trackedAdapters = new WeakSet();
     }
     
     /**
@@ -30,29 +63,54 @@ class TaskRouter extends EventEmitter {
      * @returns {Object} Routing decision with adapter and strategy
      */
     async route(task) {
+        // Refuse new work once the budget window is spent
+        const budgetStatus = this._checkBudget(task);
+        const economy = !!budgetStatus?.downgraded;
+        
+        // Objectives from the router and the task; invalid ones throw here
+        const objective = RoutingObjective.combine(this.preferences.objectives, task.objectives);
+        
+        // Analyze task requirements
+        const requirements = this.analyzeTask(task);
+        
         // Check cache first
-        const cacheKey = this._generateCacheKey(task);
+        const cacheKey = this._generateCacheKey(task, requirements) +
+            (economy ? ':economy' : '') +
+            (task.objectives ? `:${JSON.stringify(task.objectives)}` : '');
         const cached = this._getCachedRoute(cacheKey);
         if (cached) {
             this.emit('route:cache-hit', { taskId: task.id, adapter: cached.adapter.name });
+            this._trackOutcome(cached, task);
             return cached;
         }
         
-        // Analyze task requirements
-        const requirements = this.analyzeTask(task);
+        // Find matching adapters; near the budget limit cheaper ones win
+        const preferences = {
+            ...(economy ? this._economyPreferences() : this.preferences),
+            objectives: objective
+        };
+        let selection = this.registry.selectOptimalAdapter(requirements, preferences);
         
-        // Find matching adapters
-        const selection = this.registry.selectOptimalAdapter(
-            requirements,
-            this.preferences
-        );
+        // No adapter takes the whole context at once: pick the best one
+        // regardless, and the task runs in chunks
+        if (!selection && requirements.minContextTokens > 0) {
+            selection = this.registry.selectOptimalAdapter({ ...requirements, minContextTokens: 0 }, preferences);
+        }
         
         if (!selection) {
-            throw new Error('No suitable adapter found for task requirements');
+            throw new Error(this._noAdapterMessage(requirements, preferences));
         }
         
-        // Determine execution strategy
-        const strategy = this._selectStrategy(selection.adapter, task, requirements);
+        const contextOverflow = this._contextOverflow(selection.adapter, requirements);
+        
+        // Determine execution strategy; near the budget limit, one session
+        // only, since fan-out strategies multiply spend. Chunks already run
+        // one at a time.
+        const strategy = contextOverflow
+            ? 'chunked'
+            : economy
+                ? 'sequential'
+                : this._selectStrategy(selection.adapter, task, requirements);
         
         const routingDecision = {
             adapter: selection.adapter,
@@ -61,11 +119,20 @@ class TaskRouter extends EventEmitter {
             strategy,
             requirements,
             score: selection.score,
+            // Why the adapter won: its score by factor, the runners-up, and
+            // adapters the objective's constraints ruled out
+            breakdown: selection.breakdown || null,
+            objective: objective ? objective.describe() : null,
+            alternatives: selection.alternatives || [],
+            rejected: selection.rejected || [],
+            contextOverflow,
+            economy,
             timestamp: new Date()
         };
         
         // Cache the decision
         this._cacheRoute(cacheKey, routingDecision);
+        this._trackOutcome(routingDecision, task);
         
         // Emit routing event
         this.emit('task:routed', {
@@ -73,102 +140,58 @@ class TaskRouter extends EventEmitter {
             taskType: task.type,
             adapter: selection.name,
             version: selection.version,
-            strategy
+            strategy,
+            score: selection.score,
+            breakdown: routingDecision.breakdown,
+            contextOverflow,
+            economy
         });
         
         return routingDecision;
     }
     
     /**
-     * Analyze task to determine requirements
-     * @param {Object} task - Task to analyze
-     * @returns {Object} Task requirements
+     * Record what a routed task spent. Adapters that emit task:completed
+     * and task:failed with metrics are tracked automatically; call this for
+     * spend reported any other way.
+     * @param {string} taskId - Task the spend belongs to
+     * @param {Object} usage - { costUsd, tokens }
      */
-    analyzeTask(task) {
-        const requirements = {
-            features: [],
-            minContextTokens: 0,
-            languages: [],
-            multiFile: false,
-            streaming: false,
-            subAgents: false
-        };
-        
-        // Analyze task type
-        const taskTypeFeatures = {
-            'comprehension': ['comprehension', 'explanation'],
-            'generation': ['generation', 'refactoring'],
-            'validation': ['validation', 'testing'],
-            'exploration': ['exploration', 'debugging'],
-            'refactoring': ['refactoring', 'generation'],
-            'testing': ['testing', 'generation'],
-            'documentation': ['documentation', 'generation']
-        };
-        
-        if (taskTypeFeatures[task.type]) {
-            requirements.features.push(...taskTypeFeatures[task.type]);
+    recordUsage(taskId, usage = {}) {
+        if (!this.budget) {
+            return;
         }
         
-        // Analyze context size
-        if (task.context) {
-            const contextSize = this._estimateContextSize(task.context);
-            requirements.minContextTokens = contextSize;
-            
-            // Check for multi-file requirements
-            if (task.context.files && task.context.files.length > 1) {
-                requirements.multiFile = true;
-            }
-        }
+        this.budget.record(taskId, usage);
+        const status = this.budget.status();
         
-        // Analyze description for hints
-        const description = task.description.toLowerCase();
-        
-        // Language detection
-        const languagePatterns = {
-            javascript: /\b(javascript|js|node|npm)\b/,
-            typescript: /\b(typescript|ts|tsx)\b/,
-            python: /\b(python|py|pip)\b/,
-            java: /\b(java|maven|gradle)\b/,
-            go: /\b(go|golang)\b/,
-            rust: /\b(rust|cargo)\b/,
-            'c++': /\b(c\+\+|cpp)\b/
-        };
-        
-        for (const [lang, pattern] of Object.entries(languagePatterns)) {
-            if (pattern.test(description)) {
-                requirements.languages.push(lang);
-            }
-        }
-        
-        // Feature detection from description
-        if (description.includes('stream') || description.includes('real-time')) {
-            requirements.streaming = true;
-        }
-        
-        if (description.includes('delegate') || description.includes('sub-agent') || 
-            description.includes('parallel') || description.includes('distribute')) {
-            requirements.subAgents = true;
-        }
-        
-        // Check for vendor-specific extensions
-        if (task.extensions) {
-            for (const [vendor, ext] of Object.entries(task.extensions)) {
-                if (ext.subAgents) {
-                    requirements.subAgents = true;
-                }
-                if (ext.streaming) {
-                    requirements.streaming = true;
-                }
-                if (ext.features) {
-                    requirements.features.push(...ext.features);
-                }
-            }
-        }
-        
-        // Deduplicate features
-        requirements.features = [...new Set(requirements.features)];
-        
-        return requirements;
+        this.emit('budget:usage', {
+            taskId,
+            costUsd: usage.costUsd || 0,
+            tokens: usage.tokens || 0,
+            window: status.usage,
+            utilization: status.utilization,
+            timestamp: new Date()
+        });
+    }
+    
+    /**
+     * Where the aggregate budget stands
+     * @returns {Object|null} Status from BudgetWindow.status(), or null
+     *   without a budget
+     */
+    getBudgetStatus() {
+        return this.budget ? this.budget.status() : null;
+    }
+    
+    /**
+     * Analyze task to determine requirements
+     * @param {Object} task - Task to analyze
+     * @returns {Object} Task requirements, with a `confidence` (0-1) for each
+     *   under `requirements.confidence` (see src/routing/TaskAnalyzer.js)
+     */
+    analyzeTask(task) {
+        return this.analyzer.analyze(task);
     }
     
     /**
@@ -241,6 +264,133 @@ class TaskRouter extends EventEmitter {
     
     // Private methods
     
+    /**
+     * Throw when the budget window is spent
+     * @private
+     */
+    _checkBudget(task) {
+        if (!this.budget) {
+            return null;
+        }
+        
+        const status = this.budget.status();
+        if (status.exceeded) {
+            this.emit('task:budget-exceeded', {
+                taskId: task.id,
+                scope: 'window',
+                ...status.exceeded,
+                action: 'rejected',
+                window: status.usage,
+                timestamp: new Date()
+            });
+            throw new Error(`Budget for the current window is spent: ${status.exceeded.limit} of ${status.exceeded.max} reached (${status.exceeded.actual})`);
+        }
+        
+        return status;
+    }
+    
+    /**
+     * Error message for a task no adapter qualifies for, naming what ruled
+     * each adapter out
+     * @private
+     */
+    _noAdapterMessage(requirements, preferences) {
+        const rejected = preferences.objectives && typeof this.registry.rankAdapters === 'function'
+            ? this.registry.rankAdapters(requirements, preferences).rejected
+            : [];
+        if (rejected.length === 0) {
+            return 'No suitable adapter found for task requirements';
+        }
+        
+        const reasons = rejected.map(({ name, version, reasons }) => `${name} v${version} (${reasons.join(', ')})`);
+        return `No adapter meets the routing constraints: ${reasons.join('; ')}`;
+    }
+    
+    /**
+     * Preferences used near the budget limit
+     * @private
+     */
+    _economyPreferences() {
+        const economyAdapters = this.preferences.budget?.economyAdapters || [];
+        return {
+            ...this.preferences,
+            preferredAdapters: economyAdapters.length > 0 ? economyAdapters : this.preferences.preferredAdapters
+        };
+    }
+    
+    /**
+     * Feed a routed task's outcome back into the registry's metrics, and
+     * its spend into the budget, once its adapter reports them. A task
+     * stays tracked through failed attempts until it completes.
+     * @private
+     */
+    _trackOutcome(decision, task) {
+        const adapter = decision.adapter;
+        if (typeof adapter?.on !== 'function') {
+            return;
+        }
+        
+        this._routedTasks.set(task.id, {
+            adapterName: decision.adapterName,
+            adapterVersion: decision.adapterVersion,
+            taskType: task.type
+        });
+        if (this._routedTasks.size > 1000) {
+            // Tasks whose adapter never reported back; drop the oldest
+            this._routedTasks.delete(this._routedTasks.keys().next().value);
+        }
+        
+        if (this._trackedAdapters.has(adapter)) {
+            return;
+        }
+        this._trackedAdapters.add(adapter);
+        
+        const onFinished = (failed) => ({ taskId, duration, error, reason, results, metrics }) => {
+            const routed = this._routedTasks.get(taskId);
+            if (!routed) {
+                return;
+            }
+            if (!failed) {
+                this._routedTasks.delete(taskId);
+            }
+            
+            const reported = results?.metrics || metrics || {};
+            this.registry.recordMetrics?.(routed.adapterName, routed.adapterVersion, {
+                duration: duration ?? reported.duration ?? 0,
+                failed,
+                error,
+                reason,
+                taskType: routed.taskType,
+                costUsd: reported.costUsd
+            });
+            this.recordUsage(taskId, {
+                costUsd: reported.costUsd || 0,
+                tokens: reported.tokens?.total || 0
+            });
+        };
+        adapter.on('task:completed', onFinished(false));
+        adapter.on('task:failed', onFinished(true));
+    }
+    
+    /**
+     * How far a task's context overflows what the adapter takes in one run
+     * @returns {Object|null} { contextTokens, capacity, maxContextTokens, estimatedChunks }
+     * @private
+     */
+    _contextOverflow(adapter, requirements) {
+        const capacity = this.contextPlanner.capacity(adapter);
+        if (!(requirements.minContextTokens > capacity)) {
+            return null;
+        }
+        
+        return {
+            contextTokens: requirements.minContextTokens,
+            capacity,
+            maxContextTokens: adapter.capabilities.maxContextTokens,
+            estimatedChunks: Math.ceil(requirements.minContextTokens / capacity)
+        };
+    }
+    
     /**
      * Select execution strategy based on adapter capabilities and task
      * @private
@@ -287,26 +437,7 @@ class TaskRouter extends EventEmitter {
      * @private
      */
     _estimateContextSize(context) {
-        let size = 0;
-        
-        // Estimate from files
-        if (context.files) {
-            // Rough estimate: 500 tokens per file
-            size += context.files.length * 500;
-        }
-        
-        // Estimate from text content
-        if (context.content) {
-            // Rough estimate: 1 token per 4 characters
-            size += Math.ceil(context.content.length / 4);
-        }
-        
-        // Estimate from code
-        if (context.code) {
-            size += Math.ceil(context.code.length / 4);
-        }
-        
-        return size;
+        return this.analyzer.estimateContextTokens(context).tokens;
     }
     
     /**
@@ -365,13 +496,14 @@ class TaskRouter extends EventEmitter {
      * Generate cache key for a task
      * @private
      */
-    _generateCacheKey(task) {
-        const requirements = this.analyzeTask(task);
+    _generateCacheKey(task, requirements = this.analyzeTask(task)) {
         return JSON.stringify({
             type: task.type,
-            features: requirements.features.sort(),
+            features: [...requirements.features].sort(),
             contextSize: Math.floor(requirements.minContextTokens / 1000), // Round to nearest 1k
-            languages: requirements.languages.sort(),
+            languages: [...requirements.languages].sort(),
+            // Guessed languages match adapters more loosely than detected ones
+            languageConfidence: requirements.confidence?.languages,
             flags: {
                 multiFile: requirements.multiFile,
                 streaming: requirements.streaming,
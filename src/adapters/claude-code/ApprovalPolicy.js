@@ -0,0 +1,93 @@
+/**
+ * Approval Policy for Claude Code Adapter
+ *
+ * Answers permission prompts without a human. Rules are checked in order
+ * and the first one matching the prompt decides; prompts no rule matches
+ * get the fallback. The default fallback is 'ask', which leaves the prompt
+ * to session:input-required listeners. Unattended runs should use a
+ * fallback of 'deny' so that no prompt can stall them.
+ *
+ *   new ApprovalPolicy({
+ *       deny: [/rm -rf/, 'git push'],
+ *       approve: [/^npm (test|run lint)\b/m],
+ *       rules: [{ tool: 'Edit file', match: /src\//, answer: 'approve' }],
+ *       fallback: 'deny'
+ *   })
+ *
+ * `deny` and `approve` are shorthand for rules checked after `rules`,
+ * deny patterns first.
+ */
+
+const PermissionPrompt = require('./PermissionPrompt');
+
+const DECISIONS = [...PermissionPrompt.ANSWERS, 'ask'];
+
+class ApprovalPolicy {
+    /**
+     * @param {Object} options - { rules, approve, deny, fallback }. A rule is
+     *   { match, tool, answer }; `match` is a RegExp, a substring or a
+     *   function of the prompt, tested against the prompt's tool, details
+     *   and question
+     */
+    constructor(options = {}) {
+        this.rules = [
+            ...(options.rules || []),
+            ...(options.deny || []).map(match => ({ match, answer: 'deny' })),
+            ...(options.approve || []).map(match => ({ match, answer: 'approve' }))
+        ];
+        this.fallback = options.fallback || 'ask';
+        
+        for (const answer of [...this.rules.map(rule => rule.answer), this.fallback]) {
+            if (!DECISIONS.includes(answer)) {
+                throw new Error(`Unknown approval answer: ${answer}. Available answers: ${DECISIONS.join(', ')}`);
+            }
+        }
+    }
+    
+    /**
+     * Use a policy as given or build one from options
+     * @param {ApprovalPolicy|Object} policy - Policy or its options
+     * @returns {ApprovalPolicy} Policy
+     */
+    static from(policy) {
+        return policy instanceof ApprovalPolicy ? policy : new ApprovalPolicy(policy);
+    }
+    
+    /**
+     * Decide how to answer a prompt
+     * @param {Object} prompt - Prompt from PermissionPrompt.detect()
+     * @returns {Object} { answer, rule }: answer is 'approve',
+     *   'approve_always', 'deny' or 'ask'; rule is the index of the matching
+     *   rule, or null for the fallback
+     */
+    decide(prompt) {
+        const text = [prompt.tool, prompt.detail, prompt.question].filter(Boolean).join('\n');
+        
+        const index = this.rules.findIndex(rule =>
+            (!rule.tool || rule.tool === prompt.tool) && ApprovalPolicy._matches(rule.match, text, prompt)
+        );
+        
+        return index === -1
+            ? { answer: this.fallback, rule: null }
+            : { answer: this.rules[index].answer, rule: index };
+    }
+    
+    /**
+     * @private
+     */
+    static _matches(match, text, prompt) {
+        if (match === undefined || match === null) {
+            return true;
+        }
+        if (match instanceof RegExp) {
+            // A shared global RegExp would carry lastIndex between prompts
+            return new RegExp(match.source, match.flags.replace('g', '')).test(text);
+        }
+        if (typeof match === 'function') {
+            return !!match(prompt);
+        }
+        return text.includes(String(match));
+    }
+}
+
+module.exports = ApprovalPolicy;
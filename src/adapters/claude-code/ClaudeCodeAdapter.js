@@ -3,12 +3,26 @@
  * 
  * This adapter enables RepoCHief to orchestrate Claude Code locally
  * via tmux sessions, providing the hybrid cloud-local execution model.
+ * The session backend is pluggable: `sessionBackend: 'process'` runs the
+ * CLI as a plain child process on hosts without tmux.
  */
 
 const AIAgentAdapter = require('../../base/AIAgentAdapter');
+const RetryPolicy = require('../../base/RetryPolicy');
+const SessionBackend = require('./SessionBackend');
 const TmuxSessionManager = require('./TmuxSessionManager');
+const ProcessSessionBackend = require('./ProcessSessionBackend');
+const SessionQueue = require('./SessionQueue');
+const SessionRegistry = require('./SessionRegistry');
+const CompletionSentinel = require('./CompletionSentinel');
+const WorkspaceSnapshot = require('./WorkspaceSnapshot');
+const WorktreeManager = require('./WorktreeManager');
 const CommandBuilder = require('./CommandBuilder');
 const ResultsParser = require('./ResultsParser');
+const OutputDelta = require('./OutputDelta');
+const TaskOutputStream = require('./TaskOutputStream');
+const TokenUsage = require('./TokenUsage');
+const TaskBudget = require('../../budget/TaskBudget');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const path = require('path');
@@ -16,6 +30,21 @@ const fs = require('fs');
 
 const execAsync = promisify(exec);
 
+// Built-in session backends, selected with config.sessionBackend
+const SESSION_BACKENDS = {
+    tmux: () => new TmuxSessionManager(),
+    process: () => new ProcessSessionBackend()
+};
+
+// How initialize() treats sessions left running by an earlier process
+const ORPHAN_POLICIES = ['reattach', 'reap', 'keep'];
+
+// How tasks share the workspace: all in workspaceRoot, or a git worktree each
+const ISOLATION_MODES = ['none', 'worktree'];
+
+// Session states that no longer need their backend session
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
 class ClaudeCodeAdapter extends AIAgentAdapter {
     constructor() {
         super();
@@ -46,13 +75,20 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
             }
         };
         
-        // Initialize managers
-        this.tmuxManager = new TmuxSessionManager();
+        // Initialize managers (tmux until initialize selects a backend)
+        this.sessionManager = new TmuxSessionManager();
         this.commandBuilder = new CommandBuilder();
         this.resultsParser = new ResultsParser();
+        this.sessionQueue = this.createSessionQueue();
+        this.sessionRegistry = null;
+        this.workspaceSnapshot = null;
+        this.worktreeManager = null;
         
         // State tracking
         this.activeSessions = new Map();
+        this.taskSnapshots = new Map();
+        // Finished sessions being destroyed to free a slot: id -> promise
+        this._reclaiming = new Map();
         this.config = {};
     }
     
@@ -77,18 +113,70 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
             timeoutMs: config.timeoutMs || 300000, // 5 minutes default
             maxSessions: config.maxSessions || 10,
             deviceId: config.deviceId || null,
+            sessionBackend: config.sessionBackend || 'tmux',
+            maxQueueDepth: config.maxQueueDepth ?? 100,
+            queueTimeoutMs: config.queueTimeoutMs || 600000, // 10 minutes
+            stateDirectory: config.stateDirectory ||
+                path.join(CompletionSentinel.defaultBaseDirectory(), 'state'),
+            orphanPolicy: config.orphanPolicy || 'reattach',
+            schemaRepairAttempts: config.schemaRepairAttempts ?? 1,
+            workspaceSnapshots: config.workspaceSnapshots ?? true,
+            snapshotRetention: config.snapshotRetention ?? 20,
+            snapshotMaxBytes: config.snapshotMaxBytes ?? 64 * 1024 * 1024,
+            isolation: config.isolation || 'none',
+            // Take every path-labelled code block in the output as a whole file
+            wholeFileBlocks: config.wholeFileBlocks ?? false,
+            sessionIdleTimeoutMs: config.sessionIdleTimeoutMs ?? 30000,
+            conversationIdleTimeoutMs: config.conversationIdleTimeoutMs ?? 600000, // 10 minutes
             ...config
         };
         
         try {
+            this.sessionManager = this.createSessionBackend(this.config.sessionBackend);
+            this.resultsParser = new ResultsParser({ pricing: this.config.pricing });
+            this.retryPolicy = RetryPolicy.from(this.config.retry);
+            this.sessionQueue = this.createSessionQueue({
+                maxConcurrent: this.config.maxSessions,
+                maxQueueDepth: this.config.maxQueueDepth,
+                queueTimeout: this.config.queueTimeoutMs
+            });
+            
             // Validate Claude Code installation
             await this.validateClaudeCode();
             
-            // Validate tmux availability
-            await this.validateTmux();
+            // Validate tmux availability (only the tmux backend needs it)
+            if (this.sessionManager.backendName === 'tmux') {
+                await this.validateTmux();
+            }
             
-            // Initialize tmux manager
-            await this.tmuxManager.initialize(this.config);
+            // Initialize session backend
+            await this.sessionManager.initialize(this.config);
+            
+            // Snapshot the workspace around each task to report what it changed
+            this.workspaceSnapshot = this.config.workspaceSnapshots
+                ? new WorkspaceSnapshot(this.config.workspaceRoot, {
+                    directory: path.join(this.config.stateDirectory, 'snapshots'),
+                    ignorePaths: [this.config.stateDirectory],
+                    maxSnapshotBytes: this.config.snapshotMaxBytes
+                })
+                : null;
+            
+            // Give each task its own git worktree when isolation is on
+            this.worktreeManager = await this.createWorktreeManager(this.config.isolation);
+            
+            // Pick up sessions a previous process left behind
+            this.sessionRegistry = new SessionRegistry(this.config.stateDirectory);
+            await this.sessionRegistry.load();
+            this._trackSessions();
+            this.lastReconciliation = await this.reconcileSessions();
+            
+            // Worktrees whose sessions are gone from the registry are no longer needed
+            if (this.worktreeManager) {
+                const inUse = this.sessionRegistry.list()
+                    .filter(record => record.worktree)
+                    .map(record => record.worktree.path);
+                await this.worktreeManager.prune(inUse);
+            }
             
             // Validate workspace access
             await this.validateWorkspace();
@@ -111,6 +199,63 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
         }
     }
     
+    /**
+     * Resolve the configured session backend
+     * @param {string|SessionBackend} backend - Built-in backend name or instance
+     * @returns {SessionBackend} Session backend
+     */
+    createSessionBackend(backend) {
+        if (backend instanceof SessionBackend) {
+            return backend;
+        }
+        
+        const factory = SESSION_BACKENDS[backend];
+        if (!factory) {
+            throw new Error(
+                `Unknown session backend: ${backend}. Available backends: ${Object.keys(SESSION_BACKENDS).join(', ')}`
+            );
+        }
+        
+        return factory();
+    }
+    
+    /**
+     * Set up per-task worktrees for the configured isolation mode
+     * @param {string} isolation - 'none' or 'worktree'
+     * @returns {WorktreeManager|null} Worktree manager, or null without isolation
+     */
+    async createWorktreeManager(isolation) {
+        if (!ISOLATION_MODES.includes(isolation)) {
+            throw new Error(`Unknown isolation mode: ${isolation}. Available modes: ${ISOLATION_MODES.join(', ')}`);
+        }
+        if (isolation === 'none') {
+            return null;
+        }
+        
+        const manager = new WorktreeManager(this.config.workspaceRoot, {
+            directory: this.config.worktreeDirectory || path.join(this.config.stateDirectory, 'worktrees')
+        });
+        await manager.initialize();
+        return manager;
+    }
+    
+    /**
+     * Create the admission queue for sessions and forward its events
+     * @param {Object} options - { maxConcurrent, maxQueueDepth, queueTimeout }
+     * @returns {SessionQueue} Session queue
+     */
+    createSessionQueue(options = {}) {
+        if (this.sessionQueue) {
+            this.sessionQueue.clear('Session queue reconfigured');
+            this.sessionQueue.removeAllListeners();
+        }
+        
+        const queue = new SessionQueue(options);
+        queue.on('task:queued', (event) => this.emit('task:queued', event));
+        queue.on('task:dequeued', (event) => this.emit('task:dequeued', event));
+        return queue;
+    }
+    
     async validateClaudeCode() {
         try {
             const { stdout } = await execAsync('claude --version');
@@ -168,29 +313,37 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
     // Health check
     async healthCheck() {
         try {
-            const checks = await Promise.all([
+            const usesTmux = this.sessionManager.backendName === 'tmux';
+            const [claudeCode, sessionManager, tmux] = await Promise.all([
                 this.validateClaudeCode(),
-                this.validateTmux(),
-                this.tmuxManager.healthCheck()
+                this.sessionManager.healthCheck(),
+                usesTmux ? this.validateTmux() : null
             ]);
             
             const activeSessions = this.activeSessions.size;
             const maxSessions = this.config.maxSessions;
+            const queue = this.sessionQueue.getStats();
+            
+            const checks = { claudeCode, sessionManager };
+            if (usesTmux) {
+                checks.tmux = tmux;
+            }
             
             return {
-                healthy: true,
+                healthy: sessionManager.healthy !== false,
                 adapter: this.name,
                 version: this.adapterVersion,
                 apiVersion: this.apiVersion,
-                checks: {
-                    claudeCode: checks[0],
-                    tmux: checks[1],
-                    sessionManager: checks[2]
-                },
+                sessionBackend: this.sessionManager.backendName,
+                checks,
                 sessions: {
                     active: activeSessions,
                     max: maxSessions,
-                    available: maxSessions - activeSessions
+                    available: maxSessions - activeSessions,
+                    running: queue.running,
+                    queued: queue.depth,
+                    maxQueueDepth: queue.maxQueueDepth,
+                    expectedWaitMs: queue.expectedWaitMs
                 },
                 workspace: this.config.workspaceRoot,
                 lastCheck: new Date().toISOString()
@@ -207,18 +360,66 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
     }
     
     // Task execution - V1 implementation
-    async executeTaskV1(task) {
+    // options.onProgress receives the backend's raw progress reports;
+    // options.attempt is set by executeTask's retry loop
+    async executeTaskV1(task, options = {}) {
         if (!this.initialized) {
             throw new Error('Adapter not initialized');
         }
         
-        const sessionId = `${this.config.sessionPrefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         const startTime = Date.now();
         
+        // Wait for a session slot; tasks beyond maxSessions queue by priority
+        const extensions = this.getVendorExtensions(task, this.name) || {};
+        let releaseSlot;
         try {
-            // Create tmux session for isolated execution
-            const session = await this.tmuxManager.createSession(sessionId, {
-                workingDirectory: this.config.workspaceRoot,
+            releaseSlot = await this.sessionQueue.acquire(task, {
+                priority: extensions.priority ?? task.priority,
+                timeout: extensions.queueTimeoutMs
+            });
+        } catch (error) {
+            this.emit('task:failed', {
+                taskId: task.id,
+                sessionId: null,
+                error: error.message,
+                reason: 'rejected',
+                duration: Date.now() - startTime
+            });
+            
+            return {
+                taskId: task.id,
+                sessionId: null,
+                status: 'failed',
+                error: error.message,
+                metrics: {
+                    duration: Date.now() - startTime,
+                    queueWait: Date.now() - startTime,
+                    adapter: this.name
+                }
+            };
+        }
+        
+        const queueWait = Date.now() - startTime;
+        const sessionId = `${this.config.sessionPrefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        let worktree = null;
+        let budgetWatch = null;
+        
+        try {
+            // Finished sessions kept around for debugging must not block new work
+            await this._reclaimFinishedSession();
+            
+            // With worktree isolation the task works on its own branch
+            if (this.worktreeManager) {
+                worktree = await this.worktreeManager.create(task.id);
+            }
+            const workingDirectory = worktree ? worktree.workingDirectory : this.config.workspaceRoot;
+            
+            // Record the workspace so the files this run touches can be reported
+            const snapshot = await this._captureSnapshot(task, workingDirectory, { retry: options.attempt > 1 });
+            
+            // Create session for isolated execution
+            const session = await this.sessionManager.createSession(sessionId, {
+                workingDirectory,
                 task: task
             });
             
@@ -226,101 +427,994 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
                 session,
                 task,
                 startTime,
-                status: 'running'
+                status: 'running',
+                worktree,
+                // Tasks can open a conversation up front to get the longer idle expiry
+                conversation: extensions.conversation ? this._newConversation() : null
+            });
+            
+            await this._registerSession(sessionId, {
+                backend: this.sessionManager.backendName,
+                ownerPid: process.pid,
+                taskId: task.id,
+                task,
+                workingDirectory,
+                startTime: new Date(startTime).toISOString(),
+                status: 'running',
+                snapshot,
+                worktree
             });
             
             // Build Claude Code command
             const command = this.commandBuilder.buildCommand(task, {
-                workspaceRoot: this.config.workspaceRoot,
+                workspaceRoot: workingDirectory,
                 sessionId
             });
+            this.activeSessions.get(sessionId).command = command;
             
-            // Execute command in tmux session
-            const executionResult = await this.tmuxManager.executeCommand(sessionId, command, {
+            // Cancel the task once it passes a limit from its budget
+            budgetWatch = this._watchBudget(task, sessionId);
+            
+            // Execute command in the session
+            const executionResult = await this.sessionManager.executeCommand(sessionId, command, {
                 timeout: this.config.timeoutMs,
-                onProgress: (progress) => {
-                    this.emit('task:progress', {
-                        taskId: task.id,
-                        sessionId,
-                        progress
-                    });
-                }
+                onProgress: this._progressHandler(task, sessionId, options.onProgress, budgetWatch)
+            });
+            
+            const result = await this._completeTask(sessionId, task, executionResult, startTime, { queueWait }, command);
+            this._settleBudget(budgetWatch, result);
+            return await this._collectChanges(task, result, worktree);
+            
+        } catch (error) {
+            const cancelled = !!this.activeSessions.get(sessionId)?.cancelRequested;
+            const result = await this._failTask(sessionId, task, this._budgetError(budgetWatch, error), startTime, {
+                queueWait,
+                ...budgetWatch?.usage
             });
+            if (cancelled) {
+                result.cancelled = true;
+            }
+            this._settleBudget(budgetWatch, result);
+            return await this._collectChanges(task, result, worktree);
             
-            // Parse results
-            const results = await this.resultsParser.parseResults(executionResult, task);
+        } finally {
+            if (budgetWatch) {
+                clearTimeout(budgetWatch.timer);
+            }
+            releaseSlot();
+            this._scheduleCleanup(sessionId, worktree);
+        }
+    }
+    
+    /**
+     * Start enforcing a task's budget: a timer for maxDurationMs, and usage
+     * checks on progress reports for maxCostUsd and maxTokens (these need
+     * usage in the output as it streams, e.g. `--output-format stream-json`;
+     * otherwise they are checked once the task finishes)
+     * @returns {Object|null} Watch state, or null when the task has no budget
+     * @private
+     */
+    _watchBudget(task, sessionId) {
+        const budget = TaskBudget.for(task, this.name);
+        if (!budget) {
+            return null;
+        }
+        
+        const watch = { budget, taskId: task.id, sessionId, startTime: Date.now(), usage: null, exceeded: null, timer: null };
+        
+        if (budget.has('maxDurationMs')) {
+            watch.timer = setTimeout(() => this._stopOverBudget(watch, {
+                limit: 'maxDurationMs',
+                max: budget.limits.maxDurationMs,
+                actual: Date.now() - watch.startTime
+            }), budget.limits.maxDurationMs);
+        }
+        
+        return watch;
+    }
+    
+    /**
+     * Check usage reported so far against the budget
+     * @private
+     */
+    _observeBudget(watch, progress) {
+        if (watch.exceeded || !(watch.budget.has('maxCostUsd') || watch.budget.has('maxTokens'))) {
+            return;
+        }
+        
+        const usage = TokenUsage.extract(progress.output);
+        if (!usage) {
+            return;
+        }
+        
+        const { costUsd, tokens } = this.resultsParser.accountUsage(usage);
+        watch.usage = { costUsd, tokens };
+        
+        const exceeded = watch.budget.check({ costUsd, tokens: tokens.total });
+        if (exceeded) {
+            this._stopOverBudget(watch, exceeded);
+        }
+    }
+    
+    /**
+     * @private
+     */
+    _stopOverBudget(watch, exceeded) {
+        if (watch.exceeded) {
+            return;
+        }
+        watch.exceeded = exceeded;
+        
+        this.emit('task:budget-exceeded', {
+            taskId: watch.taskId,
+            sessionId: watch.sessionId,
+            ...exceeded,
+            action: 'cancelled',
+            timestamp: new Date()
+        });
+        
+        console.warn(`💸 Task ${watch.taskId}: ${TaskBudget.describe(exceeded)}, cancelling`);
+        this.cancelTask(watch.sessionId).catch(error => {
+            console.warn(`Failed to cancel task ${watch.taskId}:`, error.message);
+        });
+    }
+    
+    /**
+     * Record an exceeded budget on the result. A task that finished before
+     * it could be stopped keeps its result; the overrun is reported.
+     * @private
+     */
+    _settleBudget(watch, result) {
+        if (!watch) {
+            return;
+        }
+        
+        if (!watch.exceeded && result.status === 'completed') {
+            const exceeded = watch.budget.check({
+                costUsd: result.metrics.costUsd,
+                tokens: result.metrics.tokens?.total,
+                durationMs: Date.now() - watch.startTime
+            });
             
-            // Update session status
-            const sessionInfo = this.activeSessions.get(sessionId);
-            if (sessionInfo) {
-                sessionInfo.status = 'completed';
-                sessionInfo.results = results;
+            if (exceeded) {
+                watch.exceeded = exceeded;
+                this.emit('task:budget-exceeded', {
+                    taskId: watch.taskId,
+                    sessionId: watch.sessionId,
+                    ...exceeded,
+                    action: 'reported',
+                    timestamp: new Date()
+                });
+            }
+        }
+        
+        if (watch.exceeded) {
+            result.budgetExceeded = watch.exceeded;
+        }
+    }
+    
+    /**
+     * The error to report for a task stopped over budget
+     * @private
+     */
+    _budgetError(watch, error) {
+        if (!watch?.exceeded) {
+            return error;
+        }
+        const stopped = new Error(`Task stopped over budget: ${TaskBudget.describe(watch.exceeded)}`);
+        stopped.budgetExceeded = watch.exceeded;
+        return stopped;
+    }
+    
+    /**
+     * Progress callback that re-emits backend reports as task:progress,
+     * with the output that is new since the previous report as `delta`
+     * @private
+     */
+    _progressHandler(task, sessionId, onProgress = null, budgetWatch = null) {
+        const outputDelta = new OutputDelta();
+        
+        return (progress) => {
+            if (budgetWatch) {
+                this._observeBudget(budgetWatch, progress);
             }
             
-            // Emit completion event
-            this.emit('task:completed', {
+            this.emit('task:progress', {
                 taskId: task.id,
                 sessionId,
-                duration: Date.now() - startTime,
-                results
+                progress,
+                delta: outputDelta.next(progress.output)
             });
             
-            return {
+            if (onProgress) {
+                onProgress(progress);
+            }
+        };
+    }
+    
+    /**
+     * Run a task and stream its output as it is produced. The task is
+     * validated and retried like executeTask, and the output of each
+     * attempt arrives on the same stream.
+     * @param {Object} task - Task to execute
+     * @param {Object} options - { ansi: 'strip' (default) or 'keep' }
+     * @returns {TaskOutputStream} Readable of { type: 'output', text, offset,
+     *   sequence, reset, timestamp, elapsed } chunks holding only new output;
+     *   `stream.result` resolves with the task result
+     */
+    stream(task, options = {}) {
+        const output = new TaskOutputStream({ taskId: task.id, ansi: options.ansi });
+        
+        this.executeTask(task, { onProgress: (progress) => output.update(progress) })
+            .then(result => output.finish(result), error => output.fail(error));
+        
+        return output;
+    }
+    
+    /**
+     * Streaming execution for OrchestrationStrategy: `task.onChunk` is
+     * called with each new piece of output as it arrives
+     * @param {Object} task - Task, optionally with onChunk
+     * @returns {Object} Task result
+     */
+    async executeWithStreaming(task) {
+        const { onChunk, streaming, ...taskSpec } = task;
+        const output = this.stream(taskSpec);
+        
+        for await (const chunk of output) {
+            this.emit('task:streaming', {
+                taskId: chunk.taskId,
+                sessionId: chunk.sessionId,
+                chunk: chunk.text
+            });
+            
+            if (onChunk) {
+                await onChunk({ chunk: chunk.text, ...chunk });
+            }
+        }
+        
+        return { ...(await output.result), strategy: 'streaming' };
+    }
+    
+    /**
+     * Turn a finished execution into a task result
+     * @private
+     */
+    async _completeTask(sessionId, task, executionResult, startTime, metrics = {}, command = null) {
+        // A non-zero exit from the CLI is a failed task, not a result to parse
+        if (executionResult.exitCode) {
+            const detail = (executionResult.stderr || '').trim().split('\n').pop();
+            throw new Error(`Claude Code exited with code ${executionResult.exitCode}${detail ? `: ${detail}` : ''}`);
+        }
+        
+        // Parse results, asking for a correction if they miss the output schema
+        const results = await this._parseWithSchemaRepair(sessionId, task, executionResult, command);
+        
+        // Update session status
+        const sessionInfo = this.activeSessions.get(sessionId);
+        if (sessionInfo) {
+            sessionInfo.status = 'completed';
+            sessionInfo.results = results;
+        }
+        await this._registerSession(sessionId, { status: 'completed', run: null });
+        
+        // Emit completion event
+        this.emit('task:completed', {
+            taskId: task.id,
+            sessionId,
+            duration: Date.now() - startTime,
+            results
+        });
+        
+        return {
+            taskId: task.id,
+            sessionId,
+            status: 'completed',
+            workingDirectory: this._workingDirectoryOf(sessionId),
+            output: results.output,
+            artifacts: results.artifacts,
+            validation: results.validation,
+            metrics: {
+                duration: Date.now() - startTime,
+                ...metrics,
+                tokens: results.metrics?.tokens,
+                model: results.metrics?.model,
+                costUsd: results.metrics?.costUsd,
+                estimated: results.metrics?.estimated,
+                adapter: this.name,
+                apiVersion: this.apiVersion,
+                sessionManager: this.sessionManager.backendName,
+                exitCode: executionResult.exitCode,
+                workspaceRoot: this.config.workspaceRoot
+            }
+        };
+    }
+    
+    /**
+     * Directory a session's task runs in: its worktree with isolation,
+     * else the workspace
+     * @private
+     */
+    _workingDirectoryOf(sessionId) {
+        const sessionInfo = this.activeSessions.get(sessionId);
+        return sessionInfo?.worktree?.workingDirectory ||
+            sessionInfo?.session?.workingDirectory ||
+            this.config.workspaceRoot;
+    }
+    
+    /**
+     * Parse results and, when structured output fails its schema even after
+     * local repair, re-ask Claude in the same session with the errors
+     * @private
+     */
+    async _parseWithSchemaRepair(sessionId, task, executionResult, command) {
+        // Changes are resolved where the task ran, its worktree if it had one
+        const parseOptions = { workspaceRoot: this._workingDirectoryOf(sessionId), wholeFileBlocks: this.config.wholeFileBlocks };
+        let results = await this.resultsParser.parseResults(executionResult, task, parseOptions);
+        let attempts = 0;
+        
+        while (results.validation && !results.validation.valid &&
+               command?.outputSchema && attempts < this.config.schemaRepairAttempts) {
+            attempts++;
+            
+            this.emit('output:invalid', {
                 taskId: task.id,
                 sessionId,
-                status: 'completed',
-                output: results.output,
-                artifacts: results.artifacts,
-                metrics: {
-                    duration: Date.now() - startTime,
-                    adapter: this.name,
-                    apiVersion: this.apiVersion,
-                    sessionManager: 'tmux',
-                    workspaceRoot: this.config.workspaceRoot
-                }
+                schema: results.validation.schema,
+                errors: results.validation.errors,
+                attempt: attempts
+            });
+            
+            const repairCommand = this.commandBuilder.buildRepairCommand(command, results.validation);
+            const repairResult = await this.sessionManager.executeCommand(sessionId, repairCommand, {
+                timeout: this.config.timeoutMs
+            });
+            if (repairResult.exitCode) {
+                break;
+            }
+            
+            // Keep the original output; take the corrected structured data
+            const repaired = await this.resultsParser.parseResults(repairResult, task, parseOptions);
+            results = {
+                ...results,
+                metrics: this.resultsParser.addUsage(results.metrics, repaired.metrics),
+                structuredData: repaired.structuredData,
+                validation: repaired.validation,
+                artifacts: repaired.validation?.valid ? repaired.artifacts : results.artifacts,
+                summary: repaired.validation?.valid ? repaired.summary : results.summary
             };
+        }
+        
+        if (results.validation) {
+            results.validation.reasks = attempts;
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Record a task failure and build its result. task:failed carries a
+     * `reason`: 'cancelled', 'budget' (stopped over budget), 'rejected'
+     * (turned away by the session queue) or 'error' for a failed run.
+     * @private
+     */
+    async _failTask(sessionId, task, error, startTime, metrics = {}) {
+        // Update session status
+        const sessionInfo = this.activeSessions.get(sessionId);
+        if (sessionInfo) {
+            sessionInfo.status = 'failed';
+            sessionInfo.error = error.message;
+        }
+        await this._registerSession(sessionId, { status: 'failed', run: null });
+        
+        const reason = error.budgetExceeded ? 'budget'
+            : sessionInfo?.cancelRequested ? 'cancelled'
+            : error.queueRejected ? 'rejected'
+            : 'error';
+        
+        const failedMetrics = {
+            duration: Date.now() - startTime,
+            ...metrics,
+            adapter: this.name
+        };
+        
+        // Emit error event; metrics carry any usage known before the failure
+        this.emit('task:failed', {
+            taskId: task.id,
+            sessionId,
+            error: error.message,
+            reason,
+            duration: failedMetrics.duration,
+            metrics: failedMetrics
+        });
+        
+        return {
+            taskId: task.id,
+            sessionId,
+            status: 'failed',
+            error: error.message,
+            metrics: failedMetrics
+        };
+    }
+    
+    /**
+     * Snapshot the workspace before a task; snapshot failures never fail a
+     * task. A retry keeps the snapshot taken before the first attempt, so
+     * rollback and workspaceChanges cover every attempt.
+     * @private
+     */
+    async _captureSnapshot(task, workingDirectory = this.config.workspaceRoot, options = {}) {
+        if (!this.workspaceSnapshot) {
+            return null;
+        }
+        
+        const first = this.taskSnapshots.get(task.id);
+        if (options.retry && first && first.snapshot.workspaceRoot === path.resolve(workingDirectory)) {
+            first.status = 'running';
+            return first.snapshot;
+        }
+        
+        try {
+            const snapshot = await this._snapshotterFor(workingDirectory).capture(task.id, {
+                files: task.context?.files
+            });
+            const previous = this.taskSnapshots.get(task.id);
+            if (previous) {
+                this.taskSnapshots.delete(task.id);
+                await this._snapshotterFor(previous.snapshot.workspaceRoot).discard(previous.snapshot);
+            }
+            
+            this.taskSnapshots.set(task.id, { snapshot, status: 'running' });
+            await this._pruneSnapshots();
+            return snapshot;
             
         } catch (error) {
-            // Update session status
-            const sessionInfo = this.activeSessions.get(sessionId);
-            if (sessionInfo) {
-                sessionInfo.status = 'failed';
-                sessionInfo.error = error.message;
-            }
+            console.warn(`Failed to snapshot workspace for task ${task.id}:`, error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Files the task added, modified and deleted, with diffs
+     * @private
+     */
+    async _detectWorkspaceChanges(task, status) {
+        const entry = this.taskSnapshots.get(task.id);
+        if (!entry) {
+            return null;
+        }
+        entry.status = status;
+        
+        try {
+            const changes = await this._snapshotterFor(entry.snapshot.workspaceRoot).diff(entry.snapshot);
             
-            // Emit error event
-            this.emit('task:failed', {
+            this.emit('workspace:changed', {
                 taskId: task.id,
-                sessionId,
-                error: error.message,
-                duration: Date.now() - startTime
+                snapshotId: entry.snapshot.id,
+                added: changes.added.length,
+                modified: changes.modified.length,
+                deleted: changes.deleted.length,
+                timestamp: new Date()
             });
             
-            return {
+            return changes;
+            
+        } catch (error) {
+            console.warn(`Failed to detect workspace changes for task ${task.id}:`, error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Snapshotter for a task's working directory (a worktree when isolated)
+     * @private
+     */
+    _snapshotterFor(directory) {
+        if (path.resolve(directory) === this.workspaceSnapshot.workspaceRoot) {
+            return this.workspaceSnapshot;
+        }
+        return new WorkspaceSnapshot(directory, {
+            directory: this.workspaceSnapshot.directory,
+            ignorePaths: [this.config.stateDirectory],
+            maxSnapshotBytes: this.workspaceSnapshot.maxSnapshotBytes
+        });
+    }
+    
+    /**
+     * Attach what a finished task changed to its result: the workspace
+     * changes and, for an isolated task, the branch and patch holding them
+     * @private
+     */
+    async _collectChanges(task, result, worktree) {
+        result.workspaceChanges = await this._detectWorkspaceChanges(task, result.status);
+        
+        if (!worktree) {
+            return result;
+        }
+        
+        try {
+            const outcome = await this.worktreeManager.finalize(worktree, {
+                message: `${task.id}: ${task.objective || task.description || task.type} (${result.status})`
+            });
+            worktree.changed = outcome.changed;
+            result.worktree = { path: worktree.path, ...outcome };
+            
+            this.emit('worktree:finalized', {
                 taskId: task.id,
+                branch: outcome.branch,
+                commit: outcome.commit,
+                changed: outcome.changed,
+                timestamp: new Date()
+            });
+        } catch (error) {
+            console.warn(`Failed to finalize worktree for task ${task.id}:`, error.message);
+            worktree.changed = true;
+            result.worktree = { path: worktree.path, branch: worktree.branch, error: error.message };
+        }
+        
+        // The shared workspace was never touched, so there is nothing to roll back
+        const entry = this.taskSnapshots.get(task.id);
+        if (entry) {
+            entry.isolated = worktree.branch;
+            await this._snapshotterFor(entry.snapshot.workspaceRoot).discard(entry.snapshot).catch(() => {});
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Drop the oldest snapshots of finished tasks beyond snapshotRetention
+     * @private
+     */
+    async _pruneSnapshots() {
+        const finished = [...this.taskSnapshots].filter(([, entry]) => entry.status !== 'running');
+        const excess = finished.length - this.config.snapshotRetention;
+        
+        for (const [taskId, entry] of finished.slice(0, Math.max(excess, 0))) {
+            this.taskSnapshots.delete(taskId);
+            await this._snapshotterFor(entry.snapshot.workspaceRoot).discard(entry.snapshot).catch(error => {
+                console.warn(`Failed to discard snapshot ${entry.snapshot.id}:`, error.message);
+            });
+        }
+    }
+    
+    /**
+     * Destroy a finished session once it has been idle for
+     * sessionIdleTimeoutMs, or conversationIdleTimeoutMs while a
+     * conversation is open; every turn restarts the timer
+     * @private
+     */
+    _scheduleCleanup(sessionId, worktree = null) {
+        const sessionInfo = this.activeSessions.get(sessionId);
+        const idleTimeout = sessionInfo?.conversation
+            ? this.config.conversationIdleTimeoutMs
+            : this.config.sessionIdleTimeoutMs;
+        
+        const timer = setTimeout(() => this._expireSession(sessionId, worktree, 'idle'), idleTimeout);
+        
+        // The conversation timeout can outlast the backend's own sessionTimeout
+        if (sessionInfo?.conversation) {
+            this.sessionManager.retainSession(sessionId);
+        }
+        
+        if (sessionInfo) {
+            clearTimeout(sessionInfo.cleanupTimer);
+            sessionInfo.cleanupTimer = timer;
+            sessionInfo.expiresAt = new Date(Date.now() + idleTimeout);
+        }
+    }
+    
+    /**
+     * Destroy a session and remove its worktree
+     * @private
+     */
+    async _expireSession(sessionId, worktree = null, reason = 'idle') {
+        const sessionInfo = this.activeSessions.get(sessionId);
+        if (sessionInfo) {
+            clearTimeout(sessionInfo.cleanupTimer);
+            worktree = worktree || sessionInfo.worktree;
+        }
+        
+        try {
+            await this.sessionManager.destroySession(sessionId);
+            this.sessionManager.releaseSession(sessionId);
+            this.activeSessions.delete(sessionId);
+        } catch (cleanupError) {
+            console.warn(`Failed to cleanup session ${sessionId}:`, cleanupError.message);
+        }
+        
+        if (sessionInfo?.conversation) {
+            this.emit('conversation:closed', {
                 sessionId,
-                status: 'failed',
-                error: error.message,
-                metrics: {
-                    duration: Date.now() - startTime,
-                    adapter: this.name
+                taskId: sessionInfo.task.id,
+                turns: sessionInfo.conversation.turns,
+                reason,
+                timestamp: new Date()
+            });
+        }
+        
+        // The branch outlives the worktree when it holds the task's changes
+        if (worktree) {
+            await this.worktreeManager.remove(worktree, { keepBranch: worktree.changed !== false })
+                .catch(error => console.warn(`Failed to remove worktree ${worktree.path}:`, error.message));
+        }
+    }
+    
+    /**
+     * Update a session's registry record; registry failures never fail a task
+     * @private
+     */
+    async _registerSession(sessionId, fields) {
+        if (!this.sessionRegistry) {
+            return;
+        }
+        if (!this.activeSessions.has(sessionId) && !this.sessionRegistry.get(sessionId)) {
+            return;
+        }
+        
+        try {
+            await this.sessionRegistry.record(sessionId, fields);
+        } catch (error) {
+            console.warn(`Failed to record session ${sessionId}:`, error.message);
+        }
+    }
+    
+    /**
+     * Keep the registry in step with the backend's sessions
+     * @private
+     */
+    _trackSessions() {
+        this.sessionManager.on('command:started', ({ sessionId, run }) => {
+            this._registerSession(sessionId, { run });
+        });
+        
+        // Permission prompts concern whoever runs the task, not just the backend
+        for (const event of ['session:input-required', 'session:input-answered']) {
+            this.sessionManager.on(event, (payload) => this.emit(event, payload));
+        }
+        
+        this.sessionManager.on('session:destroyed', ({ sessionId }) => {
+            this.sessionRegistry.remove(sessionId).catch(error => {
+                console.warn(`Failed to unregister session ${sessionId}:`, error.message);
+            });
+            
+            // Reattached sessions have no task run scheduling their cleanup
+            if (this.activeSessions.get(sessionId)?.reattached) {
+                this.activeSessions.delete(sessionId);
+            }
+        });
+    }
+    
+    /**
+     * Reconcile the session registry with the sessions the backend can see,
+     * handling sessions left behind by an earlier process
+     * @param {string} policy - 'reattach' tracks live sessions so their
+     *   results can be collected with reattachSession, 'reap' destroys them,
+     *   'keep' leaves them running and registered
+     * @returns {Object} { policy, reattached, reaped, kept, lost, unregistered }
+     */
+    async reconcileSessions(policy = this.config.orphanPolicy) {
+        if (!ORPHAN_POLICIES.includes(policy)) {
+            throw new Error(`Unknown orphan policy: ${policy}. Available policies: ${ORPHAN_POLICIES.join(', ')}`);
+        }
+        
+        const backend = this.sessionManager.backendName;
+        const live = new Set(await this.sessionManager.discoverSessions(this.config.sessionPrefix));
+        const summary = { policy, reattached: [], reaped: [], kept: [], lost: [], unregistered: [] };
+        
+        for (const record of this.sessionRegistry.list()) {
+            const { sessionId } = record;
+            const isLive = live.delete(sessionId);
+            
+            if ((record.backend && record.backend !== backend) || this.activeSessions.has(sessionId)) {
+                continue;
+            }
+            
+            // Another adapter process sharing this state directory owns it
+            if (record.ownerPid && record.ownerPid !== process.pid && this._isProcessAlive(record.ownerPid)) {
+                continue;
+            }
+            
+            if (!isLive) {
+                await this.sessionRegistry.remove(sessionId);
+                summary.lost.push(sessionId);
+                continue;
+            }
+            
+            if (policy === 'reap') {
+                await this.sessionManager.destroySession(sessionId);
+                summary.reaped.push(sessionId);
+                
+            } else if (policy === 'reattach') {
+                try {
+                    const session = await this.sessionManager.attachSession(sessionId, record);
+                    this.activeSessions.set(sessionId, {
+                        session,
+                        task: record.task || { id: record.taskId },
+                        startTime: Date.parse(record.startTime) || Date.now(),
+                        status: record.run ? 'orphaned' : (record.status || 'orphaned'),
+                        reattached: true,
+                        worktree: record.worktree || null
+                    });
+                    if (record.snapshot && record.taskId && this.workspaceSnapshot) {
+                        this.taskSnapshots.set(record.taskId, { snapshot: record.snapshot, status: 'running' });
+                    }
+                    await this._registerSession(sessionId, { ownerPid: process.pid });
+                    summary.reattached.push(sessionId);
+                } catch (error) {
+                    console.warn(`Failed to reattach session ${sessionId}:`, error.message);
+                    await this.sessionManager.destroySession(sessionId);
+                    summary.reaped.push(sessionId);
                 }
-            };
+                
+            } else {
+                summary.kept.push(sessionId);
+            }
+        }
+        
+        // Live sessions under our prefix that the registry never saw
+        for (const sessionId of live) {
+            if (this.sessionManager.sessions.has(sessionId)) {
+                continue;
+            }
+            if (policy === 'reap') {
+                await this.sessionManager.destroySession(sessionId);
+                summary.reaped.push(sessionId);
+            } else {
+                summary.unregistered.push(sessionId);
+            }
+        }
+        
+        this.emit('sessions:reconciled', {
+            ...summary,
+            timestamp: new Date()
+        });
+        
+        return summary;
+    }
+    
+    /**
+     * Collect the result of a task whose session was reattached after a
+     * restart, waiting for its command if it is still running
+     * @param {string} sessionId - Reattached session
+     * @param {Object} options - { timeout, onProgress }
+     * @returns {Object} Task result, as returned by executeTask
+     */
+    async reattachSession(sessionId, options = {}) {
+        const sessionInfo = this.activeSessions.get(sessionId);
+        if (!sessionInfo?.reattached) {
+            throw new Error(`Session ${sessionId} is not a reattached session`);
+        }
+        
+        const { task, startTime } = sessionInfo;
+        
+        try {
+            sessionInfo.status = 'running';
+            
+            const executionResult = await this.sessionManager.collectResult(sessionId, {
+                timeout: options.timeout || this.config.timeoutMs,
+                onProgress: this._progressHandler(task, sessionId, options.onProgress)
+            });
+            
+            // Rebuilt to know the output schema in case a repair is needed,
+            // and to continue the conversation afterwards
+            const command = this.commandBuilder.buildCommand(task, {
+                workspaceRoot: sessionInfo.worktree ? sessionInfo.worktree.workingDirectory : this.config.workspaceRoot,
+                sessionId
+            });
+            sessionInfo.command = command;
+            
+            const result = await this._completeTask(sessionId, task, executionResult, startTime, { reattached: true }, command);
+            return await this._collectChanges(task, result, sessionInfo.worktree);
+            
+        } catch (error) {
+            const result = await this._failTask(sessionId, task, error, startTime, { reattached: true });
+            return await this._collectChanges(task, result, sessionInfo.worktree);
             
         } finally {
-            // Clean up session after delay (keep for debugging if needed)
-            setTimeout(async () => {
-                try {
-                    await this.tmuxManager.destroySession(sessionId);
-                    this.activeSessions.delete(sessionId);
-                } catch (cleanupError) {
-                    console.warn(`Failed to cleanup session ${sessionId}:`, cleanupError.message);
+            this._scheduleCleanup(sessionId, sessionInfo.worktree);
+        }
+    }
+    
+    /**
+     * Send a follow-up turn to a session whose task has finished, e.g.
+     * "now fix the issues you found". The session stays alive while the
+     * conversation is open and expires after conversationIdleTimeoutMs
+     * without a turn, or when endConversation() is called.
+     * @param {string} sessionId - Session returned in a task result
+     * @param {string} message - Follow-up prompt
+     * @param {Object} options - { outputSchema, timeout, priority, onProgress }
+     * @returns {Object} Parsed result for the turn, with taskId
+     *   `<taskId>#<turn>` and a `conversation` field
+     */
+    async continue(sessionId, message, options = {}) {
+        const sessionInfo = this.activeSessions.get(sessionId);
+        if (!sessionInfo) {
+            throw new Error(`Session ${sessionId} is not active; it may have expired`);
+        }
+        if (!FINISHED_STATUSES.includes(sessionInfo.status)) {
+            throw new Error(`Session ${sessionId} is ${sessionInfo.status}; wait for the current turn to finish`);
+        }
+        if (!sessionInfo.command) {
+            throw new Error(`Session ${sessionId} has no conversation to continue`);
+        }
+        
+        // Hold the session while the turn waits for a slot and runs
+        clearTimeout(sessionInfo.cleanupTimer);
+        sessionInfo.status = 'running';
+        sessionInfo.conversation = sessionInfo.conversation || this._newConversation();
+        this.sessionManager.retainSession(sessionId);
+        const conversation = sessionInfo.conversation;
+        const turn = ++conversation.turns;
+        conversation.lastTurnAt = new Date();
+        
+        const startTime = Date.now();
+        const parentTask = sessionInfo.task;
+        const turnTask = {
+            ...parentTask,
+            id: `${parentTask.id}#${turn}`,
+            type: 'follow_up',
+            // The turn's reply is validated, and repaired, against its own schema
+            template: options.outputSchema || null,
+            objective: String(message)
+        };
+        const conversationInfo = { sessionId, parentTaskId: parentTask.id, turn };
+        
+        let releaseSlot = () => {};
+        let budgetWatch = null;
+        try {
+            releaseSlot = await this.sessionQueue.acquire(turnTask, {
+                priority: options.priority ?? parentTask.priority,
+                timeout: options.queueTimeoutMs
+            });
+            
+            const workingDirectory = sessionInfo.worktree
+                ? sessionInfo.worktree.workingDirectory
+                : this.config.workspaceRoot;
+            await this._captureSnapshot(turnTask, workingDirectory);
+            await this._registerSession(sessionId, { status: 'running', turn });
+            
+            const command = this.commandBuilder.buildFollowUpCommand(sessionInfo.command, message, {
+                outputSchema: options.outputSchema
+            });
+            sessionInfo.command = command;
+            
+            this.emit('conversation:turn', {
+                sessionId,
+                taskId: parentTask.id,
+                turn,
+                timestamp: new Date()
+            });
+            
+            // The turn carries the parent task's budget
+            budgetWatch = this._watchBudget(turnTask, sessionId);
+            
+            const executionResult = await this.sessionManager.executeCommand(sessionId, command, {
+                timeout: options.timeout || this.config.timeoutMs,
+                onProgress: this._progressHandler(turnTask, sessionId, options.onProgress, budgetWatch)
+            });
+            
+            const result = await this._completeTask(sessionId, turnTask, executionResult, startTime, { turn }, command);
+            result.conversation = conversationInfo;
+            this._settleBudget(budgetWatch, result);
+            return await this._collectChanges(turnTask, result, sessionInfo.worktree);
+            
+        } catch (error) {
+            const result = await this._failTask(sessionId, turnTask, this._budgetError(budgetWatch, error), startTime, {
+                turn,
+                ...budgetWatch?.usage
+            });
+            result.conversation = conversationInfo;
+            this._settleBudget(budgetWatch, result);
+            return await this._collectChanges(turnTask, result, sessionInfo.worktree);
+            
+        } finally {
+            if (budgetWatch) {
+                clearTimeout(budgetWatch.timer);
+            }
+            releaseSlot();
+            this._scheduleCleanup(sessionId, sessionInfo.worktree);
+        }
+    }
+    
+    /**
+     * Answer a permission prompt a running task is waiting on, as
+     * announced by a session:input-required event
+     * @param {string} sessionId - Session showing the prompt
+     * @param {string} answer - 'approve', 'approve_always', 'deny', or an
+     *   option key or label from the prompt
+     * @returns {Object} { sessionId, promptId, answer, key }
+     */
+    async respond(sessionId, answer) {
+        if (!this.initialized) {
+            throw new Error('Adapter not initialized');
+        }
+        return this.sessionManager.respond(sessionId, answer);
+    }
+    
+    /**
+     * Close a conversation and destroy its session now instead of waiting
+     * for the idle expiry
+     * @param {string} sessionId - Session holding the conversation
+     * @returns {Object} { found, closed }
+     */
+    async endConversation(sessionId) {
+        const sessionInfo = this.activeSessions.get(sessionId);
+        if (!sessionInfo) {
+            return { found: false };
+        }
+        if (!FINISHED_STATUSES.includes(sessionInfo.status)) {
+            throw new Error(`Session ${sessionId} is ${sessionInfo.status}; cancel it instead`);
+        }
+        
+        await this._expireSession(sessionId, null, 'ended');
+        return { found: true, closed: true };
+    }
+    
+    /**
+     * @private
+     */
+    _newConversation() {
+        return { turns: 1, openedAt: new Date(), lastTurnAt: new Date() };
+    }
+    
+    /**
+     * @private
+     */
+    _isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+    
+    /**
+     * Destroy the oldest finished sessions until the backend is under its
+     * limit. Finished sessions linger for debugging, but the queue only
+     * admits a task once a running one completes, so the slot must be
+     * usable. Tasks admitted together each claim a different session before
+     * awaiting, and wait on the others' claims when none is left.
+     * @private
+     */
+    async _reclaimFinishedSession() {
+        while (this.sessionManager.sessions.size >= this.config.maxSessions) {
+            // Sessions holding an open conversation go last
+            const finished = Array.from(this.activeSessions.entries())
+                .filter(([sessionId, info]) => FINISHED_STATUSES.includes(info.status) && !this._reclaiming.has(sessionId))
+                .sort(([, a], [, b]) => (!!a.conversation - !!b.conversation) || (a.startTime - b.startTime));
+            
+            if (finished.length === 0) {
+                if (this._reclaiming.size === 0) {
+                    return;
                 }
-            }, 30000); // Keep for 30 seconds
+                await Promise.all(this._reclaiming.values());
+                continue;
+            }
+            
+            const [sessionId] = finished[0];
+            const reclaim = this._expireSession(sessionId, null, 'reclaimed');
+            this._reclaiming.set(sessionId, reclaim);
+            try {
+                await reclaim;
+            } finally {
+                this._reclaiming.delete(sessionId);
+            }
+            
+            // A session that could not be destroyed would be picked again
+            if (this.activeSessions.has(sessionId)) {
+                return;
+            }
         }
     }
     
     // Session management
+    
+    /**
+     * List sessions followed by tasks still waiting for one
+     * (status 'queued', with queue position and expected wait)
+     */
     async listActiveSessions() {
         const sessions = [];
         for (const [sessionId, info] of this.activeSessions.entries()) {
@@ -328,20 +1422,44 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
                 sessionId,
                 taskId: info.task.id,
                 status: info.status,
+                backend: this.sessionManager.backendName,
+                reattached: !!info.reattached,
+                conversation: info.conversation ? { ...info.conversation } : null,
+                expiresAt: info.expiresAt || null,
                 startTime: info.startTime,
                 duration: Date.now() - info.startTime
             });
         }
+        
+        for (const waiting of this.sessionQueue.listWaiting()) {
+            sessions.push({
+                sessionId: null,
+                taskId: waiting.taskId,
+                status: 'queued',
+                backend: this.sessionManager.backendName,
+                priority: waiting.priority,
+                queuePosition: waiting.position,
+                queueDepth: this.sessionQueue.waiting.length,
+                startTime: waiting.queuedAt,
+                duration: waiting.waitTime,
+                expectedWaitMs: waiting.expectedWaitMs
+            });
+        }
+        
         return sessions;
     }
     
-    async getSessionStatus(sessionId) {
+    /**
+     * Get session status; options page through the session transcript
+     * ({ page, pageSize }, last page by default)
+     */
+    async getSessionStatus(sessionId, options = {}) {
         const sessionInfo = this.activeSessions.get(sessionId);
         if (!sessionInfo) {
             return { found: false };
         }
         
-        const tmuxStatus = await this.tmuxManager.getSessionStatus(sessionId);
+        const backendStatus = await this.sessionManager.getSessionStatus(sessionId, options);
         
         return {
             found: true,
@@ -350,7 +1468,8 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
             status: sessionInfo.status,
             startTime: sessionInfo.startTime,
             duration: Date.now() - sessionInfo.startTime,
-            tmux: tmuxStatus,
+            backend: this.sessionManager.backendName,
+            session: backendStatus,
             results: sessionInfo.results || null
         };
     }
@@ -362,7 +1481,9 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
         }
         
         try {
-            await this.tmuxManager.destroySession(sessionId);
+            // Marked first: the run fails as soon as its session is gone
+            sessionInfo.cancelRequested = true;
+            await this.sessionManager.destroySession(sessionId);
             sessionInfo.status = 'cancelled';
             
             this.emit('task:cancelled', {
@@ -377,6 +1498,100 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
         }
     }
     
+    /**
+     * Restore the workspace to the snapshot taken before a task, typically
+     * after it failed or was cancelled. Files the task modified or deleted
+     * are rewritten and files it added are removed; inside git, commits and
+     * staging done during the task are undone as well.
+     * @param {string} taskId - Task whose snapshot to restore
+     * @returns {Object} { taskId, snapshotId, restored, removed, skipped }
+     */
+    async rollback(taskId) {
+        const entry = this.taskSnapshots.get(taskId);
+        if (!entry) {
+            throw new Error(`No workspace snapshot for task ${taskId}`);
+        }
+        if (entry.status === 'running') {
+            throw new Error(`Task ${taskId} is still running; cancel it before rolling back`);
+        }
+        if (entry.isolated) {
+            throw new Error(`Task ${taskId} ran in an isolated worktree; delete branch ${entry.isolated} to drop its changes`);
+        }
+        
+        const result = await this.workspaceSnapshot.restore(entry.snapshot);
+        entry.status = 'rolled_back';
+        
+        this.emit('workspace:rolledback', {
+            taskId,
+            snapshotId: entry.snapshot.id,
+            restored: result.restored.length,
+            removed: result.removed.length,
+            skipped: result.skipped.length,
+            timestamp: new Date()
+        });
+        console.log(`⏪ Rolled back workspace changes of task ${taskId}`);
+        
+        return { taskId, snapshotId: entry.snapshot.id, ...result };
+    }
+    
+    /**
+     * Export the findings of security_audit and code_review task results
+     * as a SARIF 2.1.0 log for code-scanning dashboards
+     * @param {Object|Object[]} taskResults - Results returned by executeTask
+     * @returns {Object} SARIF log
+     */
+    exportSarif(taskResults) {
+        return this.resultsParser.toSarif(taskResults, {
+            workspaceRoot: this.config.workspaceRoot,
+            toolVersion: this.adapterVersion
+        });
+    }
+    
+    /**
+     * Check or apply the file modifications (unified diffs, file blocks,
+     * before/after pairs) returned by a task against the directory it ran
+     * in: its worktree with isolation, else the workspace
+     * @param {Object|Object[]} taskResults - Results returned by executeTask
+     * @param {Object} options - { dryRun = true, atomic = true, workspaceRoot }
+     *   where `workspaceRoot` applies them somewhere else
+     * @returns {Object} { dryRun, applied, clean, changes, conflicts }
+     */
+    async applyChanges(taskResults, options = {}) {
+        const list = Array.isArray(taskResults) ? taskResults : [taskResults];
+        const directories = [...new Set(list.map(result => result.workingDirectory || this.config.workspaceRoot))];
+        const workspaceRoot = options.workspaceRoot || directories[0];
+        
+        if (!options.workspaceRoot) {
+            if (directories.length > 1) {
+                throw new Error(`Task results ran in different directories (${directories.join(', ')}); apply them separately`);
+            }
+            if (!fs.existsSync(workspaceRoot)) {
+                const branch = list.find(result => result.worktree?.branch)?.worktree.branch;
+                throw new Error(`Working directory ${workspaceRoot} no longer exists` +
+                    (branch ? `; the task's changes are on branch ${branch}` : ''));
+            }
+        }
+        
+        const report = await this.resultsParser.applyChanges(taskResults, {
+            ...options,
+            workspaceRoot
+        });
+        
+        this.emit('changes:applied', {
+            dryRun: report.dryRun,
+            applied: report.applied,
+            files: report.changes.length,
+            conflicts: report.conflicts.length,
+            timestamp: new Date()
+        });
+        
+        if (report.conflicts.length > 0) {
+            console.warn(`⚠️ ${report.conflicts.length} patch conflict(s) in ${workspaceRoot}`);
+        }
+        
+        return report;
+    }
+    
     // Graceful degradation strategies - implement required methods
     async executeSequentially(task) {
         // Default implementation that uses executeTaskV1
@@ -393,14 +1608,27 @@ class ClaudeCodeAdapter extends AIAgentAdapter {
     // Shutdown
     async shutdown() {
         try {
+            // Reject tasks still waiting for a session
+            this.sessionQueue.clear('Adapter shutting down');
+            
+            // Idle expiry no longer matters once every session is cancelled
+            for (const sessionInfo of this.activeSessions.values()) {
+                clearTimeout(sessionInfo.cleanupTimer);
+            }
+            
             // Cancel all active sessions
             const cancelPromises = Array.from(this.activeSessions.keys()).map(
                 sessionId => this.cancelTask(sessionId)
             );
             await Promise.all(cancelPromises);
             
-            // Shutdown tmux manager
-            await this.tmuxManager.shutdown();
+            // Shutdown session backend
+            await this.sessionManager.shutdown();
+            
+            // Let registry removals for destroyed sessions reach the disk
+            if (this.sessionRegistry) {
+                await this.sessionRegistry.flush();
+            }
             
             this.initialized = false;
             this.activeSessions.clear();
@@ -3,8 +3,14 @@
  * 
  * Translates RepoCHief tasks into Claude Code CLI commands,
  * supporting schedule templates and various task types.
+ * 
+ * Commands are argument vectors: { executable, args, env, cwd, stdin }.
+ * The prompt travels on stdin, so it reaches Claude unmodified and is
+ * never interpreted by a shell.
  */
 
+const { getOutputSchema, renderSchemaInstructions } = require('./OutputSchemas');
+
 class CommandBuilder {
     constructor() {
         this.templates = new Map();
@@ -12,26 +18,7 @@ class CommandBuilder {
     }
     
     /**
-     * Sanitize string input to prevent command injection
-     * @private
-     */
-    _sanitize(str) {
-        if (!str) return '';
-        
-        // Remove potentially dangerous shell metacharacters
-        return str
-            .replace(/[;&|`$(){}[\]<>]/g, '') // Remove shell metacharacters
-            .replace(/\\/g, '\\\\')            // Escape backslashes
-            .replace(/"/g, '\\"')               // Escape quotes
-            .replace(/'/g, "\\'")               // Escape single quotes
-            .replace(/\n/g, ' ')                // Replace newlines with spaces
-            .replace(/\r/g, '')                 // Remove carriage returns
-            .replace(/\t/g, ' ')                // Replace tabs with spaces
-            .trim();
-    }
-    
-    /**
-     * Validate and sanitize file path
+     * Validate file path
      * @private
      */
     _validateFilePath(filePath) {
@@ -67,7 +54,7 @@ class CommandBuilder {
             }
         }
         
-        return this._sanitize(normalizedPath);
+        return normalizedPath;
     }
     
     /**
@@ -83,6 +70,49 @@ class CommandBuilder {
         return sessionId;
     }
     
+    /**
+     * Assemble a command object for the Claude Code CLI
+     * @private
+     */
+    _buildSpec({ executable = 'claude', args = [], prompt, workspaceRoot, sessionId, env = {}, ...metadata }) {
+        return {
+            executable,
+            args: [
+                ...args,
+                `--working-directory=${workspaceRoot}`,
+                `--session-id=${sessionId}`
+            ],
+            env,
+            cwd: workspaceRoot,
+            stdin: prompt,
+            prompt,
+            workspaceRoot,
+            sessionId,
+            ...metadata
+        };
+    }
+    
+    /**
+     * Validated context file paths for a task
+     * @private
+     */
+    _contextFiles(task) {
+        return (task.context?.files || [])
+            .map(file => this._validateFilePath(file))
+            .filter(file => file !== null);
+    }
+    
+    /**
+     * Render a command object as a shell-quoted string for logs and display
+     * @param {Object} spec - Command object from buildCommand
+     * @returns {string} Display string; the prompt is shown as stdin redirection
+     */
+    static toDisplayString(spec) {
+        const quote = (value) => /^[\w@%+=:,./-]+$/.test(value) ? value : `'${String(value).replace(/'/g, `'\\''`)}'`;
+        const parts = [spec.executable, ...spec.args].map(quote);
+        return spec.stdin ? `${parts.join(' ')} < <prompt>` : parts.join(' ');
+    }
+    
     /**
      * Initialize schedule templates mapping
      */
@@ -111,9 +141,8 @@ Provide:
 - List of security issues found with severity levels
 - Specific file locations and line numbers
 - Recommendations for fixes
-- Priority ranking for remediation
-
-Output format: JSON with structured findings.`,
+- Priority ranking for remediation`,
+            outputSchema: 'security_audit',
             workingDirectory: true,
             timeout: 300000 // 5 minutes
         });
@@ -143,9 +172,8 @@ Provide:
 - Effort estimates for remediation
 - Priority ranking based on business impact
 - Suggested refactoring strategies
-- Dependencies between debt items
-
-Output format: JSON with structured analysis.`,
+- Dependencies between debt items`,
+            outputSchema: 'tech_debt_analysis',
             workingDirectory: true,
             timeout: 600000 // 10 minutes
         });
@@ -175,9 +203,8 @@ Provide:
 - Update priority ranking
 - Migration effort estimates
 - Potential breaking changes
-- Recommended update strategy
-
-Output format: JSON with structured recommendations.`,
+- Recommended update strategy`,
+            outputSchema: 'dependency_update',
             workingDirectory: true,
             timeout: 300000 // 5 minutes
         });
@@ -192,18 +219,15 @@ Output format: JSON with structured recommendations.`,
             sessionId = 'default'
         } = options;
         
-        // Validate and sanitize session ID
+        // Validate session ID
         const validatedSessionId = this._validateSessionId(sessionId);
         
-        // Sanitize workspace root
-        const sanitizedWorkspaceRoot = this._sanitize(workspaceRoot);
-        
         // Check if task uses a template
         if (task.template) {
             return this.buildTemplateCommand(task.template, task.parameters || {}, {
-                workspaceRoot: sanitizedWorkspaceRoot,
-                sessionId: validatedSessionId,
-                ...options
+                ...options,
+                workspaceRoot,
+                sessionId: validatedSessionId
             });
         }
         
@@ -249,39 +273,118 @@ Output format: JSON with structured recommendations.`,
             sessionId = 'default'
         } = options;
         
-        // Build base command
-        let command = template.command;
-        
-        // Add template arguments
-        if (template.args) {
-            command += ' ' + template.args.join(' ');
-        }
-        
-        // Add workspace context
-        command += ` --working-directory="${workspaceRoot}"`;
-        
-        // Add session identifier for tracking
-        command += ` --session-id="${sessionId}"`;
-        
         // Customize prompt with parameters
         let prompt = template.prompt;
         for (const [key, value] of Object.entries(parameters)) {
             prompt = prompt.replace(new RegExp(`\\{\\{${key}\\}\\}`, 'g'), value);
         }
         
-        // Add prompt (escaped for shell)
-        const escapedPrompt = prompt.replace(/"/g, '\\"').replace(/\n/g, '\\n');
-        command += ` "${escapedPrompt}"`;
+        // Templates with an output schema carry it in the prompt
+        const outputSchema = getOutputSchema(template.outputSchema);
+        if (outputSchema) {
+            prompt += '\n\n' + renderSchemaInstructions(template.outputSchema);
+        }
         
-        return {
-            command,
-            template: templateName,
+        return this._buildSpec({
+            executable: template.command,
+            args: template.args || [],
             prompt,
             workspaceRoot,
             sessionId,
+            template: templateName,
             timeout: template.timeout,
-            expectsJson: template.args?.includes('--output=json') || false
-        };
+            expectsJson: template.args?.includes('--output=json') || false,
+            outputSchema: outputSchema ? template.outputSchema : null
+        });
+    }
+    
+    /**
+     * Build a follow-up command asking Claude to correct output that
+     * failed schema validation
+     * @param {Object} command - Command object that produced the output
+     * @param {Object} validation - Validation result from ResultsParser
+     *   ({ schema, errors }) and the rejected data
+     * @returns {Object} Command object for the same session
+     */
+    buildRepairCommand(command, validation) {
+        const definition = getOutputSchema(command.outputSchema);
+        if (!definition) {
+            throw new Error(`Command for ${command.template} has no output schema to repair against`);
+        }
+        
+        const errors = (validation.errors || [])
+            .slice(0, 20)
+            .map(error => `- ${error.path || '(root)'}: ${error.message}`)
+            .join('\n');
+        
+        const previous = validation.data === undefined || validation.data === null
+            ? 'No JSON object could be parsed from your reply.'
+            : `Your previous JSON:\n\`\`\`json\n${JSON.stringify(validation.data, null, 2)}\n\`\`\``;
+        
+        const prompt = `Your previous reply did not match output schema ${definition.version}.
+
+Validation errors:
+${errors || '- (no parsable JSON)'}
+
+${previous}
+
+Reply with the corrected JSON object only, keeping every finding you reported.
+
+${renderSchemaInstructions(command.outputSchema)}`;
+        
+        // _buildSpec re-adds the workspace and session flags
+        const args = command.args.filter(arg =>
+            !arg.startsWith('--working-directory=') && !arg.startsWith('--session-id=')
+        );
+        
+        return this._buildSpec({
+            executable: command.executable,
+            args,
+            prompt,
+            workspaceRoot: command.workspaceRoot,
+            sessionId: command.sessionId,
+            template: command.template,
+            timeout: command.timeout,
+            expectsJson: true,
+            outputSchema: command.outputSchema,
+            repair: (command.repair || 0) + 1
+        });
+    }
+    
+    /**
+     * Build a follow-up turn in the conversation a previous command started
+     * @param {Object} command - Command object of an earlier turn
+     * @param {string} message - What to ask next
+     * @param {Object} options - { outputSchema } to request structured output
+     * @returns {Object} Command object continuing the same session
+     */
+    buildFollowUpCommand(command, message, options = {}) {
+        if (!message || !String(message).trim()) {
+            throw new Error('A follow-up turn needs a message');
+        }
+        
+        const outputSchema = getOutputSchema(options.outputSchema) ? options.outputSchema : null;
+        const prompt = outputSchema
+            ? `${message}\n\n${renderSchemaInstructions(outputSchema)}`
+            : String(message);
+        
+        // _buildSpec re-adds the workspace and session flags
+        const args = command.args.filter(arg =>
+            !arg.startsWith('--working-directory=') && !arg.startsWith('--session-id=') && arg !== '--continue'
+        );
+        
+        return this._buildSpec({
+            executable: command.executable,
+            args: [...args, '--continue'],
+            prompt,
+            workspaceRoot: command.workspaceRoot,
+            sessionId: command.sessionId,
+            template: command.template,
+            timeout: command.timeout,
+            expectsJson: !!outputSchema,
+            outputSchema,
+            turn: (command.turn || 1) + 1
+        });
     }
     
     /**
@@ -314,10 +417,6 @@ Output format: JSON with structured recommendations.`,
     buildCodeReviewCommand(task, options = {}) {
         const { workspaceRoot = process.cwd(), sessionId = 'default' } = options;
         
-        let command = 'claude --interactive=false --output=json';
-        command += ` --working-directory="${workspaceRoot}"`;
-        command += ` --session-id="${sessionId}"`;
-        
         const prompt = `Please review the code in this repository for:
 1. Code quality and best practices
 2. Potential bugs and issues
@@ -328,20 +427,19 @@ Output format: JSON with structured recommendations.`,
 Focus on files: ${task.context?.files?.join(', ') || 'all files'}
 
 Provide detailed feedback with specific line numbers and improvement suggestions.
-Output format: JSON with structured review findings.`;
-        
-        const escapedPrompt = prompt.replace(/"/g, '\\"').replace(/\n/g, '\\n');
-        command += ` "${escapedPrompt}"`;
+
+${renderSchemaInstructions('code_review')}`;
         
-        return {
-            command,
-            template: 'code_review',
+        return this._buildSpec({
+            args: ['--interactive=false', '--output=json'],
             prompt,
             workspaceRoot,
             sessionId,
+            template: 'code_review',
             timeout: 300000,
-            expectsJson: true
-        };
+            expectsJson: true,
+            outputSchema: 'code_review'
+        });
     }
     
     /**
@@ -350,28 +448,23 @@ Output format: JSON with structured review findings.`;
     buildGenerationCommand(task, options = {}) {
         const { workspaceRoot = process.cwd(), sessionId = 'default' } = options;
         
-        let command = 'claude --interactive=false';
-        command += ` --working-directory="${workspaceRoot}"`;
-        command += ` --session-id="${sessionId}"`;
+        const args = ['--interactive=false'];
         
         // Add context files if specified
-        if (task.context?.files?.length > 0) {
-            command += ` --context="${task.context.files.join(' ')}"`;
+        const contextFiles = this._contextFiles(task);
+        if (contextFiles.length > 0) {
+            args.push(`--context=${contextFiles.join(' ')}`);
         }
         
-        // Add the generation prompt
-        const escapedPrompt = task.description.replace(/"/g, '\\"').replace(/\n/g, '\\n');
-        command += ` "${escapedPrompt}"`;
-        
-        return {
-            command,
-            template: 'generation',
+        return this._buildSpec({
+            args,
             prompt: task.description,
             workspaceRoot,
             sessionId,
+            template: 'generation',
             timeout: 180000, // 3 minutes
             expectsJson: false
-        };
+        });
     }
     
     /**
@@ -380,10 +473,6 @@ Output format: JSON with structured review findings.`;
     buildRefactoringCommand(task, options = {}) {
         const { workspaceRoot = process.cwd(), sessionId = 'default' } = options;
         
-        let command = 'claude --interactive=false';
-        command += ` --working-directory="${workspaceRoot}"`;
-        command += ` --session-id="${sessionId}"`;
-        
         const prompt = `Please refactor the following code according to these requirements:
 ${task.description}
 
@@ -398,18 +487,15 @@ ${task.context?.files ? `Files to refactor: ${task.context.files.join(', ')}` :
 
 Please provide the refactored code with explanations for changes made.`;
         
-        const escapedPrompt = prompt.replace(/"/g, '\\"').replace(/\n/g, '\\n');
-        command += ` "${escapedPrompt}"`;
-        
-        return {
-            command,
-            template: 'refactoring',
+        return this._buildSpec({
+            args: ['--interactive=false'],
             prompt,
             workspaceRoot,
             sessionId,
+            template: 'refactoring',
             timeout: 300000, // 5 minutes
             expectsJson: false
-        };
+        });
     }
     
     /**
@@ -418,38 +504,23 @@ Please provide the refactored code with explanations for changes made.`;
     buildGenericCommand(task, options = {}) {
         const { workspaceRoot = process.cwd(), sessionId = 'default' } = options;
         
-        // Validate and sanitize inputs
-        const validatedSessionId = this._validateSessionId(sessionId);
-        const sanitizedWorkspaceRoot = this._sanitize(workspaceRoot);
-        
-        let command = 'claude --interactive=false';
-        command += ` --working-directory="${sanitizedWorkspaceRoot}"`;
-        command += ` --session-id="${validatedSessionId}"`;
+        const args = ['--interactive=false'];
         
         // Add context files if specified (with validation)
-        if (task.context?.files?.length > 0) {
-            const validatedFiles = task.context.files
-                .map(file => this._validateFilePath(file))
-                .filter(file => file !== null);
-            
-            if (validatedFiles.length > 0) {
-                command += ` --context="${validatedFiles.join(' ')}"`;
-            }
+        const contextFiles = this._contextFiles(task);
+        if (contextFiles.length > 0) {
+            args.push(`--context=${contextFiles.join(' ')}`);
         }
         
-        // Sanitize task description for use as prompt
-        const sanitizedPrompt = this._sanitize(task.description || '');
-        command += ` "${sanitizedPrompt}"`;
-        
-        return {
-            command,
+        return this._buildSpec({
+            args,
+            prompt: task.description || '',
+            workspaceRoot,
+            sessionId: this._validateSessionId(sessionId),
             template: 'generic',
-            prompt: sanitizedPrompt,
-            workspaceRoot: sanitizedWorkspaceRoot,
-            sessionId: validatedSessionId,
             timeout: 180000, // 3 minutes
             expectsJson: false
-        };
+        });
     }
     
     /**
@@ -488,7 +559,8 @@ Please provide the refactored code with explanations for changes made.`;
                 id,
                 name: template.name,
                 description: template.description,
-                timeout: template.timeout
+                timeout: template.timeout,
+                outputSchema: getOutputSchema(template.outputSchema)?.version || null
             });
         }
         return templates;
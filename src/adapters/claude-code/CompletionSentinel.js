@@ -0,0 +1,239 @@
+/**
+ * Completion Sentinel for Claude Code Adapter
+ *
+ * Wraps a shell command so that it records its stdout, stderr and exit
+ * code in a per-run directory and finishes by atomically writing a unique
+ * end marker. The session manager polls for that marker instead of
+ * guessing completion from the terminal prompt.
+ *
+ * A command given stdin content reads it from a file and sees its end, as
+ * a CLI reading its prompt to the end of input needs. Any other command,
+ * or one with `keepStdinOpen` set, reads stdin from a FIFO that stays open
+ * while it runs (after any stdin content), so answers to its prompts can
+ * be written in with sendInput().
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+class CompletionSentinel {
+    /**
+     * @param {string} runDirectory - Directory holding the files for this run
+     * @param {Object} options - Optional run identifier
+     */
+    constructor(runDirectory, options = {}) {
+        this.runId = options.runId || crypto.randomBytes(8).toString('hex');
+        this.marker = `__REPOCHIEF_DONE_${this.runId}__`;
+        this.runDirectory = runDirectory;
+        
+        this.paths = {
+            script: path.join(runDirectory, 'run.sh'),
+            stdin: path.join(runDirectory, 'stdin.txt'),
+            stdinFifo: path.join(runDirectory, 'stdin.fifo'),
+            stdout: path.join(runDirectory, 'stdout.log'),
+            stderr: path.join(runDirectory, 'stderr.log'),
+            stdoutFifo: path.join(runDirectory, 'stdout.fifo'),
+            stderrFifo: path.join(runDirectory, 'stderr.fifo'),
+            status: path.join(runDirectory, 'exit.status')
+        };
+    }
+    
+    /**
+     * Default base directory for run files
+     */
+    static defaultBaseDirectory() {
+        return path.join(os.tmpdir(), 'repochief-claude');
+    }
+    
+    /**
+     * Quote a string for safe use as a single POSIX shell word
+     */
+    static quote(value) {
+        return `'${String(value).replace(/'/g, `'\\''`)}'`;
+    }
+    
+    /**
+     * Render an argument-vector command as a shell command line in which
+     * every word is quoted, so no part of it is interpreted by the shell
+     * @param {Object} spec - { executable, args, env, cwd }
+     * @param {string|null} stdinPath - File to redirect stdin from
+     * @returns {string} Shell command line
+     */
+    static renderCommand(spec, stdinPath = null) {
+        const q = CompletionSentinel.quote;
+        
+        const assignments = Object.entries(spec.env || {}).map(([key, value]) => {
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+                throw new Error(`Invalid environment variable name: ${key}`);
+            }
+            return q(`${key}=${value}`);
+        });
+        
+        const words = [spec.executable, ...(spec.args || [])].map(q);
+        let line = ['env', ...assignments, ...words].join(' ');
+        
+        if (stdinPath) {
+            line += ` < ${q(stdinPath)}`;
+        }
+        
+        if (spec.cwd) {
+            line = `cd ${q(spec.cwd)} && ${line}`;
+        }
+        
+        return line;
+    }
+    
+    /**
+     * Write the wrapper script for a command and return the line that
+     * should be typed into the shell to run it
+     * @param {string|Object} command - Shell command, or an argument-vector
+     *   command object whose stdin is written to a file in the run directory
+     *   ({ executable, args, env, cwd, stdin, keepStdinOpen })
+     * @returns {string} Command line invoking the wrapper
+     */
+    async prepare(command) {
+        await fs.promises.mkdir(this.runDirectory, { recursive: true });
+        
+        const q = CompletionSentinel.quote;
+        const p = this.paths;
+        let interactive = true;
+        let hasStdin = false;
+        
+        if (typeof command !== 'string') {
+            hasStdin = command.stdin !== undefined && command.stdin !== null;
+            if (hasStdin) {
+                await fs.promises.writeFile(p.stdin, command.stdin, { mode: 0o600 });
+            }
+            interactive = !hasStdin || !!command.keepStdinOpen;
+            command = CompletionSentinel.renderCommand(command, hasStdin && !interactive ? p.stdin : null);
+        }
+        
+        // The script holds the stdin FIFO open itself, so the command never
+        // sees its end and each answer can be written in by a separate open;
+        // stdin content is fed in first, in the background as it may not fit
+        // the pipe
+        const input = interactive ? [
+            `mkfifo ${q(p.stdinFifo)}`,
+            `exec 3<> ${q(p.stdinFifo)}`,
+            ...(hasStdin ? [`cat ${q(p.stdin)} >&3 &`, 'feeder=$!'] : [])
+        ] : [];
+        const closeInput = interactive ? [
+            ...(hasStdin ? ['kill "$feeder" 2>/dev/null'] : []),
+            'exec 3>&-'
+        ] : [];
+        
+        // stdout and stderr go through FIFOs into tee so the pane still
+        // shows live output while each stream is captured separately
+        const script = [
+            '#!/bin/sh',
+            `rm -f ${q(p.stdoutFifo)} ${q(p.stderrFifo)} ${q(p.stdinFifo)} ${q(p.status)}`,
+            `mkfifo ${q(p.stdoutFifo)} ${q(p.stderrFifo)}`,
+            `tee ${q(p.stdout)} < ${q(p.stdoutFifo)} &`,
+            `tee ${q(p.stderr)} < ${q(p.stderrFifo)} >&2 &`,
+            ...input,
+            // Subshell so that an `exit` inside the command still reaches the marker
+            '(',
+            command,
+            `)${interactive ? ` < ${q(p.stdinFifo)} 3>&-` : ''} > ${q(p.stdoutFifo)} 2> ${q(p.stderrFifo)}`,
+            'code=$?',
+            ...closeInput,
+            'wait',
+            `rm -f ${q(p.stdoutFifo)} ${q(p.stderrFifo)} ${q(p.stdinFifo)}`,
+            `printf '%s %s\\n' ${q(this.marker)} "$code" > ${q(p.status + '.tmp')}`,
+            `mv ${q(p.status + '.tmp')} ${q(p.status)}`,
+            ''
+        ].join('\n');
+        
+        await fs.promises.writeFile(this.paths.script, script, { mode: 0o700 });
+        
+        return `sh ${q(this.paths.script)}`;
+    }
+    
+    /**
+     * Check whether the wrapped command has finished
+     * @returns {Object|null} { exitCode } once the marker is written, else null
+     */
+    async poll() {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.paths.status, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        
+        const [marker, code] = content.trim().split(/\s+/);
+        if (marker !== this.marker) {
+            throw new Error(`Unexpected completion marker in ${this.paths.status}`);
+        }
+        
+        return { exitCode: parseInt(code, 10) };
+    }
+    
+    /**
+     * Whether the command is running and reading stdin from the FIFO
+     * @returns {boolean} True until the command finishes, for commands
+     *   started without stdin content
+     */
+    async acceptsInput() {
+        try {
+            return (await fs.promises.stat(this.paths.stdinFifo)).isFIFO();
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+    
+    /**
+     * Write to the running command's stdin
+     * @param {string} text - Input, with a trailing newline if the command
+     *   reads lines
+     */
+    async sendInput(text) {
+        if (!await this.acceptsInput()) {
+            throw new Error(`The command in ${this.runDirectory} is not reading input`);
+        }
+        
+        // Non-blocking, so a command that has just exited fails the open
+        // instead of leaving it waiting for a reader
+        const handle = await fs.promises.open(this.paths.stdinFifo, fs.constants.O_WRONLY | fs.constants.O_NONBLOCK);
+        try {
+            await handle.write(text);
+        } finally {
+            await handle.close();
+        }
+    }
+    
+    /**
+     * Read the captured output streams
+     * @returns {Object} { stdout, stderr }
+     */
+    async readOutput() {
+        const read = async (file) => {
+            try {
+                return await fs.promises.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return '';
+                throw error;
+            }
+        };
+        
+        const [stdout, stderr] = await Promise.all([
+            read(this.paths.stdout),
+            read(this.paths.stderr)
+        ]);
+        
+        return { stdout, stderr };
+    }
+    
+    /**
+     * Remove the run directory and everything in it
+     */
+    async cleanup() {
+        await fs.promises.rm(this.runDirectory, { recursive: true, force: true });
+    }
+}
+
+module.exports = CompletionSentinel;
@@ -0,0 +1,351 @@
+/**
+ * Diff Parser for Claude Code Adapter
+ *
+ * Extracts file changes from Claude Code output: unified diffs (plain or
+ * git-style, fenced or bare), code blocks labelled with a path, and
+ * before/after snippet pairs. A labelled block is only taken as the whole
+ * file behind an explicit label ("New file:", "Full file:", ...) or with
+ * the wholeFileBlocks option; otherwise it may be an excerpt, and
+ * PatchApplier will not let it replace an existing file. Each change is
+ * classified as create, modify, delete or rename so it can be reviewed and
+ * applied with PatchApplier.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+// A line that names a file and nothing else, optionally prefixed with a
+// keyword: "File: src/a.js", "### src/a.js", "**Before (src/a.js):**"
+const FILE_LABEL = /^\s*(?:#{1,6}\s+)?[*_]{0,2}\s*(?:(before|after|new file|updated file|full file|complete file|whole file|file|path)\b\s*[(:-]?\s*)?[`*_]*([\w@.\/-]+\.[\w]+)[`*_]*\s*\)?\s*:?\s*[*_]{0,2}\s*:?\s*$/i;
+
+// Fence info strings that carry a path: ```js src/a.js or ```js:src/a.js
+const FENCE_PATH = /^(\w[\w+-]*)?[\s:]+([\w@.\/-]+\.[\w]+)\s*$/;
+
+const DIFF_LANGUAGES = ['diff', 'patch', 'udiff'];
+
+// Labels that say a block is the entire file, not an excerpt
+const WHOLE_FILE_ROLES = ['new file', 'updated file', 'full file', 'complete file', 'whole file'];
+
+class DiffParser {
+    /**
+     * Extract every file change from output text
+     * @param {string} content - Claude Code output
+     * @param {Object} options - { workspaceRoot, wholeFileBlocks }:
+     *   `workspaceRoot` classifies file blocks as create or modify by
+     *   checking the workspace; `wholeFileBlocks` takes every labelled
+     *   block as complete file content
+     * @returns {Array} Changes: { path, oldPath, operation, format, ... }
+     */
+    extract(content, options = {}) {
+        const changes = [];
+        const blocks = this.findFencedBlocks(content);
+        
+        for (const block of blocks) {
+            if (DIFF_LANGUAGES.includes(block.language) || this.looksLikeDiff(block.body)) {
+                changes.push(...this.parseUnifiedDiff(block.body));
+            }
+        }
+        
+        // Diffs printed without a fence
+        changes.push(...this.parseUnifiedDiff(this.stripFencedBlocks(content, blocks)));
+        
+        changes.push(...this.extractFileBlocks(blocks, options));
+        
+        return this.deduplicate(changes);
+    }
+    
+    /**
+     * Parse unified diff text into per-file changes
+     * @param {string} text - Diff text, possibly for several files
+     * @returns {Array} Changes with hunks
+     */
+    parseUnifiedDiff(text) {
+        const lines = text.split('\n');
+        const changes = [];
+        let current = null;
+        let i = 0;
+        
+        const startFile = (fields) => {
+            current = {
+                oldPath: null,
+                path: null,
+                hunks: [],
+                newFile: false,
+                deletedFile: false,
+                renamed: false,
+                ...fields
+            };
+            changes.push(current);
+        };
+        
+        while (i < lines.length) {
+            const line = lines[i];
+            
+            const git = line.match(/^diff --git a\/(.+?) b\/(.+)$/);
+            if (git) {
+                startFile({ oldPath: git[1], path: git[2], git: true });
+                i++;
+                continue;
+            }
+            
+            if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+                const oldPath = this.parseHeaderPath(line.slice(4));
+                const newPath = this.parseHeaderPath(lines[i + 1].slice(4));
+                if (!current || current.hunks.length > 0 || current.headerSeen) {
+                    startFile({});
+                }
+                current.oldPath = oldPath;
+                current.path = newPath;
+                current.headerSeen = true;
+                i += 2;
+                continue;
+            }
+            
+            if (current && current.hunks.length === 0) {
+                if (line.startsWith('new file mode')) current.newFile = true;
+                if (line.startsWith('deleted file mode')) current.deletedFile = true;
+                if (line.startsWith('rename from ')) {
+                    current.oldPath = line.slice('rename from '.length);
+                    current.renamed = true;
+                }
+                if (line.startsWith('rename to ')) {
+                    current.path = line.slice('rename to '.length);
+                    current.renamed = true;
+                }
+            }
+            
+            const header = line.match(HUNK_HEADER);
+            if (header && current) {
+                const hunk = {
+                    oldStart: parseInt(header[1], 10),
+                    oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+                    newStart: parseInt(header[3], 10),
+                    newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+                    header: line,
+                    lines: []
+                };
+                i++;
+                
+                // Read hunk lines up to the next hunk or file header rather
+                // than trusting the counts, which hand-written diffs get wrong
+                while (i < lines.length) {
+                    const body = lines[i];
+                    if (HUNK_HEADER.test(body) || body.startsWith('diff --git ') ||
+                        (body.startsWith('--- ') && lines[i + 1]?.startsWith('+++ '))) {
+                        break;
+                    }
+                    if (body === '') {
+                        hunk.lines.push(' ');
+                    } else if (' +-\\'.includes(body[0])) {
+                        hunk.lines.push(body);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                
+                // Blank lines after the hunk belong to the surrounding text
+                while (hunk.lines.length > 0 && hunk.lines[hunk.lines.length - 1] === ' ') {
+                    hunk.lines.pop();
+                }
+                current.hunks.push(hunk);
+                continue;
+            }
+            
+            i++;
+        }
+        
+        return changes
+            .filter(change => change.hunks.length > 0 || change.renamed || change.newFile || change.deletedFile)
+            .map(change => this.toChange(change));
+    }
+    
+    /**
+     * Path from a ---/+++ header, without a/ b/ prefixes or timestamps
+     */
+    parseHeaderPath(value) {
+        const filePath = value.split('\t')[0].trim();
+        if (filePath === '/dev/null') {
+            return null;
+        }
+        return filePath.replace(/^[ab]\//, '');
+    }
+    
+    /**
+     * Classify a parsed diff section
+     * @private
+     */
+    toChange(section) {
+        let operation = 'modify';
+        if (section.newFile || (section.oldPath === null && section.path)) {
+            operation = 'create';
+        } else if (section.deletedFile || (section.path === null && section.oldPath)) {
+            operation = 'delete';
+        } else if (section.renamed || (section.oldPath && section.path && section.oldPath !== section.path)) {
+            operation = 'rename';
+        }
+        
+        const filePath = operation === 'delete' ? section.oldPath : section.path;
+        let additions = 0;
+        let deletions = 0;
+        for (const hunk of section.hunks) {
+            for (const line of hunk.lines) {
+                if (line[0] === '+') additions++;
+                if (line[0] === '-') deletions++;
+            }
+        }
+        
+        return {
+            type: 'file-modification',
+            format: 'unified-diff',
+            path: filePath,
+            oldPath: operation === 'rename' || operation === 'delete' ? section.oldPath : null,
+            operation,
+            hunks: section.hunks,
+            additions,
+            deletions
+        };
+    }
+    
+    /**
+     * Path-labelled code blocks and before/after pairs; `complete` marks
+     * blocks known to hold the whole file
+     * @private
+     */
+    extractFileBlocks(blocks, options) {
+        const changes = [];
+        const pendingBefore = new Map();
+        
+        for (const block of blocks) {
+            if (DIFF_LANGUAGES.includes(block.language) || block.language === 'json' || !block.path) {
+                continue;
+            }
+            
+            if (block.role === 'before') {
+                pendingBefore.set(block.path, block);
+                continue;
+            }
+            
+            const before = block.role === 'after' ? pendingBefore.get(block.path) : null;
+            if (before) {
+                pendingBefore.delete(block.path);
+                changes.push({
+                    type: 'file-modification',
+                    format: 'before-after',
+                    path: block.path,
+                    oldPath: null,
+                    operation: 'modify',
+                    before: before.body,
+                    after: block.body,
+                    additions: block.body.split('\n').length,
+                    deletions: before.body.split('\n').length
+                });
+                continue;
+            }
+            
+            changes.push({
+                type: 'file-modification',
+                format: 'file-block',
+                path: block.path,
+                oldPath: null,
+                operation: this.classifyFileBlock(block, options),
+                language: block.language,
+                complete: !!options.wholeFileBlocks || WHOLE_FILE_ROLES.includes(block.role),
+                content: block.body.endsWith('\n') ? block.body : block.body + '\n',
+                additions: block.body.split('\n').length,
+                deletions: 0
+            });
+        }
+        
+        return changes;
+    }
+    
+    /**
+     * @private
+     */
+    classifyFileBlock(block, options) {
+        if (options.workspaceRoot) {
+            return fs.existsSync(path.resolve(options.workspaceRoot, block.path)) ? 'modify' : 'create';
+        }
+        return block.role === 'new file' ? 'create' : 'modify';
+    }
+    
+    /**
+     * Fenced code blocks with their language and any path label
+     * @returns {Array} { language, path, role, body, start, end }
+     */
+    findFencedBlocks(content) {
+        const blocks = [];
+        const fence = /^```([^\n`]*)\n([\s\S]*?)^```[ \t]*$/gm;
+        let match;
+        
+        while ((match = fence.exec(content)) !== null) {
+            const info = match[1].trim();
+            const block = {
+                language: info.split(/[\s:]/)[0].toLowerCase(),
+                path: null,
+                role: null,
+                body: match[2].replace(/\n$/, ''),
+                start: match.index,
+                end: match.index + match[0].length
+            };
+            
+            const fencePath = info.match(FENCE_PATH);
+            if (fencePath) {
+                block.language = (fencePath[1] || '').toLowerCase();
+                block.path = fencePath[2];
+            }
+            
+            // A label on the nearest non-blank line above the fence
+            const before = content.slice(0, match.index).replace(/\s+$/, '');
+            const labelLine = before.slice(before.lastIndexOf('\n') + 1);
+            const label = labelLine.match(FILE_LABEL);
+            if (label) {
+                block.path = block.path || label[2];
+                block.role = label[1] ? label[1].toLowerCase() : null;
+            }
+            
+            blocks.push(block);
+        }
+        
+        return blocks;
+    }
+    
+    /**
+     * @private
+     */
+    stripFencedBlocks(content, blocks) {
+        let result = '';
+        let position = 0;
+        for (const block of blocks) {
+            result += content.slice(position, block.start);
+            position = block.end;
+        }
+        return result + content.slice(position);
+    }
+    
+    /**
+     * @private
+     */
+    looksLikeDiff(text) {
+        return /^(?:diff --git |--- .+\n\+\+\+ )/m.test(text) && /^@@ /m.test(text);
+    }
+    
+    /**
+     * Keep the first change reported for each path and format
+     * @private
+     */
+    deduplicate(changes) {
+        const seen = new Set();
+        return changes.filter(change => {
+            const key = `${change.format}:${change.oldPath || ''}:${change.path}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+}
+
+module.exports = DiffParser;
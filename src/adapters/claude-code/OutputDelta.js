@@ -0,0 +1,110 @@
+/**
+ * Output Delta Tracker for Claude Code Adapter
+ *
+ * Session backends report progress with the whole output seen so far (the
+ * sentinel backends) or the whole visible pane (heuristic tmux mode). This
+ * turns those snapshots into the text that is new since the last one, so
+ * consumers never have to diff full screens themselves.
+ */
+
+// CSI sequences (colours, cursor movement), OSC sequences (titles,
+// hyperlinks) and the remaining two-byte escapes
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+const ANSI_MODES = ['strip', 'keep'];
+
+class OutputDelta {
+    /**
+     * @param {Object} options - { ansi: 'strip' (default) or 'keep' }
+     */
+    constructor(options = {}) {
+        this.ansi = options.ansi || 'strip';
+        if (!ANSI_MODES.includes(this.ansi)) {
+            throw new Error(`Unknown ANSI mode: ${this.ansi}. Available modes: ${ANSI_MODES.join(', ')}`);
+        }
+        
+        this.previous = '';
+        this.offset = 0;
+        this.sequence = 0;
+    }
+    
+    /**
+     * Remove terminal escape sequences and normalize line endings
+     * @param {string} text - Raw terminal output
+     * @returns {string} Plain text
+     */
+    static stripAnsi(text) {
+        return text.replace(ANSI_PATTERN, '').replace(/\r\n/g, '\n');
+    }
+    
+    /**
+     * Text added since the previous snapshot
+     * @param {string} output - Cumulative output or current pane content
+     * @returns {Object|null} { text, offset, sequence, reset }, or null when
+     *   nothing is new. `offset` counts characters delivered before this
+     *   delta; `reset` marks output that could not be lined up with the
+     *   previous snapshot and is delivered whole.
+     */
+    next(output) {
+        const raw = this.ansi === 'strip' ? OutputDelta.stripAnsi(output || '') : (output || '');
+        
+        // Panes are padded with blank lines below the cursor; they are
+        // delivered once something follows them
+        const current = raw.replace(/\n+$/, '\n');
+        if (current === this.previous) {
+            return null;
+        }
+        
+        let text;
+        let reset = false;
+        
+        if (current.startsWith(this.previous)) {
+            text = current.slice(this.previous.length);
+        } else {
+            const overlap = this.findOverlap(this.previous, current);
+            if (overlap === null) {
+                text = current;
+                reset = true;
+            } else {
+                text = current.slice(overlap);
+            }
+        }
+        
+        this.previous = current;
+        if (text === '') {
+            return null;
+        }
+        
+        const delta = { text, offset: this.offset, sequence: this.sequence++, reset };
+        this.offset += text.length;
+        return delta;
+    }
+    
+    /**
+     * Where the new snapshot continues the previous one after the pane
+     * scrolled: the end of the longest run of leading lines that matches
+     * the previous snapshot's trailing lines
+     * @returns {number|null} Character index in `current`, or null
+     */
+    findOverlap(previous, current) {
+        const before = previous.split('\n');
+        const after = current.split('\n');
+        
+        // The last line of the previous snapshot may still have been growing
+        for (let size = Math.min(before.length, after.length); size > 0; size--) {
+            const tail = before.slice(before.length - size);
+            const head = after.slice(0, size);
+            const complete = tail.slice(0, -1).every((line, i) => line === head[i]);
+            const last = tail[size - 1];
+            
+            if (complete && head[size - 1].startsWith(last) && (size > 1 || last !== '')) {
+                const consumed = head.slice(0, size - 1).join('\n').length + (size > 1 ? 1 : 0);
+                return consumed + last.length;
+            }
+        }
+        
+        return null;
+    }
+}
+
+module.exports = OutputDelta;
@@ -0,0 +1,297 @@
+/**
+ * Output Schemas for Claude Code Adapter
+ *
+ * Versioned schemas for the structured JSON the built-in templates ask
+ * Claude to return. CommandBuilder embeds a schema in the prompt and
+ * ResultsParser validates the reply against it, repairing common slips
+ * (casing, numeric strings, a bare array) before giving up.
+ */
+
+const { z } = require('zod');
+
+const Severity = z.enum(['critical', 'high', 'medium', 'low', 'info']);
+const Level = z.enum(['high', 'medium', 'low']);
+const Effort = z.enum(['small', 'medium', 'large']);
+
+const Location = {
+    file: z.string().nullable().optional(),
+    line: z.number().int().positive().nullable().optional()
+};
+
+const SecurityFinding = z.object({
+    id: z.string(),
+    title: z.string(),
+    severity: Severity,
+    ...Location,
+    cwe: z.string().regex(/^CWE-\d+$/).nullable().optional(),
+    description: z.string(),
+    recommendation: z.string(),
+    priority: z.number().int().positive().optional()
+});
+
+const TechDebtItem = z.object({
+    id: z.string(),
+    title: z.string(),
+    category: z.enum([
+        'complexity', 'dependencies', 'duplication', 'architecture',
+        'performance', 'testing', 'documentation', 'other'
+    ]),
+    impact: Level,
+    effort: Effort,
+    ...Location,
+    description: z.string(),
+    recommendation: z.string(),
+    dependsOn: z.array(z.string()).optional()
+});
+
+const ReviewFinding = z.object({
+    id: z.string(),
+    title: z.string(),
+    severity: Severity,
+    category: z.enum([
+        'bug', 'security', 'performance', 'maintainability',
+        'style', 'best-practice', 'other'
+    ]),
+    ...Location,
+    endLine: z.number().int().positive().nullable().optional(),
+    description: z.string(),
+    recommendation: z.string()
+});
+
+const DependencyUpdate = z.object({
+    id: z.string(),
+    package: z.string(),
+    currentVersion: z.string(),
+    latestVersion: z.string(),
+    updateType: z.enum(['major', 'minor', 'patch']),
+    severity: z.enum(['critical', 'high', 'medium', 'low', 'none']),
+    vulnerabilities: z.array(z.string()).optional(),
+    breakingChanges: z.boolean(),
+    effort: Effort.optional(),
+    recommendation: z.string()
+});
+
+// Loosely spelled values Claude tends to use, mapped onto schema enums
+const SYNONYMS = {
+    moderate: 'medium',
+    med: 'medium',
+    informational: 'info',
+    note: 'info',
+    minimal: 'low',
+    trivial: 'small',
+    big: 'large'
+};
+
+const OUTPUT_SCHEMAS = {
+    security_audit: {
+        version: 'security_audit/v1',
+        collection: 'findings',
+        artifactType: 'security-finding',
+        schema: z.object({
+            schemaVersion: z.literal('security_audit/v1'),
+            summary: z.string().optional(),
+            findings: z.array(SecurityFinding)
+        })
+    },
+    tech_debt_analysis: {
+        version: 'tech_debt_analysis/v1',
+        collection: 'items',
+        artifactType: 'tech-debt',
+        schema: z.object({
+            schemaVersion: z.literal('tech_debt_analysis/v1'),
+            summary: z.string().optional(),
+            items: z.array(TechDebtItem)
+        })
+    },
+    code_review: {
+        version: 'code_review/v1',
+        collection: 'findings',
+        artifactType: 'review-finding',
+        schema: z.object({
+            schemaVersion: z.literal('code_review/v1'),
+            summary: z.string().optional(),
+            findings: z.array(ReviewFinding)
+        })
+    },
+    dependency_update: {
+        version: 'dependency_update/v1',
+        collection: 'updates',
+        artifactType: 'dependency-update',
+        schema: z.object({
+            schemaVersion: z.literal('dependency_update/v1'),
+            summary: z.string().optional(),
+            strategy: z.string().optional(),
+            updates: z.array(DependencyUpdate)
+        })
+    }
+};
+
+// Task types that produce the same output as a template
+const SCHEMA_ALIASES = {
+    security_scan: 'security_audit',
+    technical_debt: 'tech_debt_analysis',
+    dependency_analysis: 'dependency_update'
+};
+
+/**
+ * Look up the output schema for a template or task type
+ * @param {string} name - Template name or task type
+ * @returns {Object|null} Schema definition
+ */
+function getOutputSchema(name) {
+    return OUTPUT_SCHEMAS[SCHEMA_ALIASES[name] || name] || null;
+}
+
+/**
+ * Render a zod schema as a compact, JSON-like type description
+ * @param {z.ZodTypeAny} schema - Schema to describe
+ * @param {string} indent - Current indentation
+ * @returns {string} Description for embedding in a prompt
+ */
+function describeSchema(schema, indent = '') {
+    const def = schema._def;
+    const inner = indent + '  ';
+    
+    switch (def.typeName) {
+        case 'ZodObject': {
+            const fields = Object.entries(schema.shape).map(([key, value]) => {
+                const optional = value.isOptional() ? '?' : '';
+                return `${inner}"${key}"${optional}: ${describeSchema(value, inner)}`;
+            });
+            return `{\n${fields.join(',\n')}\n${indent}}`;
+        }
+        case 'ZodArray':
+            return `[ ${describeSchema(def.type, indent)}, ... ]`;
+        case 'ZodOptional':
+            return describeSchema(def.innerType, indent);
+        case 'ZodNullable':
+            return `${describeSchema(def.innerType, indent)} | null`;
+        case 'ZodEnum':
+            return def.values.map(value => `"${value}"`).join(' | ');
+        case 'ZodLiteral':
+            return JSON.stringify(def.value);
+        case 'ZodString': {
+            const pattern = (def.checks || []).find(check => check.kind === 'regex');
+            return pattern ? `string matching ${pattern.regex}` : 'string';
+        }
+        case 'ZodNumber':
+            return (def.checks || []).some(check => check.kind === 'int') ? 'integer' : 'number';
+        case 'ZodBoolean':
+            return 'boolean';
+        default:
+            return 'any';
+    }
+}
+
+/**
+ * Prompt text asking for output that matches a schema
+ * @param {string} name - Template name
+ * @returns {string} Instructions, or an empty string without a schema
+ */
+function renderSchemaInstructions(name) {
+    const definition = getOutputSchema(name);
+    if (!definition) {
+        return '';
+    }
+    
+    return [
+        `Output format: a single JSON object in a \`\`\`json code block, matching schema ${definition.version}:`,
+        '',
+        describeSchema(definition.schema),
+        '',
+        'Use "schemaVersion": ' + JSON.stringify(definition.version) + '. Fields marked ? may be omitted. ' +
+        'Give every entry a unique id. Do not add fields that are not in the schema.'
+    ].join('\n');
+}
+
+/**
+ * Fix common deviations from a schema without changing meaning:
+ * a bare array of entries, missing schemaVersion, enum casing and
+ * synonyms, numeric strings, and bare CWE numbers
+ * @param {any} data - Parsed JSON
+ * @param {Object} definition - Schema definition from getOutputSchema
+ * @returns {any} Repaired copy
+ */
+function repairStructuredData(data, definition) {
+    let repaired;
+    if (Array.isArray(data)) {
+        repaired = { [definition.collection]: data };
+    } else if (data && typeof data === 'object') {
+        repaired = { ...data };
+    } else {
+        return data;
+    }
+    
+    repaired.schemaVersion = definition.version;
+    
+    const entries = repaired[definition.collection];
+    if (!Array.isArray(entries)) {
+        return repaired;
+    }
+    
+    const entrySchema = definition.schema.shape[definition.collection]._def.type;
+    
+    repaired[definition.collection] = entries.map((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            return entry;
+        }
+        
+        const fixed = { ...entry };
+        if (fixed.id === undefined || fixed.id === null || fixed.id === '') {
+            fixed.id = `${definition.artifactType}-${index + 1}`;
+        }
+        
+        for (const [key, fieldSchema] of Object.entries(entrySchema.shape)) {
+            if (fixed[key] === undefined) continue;
+            fixed[key] = repairValue(fixed[key], fieldSchema);
+        }
+        
+        if (typeof fixed.cwe === 'string' && /^\d+$/.test(fixed.cwe.trim())) {
+            fixed.cwe = `CWE-${fixed.cwe.trim()}`;
+        } else if (typeof fixed.cwe === 'string') {
+            fixed.cwe = fixed.cwe.trim().toUpperCase().replace(/^CWE[\s_:]*/, 'CWE-');
+        }
+        
+        return fixed;
+    });
+    
+    return repaired;
+}
+
+/**
+ * Coerce a single value towards a field schema
+ * @private
+ */
+function repairValue(value, fieldSchema) {
+    let schema = fieldSchema;
+    while (schema._def.typeName === 'ZodOptional' || schema._def.typeName === 'ZodNullable') {
+        schema = schema._def.innerType;
+    }
+    
+    switch (schema._def.typeName) {
+        case 'ZodEnum': {
+            if (typeof value !== 'string') return value;
+            const normalized = value.trim().toLowerCase();
+            const candidate = SYNONYMS[normalized] || normalized;
+            return schema._def.values.includes(candidate) ? candidate : value;
+        }
+        case 'ZodNumber':
+            return typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+        case 'ZodString':
+            return typeof value === 'number' ? String(value) : value;
+        case 'ZodBoolean':
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            return value;
+        default:
+            return value;
+    }
+}
+
+module.exports = {
+    OUTPUT_SCHEMAS,
+    getOutputSchema,
+    describeSchema,
+    renderSchemaInstructions,
+    repairStructuredData
+};
@@ -0,0 +1,328 @@
+/**
+ * Patch Applier for Claude Code Adapter
+ *
+ * Dry-runs or applies file changes extracted by DiffParser against a
+ * workspace. Every change is resolved in memory first, so conflicts
+ * (missing files, hunks whose context no longer matches, paths outside
+ * the workspace) are reported before anything is written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class PatchApplier {
+    /**
+     * @param {string} workspaceRoot - Directory the change paths are relative to
+     */
+    constructor(workspaceRoot) {
+        if (!workspaceRoot) {
+            throw new Error('PatchApplier requires a workspace root');
+        }
+        this.workspaceRoot = path.resolve(workspaceRoot);
+    }
+    
+    /**
+     * Check whether changes apply cleanly without touching the workspace
+     * @param {Array} changes - Changes from DiffParser
+     */
+    async dryRun(changes) {
+        return this.apply(changes, { dryRun: true });
+    }
+    
+    /**
+     * Apply changes to the workspace
+     * @param {Array} changes - Changes from DiffParser
+     * @param {Object} options - { dryRun, atomic }; with atomic (the default)
+     *   nothing is written if any change conflicts
+     * @returns {Object} { dryRun, applied, changes, conflicts }
+     */
+    async apply(changes, options = {}) {
+        const { dryRun = false, atomic = true } = options;
+        
+        // Later changes to the same file see earlier ones
+        const pending = new Map();
+        const report = [];
+        
+        for (const change of changes) {
+            const entry = await this._resolve(change, pending);
+            report.push(entry);
+        }
+        
+        const conflicts = report.flatMap(entry => entry.conflicts.map(conflict => ({
+            path: entry.path,
+            operation: entry.operation,
+            ...conflict
+        })));
+        
+        const blocked = dryRun || (atomic && conflicts.length > 0);
+        let applied = false;
+        
+        if (!blocked) {
+            for (const entry of report) {
+                if (entry.status !== 'ok') continue;
+                await this._write(entry);
+                entry.status = 'applied';
+            }
+            applied = report.some(entry => entry.status === 'applied');
+        }
+        
+        return {
+            dryRun,
+            applied,
+            clean: conflicts.length === 0,
+            changes: report.map(({ writes, ...entry }) => entry),
+            conflicts
+        };
+    }
+    
+    /**
+     * Work out the file contents a change produces
+     * @private
+     */
+    async _resolve(change, pending) {
+        const entry = {
+            path: change.path,
+            oldPath: change.oldPath || null,
+            operation: change.operation,
+            format: change.format,
+            status: 'ok',
+            conflicts: [],
+            writes: []
+        };
+        
+        const conflict = (reason, details = {}) => {
+            entry.status = 'conflict';
+            entry.conflicts.push({ reason, ...details });
+            return entry;
+        };
+        
+        const target = await this._safePath(change.path);
+        const source = change.oldPath ? await this._safePath(change.oldPath) : target;
+        if (!target || !source) {
+            return conflict('Path is outside the workspace');
+        }
+        
+        const current = await this._read(source, pending);
+        
+        switch (change.operation) {
+            case 'create': {
+                if (await this._read(target, pending) !== null) {
+                    return conflict('File already exists');
+                }
+                const content = change.format === 'unified-diff'
+                    ? this._applyHunks('', change.hunks, conflict)
+                    : change.content;
+                if (content === null) return entry;
+                entry.writes.push({ file: target, content });
+                break;
+            }
+            
+            case 'delete':
+                if (current === null) {
+                    return conflict('File does not exist');
+                }
+                entry.writes.push({ file: source, content: null });
+                break;
+            
+            case 'rename': {
+                if (current === null) {
+                    return conflict('File to rename does not exist');
+                }
+                if (await this._read(target, pending) !== null) {
+                    return conflict('Rename target already exists');
+                }
+                const content = this._applyHunks(current, change.hunks || [], conflict);
+                if (content === null) return entry;
+                entry.writes.push({ file: source, content: null }, { file: target, content });
+                break;
+            }
+            
+            default: {
+                if (change.format === 'file-block') {
+                    // A block not marked as the whole file may be an excerpt,
+                    // and writing it would truncate the file
+                    if (current !== null && !change.complete) {
+                        return conflict('File block is not marked as the complete file');
+                    }
+                    entry.operation = current === null ? 'create' : 'modify';
+                    entry.writes.push({ file: target, content: change.content });
+                    break;
+                }
+                if (current === null) {
+                    return conflict('File does not exist');
+                }
+                const content = change.format === 'before-after'
+                    ? this._replaceSnippet(current, change.before, change.after, conflict)
+                    : this._applyHunks(current, change.hunks, conflict);
+                if (content === null) return entry;
+                entry.writes.push({ file: target, content });
+            }
+        }
+        
+        for (const write of entry.writes) {
+            pending.set(write.file, write.content);
+        }
+        return entry;
+    }
+    
+    /**
+     * Apply unified diff hunks to text
+     * @returns {string|null} New text, or null after reporting a conflict
+     * @private
+     */
+    _applyHunks(text, hunks, conflict) {
+        const lines = text === '' ? [] : text.replace(/\n$/, '').split('\n');
+        let endsWithNewline = text === '' || text.endsWith('\n');
+        let offset = 0;
+        let searchFrom = 0;
+        
+        for (const [index, hunk] of hunks.entries()) {
+            const oldLines = [];
+            const newLines = [];
+            let previous = null;
+            for (const line of hunk.lines) {
+                const marker = line[0];
+                const body = line.slice(1);
+                if (marker === '\\') {
+                    // "\ No newline at end of file" describes the line before
+                    // it: after a removed line only the old file lacked the
+                    // newline, and the new file's last line follows
+                    endsWithNewline = previous === '-';
+                    continue;
+                }
+                if (marker !== '+') oldLines.push(body);
+                if (marker !== '-') newLines.push(body);
+                previous = marker;
+            }
+            
+            const expected = Math.max(hunk.oldStart - 1 + offset, 0);
+            const position = this._locate(lines, oldLines, expected, searchFrom);
+            
+            if (position === -1) {
+                conflict('Hunk context does not match', {
+                    hunk: index + 1,
+                    header: hunk.header,
+                    expectedLine: expected + 1
+                });
+                return null;
+            }
+            
+            lines.splice(position, oldLines.length, ...newLines);
+            offset += newLines.length - oldLines.length;
+            searchFrom = position + newLines.length;
+        }
+        
+        if (lines.length === 0) {
+            return '';
+        }
+        return lines.join('\n') + (endsWithNewline ? '\n' : '');
+    }
+    
+    /**
+     * Find where a hunk's old lines sit, starting at the expected line and
+     * widening outwards; trailing whitespace differences are tolerated
+     * @private
+     */
+    _locate(lines, oldLines, expected, searchFrom) {
+        if (oldLines.length === 0) {
+            return Math.min(Math.max(expected, searchFrom), lines.length);
+        }
+        
+        const matchesAt = (start, normalize) => oldLines.every((line, i) =>
+            lines[start + i] !== undefined && normalize(lines[start + i]) === normalize(line)
+        );
+        
+        const last = lines.length - oldLines.length;
+        for (const normalize of [line => line, line => line.trimEnd()]) {
+            for (let distance = 0; distance <= lines.length; distance++) {
+                for (const start of [expected - distance, expected + distance]) {
+                    if (start >= searchFrom && start <= last && matchesAt(start, normalize)) {
+                        return start;
+                    }
+                }
+            }
+        }
+        
+        return -1;
+    }
+    
+    /**
+     * Replace a unique before snippet with its after snippet
+     * @private
+     */
+    _replaceSnippet(text, before, after, conflict) {
+        const first = text.indexOf(before);
+        if (first === -1) {
+            conflict('Before block not found in file');
+            return null;
+        }
+        if (text.indexOf(before, first + 1) !== -1) {
+            conflict('Before block matches more than one place');
+            return null;
+        }
+        return text.slice(0, first) + after + text.slice(first + before.length);
+    }
+    
+    /**
+     * Absolute path inside the workspace, or null. The nearest part of the
+     * path that exists must also resolve inside it, so a symlink cannot
+     * lead a write out of the workspace.
+     * @private
+     */
+    async _safePath(relativePath) {
+        if (!relativePath || path.isAbsolute(relativePath)) {
+            return null;
+        }
+        const resolved = path.resolve(this.workspaceRoot, relativePath);
+        if (!resolved.startsWith(this.workspaceRoot + path.sep)) {
+            return null;
+        }
+        
+        const exists = file => fs.promises.lstat(file).then(() => true, () => false);
+        let existing = resolved;
+        while (!await exists(existing)) {
+            existing = path.dirname(existing);
+        }
+        
+        try {
+            const root = await fs.promises.realpath(this.workspaceRoot);
+            const real = await fs.promises.realpath(existing);
+            return real === root || real.startsWith(root + path.sep) ? resolved : null;
+        } catch (error) {
+            // A dangling symlink leads nowhere we can check
+            return null;
+        }
+    }
+    
+    /**
+     * Current contents, taking earlier pending changes into account
+     * @private
+     */
+    async _read(file, pending) {
+        if (pending.has(file)) {
+            return pending.get(file);
+        }
+        try {
+            return await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+    
+    /**
+     * @private
+     */
+    async _write(entry) {
+        for (const { file, content } of entry.writes) {
+            if (content === null) {
+                await fs.promises.rm(file, { force: true });
+            } else {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.writeFile(file, content);
+            }
+        }
+    }
+}
+
+module.exports = PatchApplier;
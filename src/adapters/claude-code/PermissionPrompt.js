@@ -0,0 +1,197 @@
+/**
+ * Permission Prompt Detection for Claude Code Adapter
+ *
+ * Claude Code stops and waits when it needs permission to run a command
+ * or edit a file, and commands it runs may ask for a y/n confirmation.
+ * Either way the pane stops changing until the run times out. This finds
+ * such prompts at the bottom of a pane, parses the question and its
+ * choices, and maps an answer to the keys that select it.
+ */
+
+const crypto = require('crypto');
+
+// Claude Code asks inside a box: tool header, details, question, numbered choices
+const QUESTION_PATTERN = /^(?:Do you want to|Would you like to|Allow|Proceed)\b.*\?$/i;
+const OPTION_PATTERN = /^(?:[❯›>]\s*)?(\d+)[.)]\s+(.+)$/;
+const BOX_TOP_PATTERN = /^╭/;
+const BORDER_PATTERN = /^\s*[│┃]\s?|\s?[│┃]\s*$/g;
+
+// Shell-style confirmations answered with a word and Enter
+const CONFIRMATION_PATTERN = /(?:\[y\/n\]|\(y\/n\)|\[yes\/no\]|\(yes\/no\))\s*[:?]?\s*$/i;
+
+// How far above the question the details of a prompt may start
+const MAX_DETAIL_LINES = 12;
+
+// Non-option lines allowed below the choices (key hints)
+const MAX_TRAILING_LINES = 2;
+
+const ANSWERS = ['approve', 'approve_always', 'deny'];
+
+class PermissionPrompt {
+    /**
+     * Find a prompt waiting for an answer at the bottom of a pane
+     * @param {string} pane - Captured pane content
+     * @returns {Object|null} { id, kind, tool, question, detail, options, text },
+     *   where kind is 'permission' (numbered choices) or 'confirmation' (y/n)
+     *   and each option is { key, label, answer }
+     */
+    static detect(pane) {
+        const lines = String(pane || '')
+            .split('\n')
+            .map(line => line.replace(BORDER_PATTERN, '').trim());
+        
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        if (lines.length === 0) {
+            return null;
+        }
+        
+        return PermissionPrompt._detectMenu(lines) || PermissionPrompt._detectConfirmation(lines);
+    }
+    
+    /**
+     * Keys that give an answer to a prompt
+     * @param {Object} prompt - Prompt from detect()
+     * @param {string} answer - 'approve', 'approve_always', 'deny', or an
+     *   option key or label
+     * @returns {Object} { option, input, enter }: type `input`, then press
+     *   Enter if `enter` is set
+     */
+    static keysFor(prompt, answer) {
+        const wanted = String(answer).trim().toLowerCase();
+        const option = ANSWERS.includes(wanted)
+            ? prompt.options.find(candidate => candidate.answer === wanted)
+            : prompt.options.find(candidate =>
+                candidate.key.toLowerCase() === wanted || candidate.label.toLowerCase() === wanted
+            );
+        
+        if (!option) {
+            const choices = [...new Set([
+                ...prompt.options.map(candidate => candidate.answer).filter(Boolean),
+                ...prompt.options.map(candidate => candidate.key)
+            ])];
+            throw new Error(`Prompt has no option "${answer}". Available answers: ${choices.join(', ')}`);
+        }
+        
+        return {
+            option,
+            input: option.key,
+            enter: prompt.kind === 'confirmation'
+        };
+    }
+    
+    /**
+     * @private
+     */
+    static _detectMenu(lines) {
+        // The choices must be the last thing on screen, apart from key hints
+        let end = lines.length - 1;
+        let trailing = 0;
+        while (end >= 0 && !OPTION_PATTERN.test(lines[end])) {
+            if (lines[end] !== '' && ++trailing > MAX_TRAILING_LINES) {
+                return null;
+            }
+            end--;
+        }
+        
+        if (end < 0) {
+            return null;
+        }
+        
+        let start = end;
+        while (start > 0 && OPTION_PATTERN.test(lines[start - 1])) {
+            start--;
+        }
+        
+        let questionIndex = start - 1;
+        while (questionIndex >= 0 && lines[questionIndex] === '') {
+            questionIndex--;
+        }
+        if (questionIndex < 0 || !QUESTION_PATTERN.test(lines[questionIndex])) {
+            return null;
+        }
+        
+        const options = lines.slice(start, end + 1).map(line => {
+            const [, key, label] = line.match(OPTION_PATTERN);
+            return { key, label, answer: PermissionPrompt._classify(label) };
+        });
+        
+        // Details run up to the top of the box, or the nearest blank line without one
+        const above = [];
+        for (let i = questionIndex - 1; i >= 0 && above.length < MAX_DETAIL_LINES; i--) {
+            if (BOX_TOP_PATTERN.test(lines[i])) break;
+            above.unshift(lines[i]);
+        }
+        const boxed = questionIndex - above.length - 1 >= 0 &&
+            BOX_TOP_PATTERN.test(lines[questionIndex - above.length - 1]);
+        const body = boxed ? above : above.slice(above.lastIndexOf('') + 1);
+        const content = body.filter(line => line !== '');
+        
+        const tool = boxed && content.length > 0 ? content.shift() : null;
+        const question = lines[questionIndex];
+        
+        return PermissionPrompt._build({
+            kind: 'permission',
+            tool,
+            question,
+            detail: content.join('\n') || null,
+            options,
+            // Without the selection cursor, which moves as the user browses
+            text: [...body, question, ...options.map(option => `${option.key}. ${option.label}`)].join('\n').trim()
+        });
+    }
+    
+    /**
+     * @private
+     */
+    static _detectConfirmation(lines) {
+        const question = lines[lines.length - 1];
+        if (!CONFIRMATION_PATTERN.test(question)) {
+            return null;
+        }
+        
+        const words = /yes\/no/i.test(question) ? ['yes', 'no'] : ['y', 'n'];
+        return PermissionPrompt._build({
+            kind: 'confirmation',
+            tool: null,
+            question,
+            detail: null,
+            options: [
+                { key: words[0], label: 'Yes', answer: 'approve' },
+                { key: words[1], label: 'No', answer: 'deny' }
+            ],
+            text: question
+        });
+    }
+    
+    /**
+     * @private
+     */
+    static _classify(label) {
+        if (/^yes\b/i.test(label)) {
+            return /don't ask again|always/i.test(label) ? 'approve_always' : 'approve';
+        }
+        if (/^no\b/i.test(label)) {
+            return 'deny';
+        }
+        return null;
+    }
+    
+    /**
+     * @private
+     */
+    static _build(prompt) {
+        // The same prompt keeps the same id across polls
+        const id = crypto.createHash('sha1')
+            .update(`${prompt.kind}\n${prompt.text}`)
+            .digest('hex')
+            .slice(0, 12);
+        
+        return { id, ...prompt };
+    }
+}
+
+PermissionPrompt.ANSWERS = ANSWERS;
+
+module.exports = PermissionPrompt;
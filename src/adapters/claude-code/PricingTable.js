@@ -0,0 +1,105 @@
+/**
+ * Pricing Table for Claude Code Adapter
+ *
+ * Turns token counts into a cost in USD. Prices are per million tokens
+ * and are looked up by model id: an exact entry first, then the longest
+ * entry the id contains (so 'claude-sonnet' covers every Sonnet release).
+ * Override or extend the defaults with the adapter's `pricing` config
+ * when list prices change or a negotiated rate applies:
+ *
+ *   pricing: {
+ *       models: { 'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 } },
+ *       defaultModel: 'claude-sonnet'
+ *   }
+ */
+
+// USD per million tokens
+const DEFAULT_PRICES = {
+    'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    'claude-opus': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+    'claude-3-opus': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+    'claude-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+    'claude-3-haiku': { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 }
+};
+
+const PER_TOKENS = 1000000;
+
+class PricingTable {
+    /**
+     * @param {Object} options - { models, defaultModel }: `models` entries
+     *   replace or add to the defaults; `defaultModel` prices runs whose
+     *   model is unknown
+     */
+    constructor(options = {}) {
+        this.prices = { ...DEFAULT_PRICES, ...(options.models || {}) };
+        this.defaultModel = options.defaultModel || 'claude-sonnet';
+        
+        for (const [model, price] of Object.entries(this.prices)) {
+            if (typeof price?.input !== 'number' || typeof price?.output !== 'number') {
+                throw new Error(`Pricing for ${model} needs numeric input and output prices`);
+            }
+        }
+        if (!this.priceFor(this.defaultModel)) {
+            throw new Error(`No pricing for the default model: ${this.defaultModel}`);
+        }
+    }
+    
+    /**
+     * Prices for a model id
+     * @param {string} model - Model id, e.g. 'claude-sonnet-4-20250514'
+     * @returns {Object|null} { input, output, cacheRead, cacheWrite } per million tokens
+     */
+    priceFor(model) {
+        if (!model) {
+            return null;
+        }
+        if (this.prices[model]) {
+            return this.prices[model];
+        }
+        
+        const key = Object.keys(this.prices)
+            .filter(candidate => model.includes(candidate))
+            .sort((a, b) => b.length - a.length)[0];
+        return key ? this.prices[key] : null;
+    }
+    
+    /**
+     * Cost of a usage from TokenUsage
+     * @param {Object} usage - { model, models, input, output, cacheRead, cacheWrite }
+     * @returns {Object} { costUsd, priced }: `priced` is false when some
+     *   model had no entry and was priced as the default model
+     */
+    cost(usage) {
+        const models = usage.models && Object.keys(usage.models).length > 0
+            ? usage.models
+            : { [usage.model || this.defaultModel]: usage };
+        
+        let costUsd = 0;
+        let priced = true;
+        for (const [model, counts] of Object.entries(models)) {
+            let price = this.priceFor(model);
+            if (!price) {
+                priced = false;
+                price = this.priceFor(this.defaultModel);
+            }
+            
+            costUsd += (
+                (counts.input || 0) * price.input +
+                (counts.output || 0) * price.output +
+                (counts.cacheRead || 0) * (price.cacheRead ?? price.input) +
+                (counts.cacheWrite || 0) * (price.cacheWrite ?? price.input)
+            ) / PER_TOKENS;
+        }
+        
+        // Whole millionths of a dollar; summing floats drifts otherwise
+        return { costUsd: Math.round(costUsd * PER_TOKENS) / PER_TOKENS, priced };
+    }
+}
+
+PricingTable.DEFAULT_PRICES = DEFAULT_PRICES;
+
+module.exports = PricingTable;
@@ -0,0 +1,313 @@
+/**
+ * Process Session Backend for Claude Code Adapter
+ *
+ * Runs the Claude Code CLI with child_process.spawn, using real pipes for
+ * stdin, stdout and stderr and the process exit code for completion.
+ * Needs no terminal multiplexer, so it suits CI containers and minimal
+ * servers without tmux.
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const SessionBackend = require('./SessionBackend');
+const SessionTranscript = require('./SessionTranscript');
+const CompletionSentinel = require('./CompletionSentinel');
+
+class ProcessSessionBackend extends SessionBackend {
+    get backendName() {
+        return 'process';
+    }
+    
+    async initialize(config = {}) {
+        this.config = {
+            maxSessions: config.maxSessions || 10,
+            sessionTimeout: config.sessionTimeout || 300000, // 5 minutes
+            cleanupInterval: config.cleanupInterval || 60000,  // 1 minute
+            killGracePeriod: config.killGracePeriod || 5000,
+            transcriptDirectory: config.transcriptDirectory ||
+                path.join(CompletionSentinel.defaultBaseDirectory(), 'transcripts'),
+            ...config
+        };
+        
+        this._startCleanupTimer();
+        
+        this.initialized = true;
+        console.log('✅ ProcessSessionBackend initialized');
+    }
+    
+    async healthCheck() {
+        return {
+            healthy: true,
+            backend: this.backendName,
+            activeSessions: this.sessions.size,
+            runningProcesses: Array.from(this.sessions.values()).filter(s => s.child).length,
+            maxSessions: this.config.maxSessions,
+            lastCheck: new Date().toISOString()
+        };
+    }
+    
+    async createSession(sessionId, options = {}) {
+        this._assertCanCreate(sessionId);
+        
+        const {
+            workingDirectory = process.cwd(),
+            task = null,
+            environment = {}
+        } = options;
+        
+        const transcript = new SessionTranscript(this.config.transcriptDirectory, sessionId);
+        await transcript.open();
+        
+        const sessionInfo = {
+            sessionId,
+            task,
+            workingDirectory,
+            environment,
+            createdAt: new Date(),
+            lastActivity: new Date(),
+            status: 'created',
+            output: [],
+            transcript,
+            child: null,
+            pid: null
+        };
+        
+        this.sessions.set(sessionId, sessionInfo);
+        
+        this.emit('session:created', {
+            sessionId,
+            workingDirectory,
+            transcriptPath: transcript.rawPath,
+            timestamp: new Date()
+        });
+        
+        return sessionInfo;
+    }
+    
+    async executeCommand(sessionId, command, options = {}) {
+        const sessionInfo = this.sessions.get(sessionId);
+        if (!sessionInfo) {
+            throw new Error(`Session ${sessionId} not found`);
+        }
+        
+        if (sessionInfo.child) {
+            throw new Error(`Session ${sessionId} is already executing a command`);
+        }
+        
+        const {
+            timeout = this.config.sessionTimeout,
+            onProgress = null
+        } = options;
+        
+        const spec = typeof command === 'string'
+            ? { executable: 'sh', args: ['-c', command] }
+            : command;
+        
+        sessionInfo.status = 'executing';
+        sessionInfo.lastActivity = new Date();
+        
+        const runId = crypto.randomBytes(8).toString('hex');
+        const transcriptStart = await sessionInfo.transcript.size();
+        const transcriptStream = fs.createWriteStream(sessionInfo.transcript.rawPath, { flags: 'a' });
+        const startTime = Date.now();
+        const outputBuffer = [];
+        let stdout = '';
+        let stderr = '';
+        
+        if (onProgress) {
+            onProgress({
+                sessionId,
+                output: '',
+                duration: 0,
+                status: 'started'
+            });
+        }
+        
+        try {
+            const exitCode = await new Promise((resolve, reject) => {
+                const child = spawn(spec.executable, spec.args || [], {
+                    cwd: spec.cwd || sessionInfo.workingDirectory,
+                    env: { ...process.env, ...sessionInfo.environment, ...(spec.env || {}) },
+                    stdio: ['pipe', 'pipe', 'pipe']
+                });
+                
+                sessionInfo.child = child;
+                sessionInfo.pid = child.pid;
+                
+                const timer = setTimeout(() => {
+                    sessionInfo.status = 'timeout';
+                    this._terminate(child);
+                    reject(new Error(`Command execution timeout after ${timeout}ms`));
+                }, timeout);
+                
+                child.stdout.on('data', (data) => {
+                    stdout += data.toString();
+                    transcriptStream.write(data);
+                    sessionInfo.lastActivity = new Date();
+                    
+                    outputBuffer.push({
+                        timestamp: new Date(),
+                        content: stdout
+                    });
+                    
+                    if (onProgress) {
+                        onProgress({
+                            sessionId,
+                            output: stdout,
+                            duration: Date.now() - startTime,
+                            status: 'running'
+                        });
+                    }
+                });
+                
+                child.stderr.on('data', (data) => {
+                    stderr += data.toString();
+                    transcriptStream.write(data);
+                    sessionInfo.lastActivity = new Date();
+                });
+                
+                child.on('error', (error) => {
+                    clearTimeout(timer);
+                    reject(new Error(`Failed to start ${spec.executable}: ${error.message}`));
+                });
+                
+                child.on('close', (code, signal) => {
+                    clearTimeout(timer);
+                    resolve(code === null ? 128 + (signal === 'SIGKILL' ? 9 : 15) : code);
+                });
+                
+                // Ignore EPIPE if the process exits without reading its input
+                child.stdin.on('error', () => {});
+                if (spec.stdin !== undefined && spec.stdin !== null) {
+                    child.stdin.write(spec.stdin);
+                }
+                child.stdin.end();
+            });
+            
+            const status = exitCode === 0 ? 'completed' : 'failed';
+            sessionInfo.status = status;
+            sessionInfo.output = outputBuffer;
+            
+            await new Promise(resolve => transcriptStream.end(resolve));
+            const transcriptEnd = await sessionInfo.transcript.size();
+            await sessionInfo.transcript.sync();
+            
+            return {
+                sessionId,
+                runId,
+                output: await sessionInfo.transcript.readSegment(transcriptStart, transcriptEnd),
+                transcript: {
+                    rawPath: sessionInfo.transcript.rawPath,
+                    cleanPath: sessionInfo.transcript.cleanPath,
+                    startOffset: transcriptStart,
+                    endOffset: transcriptEnd
+                },
+                stdout,
+                stderr,
+                exitCode,
+                outputBuffer,
+                duration: Date.now() - startTime,
+                status
+            };
+        
+        } catch (error) {
+            transcriptStream.end();
+            if (sessionInfo.status === 'executing') {
+                sessionInfo.status = 'error';
+            }
+            this.emit('session:error', {
+                sessionId,
+                phase: 'execution',
+                error: error.message
+            });
+            throw error;
+        
+        } finally {
+            sessionInfo.child = null;
+        }
+    }
+    
+    async getSessionStatus(sessionId, options = {}) {
+        const sessionInfo = this.sessions.get(sessionId);
+        if (!sessionInfo) {
+            return { found: false };
+        }
+        
+        try {
+            const transcript = await sessionInfo.transcript.page(options);
+            
+            return {
+                found: true,
+                sessionId,
+                status: sessionInfo.status,
+                createdAt: sessionInfo.createdAt,
+                lastActivity: sessionInfo.lastActivity,
+                workingDirectory: sessionInfo.workingDirectory,
+                pid: sessionInfo.pid,
+                running: !!sessionInfo.child,
+                transcript,
+                outputHistory: sessionInfo.output || []
+            };
+        
+        } catch (error) {
+            return {
+                found: true,
+                sessionId,
+                error: error.message
+            };
+        }
+    }
+    
+    async destroySession(sessionId) {
+        const sessionInfo = this.sessions.get(sessionId);
+        
+        try {
+            if (sessionInfo?.child) {
+                this._terminate(sessionInfo.child);
+            }
+            
+            if (sessionInfo?.transcript) {
+                await sessionInfo.transcript.sync().catch(() => {});
+            }
+            
+            this.sessions.delete(sessionId);
+            
+            this.emit('session:destroyed', {
+                sessionId,
+                timestamp: new Date(),
+                wasTracked: !!sessionInfo,
+                transcriptPath: sessionInfo?.transcript?.rawPath || null
+            });
+        
+        } catch (error) {
+            this.emit('session:error', {
+                sessionId,
+                phase: 'destruction',
+                error: error.message
+            });
+            console.warn(`Failed to destroy session ${sessionId}:`, error.message);
+        }
+    }
+    
+    /**
+     * Stop a child process, escalating to SIGKILL after the grace period
+     * @private
+     */
+    _terminate(child) {
+        if (child.exitCode !== null || child.signalCode !== null) {
+            return;
+        }
+        
+        child.kill('SIGTERM');
+        const killTimer = setTimeout(() => {
+            if (child.exitCode === null && child.signalCode === null) {
+                child.kill('SIGKILL');
+            }
+        }, this.config.killGracePeriod);
+        killTimer.unref();
+    }
+}
+
+module.exports = ProcessSessionBackend;
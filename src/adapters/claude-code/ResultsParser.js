@@ -7,10 +7,23 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getOutputSchema, repairStructuredData } = require('./OutputSchemas');
+const SarifExporter = require('./SarifExporter');
+const DiffParser = require('./DiffParser');
+const PatchApplier = require('./PatchApplier');
+const TokenUsage = require('./TokenUsage');
+const PricingTable = require('./PricingTable');
+const TokenEstimator = require('../../tokens/TokenEstimator');
 
 class ResultsParser {
-    constructor() {
+    /**
+     * @param {Object} options - { pricing } options for the PricingTable
+     */
+    constructor(options = {}) {
         this.artifactExtractors = new Map();
+        this.diffParser = new DiffParser();
+        this.pricing = new PricingTable(options.pricing);
+        this.tokenEstimator = options.tokenEstimator || TokenEstimator.shared;
         this.initializeExtractors();
     }
     
@@ -36,32 +49,10 @@ class ResultsParser {
             return codeBlocks;
         });
         
-        // File modification extractor
-        this.artifactExtractors.set('fileModifications', (content) => {
-            const modifications = [];
-            
-            // Look for file creation/modification patterns
-            const filePatterns = [
-                /(?:create|modify|update)\s+file[:\s]+([^\n]+)/gi,
-                /(?:file|path)[:\s]+([^\n]+)/gi,
-                /```[\w]*\s*\/\/ ([^\n]+)/gi
-            ];
-            
-            for (const pattern of filePatterns) {
-                let match;
-                while ((match = pattern.exec(content)) !== null) {
-                    const filePath = match[1].trim();
-                    if (this.isValidFilePath(filePath)) {
-                        modifications.push({
-                            type: 'file-modification',
-                            path: filePath,
-                            operation: 'unknown'
-                        });
-                    }
-                }
-            }
-            
-            return modifications;
+        // File modification extractor: unified diffs, path-labelled file
+        // blocks and before/after pairs
+        this.artifactExtractors.set('fileModifications', (content, options = {}) => {
+            return this.diffParser.extract(content, options);
         });
         
         // Security finding extractor
@@ -115,10 +106,12 @@ class ResultsParser {
     
     /**
      * Parse execution results from Claude Code
+     * @param {Object} options - { workspaceRoot } used to classify file changes
      */
-    async parseResults(executionResult, task) {
+    async parseResults(executionResult, task, options = {}) {
         const {
             output = '',
+            stdout = null,
             outputBuffer = [],
             duration = 0,
             status = 'unknown'
@@ -136,14 +129,20 @@ class ResultsParser {
                 }
             }
             
+            // Validate against the template's output schema, if it has one
+            const validation = this.validateStructuredData(structuredData, task);
+            if (validation?.valid) {
+                structuredData = validation.data;
+            }
+            
             // Extract artifacts based on task type
-            const artifacts = await this.extractArtifacts(output, task);
+            const artifacts = await this.extractArtifacts(output, task, validation?.valid ? validation : null, options);
             
             // Generate summary
             const summary = this.generateSummary(output, task, artifacts);
             
             // Calculate metrics
-            const metrics = this.calculateMetrics(output, duration, outputBuffer);
+            const metrics = this.calculateMetrics(output, duration, outputBuffer, stdout);
             
             // Format for cloud reporting
             const results = {
@@ -153,6 +152,7 @@ class ResultsParser {
                 status,
                 output: this.cleanOutput(output),
                 structuredData,
+                validation,
                 artifacts,
                 summary,
                 metrics,
@@ -174,29 +174,98 @@ class ResultsParser {
                 artifacts: [],
                 metrics: {
                     duration,
-                    outputLength: output.length
+                    outputLength: output.length,
+                    ...this.accountUsage(this._findUsage(output, stdout))
                 },
                 timestamp: new Date().toISOString()
             };
         }
     }
     
+    /**
+     * Validate parsed JSON against the output schema for a task's template
+     * @param {any} data - Parsed JSON, or null if none was found
+     * @param {Object} task - Task the output belongs to
+     * @returns {Object|null} { schema, valid, repaired, data, errors }, or
+     *   null when the task has no output schema
+     */
+    validateStructuredData(data, task) {
+        const definition = getOutputSchema(task.template || task.type);
+        if (!definition) {
+            return null;
+        }
+        
+        if (data === null || data === undefined) {
+            return {
+                schema: definition.version,
+                valid: false,
+                repaired: false,
+                data: null,
+                errors: [{ path: '', message: 'No JSON object found in output' }]
+            };
+        }
+        
+        let result = definition.schema.safeParse(data);
+        let repaired = false;
+        let candidate = data;
+        
+        if (!result.success) {
+            candidate = repairStructuredData(data, definition);
+            result = definition.schema.safeParse(candidate);
+            repaired = result.success;
+        }
+        
+        return {
+            schema: definition.version,
+            valid: result.success,
+            repaired,
+            data: result.success ? result.data : candidate,
+            errors: result.success ? [] : result.error.issues.map(issue => ({
+                path: issue.path.join('.'),
+                message: issue.message
+            }))
+        };
+    }
+    
+    /**
+     * Typed artifacts from schema-validated structured data
+     * @param {Object} validation - Successful validation result
+     * @returns {Array} One artifact per finding, carrying the schema fields
+     */
+    extractStructuredArtifacts(validation) {
+        const definition = getOutputSchema(validation.schema.split('/')[0]);
+        return validation.data[definition.collection].map(entry => ({
+            type: definition.artifactType,
+            schemaVersion: definition.version,
+            ...entry
+        }));
+    }
+    
     /**
      * Extract artifacts based on content and task type
+     * @param {string} content - Output text
+     * @param {Object} task - Task the output belongs to
+     * @param {Object} validation - Successful schema validation; its typed
+     *   findings replace the text heuristics for the task type
+     * @param {Object} options - { workspaceRoot } used to classify file blocks
      */
-    async extractArtifacts(content, task) {
+    async extractArtifacts(content, task, validation = null, options = {}) {
         const artifacts = [];
         
+        if (validation) {
+            artifacts.push(...this.extractStructuredArtifacts(validation));
+        }
+        
         // Extract code blocks
         const codeBlocks = this.artifactExtractors.get('code')(content);
         artifacts.push(...codeBlocks);
         
         // Extract file modifications
-        const fileModifications = this.artifactExtractors.get('fileModifications')(content);
+        const fileModifications = this.artifactExtractors.get('fileModifications')(content, options);
         artifacts.push(...fileModifications);
         
         // Task-specific extractions
-        switch (task.type) {
+        switch (validation ? null : task.type) {
             case 'security_audit':
             case 'security_scan':
                 const securityFindings = this.artifactExtractors.get('securityFindings')(content);
@@ -228,8 +297,7 @@ class ResultsParser {
         // Look for JSON blocks
         const jsonPatterns = [
             /```json\n([\s\S]*?)\n```/g,
-            /```\n(\{[\s\S]*?\})\n```/g,
-            /(\{[\s\S]*?\})(?:\n|$)/g
+            /```\n(\{[\s\S]*?\})\n```/g
         ];
         
         for (const pattern of jsonPatterns) {
@@ -239,6 +307,41 @@ class ResultsParser {
             }
         }
         
+        return this.findJsonObject(content);
+    }
+    
+    /**
+     * Find the first balanced {...} span in text that parses as JSON,
+     * so nested objects are not cut off at the first closing brace
+     */
+    findJsonObject(content) {
+        for (let start = content.indexOf('{'); start !== -1; start = content.indexOf('{', start + 1)) {
+            let depth = 0;
+            let inString = false;
+            
+            for (let i = start; i < content.length; i++) {
+                const char = content[i];
+                
+                if (inString) {
+                    if (char === '\\') i++;
+                    else if (char === '"') inString = false;
+                    continue;
+                }
+                
+                if (char === '"') inString = true;
+                else if (char === '{') depth++;
+                else if (char === '}' && --depth === 0) {
+                    const candidate = content.slice(start, i + 1);
+                    try {
+                        JSON.parse(candidate);
+                        return candidate;
+                    } catch (error) {
+                        break;
+                    }
+                }
+            }
+        }
+        
         return null;
     }
     
@@ -309,14 +412,33 @@ class ResultsParser {
                 summary.keyFindings = artifacts
                     .filter(a => a.type === 'security-finding')
                     .slice(0, 5)
-                    .map(a => a.description);
+                    .map(a => a.title || a.description);
                 break;
                 
             case 'tech_debt_analysis':
                 summary.keyFindings = artifacts
                     .filter(a => a.type === 'tech-debt')
                     .slice(0, 5)
-                    .map(a => a.description);
+                    .map(a => a.title || a.description);
+                break;
+                
+            case 'code_review':
+                summary.keyFindings = artifacts
+                    .filter(a => a.type === 'review-finding')
+                    .slice(0, 5)
+                    .map(a => a.title);
+                if (summary.keyFindings.length > 0) break;
+                summary.keyFindings = artifacts
+                    .filter(a => a.type === 'recommendation')
+                    .slice(0, 3)
+                    .map(a => a.content);
+                break;
+                
+            case 'dependency_update':
+                summary.keyFindings = artifacts
+                    .filter(a => a.type === 'dependency-update')
+                    .slice(0, 5)
+                    .map(a => `${a.package} ${a.currentVersion} -> ${a.latestVersion}`);
                 break;
                 
             default:
@@ -331,8 +453,10 @@ class ResultsParser {
     
     /**
      * Calculate metrics from output
+     * @param {string|null} stdout - Raw stdout, searched for reported usage
+     *   before the cleaned output
      */
-    calculateMetrics(output, duration, outputBuffer) {
+    calculateMetrics(output, duration, outputBuffer, stdout = null) {
         const metrics = {
             duration,
             outputLength: output.length,
@@ -341,8 +465,11 @@ class ResultsParser {
             bufferEntries: outputBuffer.length
         };
         
-        // Calculate tokens estimate (rough)
-        metrics.estimatedTokens = Math.ceil(output.length / 4);
+        // Calculate tokens estimate
+        metrics.estimatedTokens = this.tokenEstimator.count(output);
+        
+        // Real counts when Claude Code reports them, the estimate otherwise
+        Object.assign(metrics, this.accountUsage(this._findUsage(output, stdout)));
         
         // Calculate progress metrics
         if (outputBuffer.length > 1) {
@@ -355,6 +482,57 @@ class ResultsParser {
         return metrics;
     }
     
+    /**
+     * Token counts and cost of a run
+     * @param {Object} usage - Usage from TokenUsage.extract() or estimate()
+     * @returns {Object} { tokens, model, costUsd, estimated }: `estimated`
+     *   is set when the tokens are the heuristic estimate or a model had no
+     *   price and no cost was reported for it
+     */
+    accountUsage(usage) {
+        const { costUsd, priced } = this.pricing.cost(usage);
+        const { model, reportedCostUsd, estimated = false, ...tokens } = usage;
+        
+        // Claude Code's own figure beats pricing an unknown model as the default
+        const useReported = !priced && !estimated && typeof reportedCostUsd === 'number';
+        
+        return {
+            tokens: { ...tokens, estimated },
+            model,
+            costUsd: useReported ? reportedCostUsd : costUsd,
+            estimated: estimated || (!priced && !useReported)
+        };
+    }
+    
+    /**
+     * Add the usage of a further run in the same task (e.g. a schema
+     * repair) to a result's metrics
+     * @param {Object} metrics - Metrics from parseResults()
+     * @param {Object} more - Metrics of the further run
+     * @returns {Object} Metrics with tokens and cost summed
+     */
+    addUsage(metrics, more) {
+        if (!metrics?.tokens || !more?.tokens) {
+            return metrics;
+        }
+        
+        const { model, reportedCostUsd, estimated, ...tokens } = TokenUsage.add(metrics.tokens, more.tokens);
+        return {
+            ...metrics,
+            tokens: { ...tokens, estimated },
+            model: metrics.model || model,
+            costUsd: Math.round((metrics.costUsd + more.costUsd) * 1e6) / 1e6,
+            estimated: !!(metrics.estimated || more.estimated)
+        };
+    }
+    
+    /**
+     * @private
+     */
+    _findUsage(output, stdout) {
+        return (stdout && TokenUsage.extract(stdout)) || TokenUsage.extract(output) || TokenUsage.estimate(output, null, this.tokenEstimator);
+    }
+    
     /**
      * Clean output for cloud reporting
      */
@@ -425,6 +603,32 @@ class ResultsParser {
                !filePath.startsWith('http');
     }
     
+    /**
+     * Export security and review findings as a SARIF 2.1.0 log
+     * @param {Object|Object[]} results - Parsed results
+     * @param {Object} options - { workspaceRoot, toolVersion }
+     * @returns {Object} SARIF log
+     */
+    toSarif(results, options = {}) {
+        return new SarifExporter(options).export(results, options);
+    }
+    
+    /**
+     * Dry-run or apply the file modifications found in parsed results
+     * @param {Object|Object[]} results - Parsed results or task results
+     * @param {Object} options - { workspaceRoot, dryRun, atomic }; dry-run
+     *   by default, and atomic so a conflict leaves the workspace untouched
+     * @returns {Object} Report with per-file status and conflicts
+     */
+    async applyChanges(results, options = {}) {
+        const { workspaceRoot, dryRun = true, atomic = true } = options;
+        const list = Array.isArray(results) ? results : [results];
+        const changes = list.flatMap(result => (result.artifacts || [])
+            .filter(artifact => artifact.type === 'file-modification' && artifact.format));
+        
+        return new PatchApplier(workspaceRoot).apply(changes, { dryRun, atomic });
+    }
+    
     /**
      * Add custom artifact extractor
      */
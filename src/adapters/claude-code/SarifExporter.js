@@ -0,0 +1,283 @@
+/**
+ * SARIF Exporter for Claude Code Adapter
+ *
+ * Converts parsed security_audit and code_review results into SARIF 2.1.0
+ * documents for code-scanning dashboards. Findings validated against an
+ * output schema carry file, line and CWE data; findings scraped from
+ * free text are exported without locations.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+
+// Artifact types that become SARIF results
+const FINDING_TYPES = ['security-finding', 'review-finding'];
+
+const SEVERITY_LEVELS = {
+    critical: 'error',
+    high: 'error',
+    medium: 'warning',
+    low: 'note',
+    info: 'note'
+};
+
+// CVSS-style scores read by code-scanning UIs from `security-severity`
+const SECURITY_SEVERITY = {
+    critical: '9.5',
+    high: '8.0',
+    medium: '5.5',
+    low: '3.0',
+    info: '1.0'
+};
+
+class SarifExporter {
+    /**
+     * @param {Object} options - { toolName, toolVersion, informationUri }
+     */
+    constructor(options = {}) {
+        this.toolName = options.toolName || 'RepoChief Claude Code';
+        this.toolVersion = options.toolVersion || '1.0.0';
+        this.informationUri = options.informationUri || 'https://github.com/repochief/repochief';
+    }
+    
+    /**
+     * Build a SARIF log for one or more parsed results
+     * @param {Object|Object[]} results - Results from ResultsParser.parseResults
+     *   or task results from the adapter (anything with `artifacts`)
+     * @param {Object} options - { workspaceRoot } used as the %SRCROOT% base
+     * @returns {Object} SARIF 2.1.0 log
+     */
+    export(results, options = {}) {
+        const list = Array.isArray(results) ? results : [results];
+        
+        return {
+            $schema: SARIF_SCHEMA,
+            version: SARIF_VERSION,
+            runs: list.map(result => this.buildRun(result, options))
+        };
+    }
+    
+    /**
+     * Build a single SARIF run
+     */
+    buildRun(result, options = {}) {
+        const rules = [];
+        const ruleIndex = new Map();
+        const findings = (result.artifacts || []).filter(artifact => FINDING_TYPES.includes(artifact.type));
+        
+        const sarifResults = findings.map((finding, index) => {
+            const rule = this.buildRule(finding);
+            if (!ruleIndex.has(rule.id)) {
+                ruleIndex.set(rule.id, rules.length);
+                rules.push(rule);
+            }
+            
+            return this.buildResult(finding, rule.id, ruleIndex.get(rule.id), index, options);
+        });
+        
+        const run = {
+            tool: {
+                driver: {
+                    name: this.toolName,
+                    version: this.toolVersion,
+                    informationUri: this.informationUri,
+                    rules
+                }
+            },
+            invocations: [{
+                executionSuccessful: result.status !== 'failed' && result.status !== 'parsing_error'
+            }],
+            results: sarifResults,
+            properties: {
+                taskId: result.taskId || null,
+                taskType: result.taskType || null,
+                template: result.template || null,
+                schemaVersion: result.validation?.schema || null
+            }
+        };
+        
+        if (options.workspaceRoot) {
+            run.originalUriBaseIds = {
+                '%SRCROOT%': {
+                    uri: /^[A-Za-z]:[\\/]/.test(options.workspaceRoot)
+                        ? this._fileUri(options.workspaceRoot.replace(/[\\/]*$/, '/'), true)
+                        : pathToFileURL(path.resolve(options.workspaceRoot) + path.sep).href
+                }
+            };
+        }
+        
+        return run;
+    }
+    
+    /**
+     * Rule for a finding: its CWE when known, else its category or type
+     */
+    buildRule(finding) {
+        const severity = this.normalizeSeverity(finding.severity);
+        
+        if (finding.cwe) {
+            const number = finding.cwe.replace(/^CWE-/, '');
+            return {
+                id: finding.cwe,
+                name: finding.cwe.replace('-', ''),
+                shortDescription: { text: finding.cwe },
+                helpUri: `https://cwe.mitre.org/data/definitions/${number}.html`,
+                defaultConfiguration: { level: SEVERITY_LEVELS[severity] },
+                properties: {
+                    tags: ['security', `external/cwe/${finding.cwe.toLowerCase()}`],
+                    'security-severity': SECURITY_SEVERITY[severity]
+                }
+            };
+        }
+        
+        const isSecurity = finding.type === 'security-finding' || finding.category === 'security';
+        const category = finding.category || (isSecurity ? 'security' : 'review');
+        const rule = {
+            id: `claude-code/${category}`,
+            name: category.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase()),
+            shortDescription: { text: `Claude Code ${category} finding` },
+            defaultConfiguration: { level: SEVERITY_LEVELS[severity] },
+            properties: {
+                tags: [category]
+            }
+        };
+        
+        if (isSecurity) {
+            rule.properties['security-severity'] = SECURITY_SEVERITY[severity];
+        }
+        
+        return rule;
+    }
+    
+    /**
+     * SARIF result for a finding
+     */
+    buildResult(finding, ruleId, ruleIndex, index, options = {}) {
+        const severity = this.normalizeSeverity(finding.severity);
+        const title = finding.title || finding.description || 'Finding';
+        const text = finding.title && finding.description
+            ? `${finding.title}: ${finding.description}`
+            : title;
+        
+        const result = {
+            ruleId,
+            ruleIndex,
+            level: SEVERITY_LEVELS[severity],
+            message: { text },
+            properties: {
+                findingId: finding.id || `finding-${index + 1}`,
+                severity
+            }
+        };
+        
+        if (finding.recommendation) {
+            result.properties.recommendation = finding.recommendation;
+        }
+        
+        const location = this.buildLocation(finding, options);
+        if (location) {
+            result.locations = [location];
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Physical location for a finding with a file, or null. Relative paths
+     * and absolute ones inside workspaceRoot are given relative to
+     * %SRCROOT%; other absolute paths become file:// URIs of their own.
+     * @param {Object} finding - Finding with `file`, `line`, `endLine`
+     * @param {Object} options - { workspaceRoot }
+     */
+    buildLocation(finding, options = {}) {
+        if (!finding.file) {
+            return null;
+        }
+        
+        const file = String(finding.file);
+        const windows = /^[A-Za-z]:[\\/]|^\\\\/.test(file);
+        const relative = windows || file.startsWith('/')
+            ? this._relativeToRoot(file, options.workspaceRoot, windows)
+            : file;
+        
+        const artifactLocation = relative === null
+            ? { uri: this._fileUri(file, windows) }
+            : { uri: this._encodePath(relative.replace(/^\.\//, '')), uriBaseId: '%SRCROOT%' };
+        
+        const physicalLocation = { artifactLocation };
+        
+        if (Number.isInteger(finding.line) && finding.line > 0) {
+            physicalLocation.region = { startLine: finding.line };
+            if (Number.isInteger(finding.endLine) && finding.endLine >= finding.line) {
+                physicalLocation.region.endLine = finding.endLine;
+            }
+        }
+        
+        return { physicalLocation };
+    }
+    
+    /**
+     * Path of an absolute file inside the workspace root, or null when
+     * there is no root or the file is outside it
+     * @private
+     */
+    _relativeToRoot(file, workspaceRoot, windows) {
+        if (!workspaceRoot) {
+            return null;
+        }
+        
+        // Compare paths the way the platform that wrote them would
+        const flavor = windows ? path.win32 : path.posix;
+        if (!flavor.isAbsolute(workspaceRoot)) {
+            return null;
+        }
+        
+        const relative = flavor.relative(flavor.resolve(workspaceRoot), flavor.resolve(file));
+        if (!relative || relative === '..' || relative.startsWith(`..${flavor.sep}`) || flavor.isAbsolute(relative)) {
+            return null;
+        }
+        return relative;
+    }
+    
+    /**
+     * Absolute file:// URI for a path, including Windows drive and UNC paths
+     * @private
+     */
+    _fileUri(file, windows) {
+        if (!windows) {
+            return `file://${this._encodePath(file)}`;
+        }
+        
+        const normalized = file.replace(/\\/g, '/');
+        if (normalized.startsWith('//')) {
+            // \\server\share\file -> file://server/share/file
+            const [host, ...rest] = normalized.slice(2).split('/');
+            return `file://${host}/${this._encodePath(rest.join('/'))}`;
+        }
+        
+        const [drive, ...rest] = normalized.split('/');
+        return `file:///${drive.toUpperCase()}/${this._encodePath(rest.join('/'))}`;
+    }
+    
+    /**
+     * Percent-encode each segment of a path, with / separators
+     * @private
+     */
+    _encodePath(file) {
+        return file
+            .replace(/\\/g, '/')
+            .split('/')
+            .map(segment => encodeURIComponent(segment))
+            .join('/');
+    }
+    
+    normalizeSeverity(severity) {
+        const value = String(severity || '').toLowerCase();
+        return SEVERITY_LEVELS[value] ? value : 'medium';
+    }
+}
+
+module.exports = SarifExporter;
@@ -0,0 +1,218 @@
+/**
+ * Session Backend for Claude Code Adapter
+ *
+ * Common interface for the ways the adapter can run the Claude Code CLI
+ * (tmux panes, plain child processes, ...). Backends track their sessions
+ * in `this.sessions` and share the expiry and shutdown logic below.
+ */
+
+const { EventEmitter } = require('events');
+
+class SessionBackend extends EventEmitter {
+    constructor() {
+        super();
+        this.sessions = new Map();
+        // Sessions whose lifetime the caller manages, skipped by the sweep
+        this.retainedSessions = new Set();
+        this.config = {};
+        this.initialized = false;
+    }
+    
+    /**
+     * Short backend identifier reported in health checks and metrics
+     */
+    get backendName() {
+        throw new Error('backendName getter must be implemented');
+    }
+    
+    // Core methods - must be implemented by subclasses
+    async initialize(config) {
+        throw new Error('initialize method must be implemented');
+    }
+    
+    async healthCheck() {
+        throw new Error('healthCheck method must be implemented');
+    }
+    
+    /**
+     * Create a session
+     * @param {string} sessionId - Session identifier
+     * @param {Object} options - { workingDirectory, task, environment }
+     * @returns {Object} Session info
+     */
+    async createSession(sessionId, options) {
+        throw new Error('createSession method must be implemented');
+    }
+    
+    /**
+     * Execute a command in a session and wait for it to finish
+     * @param {string} sessionId - Session to run in
+     * @param {string|Object} command - Argument-vector command object
+     *   ({ executable, args, env, cwd, stdin }) or a shell string
+     * @param {Object} options - { timeout, onProgress }
+     * @returns {Object} { output, stdout, stderr, exitCode, status, duration, ... }
+     */
+    async executeCommand(sessionId, command, options) {
+        throw new Error('executeCommand method must be implemented');
+    }
+    
+    /**
+     * Get session status
+     * @param {string} sessionId - Session to inspect
+     * @param {Object} options - Transcript paging { page, pageSize }
+     */
+    async getSessionStatus(sessionId, options) {
+        throw new Error('getSessionStatus method must be implemented');
+    }
+    
+    async destroySession(sessionId) {
+        throw new Error('destroySession method must be implemented');
+    }
+    
+    // Reattachment - optional, for backends whose sessions outlive the process
+    
+    /**
+     * Find sessions that exist outside this process's tracking
+     * @param {string} prefix - Session name prefix to match
+     * @returns {string[]} Session ids
+     */
+    async discoverSessions(prefix) {
+        return [];
+    }
+    
+    /**
+     * Track a session started by an earlier process
+     * @param {string} sessionId - Session to attach
+     * @param {Object} record - Session registry record
+     * @returns {Object} Session info
+     */
+    async attachSession(sessionId, record) {
+        throw new Error(`The ${this.backendName} backend cannot reattach sessions`);
+    }
+    
+    /**
+     * Wait for the command running in an attached session and return its
+     * result in the same shape as executeCommand
+     * @param {string} sessionId - Attached session
+     * @param {Object} options - { timeout, onProgress }
+     */
+    async collectResult(sessionId, options) {
+        throw new Error(`The ${this.backendName} backend cannot reattach sessions`);
+    }
+    
+    /**
+     * Answer a permission or confirmation prompt the session is waiting on
+     * (announced with session:input-required)
+     * @param {string} sessionId - Session showing the prompt
+     * @param {string} answer - 'approve', 'approve_always', 'deny', or an option
+     */
+    async respond(sessionId, answer) {
+        throw new Error(`The ${this.backendName} backend cannot answer prompts`);
+    }
+    
+    /**
+     * Keep a session out of the sessionTimeout sweep, e.g. while it holds
+     * a conversation that is expired on a longer timer by the caller
+     * @param {string} sessionId - Session to keep
+     */
+    retainSession(sessionId) {
+        this.retainedSessions.add(sessionId);
+    }
+    
+    /**
+     * Let the sweep expire a session again
+     * @param {string} sessionId - Session retained with retainSession()
+     */
+    releaseSession(sessionId) {
+        this.retainedSessions.delete(sessionId);
+    }
+    
+    /**
+     * Enforce the session limit before creating a session
+     * @protected
+     */
+    _assertCanCreate(sessionId) {
+        if (this.sessions.has(sessionId)) {
+            throw new Error(`Session ${sessionId} already exists`);
+        }
+        
+        if (this.sessions.size >= this.config.maxSessions) {
+            throw new Error(`Maximum sessions (${this.config.maxSessions}) reached`);
+        }
+    }
+    
+    /**
+     * Start the periodic expiry sweep
+     * @protected
+     */
+    _startCleanupTimer() {
+        this.cleanupTimer = setInterval(() => {
+            this.cleanupExpiredSessions();
+        }, this.config.cleanupInterval);
+    }
+    
+    async listSessions() {
+        const sessions = [];
+        
+        for (const [sessionId, sessionInfo] of this.sessions.entries()) {
+            const status = await this.getSessionStatus(sessionId);
+            sessions.push({
+                sessionId,
+                ...sessionInfo,
+                ...status
+            });
+        }
+        
+        return sessions;
+    }
+    
+    async cleanupExpiredSessions() {
+        const now = Date.now();
+        const expiredSessions = [];
+        
+        for (const [sessionId, sessionInfo] of this.sessions.entries()) {
+            if (this.retainedSessions.has(sessionId)) continue;
+            const age = now - sessionInfo.lastActivity.getTime();
+            
+            if (age > this.config.sessionTimeout) {
+                expiredSessions.push(sessionId);
+            }
+        }
+        
+        // Cleanup expired sessions
+        for (const sessionId of expiredSessions) {
+            console.log(`🕐 Cleaning up expired session: ${sessionId}`);
+            await this.destroySession(sessionId);
+        }
+        
+        return expiredSessions.length;
+    }
+    
+    async shutdown() {
+        try {
+            // Clear cleanup timer
+            if (this.cleanupTimer) {
+                clearInterval(this.cleanupTimer);
+                this.cleanupTimer = null;
+            }
+            
+            // Destroy all tracked sessions
+            const sessionIds = Array.from(this.sessions.keys());
+            for (const sessionId of sessionIds) {
+                await this.destroySession(sessionId);
+            }
+            
+            this.sessions.clear();
+            this.retainedSessions.clear();
+            this.initialized = false;
+            
+            console.log(`✅ ${this.constructor.name} shutdown complete`);
+        
+        } catch (error) {
+            console.error(`Error during ${this.constructor.name} shutdown:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SessionBackend;
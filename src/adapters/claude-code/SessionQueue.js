@@ -0,0 +1,230 @@
+/**
+ * Session Queue for Claude Code Adapter
+ *
+ * Admission control for Claude Code sessions. At most `maxConcurrent`
+ * tasks hold a slot at once; the rest wait in a priority queue with a
+ * bounded depth and a per-task wait timeout.
+ */
+
+const { EventEmitter } = require('events');
+
+const PRIORITY_LEVELS = {
+    critical: 3,
+    high: 2,
+    normal: 1,
+    low: 0
+};
+
+class SessionQueue extends EventEmitter {
+    /**
+     * @param {Object} options - { maxConcurrent, maxQueueDepth, queueTimeout }
+     */
+    constructor(options = {}) {
+        super();
+        this.maxConcurrent = options.maxConcurrent || 10;
+        this.maxQueueDepth = options.maxQueueDepth ?? 100;
+        this.queueTimeout = options.queueTimeout || 600000; // 10 minutes
+        
+        this.running = 0;
+        this.waiting = [];
+        this._sequence = 0;
+        
+        // Moving average of how long a slot is held, for wait estimates
+        this.averageRunTime = 0;
+        this._completedRuns = 0;
+    }
+    
+    /**
+     * Normalize a priority given as a number or a level name
+     * @param {number|string} priority - Priority value
+     * @returns {number} Numeric priority, higher runs first
+     */
+    static normalizePriority(priority) {
+        if (typeof priority === 'number' && Number.isFinite(priority)) {
+            return priority;
+        }
+        return PRIORITY_LEVELS[priority] ?? PRIORITY_LEVELS.normal;
+    }
+    
+    /**
+     * Wait for a free slot
+     * @param {Object} task - Task requesting the slot
+     * @param {Object} options - { priority, timeout }
+     * @returns {Promise<Function>} Resolves with a release function
+     */
+    acquire(task, options = {}) {
+        const priority = SessionQueue.normalizePriority(options.priority);
+        const timeout = options.timeout || this.queueTimeout;
+        
+        if (this.running < this.maxConcurrent && this.waiting.length === 0) {
+            return Promise.resolve(this._grant());
+        }
+        
+        if (this.waiting.length >= this.maxQueueDepth) {
+            return Promise.reject(SessionQueue.rejection(`Session queue is full (${this.maxQueueDepth} tasks waiting)`));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const entry = {
+                task,
+                priority,
+                sequence: this._sequence++,
+                queuedAt: Date.now(),
+                resolve,
+                reject
+            };
+            
+            entry.timer = setTimeout(() => {
+                this._remove(entry);
+                reject(SessionQueue.rejection(`Task ${task.id} waited longer than ${timeout}ms for a session`));
+            }, timeout);
+            
+            // Higher priority first, FIFO within the same priority
+            const index = this.waiting.findIndex(other =>
+                other.priority < priority ||
+                (other.priority === priority && other.sequence > entry.sequence)
+            );
+            if (index === -1) {
+                this.waiting.push(entry);
+            } else {
+                this.waiting.splice(index, 0, entry);
+            }
+            
+            const position = this.waiting.indexOf(entry);
+            this.emit('task:queued', {
+                taskId: task.id,
+                priority,
+                position,
+                queueDepth: this.waiting.length,
+                expectedWaitMs: this.estimateWait(position),
+                timestamp: new Date()
+            });
+        });
+    }
+    
+    /**
+     * Estimated wait for a given queue position, based on observed run times
+     * @param {number} position - Zero-based position in the queue
+     * @returns {number|null} Milliseconds, or null before any run completed
+     */
+    estimateWait(position = this.waiting.length) {
+        if (this._completedRuns === 0) {
+            return null;
+        }
+        const rounds = Math.floor(position / this.maxConcurrent) + 1;
+        return Math.round(rounds * this.averageRunTime);
+    }
+    
+    /**
+     * Tasks currently waiting, in the order they will be admitted
+     */
+    listWaiting() {
+        const now = Date.now();
+        return this.waiting.map((entry, position) => ({
+            taskId: entry.task.id,
+            priority: entry.priority,
+            position,
+            queuedAt: entry.queuedAt,
+            waitTime: now - entry.queuedAt,
+            expectedWaitMs: this.estimateWait(position)
+        }));
+    }
+    
+    getStats() {
+        return {
+            running: this.running,
+            maxConcurrent: this.maxConcurrent,
+            depth: this.waiting.length,
+            maxQueueDepth: this.maxQueueDepth,
+            averageRunTime: Math.round(this.averageRunTime),
+            expectedWaitMs: this.estimateWait()
+        };
+    }
+    
+    /**
+     * An error for a task the queue turned away, marked `queueRejected` so
+     * it is not mistaken for a failed run
+     * @param {string} message - Rejection message
+     * @returns {Error}
+     */
+    static rejection(message) {
+        const error = new Error(message);
+        error.queueRejected = true;
+        return error;
+    }
+    
+    /**
+     * Reject every waiting task (used on shutdown)
+     * @param {string} reason - Rejection message
+     */
+    clear(reason = 'Session queue cleared') {
+        const waiting = this.waiting;
+        this.waiting = [];
+        for (const entry of waiting) {
+            clearTimeout(entry.timer);
+            entry.reject(SessionQueue.rejection(reason));
+        }
+    }
+    
+    /**
+     * Take a slot and return its release function
+     * @private
+     */
+    _grant() {
+        this.running++;
+        const grantedAt = Date.now();
+        let released = false;
+        
+        return () => {
+            if (released) return;
+            released = true;
+            
+            this.running--;
+            this._recordRunTime(Date.now() - grantedAt);
+            this._next();
+        };
+    }
+    
+    /**
+     * Admit the next waiting task if a slot is free
+     * @private
+     */
+    _next() {
+        while (this.running < this.maxConcurrent && this.waiting.length > 0) {
+            const entry = this.waiting.shift();
+            clearTimeout(entry.timer);
+            
+            this.emit('task:dequeued', {
+                taskId: entry.task.id,
+                priority: entry.priority,
+                waitTime: Date.now() - entry.queuedAt,
+                queueDepth: this.waiting.length,
+                timestamp: new Date()
+            });
+            
+            entry.resolve(this._grant());
+        }
+    }
+    
+    /**
+     * @private
+     */
+    _remove(entry) {
+        const index = this.waiting.indexOf(entry);
+        if (index !== -1) {
+            this.waiting.splice(index, 1);
+        }
+    }
+    
+    /**
+     * @private
+     */
+    _recordRunTime(duration) {
+        this._completedRuns++;
+        // Exponential moving average weighted towards recent runs
+        const weight = this._completedRuns === 1 ? 1 : 0.2;
+        this.averageRunTime = this.averageRunTime * (1 - weight) + duration * weight;
+    }
+}
+
+module.exports = SessionQueue;
@@ -0,0 +1,134 @@
+/**
+ * Session Registry for Claude Code Adapter
+ *
+ * Records every session the adapter starts in a JSON-lines file so that a
+ * restarted process can find sessions its predecessor left running. Each
+ * line is the latest state of one session; a `removed` line forgets it.
+ * The file is compacted to one line per session whenever it is loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class SessionRegistry {
+    /**
+     * @param {string} directory - State directory holding the registry file
+     * @param {Object} options - { fileName }
+     */
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.filePath = path.join(directory, options.fileName || 'sessions.jsonl');
+        this.records = new Map();
+        
+        // Appends are chained so lines land in the order they were recorded
+        this._writes = Promise.resolve();
+    }
+    
+    /**
+     * Read the registry file and compact it
+     * @returns {Map} Session records by session id
+     */
+    async load() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        
+        let content = '';
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        
+        this.records.clear();
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A torn final line from a crash mid-write is skipped
+                continue;
+            }
+            
+            if (entry.removed) {
+                this.records.delete(entry.sessionId);
+            } else {
+                this.records.set(entry.sessionId, entry);
+            }
+        }
+        
+        await this.compact();
+        return this.records;
+    }
+    
+    get(sessionId) {
+        return this.records.get(sessionId) || null;
+    }
+    
+    list() {
+        return Array.from(this.records.values());
+    }
+    
+    /**
+     * Merge fields into a session's record and persist it
+     * @param {string} sessionId - Session identifier
+     * @param {Object} fields - Fields to set
+     * @returns {Object} Updated record
+     */
+    async record(sessionId, fields) {
+        const entry = {
+            ...this.records.get(sessionId),
+            ...fields,
+            sessionId,
+            updatedAt: new Date().toISOString()
+        };
+        
+        this.records.set(sessionId, entry);
+        await this._append(entry);
+        return entry;
+    }
+    
+    /**
+     * Forget a session
+     */
+    async remove(sessionId) {
+        if (!this.records.delete(sessionId)) {
+            return;
+        }
+        await this._append({ sessionId, removed: true });
+    }
+    
+    /**
+     * Rewrite the file with one line per known session
+     */
+    async compact() {
+        const write = this._writes.then(async () => {
+            const lines = this.list().map(entry => JSON.stringify(entry) + '\n').join('');
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, lines);
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this._writes = write.catch(() => {});
+        return write;
+    }
+    
+    /**
+     * Wait for pending writes
+     */
+    async flush() {
+        await this._writes;
+    }
+    
+    /**
+     * @private
+     */
+    _append(entry) {
+        const write = this._writes.then(() =>
+            fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n')
+        );
+        this._writes = write.catch(() => {});
+        return write;
+    }
+}
+
+module.exports = SessionRegistry;
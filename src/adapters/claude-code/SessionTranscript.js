@@ -0,0 +1,190 @@
+/**
+ * Session Transcript for Claude Code Adapter
+ *
+ * Keeps the complete output of a tmux session on disk. The raw byte stream
+ * from `tmux pipe-pane` is appended to one file and an ANSI-cleaned copy is
+ * kept next to it, so results are never limited to the visible pane.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// CSI (colours, cursor movement), OSC (titles, hyperlinks) and other
+// two-character escape sequences emitted by terminal programs
+const CSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]/g;
+const OSC_PATTERN = /\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g;
+const ESC_PATTERN = /\x1b[@-Z\\-_]/g;
+
+class SessionTranscript {
+    /**
+     * @param {string} directory - Directory holding transcript files
+     * @param {string} sessionId - Session the transcript belongs to
+     */
+    constructor(directory, sessionId) {
+        this.sessionId = sessionId;
+        this.directory = directory;
+        this.rawPath = path.join(directory, `${sessionId}.raw.log`);
+        this.cleanPath = path.join(directory, `${sessionId}.log`);
+    }
+    
+    /**
+     * Create the transcript directory and an empty raw file
+     */
+    async open() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.appendFile(this.rawPath, '');
+    }
+    
+    /**
+     * Shell command for `tmux pipe-pane` that appends pane output to the raw file
+     */
+    pipeCommand() {
+        return `cat >> '${this.rawPath.replace(/'/g, `'\\''`)}'`;
+    }
+    
+    /**
+     * Current size of the raw transcript in bytes
+     */
+    async size() {
+        try {
+            const stats = await fs.promises.stat(this.rawPath);
+            return stats.size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+    }
+    
+    /**
+     * Wait until pipe-pane has stopped appending, so a segment read right
+     * after a command finishes includes its last lines
+     * @param {number} interval - Delay between size checks in ms
+     * @param {number} maxWait - Upper bound on the wait in ms
+     */
+    async settle(interval = 100, maxWait = 2000) {
+        const deadline = Date.now() + maxWait;
+        let previous = await this.size();
+        
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, interval));
+            const current = await this.size();
+            if (current === previous) {
+                return current;
+            }
+            previous = current;
+        }
+        
+        return previous;
+    }
+    
+    /**
+     * Read a byte range of the raw transcript
+     * @param {number} start - Start offset (inclusive)
+     * @param {number} end - End offset (exclusive), defaults to end of file
+     * @returns {string} Raw text in range
+     */
+    async readRaw(start = 0, end = null) {
+        let handle;
+        try {
+            handle = await fs.promises.open(this.rawPath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return '';
+            throw error;
+        }
+        
+        try {
+            const { size } = await handle.stat();
+            const stop = end === null ? size : Math.min(end, size);
+            const length = Math.max(stop - start, 0);
+            const buffer = Buffer.alloc(length);
+            await handle.read(buffer, 0, length, start);
+            return buffer.toString('utf8');
+        } finally {
+            await handle.close();
+        }
+    }
+    
+    /**
+     * Read a byte range of the transcript as cleaned text
+     */
+    async readSegment(start = 0, end = null) {
+        return SessionTranscript.clean(await this.readRaw(start, end));
+    }
+    
+    /**
+     * Regenerate the cleaned transcript file from the raw one
+     * @returns {string} Cleaned transcript
+     */
+    async sync() {
+        const cleaned = SessionTranscript.clean(await this.readRaw());
+        await fs.promises.writeFile(this.cleanPath, cleaned);
+        return cleaned;
+    }
+    
+    /**
+     * Paged access to the cleaned transcript by line
+     * @param {Object} options - { page, pageSize }; negative pages count from the end
+     * @returns {Object} Page of lines with paging metadata
+     */
+    async page(options = {}) {
+        const { pageSize = 200 } = options;
+        const cleaned = await this.sync();
+        const lines = cleaned.length > 0 ? cleaned.replace(/\n$/, '').split('\n') : [];
+        const totalPages = Math.max(Math.ceil(lines.length / pageSize), 1);
+        
+        let page = options.page === undefined ? -1 : options.page;
+        if (page < 0) {
+            page = totalPages + page;
+        }
+        page = Math.min(Math.max(page, 0), totalPages - 1);
+        
+        return {
+            page,
+            pageSize,
+            totalPages,
+            totalLines: lines.length,
+            lines: lines.slice(page * pageSize, (page + 1) * pageSize),
+            rawPath: this.rawPath,
+            cleanPath: this.cleanPath
+        };
+    }
+    
+    /**
+     * Strip terminal control sequences and apply carriage returns and
+     * backspaces the way a terminal would render them
+     * @param {string} raw - Raw terminal output
+     * @returns {string} Plain text
+     */
+    static clean(raw) {
+        const stripped = raw
+            .replace(OSC_PATTERN, '')
+            .replace(CSI_PATTERN, '')
+            .replace(ESC_PATTERN, '')
+            .replace(/\r\n/g, '\n');
+        
+        return stripped
+            .split('\n')
+            .map(line => {
+                // Text after the last carriage return overwrites the line start
+                const segments = line.split('\r');
+                let rendered = '';
+                for (const segment of segments) {
+                    rendered = segment + rendered.slice(segment.length);
+                }
+                
+                // Apply backspaces
+                let result = '';
+                for (const char of rendered) {
+                    if (char === '\b') {
+                        result = result.slice(0, -1);
+                    } else if (char >= ' ' || char === '\t') {
+                        result += char;
+                    }
+                }
+                return result;
+            })
+            .join('\n');
+    }
+}
+
+module.exports = SessionTranscript;
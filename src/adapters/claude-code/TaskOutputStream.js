@@ -0,0 +1,84 @@
+/**
+ * Task Output Stream for Claude Code Adapter
+ *
+ * Object-mode Readable returned by ClaudeCodeAdapter.stream(). Each chunk
+ * carries only the output that is new since the previous chunk; the task
+ * result is available from `stream.result` once the stream ends.
+ *
+ *   const stream = adapter.stream(task);
+ *   for await (const chunk of stream) process.stdout.write(chunk.text);
+ *   const result = await stream.result;
+ */
+
+const { Readable } = require('stream');
+const OutputDelta = require('./OutputDelta');
+
+class TaskOutputStream extends Readable {
+    /**
+     * @param {Object} options - { taskId, ansi, highWaterMark }
+     */
+    constructor(options = {}) {
+        super({ objectMode: true, highWaterMark: options.highWaterMark || 64 });
+        
+        this.taskId = options.taskId;
+        this.sessionId = null;
+        this.delta = new OutputDelta({ ansi: options.ansi });
+        this.startTime = Date.now();
+        
+        this.result = new Promise((resolve, reject) => {
+            this._resolveResult = resolve;
+            this._rejectResult = reject;
+        });
+        // Callers that only iterate must not see an unhandled rejection
+        this.result.catch(() => {});
+    }
+    
+    /**
+     * Feed a progress report from the session backend
+     * @param {Object} progress - { sessionId, output, duration, status }
+     * @returns {Object|null} The chunk pushed, if any output was new
+     */
+    update(progress) {
+        this.sessionId = progress.sessionId || this.sessionId;
+        
+        const delta = this.delta.next(progress.output);
+        if (!delta || this.readableEnded || this.destroyed) {
+            return null;
+        }
+        
+        const chunk = {
+            type: 'output',
+            taskId: this.taskId,
+            sessionId: this.sessionId,
+            ...delta,
+            timestamp: new Date(),
+            elapsed: Date.now() - this.startTime
+        };
+        this.push(chunk);
+        return chunk;
+    }
+    
+    /**
+     * End the stream with the task result
+     * @param {Object} result - Result from executeTask
+     */
+    finish(result) {
+        this._resolveResult(result);
+        this.push(null);
+    }
+    
+    /**
+     * End the stream with an error
+     * @param {Error} error - Why the task could not run
+     */
+    fail(error) {
+        this._rejectResult(error);
+        this.destroy(error);
+    }
+    
+    _read() {
+        // Chunks are pushed as progress arrives
+    }
+}
+
+module.exports = TaskOutputStream;
@@ -3,20 +3,28 @@
  * 
  * Manages tmux sessions for isolated Claude Code execution,
  * providing session lifecycle management and monitoring.
+ * This is the default SessionBackend.
  */
 
-const { exec, spawn } = require('child_process');
+const { exec, execFile, spawn } = require('child_process');
 const { promisify } = require('util');
-const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const CompletionSentinel = require('./CompletionSentinel');
+const SessionTranscript = require('./SessionTranscript');
+const SessionBackend = require('./SessionBackend');
+const PermissionPrompt = require('./PermissionPrompt');
+const ApprovalPolicy = require('./ApprovalPolicy');
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
-class TmuxSessionManager extends EventEmitter {
-    constructor() {
-        super();
-        this.sessions = new Map();
-        this.config = {};
-        this.initialized = false;
+// Characters at the end of a command's stdout searched for a prompt
+const PROMPT_WINDOW = 8192;
+
+class TmuxSessionManager extends SessionBackend {
+    get backendName() {
+        return 'tmux';
     }
     
     async initialize(config = {}) {
@@ -25,13 +33,21 @@ class TmuxSessionManager extends EventEmitter {
             maxSessions: config.maxSessions || 10,
             sessionTimeout: config.sessionTimeout || 300000, // 5 minutes
             cleanupInterval: config.cleanupInterval || 60000,  // 1 minute
+            pollInterval: config.pollInterval || 1000,
+            // 'sentinel' waits for the wrapped command's end marker;
+            // 'heuristic' watches the pane for prompt-like output
+            completionDetection: config.completionDetection || 'sentinel',
+            runDirectory: config.runDirectory || CompletionSentinel.defaultBaseDirectory(),
+            transcriptDirectory: config.transcriptDirectory ||
+                path.join(CompletionSentinel.defaultBaseDirectory(), 'transcripts'),
             ...config
         };
         
+        // Answers permission prompts nobody should have to wait on
+        this.approvalPolicy = this.config.approvalPolicy ? ApprovalPolicy.from(this.config.approvalPolicy) : null;
+        
         // Start cleanup timer
-        this.cleanupTimer = setInterval(() => {
-            this.cleanupExpiredSessions();
-        }, this.config.cleanupInterval);
+        this._startCleanupTimer();
         
         this.initialized = true;
         console.log('✅ TmuxSessionManager initialized');
@@ -47,6 +63,7 @@ class TmuxSessionManager extends EventEmitter {
             
             return {
                 healthy: true,
+                backend: this.backendName,
                 activeSessions,
                 tmuxSessions,
                 maxSessions: this.config.maxSessions,
@@ -63,13 +80,7 @@ class TmuxSessionManager extends EventEmitter {
     }
     
     async createSession(sessionId, options = {}) {
-        if (this.sessions.has(sessionId)) {
-            throw new Error(`Session ${sessionId} already exists`);
-        }
-        
-        if (this.sessions.size >= this.config.maxSessions) {
-            throw new Error(`Maximum sessions (${this.config.maxSessions}) reached`);
-        }
+        this._assertCanCreate(sessionId);
         
         const {
             workingDirectory = process.cwd(),
@@ -96,6 +107,11 @@ class TmuxSessionManager extends EventEmitter {
             // Configure session settings
             await execAsync(`tmux set-option -t ${sessionId} remain-on-exit on`); // Keep session alive after command exit
             
+            // Stream everything the pane prints into the session transcript
+            const transcript = new SessionTranscript(this.config.transcriptDirectory, sessionId);
+            await transcript.open();
+            await execFileAsync('tmux', ['pipe-pane', '-o', '-t', sessionId, transcript.pipeCommand()]);
+            
             // Store session info
             const sessionInfo = {
                 sessionId,
@@ -106,6 +122,7 @@ class TmuxSessionManager extends EventEmitter {
                 lastActivity: new Date(),
                 status: 'created',
                 output: [],
+                transcript,
                 pid: null
             };
             
@@ -114,6 +131,7 @@ class TmuxSessionManager extends EventEmitter {
             this.emit('session:created', {
                 sessionId,
                 workingDirectory,
+                transcriptPath: transcript.rawPath,
                 timestamp: new Date()
             });
             
@@ -130,6 +148,15 @@ class TmuxSessionManager extends EventEmitter {
         }
     }
     
+    /**
+     * Execute a command in a session
+     * @param {string} sessionId - Session to run in
+     * @param {string|Object} command - Argument-vector command object from
+     *   CommandBuilder ({ executable, args, env, cwd, stdin, keepStdinOpen })
+     *   or a shell string; `keepStdinOpen` lets the command read answers to
+     *   its prompts from stdin after the stdin content
+     * @param {Object} options - { timeout, onProgress, completionDetection }
+     */
     async executeCommand(sessionId, command, options = {}) {
         const sessionInfo = this.sessions.get(sessionId);
         if (!sessionInfo) {
@@ -138,115 +165,547 @@ class TmuxSessionManager extends EventEmitter {
         
         const {
             timeout = this.config.sessionTimeout,
-            onProgress = null
+            onProgress = null,
+            completionDetection = this.config.completionDetection
         } = options;
         
         try {
             sessionInfo.status = 'executing';
             sessionInfo.lastActivity = new Date();
             
-            // Send command to tmux session
-            await execAsync(`tmux send-keys -t ${sessionId} "${command.replace(/"/g, '\\"')}" C-m`);
+            if (completionDetection === 'heuristic') {
+                const commandLine = await this._renderForHeuristic(sessionId, command);
+                return await this._executeWithHeuristic(sessionInfo, commandLine, { timeout, onProgress });
+            }
             
-            // Monitor execution with timeout
-            const startTime = Date.now();
-            let lastOutputTime = startTime;
-            const outputBuffer = [];
+            return await this._executeWithSentinel(sessionInfo, command, { timeout, onProgress });
+            
+        } catch (error) {
+            if (sessionInfo.status === 'executing') {
+                sessionInfo.status = 'error';
+            }
+            this.emit('session:error', {
+                sessionId,
+                phase: 'execution',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Run a command wrapped by a completion sentinel and wait for its
+     * end marker, reporting the real exit code and separate streams
+     * @private
+     */
+    async _executeWithSentinel(sessionInfo, command, { timeout, onProgress }) {
+        const { sessionId } = sessionInfo;
+        const sentinel = new CompletionSentinel(
+            path.join(this.config.runDirectory, sessionId, `run-${Date.now()}`)
+        );
+        
+        const wrapperLine = await sentinel.prepare(command);
+        const transcriptStart = await sessionInfo.transcript.size();
+        await this._sendKeys(sessionId, wrapperLine);
+        
+        // Enough to find the run again after a restart (see collectResult)
+        sessionInfo.run = {
+            runId: sentinel.runId,
+            runDirectory: sentinel.runDirectory,
+            transcriptStart,
+            startedAt: new Date().toISOString()
+        };
+        this.emit('command:started', {
+            sessionId,
+            run: sessionInfo.run,
+            timestamp: new Date()
+        });
+        
+        return await this._waitForSentinel(sessionInfo, sentinel, transcriptStart, { timeout, onProgress });
+    }
+    
+    /**
+     * Poll a sentinel until its command finishes or the timeout passes
+     * @private
+     */
+    async _waitForSentinel(sessionInfo, sentinel, transcriptStart, { timeout, onProgress }) {
+        const { sessionId } = sessionInfo;
+        const startTime = Date.now();
+        const outputBuffer = [];
+        let lastStdout = '';
+        
+        if (onProgress) {
+            onProgress({
+                sessionId,
+                output: '',
+                duration: 0,
+                status: 'started'
+            });
+        }
+        
+        try {
+            while (true) {
+                // Destroyed from under the run, e.g. by cancelTask
+                if (this.sessions.get(sessionId) !== sessionInfo) {
+                    throw new Error(`Session ${sessionId} was destroyed while its command was running`);
+                }
+                
+                const completion = await sentinel.poll();
+                const { stdout, stderr } = await sentinel.readOutput();
+                
+                if (stdout !== lastStdout) {
+                    lastStdout = stdout;
+                    sessionInfo.lastActivity = new Date();
+                    
+                    outputBuffer.push({
+                        timestamp: new Date(),
+                        content: stdout
+                    });
+                    
+                    if (onProgress) {
+                        onProgress({
+                            sessionId,
+                            output: stdout,
+                            duration: Date.now() - startTime,
+                            status: 'running'
+                        });
+                    }
+                }
+                
+                if (completion) {
+                    const status = completion.exitCode === 0 ? 'completed' : 'failed';
+                    sessionInfo.status = status;
+                    sessionInfo.output = outputBuffer;
+                    sessionInfo.run = null;
+                    sessionInfo.pendingPrompt = null;
+                    sessionInfo.input = null;
+                    
+                    const transcript = await this._readTranscriptSegment(sessionInfo, transcriptStart);
+                    
+                    return {
+                        sessionId,
+                        runId: sentinel.runId,
+                        output: transcript.output,
+                        transcript: transcript.info,
+                        stdout,
+                        stderr,
+                        exitCode: completion.exitCode,
+                        outputBuffer,
+                        duration: Date.now() - startTime,
+                        status
+                    };
+                }
+                
+                if (Date.now() - startTime > timeout) {
+                    sessionInfo.status = 'timeout';
+                    
+                    // Interrupt the wrapped command so the shell is usable again
+                    await execFileAsync('tmux', ['send-keys', '-t', sessionId, 'C-c']).catch(() => {});
+                    
+                    throw new Error(`Command execution timeout after ${timeout}ms`);
+                }
+                
+                // A command reading the stdin FIFO prompts on its own output
+                // and is answered there; one fed a prompt on stdin can only
+                // ask on the terminal, and cannot read an answer from it
+                sessionInfo.input = await sentinel.acceptsInput() ? sentinel : null;
+                sessionInfo.stdinClosed = !sessionInfo.input;
+                await this._watchForPrompt(sessionInfo, sessionInfo.input ? stdout.slice(-PROMPT_WINDOW) : null);
+                await new Promise(resolve => setTimeout(resolve, this.config.pollInterval));
+            }
+        } finally {
+            sessionInfo.input = null;
+            sessionInfo.stdinClosed = false;
+            await sentinel.cleanup().catch(() => {});
+        }
+    }
+    
+    /**
+     * Names of live tmux sessions with the given prefix, tracked or not
+     * @param {string} prefix - Session name prefix
+     * @returns {string[]} Session ids
+     */
+    async discoverSessions(prefix = this.config.sessionPrefix) {
+        try {
+            const { stdout } = await execFileAsync('tmux', ['list-sessions', '-F', '#{session_name}']);
+            return stdout.split('\n').filter(name => name && name.startsWith(`${prefix}-`));
+        } catch (error) {
+            // No tmux server running means no sessions
+            return [];
+        }
+    }
+    
+    /**
+     * Track a tmux session started by an earlier process, resuming its
+     * transcript and any sentinel run recorded for it
+     * @param {string} sessionId - Live tmux session
+     * @param {Object} record - Session registry record { task, workingDirectory, run, ... }
+     */
+    async attachSession(sessionId, record = {}) {
+        if (this.sessions.has(sessionId)) {
+            return this.sessions.get(sessionId);
+        }
+        
+        const live = await this.discoverSessions(this.config.sessionPrefix);
+        if (!live.includes(sessionId)) {
+            throw new Error(`tmux session ${sessionId} is not running`);
+        }
+        
+        // The previous process's pipe normally survives it; pipe-pane -o
+        // would toggle that pipe off, so only open one if none is active
+        const transcript = new SessionTranscript(this.config.transcriptDirectory, sessionId);
+        await transcript.open();
+        const { stdout: piped } = await execFileAsync('tmux', ['display-message', '-p', '-t', sessionId, '#{pane_pipe}']);
+        if (piped.trim() !== '1') {
+            await execFileAsync('tmux', ['pipe-pane', '-t', sessionId, transcript.pipeCommand()]);
+        }
+        
+        const sessionInfo = {
+            sessionId,
+            task: record.task || null,
+            workingDirectory: record.workingDirectory || null,
+            environment: {},
+            createdAt: record.startTime ? new Date(record.startTime) : new Date(),
+            lastActivity: new Date(),
+            status: record.run ? 'executing' : (record.status || 'created'),
+            output: [],
+            transcript,
+            run: record.run || null,
+            attached: true,
+            pid: null
+        };
+        
+        this.sessions.set(sessionId, sessionInfo);
+        
+        this.emit('session:attached', {
+            sessionId,
+            hasRun: !!sessionInfo.run,
+            transcriptPath: transcript.rawPath,
+            timestamp: new Date()
+        });
+        
+        console.log(`🔗 Reattached tmux session: ${sessionId}`);
+        return sessionInfo;
+    }
+    
+    /**
+     * Wait for the sentinel run recorded for an attached session
+     * @param {string} sessionId - Attached session
+     * @param {Object} options - { timeout, onProgress }
+     */
+    async collectResult(sessionId, options = {}) {
+        const sessionInfo = this.sessions.get(sessionId);
+        if (!sessionInfo) {
+            throw new Error(`Session ${sessionId} not found`);
+        }
+        if (!sessionInfo.run) {
+            throw new Error(`Session ${sessionId} has no command to collect`);
+        }
+        
+        const {
+            timeout = this.config.sessionTimeout,
+            onProgress = null
+        } = options;
+        
+        const { runId, runDirectory, transcriptStart = 0 } = sessionInfo.run;
+        const sentinel = new CompletionSentinel(runDirectory, { runId });
+        
+        try {
+            return await this._waitForSentinel(sessionInfo, sentinel, transcriptStart, { timeout, onProgress });
             
-            return new Promise((resolve, reject) => {
-                const checkInterval = 1000; // Check every second
-                const progressInterval = setInterval(async () => {
-                    try {
-                        // Capture current pane content
-                        const { stdout } = await execAsync(`tmux capture-pane -t ${sessionId} -p`);
+        } catch (error) {
+            if (sessionInfo.status === 'executing') {
+                sessionInfo.status = 'error';
+            }
+            this.emit('session:error', {
+                sessionId,
+                phase: 'collection',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Run a command and detect completion from pane content (opt-in fallback)
+     * @private
+     */
+    async _executeWithHeuristic(sessionInfo, commandLine, { timeout, onProgress }) {
+        const { sessionId } = sessionInfo;
+        
+        // Send command to tmux session
+        const transcriptStart = await sessionInfo.transcript.size();
+        await this._sendKeys(sessionId, commandLine);
+        
+        // Monitor execution with timeout
+        const startTime = Date.now();
+        let lastOutputTime = startTime;
+        const outputBuffer = [];
+        
+        return new Promise((resolve, reject) => {
+            const progressInterval = setInterval(async () => {
+                try {
+                    // Capture current pane content
+                    const { stdout } = await execAsync(`tmux capture-pane -t ${sessionId} -p`);
+                    
+                    if (stdout !== sessionInfo.lastOutput) {
+                        sessionInfo.lastOutput = stdout;
+                        sessionInfo.lastActivity = new Date();
+                        lastOutputTime = Date.now();
                         
-                        if (stdout !== sessionInfo.lastOutput) {
-                            sessionInfo.lastOutput = stdout;
-                            sessionInfo.lastActivity = new Date();
-                            lastOutputTime = Date.now();
-                            
-                            // Add to output buffer
-                            outputBuffer.push({
-                                timestamp: new Date(),
-                                content: stdout
-                            });
-                            
-                            // Call progress callback if provided
-                            if (onProgress) {
-                                onProgress({
-                                    sessionId,
-                                    output: stdout,
-                                    duration: Date.now() - startTime,
-                                    status: 'running'
-                                });
-                            }
-                        }
+                        // Add to output buffer
+                        outputBuffer.push({
+                            timestamp: new Date(),
+                            content: stdout
+                        });
                         
-                        // Check for command completion indicators
-                        // This is heuristic - look for shell prompt or specific completion markers
-                        if (this.isCommandComplete(stdout)) {
-                            clearInterval(progressInterval);
-                            
-                            sessionInfo.status = 'completed';
-                            sessionInfo.output = outputBuffer;
-                            
-                            resolve({
+                        // Call progress callback if provided
+                        if (onProgress) {
+                            onProgress({
                                 sessionId,
                                 output: stdout,
-                                outputBuffer,
                                 duration: Date.now() - startTime,
-                                status: 'completed'
+                                status: 'running'
                             });
-                            return;
                         }
+                    }
+                    
+                    // A command waiting for an answer has not finished
+                    const waitingForInput = await this._watchForPrompt(sessionInfo, stdout);
+                    
+                    // Check for command completion indicators
+                    // This is heuristic - look for shell prompt or specific completion markers
+                    if (!waitingForInput && this.isCommandComplete(stdout)) {
+                        clearInterval(progressInterval);
                         
-                        // Check for timeout
-                        if (Date.now() - startTime > timeout) {
-                            clearInterval(progressInterval);
-                            
-                            sessionInfo.status = 'timeout';
-                            
-                            reject(new Error(`Command execution timeout after ${timeout}ms`));
-                            return;
-                        }
+                        sessionInfo.status = 'completed';
+                        sessionInfo.output = outputBuffer;
                         
-                        // Check for inactivity timeout (no output change)
-                        if (Date.now() - lastOutputTime > timeout / 2) {
-                            console.warn(`⚠️  No output change for ${(Date.now() - lastOutputTime) / 1000}s in session ${sessionId}`);
-                        }
+                        const transcript = await this._readTranscriptSegment(sessionInfo, transcriptStart);
                         
-                    } catch (error) {
+                        resolve({
+                            sessionId,
+                            output: transcript.output,
+                            transcript: transcript.info,
+                            outputBuffer,
+                            exitCode: null,
+                            duration: Date.now() - startTime,
+                            status: 'completed'
+                        });
+                        return;
+                    }
+                    
+                    // Check for timeout
+                    if (Date.now() - startTime > timeout) {
                         clearInterval(progressInterval);
-                        sessionInfo.status = 'error';
-                        reject(error);
+                        
+                        sessionInfo.status = 'timeout';
+                        
+                        reject(new Error(`Command execution timeout after ${timeout}ms`));
+                        return;
                     }
-                }, checkInterval);
-                
-                // Initial progress call
-                if (onProgress) {
-                    onProgress({
-                        sessionId,
-                        output: '',
-                        duration: 0,
-                        status: 'started'
-                    });
+                    
+                    // Check for inactivity timeout (no output change)
+                    if (Date.now() - lastOutputTime > timeout / 2) {
+                        console.warn(`⚠️  No output change for ${(Date.now() - lastOutputTime) / 1000}s in session ${sessionId}`);
+                    }
+                    
+                } catch (error) {
+                    clearInterval(progressInterval);
+                    sessionInfo.status = 'error';
+                    reject(error);
                 }
-            });
+            }, this.config.pollInterval);
             
-        } catch (error) {
-            sessionInfo.status = 'error';
-            this.emit('session:error', {
-                sessionId,
-                phase: 'execution',
-                error: error.message
-            });
-            throw error;
+            // Initial progress call
+            if (onProgress) {
+                onProgress({
+                    sessionId,
+                    output: '',
+                    duration: 0,
+                    status: 'started'
+                });
+            }
+        });
+    }
+    
+    /**
+     * Turn a command object into a shell line for heuristic execution,
+     * writing its stdin to a file under the session's run directory
+     * @private
+     */
+    async _renderForHeuristic(sessionId, command) {
+        if (typeof command === 'string') {
+            return command;
+        }
+        
+        let stdinPath = null;
+        if (command.stdin !== undefined && command.stdin !== null) {
+            const directory = path.join(this.config.runDirectory, sessionId);
+            await fs.promises.mkdir(directory, { recursive: true });
+            stdinPath = path.join(directory, `stdin-${Date.now()}.txt`);
+            await fs.promises.writeFile(stdinPath, command.stdin, { mode: 0o600 });
+        }
+        
+        return CompletionSentinel.renderCommand(command, stdinPath);
+    }
+    
+    /**
+     * Read the cleaned transcript written since a run started
+     * @private
+     */
+    async _readTranscriptSegment(sessionInfo, start) {
+        const { transcript } = sessionInfo;
+        const end = await transcript.settle();
+        const output = await transcript.readSegment(start, end);
+        await transcript.sync();
+        
+        return {
+            output,
+            info: {
+                rawPath: transcript.rawPath,
+                cleanPath: transcript.cleanPath,
+                startOffset: start,
+                endOffset: end
+            }
+        };
+    }
+    
+    /**
+     * Answer the permission or confirmation prompt a session is waiting on.
+     * Rejects when the running command reads its stdin from a file, as
+     * CommandBuilder's commands do unless built with keepStdinOpen.
+     * @param {string} sessionId - Session showing the prompt
+     * @param {string} answer - 'approve', 'approve_always', 'deny', or an
+     *   option key or label from the prompt
+     * @returns {Object} { sessionId, promptId, answer, key }
+     */
+    async respond(sessionId, answer) {
+        const sessionInfo = this.sessions.get(sessionId);
+        if (!sessionInfo) {
+            throw new Error(`Session ${sessionId} not found`);
+        }
+        if (!sessionInfo.pendingPrompt || sessionInfo.pendingPrompt.answer) {
+            throw new Error(`Session ${sessionId} is not waiting for input`);
+        }
+        
+        return this._answerPrompt(sessionInfo, answer, { auto: false });
+    }
+    
+    /**
+     * Look for a prompt at the bottom of the pane or the command's output.
+     * A new prompt is answered by the approval policy or announced with
+     * session:input-required.
+     * @param {Object} sessionInfo - Executing session
+     * @param {string|null} pane - Output to search; the pane is captured
+     *   if not given
+     * @returns {Object|null} The prompt on screen, if any
+     * @private
+     */
+    async _watchForPrompt(sessionInfo, pane = null) {
+        const { sessionId } = sessionInfo;
+        
+        if (pane === null) {
+            try {
+                ({ stdout: pane } = await execFileAsync('tmux', ['capture-pane', '-p', '-t', sessionId]));
+            } catch (error) {
+                return null;
+            }
+        }
+        
+        const prompt = PermissionPrompt.detect(pane);
+        if (!prompt) {
+            sessionInfo.pendingPrompt = null;
+            return null;
+        }
+        
+        // Still on screen from an earlier poll, or not redrawn yet after an answer
+        if (sessionInfo.pendingPrompt?.id === prompt.id) {
+            return sessionInfo.pendingPrompt;
+        }
+        
+        sessionInfo.pendingPrompt = { ...prompt, detectedAt: new Date() };
+        sessionInfo.lastActivity = new Date();
+        
+        const decision = this.approvalPolicy ? this.approvalPolicy.decide(prompt) : { answer: 'ask', rule: null };
+        if (decision.answer !== 'ask') {
+            try {
+                await this._answerPrompt(sessionInfo, decision.answer, { auto: true, rule: decision.rule });
+                return sessionInfo.pendingPrompt;
+            } catch (error) {
+                // e.g. 'approve_always' on a prompt that cannot remember the answer
+                console.warn(`⚠️  Approval policy could not answer prompt in session ${sessionId}:`, error.message);
+            }
+        }
+        
+        this.emit('session:input-required', {
+            sessionId,
+            taskId: sessionInfo.task?.id || null,
+            prompt,
+            timestamp: new Date()
+        });
+        
+        console.log(`✋ Session ${sessionId} is waiting for input: ${prompt.question}`);
+        return sessionInfo.pendingPrompt;
+    }
+    
+    /**
+     * Send the keys for an answer, to the command's stdin when it reads the
+     * FIFO and to the pane otherwise, and record it on the pending prompt
+     * @private
+     */
+    async _answerPrompt(sessionInfo, answer, { auto, rule = null }) {
+        const { sessionId, pendingPrompt: prompt } = sessionInfo;
+        const keys = PermissionPrompt.keysFor(prompt, answer);
+        
+        if (sessionInfo.stdinClosed) {
+            throw new Error(`Session ${sessionId} is running a command that cannot read an answer: its stdin is not kept open`);
         }
+        if (sessionInfo.input) {
+            await sessionInfo.input.sendInput(keys.enter ? `${keys.input}\n` : keys.input);
+        } else {
+            await execFileAsync('tmux', ['send-keys', '-t', sessionId, '-l', keys.input]);
+            if (keys.enter) {
+                await execFileAsync('tmux', ['send-keys', '-t', sessionId, 'C-m']);
+            }
+        }
+        
+        prompt.answer = keys.option.answer || keys.option.key;
+        prompt.answeredAt = new Date();
+        sessionInfo.lastActivity = new Date();
+        
+        const response = {
+            sessionId,
+            promptId: prompt.id,
+            answer: prompt.answer,
+            key: keys.input
+        };
+        
+        this.emit('session:input-answered', {
+            ...response,
+            taskId: sessionInfo.task?.id || null,
+            question: prompt.question,
+            auto,
+            rule,
+            timestamp: new Date()
+        });
+        
+        return response;
+    }
+    
+    /**
+     * Type a line into the session's pane literally and press Enter
+     * @private
+     */
+    async _sendKeys(sessionId, line) {
+        await execFileAsync('tmux', ['send-keys', '-t', sessionId, '-l', line]);
+        await execFileAsync('tmux', ['send-keys', '-t', sessionId, 'C-m']);
     }
     
     /**
      * Heuristic to detect command completion
-     * This is imperfect but works for most cases
+     * Only used when completionDetection is 'heuristic'; it can misfire on
+     * output that ends in a prompt-like character or on custom prompts
      */
     isCommandComplete(output) {
         const lines = output.split('\n');
@@ -256,7 +715,6 @@ class TmuxSessionManager extends EventEmitter {
         const promptIndicators = [
             /\$\s*$/,           // bash/sh prompt ending with $
             />\s*$/,            // zsh prompt ending with >
-            /carlosleivacom.*\$/, // specific user prompt
             /repochief.*\$/,    // repochief workspace prompt
         ];
         
@@ -280,7 +738,12 @@ class TmuxSessionManager extends EventEmitter {
         return false;
     }
     
-    async getSessionStatus(sessionId) {
+    /**
+     * Get session status with paged access to the full transcript
+     * @param {string} sessionId - Session to inspect
+     * @param {Object} options - Transcript paging { page, pageSize }; defaults to the last page
+     */
+    async getSessionStatus(sessionId, options = {}) {
         const sessionInfo = this.sessions.get(sessionId);
         if (!sessionInfo) {
             return { found: false };
@@ -302,6 +765,8 @@ class TmuxSessionManager extends EventEmitter {
                 }
             }
             
+            const transcript = await sessionInfo.transcript.page(options);
+            
             return {
                 found: true,
                 sessionId,
@@ -311,6 +776,8 @@ class TmuxSessionManager extends EventEmitter {
                 workingDirectory: sessionInfo.workingDirectory,
                 tmuxExists,
                 currentOutput,
+                pendingPrompt: sessionInfo.pendingPrompt || null,
+                transcript,
                 outputHistory: sessionInfo.output || []
             };
             
@@ -327,16 +794,27 @@ class TmuxSessionManager extends EventEmitter {
         const sessionInfo = this.sessions.get(sessionId);
         
         try {
+            // Bring the cleaned transcript up to date; it stays on disk
+            if (sessionInfo?.transcript) {
+                await sessionInfo.transcript.sync().catch(() => {});
+            }
+            
             // Kill tmux session if it exists
             await execAsync(`tmux kill-session -t ${sessionId} 2>/dev/null || true`);
             
+            // Remove any leftover sentinel run files for this session
+            if (this.config.runDirectory) {
+                await fs.promises.rm(path.join(this.config.runDirectory, sessionId), { recursive: true, force: true });
+            }
+            
             // Remove from our tracking
             this.sessions.delete(sessionId);
             
             this.emit('session:destroyed', {
                 sessionId,
                 timestamp: new Date(),
-                wasTracked: !!sessionInfo
+                wasTracked: !!sessionInfo,
+                transcriptPath: sessionInfo?.transcript?.rawPath || null
             });
             
             console.log(`🗑️  Destroyed tmux session: ${sessionId}`);
@@ -350,67 +828,6 @@ class TmuxSessionManager extends EventEmitter {
             console.warn(`Failed to destroy session ${sessionId}:`, error.message);
         }
     }
-    
-    async listSessions() {
-        const sessions = [];
-        
-        for (const [sessionId, sessionInfo] of this.sessions.entries()) {
-            const status = await this.getSessionStatus(sessionId);
-            sessions.push({
-                sessionId,
-                ...sessionInfo,
-                ...status
-            });
-        }
-        
-        return sessions;
-    }
-    
-    async cleanupExpiredSessions() {
-        const now = Date.now();
-        const expiredSessions = [];
-        
-        for (const [sessionId, sessionInfo] of this.sessions.entries()) {
-            const age = now - sessionInfo.lastActivity.getTime();
-            
-            if (age > this.config.sessionTimeout) {
-                expiredSessions.push(sessionId);
-            }
-        }
-        
-        // Cleanup expired sessions
-        for (const sessionId of expiredSessions) {
-            console.log(`🕐 Cleaning up expired session: ${sessionId}`);
-            await this.destroySession(sessionId);
-        }
-        
-        return expiredSessions.length;
-    }
-    
-    async shutdown() {
-        try {
-            // Clear cleanup timer
-            if (this.cleanupTimer) {
-                clearInterval(this.cleanupTimer);
-                this.cleanupTimer = null;
-            }
-            
-            // Destroy all tracked sessions
-            const sessionIds = Array.from(this.sessions.keys());
-            for (const sessionId of sessionIds) {
-                await this.destroySession(sessionId);
-            }
-            
-            this.sessions.clear();
-            this.initialized = false;
-            
-            console.log('✅ TmuxSessionManager shutdown complete');
-            
-        } catch (error) {
-            console.error('Error during TmuxSessionManager shutdown:', error);
-            throw error;
-        }
-    }
 }
 
 module.exports = TmuxSessionManager;
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * Token Usage for Claude Code Adapter
+ *
+ * Reads the token counts Claude Code reports in its JSON output: the
+ * final `result` object of `--output-format json`/`stream-json` (usage
+ * and per-model `modelUsage`), or failing that the usage on each
+ * assistant message of a stream. Counts use one shape throughout:
+ * { input, output, cacheRead, cacheWrite }.
+ */
+
+const TokenEstimator = require('../../tokens/TokenEstimator');
+
+const EMPTY_COUNTS = Object.freeze({ input: 0, output: 0, cacheRead: 0, cacheWrite: 0 });
+
+class TokenUsage {
+    /**
+     * Find reported usage in CLI output
+     * @param {string} text - Raw stdout or transcript of a run
+     * @returns {Object|null} { input, output, cacheRead, cacheWrite, total,
+     *   model, models, reportedCostUsd }, where `models` maps each model id
+     *   to its own counts; null when the output reports no usage
+     */
+    static extract(text) {
+        const objects = TokenUsage._jsonObjects(text);
+        
+        const result = objects.filter(object => object.type === 'result' && object.usage).pop();
+        if (result) {
+            return TokenUsage._fromResult(result, objects);
+        }
+        
+        // A stream repeats a message's usage on every content block, so
+        // keep the last report per message id
+        const messages = new Map();
+        for (const object of objects) {
+            const message = object.type === 'assistant' ? object.message : null;
+            if (message?.usage) {
+                messages.set(message.id || messages.size, message);
+            }
+        }
+        if (messages.size > 0) {
+            const models = {};
+            for (const message of messages.values()) {
+                const model = message.model || 'unknown';
+                models[model] = TokenUsage.add(models[model], TokenUsage._counts(message.usage));
+            }
+            return TokenUsage._summarize(models, null);
+        }
+        
+        // Any other object carrying usage, e.g. a raw API response
+        const other = objects.filter(object => TokenUsage._isUsage(object.usage)).pop();
+        if (other) {
+            return TokenUsage._summarize({ [other.model || 'unknown']: TokenUsage._counts(other.usage) }, null);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Estimate usage when the output reports none, all counted as output
+     * @param {string} text - Output of a run
+     * @param {string|null} model - Model the run is assumed to have used
+     * @param {TokenEstimator} estimator - Counts the tokens
+     * @returns {Object} Usage in the shape of extract(), with estimated: true
+     */
+    static estimate(text, model = null, estimator = TokenEstimator.shared) {
+        const counts = { ...EMPTY_COUNTS, output: estimator.count(text, { model }) };
+        return { ...TokenUsage._summarize({ [model || 'unknown']: counts }, null), estimated: true };
+    }
+    
+    /**
+     * Add two sets of counts, or two usages including their per-model
+     * breakdown (e.g. a task and its schema repair)
+     */
+    static add(a, b) {
+        const sum = {};
+        for (const key of Object.keys(EMPTY_COUNTS)) {
+            sum[key] = (a?.[key] || 0) + (b?.[key] || 0);
+        }
+        if (!a?.models && !b?.models) {
+            return sum;
+        }
+        
+        const models = { ...(a?.models || {}) };
+        for (const [model, counts] of Object.entries(b?.models || {})) {
+            models[model] = TokenUsage.add(models[model], counts);
+        }
+        const costs = [a?.reportedCostUsd, b?.reportedCostUsd].filter(cost => typeof cost === 'number');
+        return {
+            ...TokenUsage._summarize(models, costs.length > 0 ? costs.reduce((x, y) => x + y, 0) : null),
+            estimated: !!(a?.estimated || b?.estimated)
+        };
+    }
+    
+    /**
+     * @private
+     */
+    static _fromResult(result, objects) {
+        let models = {};
+        if (result.modelUsage && Object.keys(result.modelUsage).length > 0) {
+            for (const [model, usage] of Object.entries(result.modelUsage)) {
+                models[model] = TokenUsage._counts(usage);
+            }
+        } else {
+            // The model id only appears on the init and assistant messages
+            const source = objects.find(object => object.model || object.message?.model);
+            const model = result.model || source?.model || source?.message?.model || 'unknown';
+            models = { [model]: TokenUsage._counts(result.usage) };
+        }
+        
+        const reported = result.total_cost_usd ?? result.cost_usd ?? null;
+        return TokenUsage._summarize(models, typeof reported === 'number' ? reported : null);
+    }
+    
+    /**
+     * @private
+     */
+    static _summarize(models, reportedCostUsd) {
+        const totals = Object.values(models).reduce((sum, counts) => TokenUsage.add(sum, counts), { ...EMPTY_COUNTS });
+        
+        // The model that wrote the most is the one the run is reported under
+        const [model] = Object.entries(models)
+            .sort(([, a], [, b]) => b.output - a.output)
+            .map(([name]) => name);
+        
+        return {
+            ...totals,
+            total: totals.input + totals.output + totals.cacheRead + totals.cacheWrite,
+            model: model || null,
+            models,
+            reportedCostUsd
+        };
+    }
+    
+    /**
+     * Normalize API (snake_case) and CLI modelUsage (camelCase) counts
+     * @private
+     */
+    static _counts(usage = {}) {
+        return {
+            input: usage.input_tokens ?? usage.inputTokens ?? 0,
+            output: usage.output_tokens ?? usage.outputTokens ?? 0,
+            cacheRead: usage.cache_read_input_tokens ?? usage.cacheReadInputTokens ?? 0,
+            cacheWrite: usage.cache_creation_input_tokens ?? usage.cacheCreationInputTokens ?? 0
+        };
+    }
+    
+    /**
+     * @private
+     */
+    static _isUsage(usage) {
+        return !!usage && typeof usage === 'object' &&
+            (typeof usage.input_tokens === 'number' || typeof usage.output_tokens === 'number');
+    }
+    
+    /**
+     * JSON objects in the output: the whole text, or one per line
+     * @private
+     */
+    static _jsonObjects(text) {
+        const objects = [];
+        const parse = (candidate) => {
+            try {
+                const value = JSON.parse(candidate);
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    objects.push(value);
+                }
+            } catch (error) {
+                // Not JSON
+            }
+        };
+        
+        const trimmed = String(text || '').trim();
+        if (trimmed.startsWith('{')) {
+            parse(trimmed);
+        }
+        if (objects.length === 0) {
+            for (const line of trimmed.split('\n')) {
+                if (line.trim().startsWith('{')) {
+                    parse(line.trim());
+                }
+            }
+        }
+        
+        return objects;
+    }
+}
+
+module.exports = TokenUsage;
@@ -0,0 +1,606 @@
+/**
+ * Workspace Snapshots for Claude Code Adapter
+ *
+ * Records the state of the workspace before a task runs so the files the
+ * run actually added, modified and deleted can be reported afterwards and
+ * restored on request.
+ *
+ * Inside a git repository a snapshot is a pair of tree objects (working
+ * tree including untracked files, and the index) written through a
+ * temporary index and pinned with refs under refs/repochief/snapshots, so
+ * neither the user's index nor their stash is touched. Elsewhere it is a
+ * manifest whose file contents are kept in a small content-addressed store
+ * under the state directory. Only the files a task names are copied when
+ * it names any, and never more than maxSnapshotBytes in total; the rest
+ * are recorded by size and modification time, so changes to them are
+ * reported but cannot be diffed or restored.
+ *
+ * Changes are detected by comparing against the workspace as a whole: if
+ * several tasks share a workspace concurrently, each sees the others' edits.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const execFileAsync = promisify(execFile);
+
+const SNAPSHOT_REF_PREFIX = 'refs/repochief/snapshots';
+
+// Fixed identity so snapshot commits work in repositories without git config
+const SNAPSHOT_IDENTITY = {
+    GIT_AUTHOR_NAME: 'RepoChief',
+    GIT_AUTHOR_EMAIL: 'snapshots@repochief.local',
+    GIT_COMMITTER_NAME: 'RepoChief',
+    GIT_COMMITTER_EMAIL: 'snapshots@repochief.local'
+};
+
+const STATUS_NAMES = { A: 'added', M: 'modified', D: 'deleted', T: 'modified' };
+
+class WorkspaceSnapshot {
+    /**
+     * @param {string} workspaceRoot - Directory to snapshot
+     * @param {Object} options - { directory, ignore, ignorePaths, maxFileBytes, maxSnapshotBytes, maxDiffBytes }
+     *   `directory` holds manifest snapshots; `ignore` lists directory and
+     *   file names skipped by manifests (git snapshots follow .gitignore),
+     *   and `ignorePaths` directories they skip, such as a state directory
+     *   inside the workspace; `directory` itself is always skipped.
+     *   `maxSnapshotBytes` caps what one manifest snapshot copies
+     */
+    constructor(workspaceRoot, options = {}) {
+        this.workspaceRoot = path.resolve(workspaceRoot);
+        this.directory = options.directory;
+        this.ignore = options.ignore || ['.git', 'node_modules'];
+        // Workspace-relative paths of the ignored directories inside it
+        this.ignorePaths = [this.directory, ...(options.ignorePaths || [])]
+            .filter(Boolean)
+            .map(directory => path.relative(this.workspaceRoot, path.resolve(directory)))
+            .filter(relative => relative && !relative.startsWith('..') && !path.isAbsolute(relative));
+        this.maxFileBytes = options.maxFileBytes || 5 * 1024 * 1024;
+        this.maxSnapshotBytes = options.maxSnapshotBytes || 64 * 1024 * 1024;
+        this.maxDiffBytes = options.maxDiffBytes || 64 * 1024;
+        this.gitRoot = undefined;
+    }
+    
+    /**
+     * Record the current state of the workspace
+     * @param {string} id - Snapshot id, usually the task id
+     * @param {Object} options - { files } the task works on; outside git
+     *   only these files and directories have their contents copied
+     * @returns {Object} Serializable snapshot descriptor
+     */
+    async capture(id, options = {}) {
+        const snapshotId = `${String(id).replace(/[^\w.-]/g, '_')}-${Date.now().toString(36)}`;
+        const gitRoot = await this._findGitRoot();
+        
+        if (gitRoot) {
+            return this._captureGit(snapshotId);
+        }
+        return this._captureManifest(snapshotId, options.files);
+    }
+    
+    /**
+     * Files added, modified and deleted since a snapshot, with diffs
+     * @param {Object} snapshot - Descriptor from capture()
+     * @returns {Object} { snapshotId, method, added, modified, deleted, files }
+     */
+    async diff(snapshot) {
+        const files = snapshot.method === 'git'
+            ? await this._diffGit(snapshot)
+            : await this._diffManifest(snapshot);
+        
+        files.sort((a, b) => a.path.localeCompare(b.path));
+        const byStatus = (status) => files.filter(file => file.status === status).map(file => file.path);
+        
+        return {
+            snapshotId: snapshot.id,
+            method: snapshot.method,
+            capturedAt: snapshot.capturedAt,
+            detectedAt: new Date().toISOString(),
+            added: byStatus('added'),
+            modified: byStatus('modified'),
+            deleted: byStatus('deleted'),
+            files
+        };
+    }
+    
+    /**
+     * Put the workspace back to a snapshot: changed and deleted files are
+     * rewritten, added files removed
+     * @param {Object} snapshot - Descriptor from capture()
+     * @returns {Object} { restored, removed, skipped }
+     */
+    async restore(snapshot) {
+        const changes = await this.diff(snapshot);
+        const result = snapshot.method === 'git'
+            ? await this._restoreGit(snapshot, changes)
+            : await this._restoreManifest(snapshot, changes);
+        
+        await this._removeEmptyDirectories(changes.added);
+        return result;
+    }
+    
+    /**
+     * Release what a snapshot keeps alive (refs or stored file contents)
+     * @param {Object} snapshot - Descriptor from capture()
+     */
+    async discard(snapshot) {
+        if (snapshot.method === 'git') {
+            for (const ref of Object.values(snapshot.refs)) {
+                await this._git(['update-ref', '-d', ref]).catch(() => {});
+            }
+            return;
+        }
+        
+        await fs.promises.rm(path.join(this.directory, snapshot.id), { recursive: true, force: true });
+    }
+    
+    // Git snapshots
+    
+    /**
+     * @private
+     */
+    async _captureGit(snapshotId) {
+        const head = await this._git(['rev-parse', '--verify', '-q', 'HEAD'])
+            .then(({ stdout }) => stdout.trim())
+            .catch(() => null);
+        
+        // The real index can hold conflicts, which write-tree refuses
+        const indexTree = await this._git(['write-tree'])
+            .then(({ stdout }) => stdout.trim())
+            .catch(() => null);
+        
+        const tree = await this._writeWorktreeTree();
+        const refs = {
+            worktree: `${SNAPSHOT_REF_PREFIX}/${snapshotId}/worktree`
+        };
+        
+        await this._pin(refs.worktree, tree, head, `Workspace snapshot ${snapshotId}`);
+        if (indexTree) {
+            refs.index = `${SNAPSHOT_REF_PREFIX}/${snapshotId}/index`;
+            await this._pin(refs.index, indexTree, head, `Index snapshot ${snapshotId}`);
+        }
+        
+        return {
+            id: snapshotId,
+            method: 'git',
+            workspaceRoot: this.workspaceRoot,
+            capturedAt: new Date().toISOString(),
+            head,
+            tree,
+            indexTree,
+            refs
+        };
+    }
+    
+    /**
+     * @private
+     */
+    async _diffGit(snapshot) {
+        const current = await this._writeWorktreeTree();
+        if (current === snapshot.tree) {
+            return [];
+        }
+        
+        // --relative limits the comparison to the workspace when it is a
+        // subdirectory of the repository and makes paths workspace-relative
+        const base = ['diff', '--relative', '--no-renames', '--no-color', '--no-ext-diff'];
+        const [{ stdout: status }, { stdout: numstat }, { stdout: patch }] = await Promise.all([
+            this._git([...base, '--name-status', '-z', snapshot.tree, current]),
+            this._git([...base, '--numstat', '-z', snapshot.tree, current]),
+            this._git([...base, snapshot.tree, current])
+        ]);
+        
+        const counts = this._parseNumstat(numstat);
+        const patches = this._splitPatch(patch);
+        const fields = status.split('\0').filter(Boolean);
+        const files = [];
+        
+        for (let i = 0; i < fields.length; i += 2) {
+            const filePath = fields[i + 1];
+            const count = counts.get(filePath) || { additions: null, deletions: null };
+            files.push({
+                path: filePath,
+                status: STATUS_NAMES[fields[i][0]] || 'modified',
+                additions: count.additions,
+                deletions: count.deletions,
+                binary: count.additions === null,
+                ...this._limitDiff(count.additions === null ? null : patches.get(filePath))
+            });
+        }
+        
+        return files;
+    }
+    
+    /**
+     * @private
+     */
+    async _restoreGit(snapshot, changes) {
+        // Undo commits made during the task, then the index it staged
+        const head = await this._git(['rev-parse', '--verify', '-q', 'HEAD'])
+            .then(({ stdout }) => stdout.trim())
+            .catch(() => null);
+        if (snapshot.head && head && head !== snapshot.head) {
+            await this._git(['reset', '--soft', snapshot.head]);
+        }
+        if (snapshot.indexTree) {
+            await this._git(['read-tree', snapshot.indexTree]);
+        }
+        
+        const restored = [...changes.modified, ...changes.deleted];
+        if (restored.length > 0) {
+            await this._withTemporaryIndex(async (env) => {
+                await this._git(['read-tree', snapshot.tree], { env });
+                await this._git(['checkout-index', '-f', '-z', '--stdin'], {
+                    env,
+                    input: restored.join('\0')
+                });
+            });
+        }
+        
+        for (const file of changes.added) {
+            await fs.promises.rm(path.join(this.workspaceRoot, file), { force: true });
+        }
+        
+        return { restored, removed: changes.added, skipped: [] };
+    }
+    
+    /**
+     * Tree object for the working tree, untracked files included
+     * @private
+     */
+    async _writeWorktreeTree() {
+        return this._withTemporaryIndex(async (env) => {
+            await this._git(['add', '-A', '--', ':/'], { env });
+            const { stdout } = await this._git(['write-tree'], { env });
+            return stdout.trim();
+        });
+    }
+    
+    /**
+     * Run git with a private copy of the index, seeded from the real one so
+     * unchanged files are not rehashed
+     * @private
+     */
+    async _withTemporaryIndex(fn) {
+        const { stdout } = await this._git(['rev-parse', '--git-path', 'index']);
+        const realIndex = path.resolve(this.workspaceRoot, stdout.trim());
+        const temporaryIndex = `${realIndex}.repochief-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+        
+        try {
+            await fs.promises.copyFile(realIndex, temporaryIndex).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+            return await fn({ GIT_INDEX_FILE: temporaryIndex });
+        } finally {
+            await fs.promises.rm(temporaryIndex, { force: true });
+        }
+    }
+    
+    /**
+     * Keep a tree reachable with a commit under the snapshot ref namespace
+     * @private
+     */
+    async _pin(ref, tree, parent, message) {
+        const args = ['commit-tree', tree, '-m', message];
+        if (parent) {
+            args.push('-p', parent);
+        }
+        const { stdout } = await this._git(args, { env: SNAPSHOT_IDENTITY });
+        await this._git(['update-ref', ref, stdout.trim()]);
+    }
+    
+    /**
+     * @private
+     */
+    async _findGitRoot() {
+        if (this.gitRoot === undefined) {
+            this.gitRoot = await this._git(['rev-parse', '--show-toplevel'])
+                .then(({ stdout }) => stdout.trim())
+                .catch(() => null);
+        }
+        return this.gitRoot;
+    }
+    
+    /**
+     * @private
+     */
+    _git(args, options = {}) {
+        // Unquoted paths, so patches can be matched to --name-status output
+        const child = execFileAsync('git', ['-c', 'core.quotePath=false', ...args], {
+            cwd: this.workspaceRoot,
+            env: { ...process.env, ...options.env },
+            maxBuffer: 64 * 1024 * 1024
+        });
+        
+        if (options.input !== undefined) {
+            child.child.stdin.end(options.input);
+        }
+        return child;
+    }
+    
+    // Manifest snapshots
+    
+    /**
+     * @private
+     */
+    async _captureManifest(snapshotId, focus) {
+        if (!this.directory) {
+            throw new Error('A snapshot directory is required outside git repositories');
+        }
+        
+        const snapshotDirectory = path.join(this.directory, snapshotId);
+        const objects = path.join(snapshotDirectory, 'objects');
+        await fs.promises.mkdir(objects, { recursive: true });
+        
+        // Size everything first, so the cap is applied before anything is copied
+        const wanted = this._focusMatcher(focus);
+        const entries = [];
+        for (const file of await this._walk()) {
+            entries.push({ file, stats: await fs.promises.stat(path.join(this.workspaceRoot, file)) });
+        }
+        
+        const manifest = {};
+        let storedBytes = 0;
+        let stored = 0;
+        for (const { file, stats } of entries) {
+            const fits = stats.size <= this.maxFileBytes && storedBytes + stats.size <= this.maxSnapshotBytes;
+            if (!fits || !wanted(file)) {
+                manifest[file] = { hash: null, size: stats.size, mtimeMs: stats.mtimeMs, mode: stats.mode, stored: false };
+                continue;
+            }
+            
+            const content = await fs.promises.readFile(path.join(this.workspaceRoot, file));
+            const hash = crypto.createHash('sha256').update(content).digest('hex');
+            await fs.promises.writeFile(path.join(objects, hash), content, { flag: 'wx' }).catch(error => {
+                if (error.code !== 'EEXIST') throw error;
+            });
+            manifest[file] = { hash, size: stats.size, mtimeMs: stats.mtimeMs, mode: stats.mode, stored: true };
+            storedBytes += stats.size;
+            stored++;
+        }
+        
+        await fs.promises.writeFile(path.join(snapshotDirectory, 'manifest.json'), JSON.stringify(manifest));
+        
+        return {
+            id: snapshotId,
+            method: 'manifest',
+            workspaceRoot: this.workspaceRoot,
+            capturedAt: new Date().toISOString(),
+            directory: snapshotDirectory,
+            files: entries.length,
+            stored,
+            storedBytes
+        };
+    }
+    
+    /**
+     * Whether a workspace file is among the files a task names, directly
+     * or under a named directory; everything matches when it names none
+     * @private
+     */
+    _focusMatcher(focus) {
+        const names = (Array.isArray(focus) ? focus : [])
+            .map(entry => (typeof entry === 'string' ? entry : entry?.path))
+            .filter(Boolean)
+            .map(name => path.relative(this.workspaceRoot, path.resolve(this.workspaceRoot, name)).split(path.sep).join('/'))
+            .filter(name => !name.startsWith('..'));
+        
+        if (names.length === 0) {
+            return () => true;
+        }
+        return file => names.some(name => name === '' || file === name || file.startsWith(`${name}/`));
+    }
+    
+    /**
+     * @private
+     */
+    async _diffManifest(snapshot) {
+        const manifest = await this._readManifest(snapshot);
+        const seen = new Set();
+        const files = [];
+        
+        for (const file of await this._walk()) {
+            seen.add(file);
+            const absolute = path.join(this.workspaceRoot, file);
+            const before = manifest[file];
+            
+            if (before?.stored) {
+                const hash = crypto.createHash('sha256').update(await fs.promises.readFile(absolute)).digest('hex');
+                if (hash === before.hash) continue;
+            } else if (before) {
+                const stats = await fs.promises.stat(absolute);
+                if (stats.size === before.size && stats.mtimeMs === before.mtimeMs) continue;
+            }
+            
+            const oldFile = before?.stored ? path.join(snapshot.directory, 'objects', before.hash) : null;
+            files.push(await this._describeChange(file, before ? 'modified' : 'added', before ? oldFile : '/dev/null', absolute));
+        }
+        
+        for (const [file, before] of Object.entries(manifest)) {
+            if (seen.has(file)) continue;
+            const oldFile = before.stored ? path.join(snapshot.directory, 'objects', before.hash) : null;
+            files.push(await this._describeChange(file, 'deleted', oldFile, '/dev/null'));
+        }
+        
+        return files;
+    }
+    
+    /**
+     * @private
+     */
+    async _restoreManifest(snapshot, changes) {
+        const manifest = await this._readManifest(snapshot);
+        const restored = [];
+        const skipped = [];
+        
+        for (const file of [...changes.modified, ...changes.deleted]) {
+            const entry = manifest[file];
+            if (!entry.stored) {
+                skipped.push(file);
+                continue;
+            }
+            
+            const target = path.join(this.workspaceRoot, file);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.copyFile(path.join(snapshot.directory, 'objects', entry.hash), target);
+            await fs.promises.chmod(target, entry.mode & 0o7777);
+            restored.push(file);
+        }
+        
+        for (const file of changes.added) {
+            await fs.promises.rm(path.join(this.workspaceRoot, file), { force: true });
+        }
+        
+        return { restored, removed: changes.added, skipped };
+    }
+    
+    /**
+     * One changed file with its diff; files whose old contents were not
+     * stored are reported without one
+     * @private
+     */
+    async _describeChange(file, status, oldFile, newFile) {
+        const change = { path: file, status, additions: null, deletions: null, binary: false };
+        if (!oldFile) {
+            return { ...change, ...this._limitDiff(null) };
+        }
+        
+        let patch = '';
+        try {
+            await execFileAsync('git', ['diff', '--no-index', '--no-color', '--no-ext-diff', '--', oldFile, newFile], {
+                maxBuffer: 64 * 1024 * 1024
+            });
+        } catch (error) {
+            // git diff --no-index exits with 1 when the files differ
+            if (error.code !== 1) {
+                return { ...change, ...this._limitDiff(null) };
+            }
+            patch = error.stdout;
+        }
+        
+        const hunks = patch.indexOf('\n@@');
+        if (hunks === -1) {
+            return { ...change, binary: /^Binary files /m.test(patch), ...this._limitDiff(null) };
+        }
+        
+        const body = patch.slice(hunks + 1);
+        const header = [
+            `diff --git a/${file} b/${file}`,
+            status === 'added' ? 'new file mode 100644' : null,
+            status === 'deleted' ? 'deleted file mode 100644' : null,
+            status === 'added' ? '--- /dev/null' : `--- a/${file}`,
+            status === 'deleted' ? '+++ /dev/null' : `+++ b/${file}`
+        ].filter(Boolean).join('\n');
+        
+        const lines = body.split('\n');
+        change.additions = lines.filter(line => line.startsWith('+')).length;
+        change.deletions = lines.filter(line => line.startsWith('-')).length;
+        
+        return { ...change, ...this._limitDiff(`${header}\n${body}`) };
+    }
+    
+    /**
+     * Workspace files, relative and with forward slashes
+     * @private
+     */
+    async _walk(directory = this.workspaceRoot, files = []) {
+        const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        
+        for (const entry of entries) {
+            if (this.ignore.includes(entry.name)) continue;
+            const absolute = path.join(directory, entry.name);
+            if (this.ignorePaths.includes(path.relative(this.workspaceRoot, absolute))) continue;
+            
+            if (entry.isDirectory()) {
+                await this._walk(absolute, files);
+            } else if (entry.isFile()) {
+                files.push(path.relative(this.workspaceRoot, absolute).split(path.sep).join('/'));
+            }
+        }
+        
+        return files;
+    }
+    
+    /**
+     * @private
+     */
+    async _readManifest(snapshot) {
+        const content = await fs.promises.readFile(path.join(snapshot.directory, 'manifest.json'), 'utf8');
+        return JSON.parse(content);
+    }
+    
+    // Shared helpers
+    
+    /**
+     * @private
+     */
+    _limitDiff(diff) {
+        if (diff === null || diff === undefined) {
+            return { diff: null, truncated: false };
+        }
+        if (Buffer.byteLength(diff) <= this.maxDiffBytes) {
+            return { diff, truncated: false };
+        }
+        return { diff: Buffer.from(diff).subarray(0, this.maxDiffBytes).toString(), truncated: true };
+    }
+    
+    /**
+     * Per-file patches from a multi-file git diff, keyed by new path
+     * @private
+     */
+    _splitPatch(patch) {
+        const patches = new Map();
+        const sections = patch.split(/^(?=diff --git )/m).filter(section => section.startsWith('diff --git '));
+        
+        for (const section of sections) {
+            const target = section.match(/^\+\+\+ b\/(.+)$/m) || section.match(/^--- a\/(.+)$/m);
+            const header = section.match(/^diff --git a\/(.+?) b\/(.+)$/m);
+            const filePath = target ? target[1] : header?.[2];
+            if (filePath) {
+                patches.set(filePath, section);
+            }
+        }
+        
+        return patches;
+    }
+    
+    /**
+     * @private
+     */
+    _parseNumstat(numstat) {
+        const counts = new Map();
+        for (const record of numstat.split('\0').filter(Boolean)) {
+            const [additions, deletions, filePath] = record.split('\t');
+            counts.set(filePath, {
+                additions: additions === '-' ? null : parseInt(additions, 10),
+                deletions: deletions === '-' ? null : parseInt(deletions, 10)
+            });
+        }
+        return counts;
+    }
+    
+    /**
+     * Remove directories left empty by deleting added files
+     * @private
+     */
+    async _removeEmptyDirectories(files) {
+        const directories = new Set(files.map(file => path.dirname(path.join(this.workspaceRoot, file))));
+        const ordered = [...directories].sort((a, b) => b.length - a.length);
+        
+        for (let directory of ordered) {
+            while (directory.startsWith(this.workspaceRoot + path.sep)) {
+                try {
+                    await fs.promises.rmdir(directory);
+                } catch (error) {
+                    break;
+                }
+                directory = path.dirname(directory);
+            }
+        }
+    }
+}
+
+module.exports = WorkspaceSnapshot;
@@ -0,0 +1,188 @@
+/**
+ * Worktree Manager for Claude Code Adapter
+ *
+ * Gives each task its own `git worktree` on a temporary branch so parallel
+ * sessions never write over each other's files. When a task finishes its
+ * changes are committed to the branch and returned as a patch; the
+ * worktree itself is removed on cleanup, and the branch is kept only if
+ * the task changed something.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const path = require('path');
+const fs = require('fs');
+
+const execFileAsync = promisify(execFile);
+
+// Used only when the repository has no committer identity configured
+const FALLBACK_IDENTITY = {
+    GIT_AUTHOR_NAME: 'RepoChief',
+    GIT_AUTHOR_EMAIL: 'tasks@repochief.local',
+    GIT_COMMITTER_NAME: 'RepoChief',
+    GIT_COMMITTER_EMAIL: 'tasks@repochief.local'
+};
+
+class WorktreeManager {
+    /**
+     * @param {string} workspaceRoot - Directory inside the repository tasks work on
+     * @param {Object} options - { directory, branchPrefix }
+     */
+    constructor(workspaceRoot, options = {}) {
+        if (!options.directory) {
+            throw new Error('WorktreeManager requires a worktree directory');
+        }
+        this.workspaceRoot = path.resolve(workspaceRoot);
+        this.directory = path.resolve(options.directory);
+        this.branchPrefix = options.branchPrefix || 'repochief/task';
+        this.repositoryRoot = null;
+        this.prefix = '';
+    }
+    
+    /**
+     * Check the workspace is a git repository with a commit to branch from
+     */
+    async initialize() {
+        try {
+            const { stdout } = await this._git(this.workspaceRoot, ['rev-parse', '--show-toplevel', '--show-prefix']);
+            const [root, prefix = ''] = stdout.split('\n');
+            this.repositoryRoot = root;
+            this.prefix = prefix.replace(/\/$/, '');
+        } catch (error) {
+            throw new Error(`Worktree isolation requires a git repository: ${this.workspaceRoot}`);
+        }
+        
+        try {
+            await this._git(this.workspaceRoot, ['rev-parse', '--verify', '-q', 'HEAD']);
+        } catch (error) {
+            throw new Error(`Worktree isolation requires at least one commit in ${this.repositoryRoot}`);
+        }
+        
+        // git reports worktree paths with symlinks resolved
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        this.directory = await fs.promises.realpath(this.directory);
+    }
+    
+    /**
+     * Create a worktree on a new branch from HEAD. Uncommitted changes in
+     * the workspace are not carried over.
+     * @param {string} taskId - Task the worktree is for
+     * @returns {Object} { name, path, workingDirectory, branch, baseCommit, createdAt }
+     */
+    async create(taskId) {
+        const name = `${String(taskId).replace(/[^\w.-]/g, '_')}-${Date.now().toString(36)}`;
+        const worktreePath = path.join(this.directory, name);
+        const branch = `${this.branchPrefix}/${name}`;
+        
+        const { stdout } = await this._git(this.workspaceRoot, ['rev-parse', 'HEAD']);
+        const baseCommit = stdout.trim();
+        
+        await this._git(this.workspaceRoot, ['worktree', 'add', '-q', '-b', branch, worktreePath, baseCommit]);
+        
+        return {
+            name,
+            path: worktreePath,
+            workingDirectory: path.join(worktreePath, this.prefix),
+            branch,
+            baseCommit,
+            createdAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Commit whatever the task left in its worktree and describe the result
+     * @param {Object} worktree - Descriptor from create()
+     * @param {Object} options - { message } for the commit
+     * @returns {Object} { branch, baseCommit, commit, changed, patch }
+     */
+    async finalize(worktree, options = {}) {
+        const cwd = worktree.path;
+        
+        await this._git(cwd, ['add', '-A']);
+        const staged = await this._git(cwd, ['diff', '--cached', '--quiet'])
+            .then(() => false)
+            .catch(() => true);
+        
+        if (staged) {
+            const env = await this._identity(cwd);
+            await this._git(cwd, ['commit', '-q', '--no-verify', '-m', options.message || `Task changes (${worktree.name})`], { env });
+        }
+        
+        const { stdout } = await this._git(cwd, ['rev-parse', 'HEAD']);
+        const commit = stdout.trim();
+        const changed = commit !== worktree.baseCommit;
+        const patch = changed
+            ? (await this._git(cwd, ['diff', '--binary', '--no-color', '--no-ext-diff', worktree.baseCommit, commit])).stdout
+            : '';
+        
+        return {
+            branch: worktree.branch,
+            baseCommit: worktree.baseCommit,
+            commit: changed ? commit : null,
+            changed,
+            patch
+        };
+    }
+    
+    /**
+     * Remove a worktree; its branch is deleted unless it holds changes
+     * @param {Object} worktree - Descriptor from create()
+     * @param {Object} options - { keepBranch }
+     */
+    async remove(worktree, options = {}) {
+        await this._git(this.workspaceRoot, ['worktree', 'remove', '--force', worktree.path]).catch(() =>
+            fs.promises.rm(worktree.path, { recursive: true, force: true })
+        );
+        await this._git(this.workspaceRoot, ['worktree', 'prune']);
+        
+        if (!options.keepBranch) {
+            await this._git(this.workspaceRoot, ['branch', '-q', '-D', worktree.branch]).catch(() => {});
+        }
+    }
+    
+    /**
+     * Remove worktrees left in the worktree directory by an earlier process.
+     * Their branches are kept, since they may hold a task's work.
+     * @param {string[]} keep - Worktree paths still in use
+     * @returns {string[]} Removed worktree paths
+     */
+    async prune(keep = []) {
+        const { stdout } = await this._git(this.workspaceRoot, ['worktree', 'list', '--porcelain']);
+        const removed = [];
+        
+        for (const line of stdout.split('\n')) {
+            if (!line.startsWith('worktree ')) continue;
+            const worktreePath = path.resolve(line.slice('worktree '.length));
+            
+            if (path.dirname(worktreePath) === this.directory && !keep.includes(worktreePath)) {
+                await this._git(this.workspaceRoot, ['worktree', 'remove', '--force', worktreePath]).catch(() => {});
+                removed.push(worktreePath);
+            }
+        }
+        
+        await this._git(this.workspaceRoot, ['worktree', 'prune']);
+        return removed;
+    }
+    
+    /**
+     * @private
+     */
+    async _identity(cwd) {
+        return this._git(cwd, ['var', 'GIT_COMMITTER_IDENT'])
+            .then(() => ({}))
+            .catch(() => FALLBACK_IDENTITY);
+    }
+    
+    /**
+     * @private
+     */
+    _git(cwd, args, options = {}) {
+        return execFileAsync('git', args, {
+            cwd,
+            env: { ...process.env, ...options.env },
+            maxBuffer: 64 * 1024 * 1024
+        });
+    }
+}
+
+module.exports = WorktreeManager;
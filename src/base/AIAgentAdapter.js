@@ -8,6 +8,8 @@
 
 const { EventEmitter } = require('events');
 const { z } = require('zod');
+const RetryPolicy = require('./RetryPolicy');
+const TaskBudget = require('../budget/TaskBudget');
 
 // Capability schema for validation
 const AdapterCapabilitiesSchema = z.object({
@@ -39,6 +41,16 @@ const TaskSchema = z.object({
     description: z.string(),
     context: z.any().optional(),
     
+    // Limits enforced while the task runs (see src/budget/TaskBudget.js)
+    budget: z.object({
+        maxCostUsd: z.number().positive().optional(),
+        maxDurationMs: z.number().positive().optional(),
+        maxTokens: z.number().positive().optional()
+    }).optional(),
+    
+    // Routing objective for TaskRouter (see src/routing/RoutingObjective.js)
+    objectives: z.union([z.string(), z.record(z.any())]).optional(),
+    
     // Forward-compatible extensions
     extensions: z.record(z.record(z.any())).optional()
 });
@@ -54,6 +66,9 @@ class AIAgentAdapter extends EventEmitter {
         this.initialized = false;
         this._capabilities = null;
         this._migrationHandlers = new Map();
+        
+        // Subclasses replace this from their config's `retry` settings
+        this.retryPolicy = new RetryPolicy();
     }
     
     // Version management - must be implemented by subclasses
@@ -143,36 +158,178 @@ class AIAgentAdapter extends EventEmitter {
     }
     
     // Versioned execution methods
-    async executeTask(task) {
+    /**
+     * Validate a task and run it, retrying failed attempts
+     * @param {Object} task - Task matching TaskSchema
+     * @param {Object} options - Passed to every attempt, e.g. { onProgress },
+     *   with `attempt` set to the attempt's number (1 for the first)
+     * @returns {Object} Task result, with the attempts in its metrics
+     */
+    async executeTask(task, options = {}) {
         // Validate task
         const validatedTask = TaskSchema.parse(task);
         
+        // Failed attempts are repeated as the retry policy allows; a task can
+        // bring its own policy (or `retry: false`) as a vendor extension
+        const override = this.getVendorExtensions(validatedTask, this.name)?.retry;
+        const policy = override === undefined ? this.retryPolicy : RetryPolicy.from(override);
+        const attempts = [];
+        
+        // The budget covers every attempt together: time since the first
+        // started and the usage each reported
+        const budget = TaskBudget.for(validatedTask, this.name);
+        const used = { costUsd: 0, tokens: 0 };
+        const startTime = Date.now();
+        let attemptTask = validatedTask;
+        
+        for (let attempt = 1; ; attempt++) {
+            const attemptStart = Date.now();
+            let result = null;
+            let error = null;
+            
+            try {
+                result = await this._executeVersioned(attemptTask, { ...options, attempt });
+            } catch (e) {
+                error = e;
+            }
+            this._addUsage(used, result);
+            
+            const failure = error ? error.message : (result?.status === 'failed' ? result.error : null);
+            const record = {
+                attempt,
+                status: failure === null ? 'completed' : 'failed',
+                duration: Date.now() - attemptStart
+            };
+            attempts.push(record);
+            
+            if (failure === null) {
+                return this._withAttempts(result, attempts);
+            }
+            
+            const decision = policy.decide(failure, attempt);
+            Object.assign(record, { error: failure, errorClass: decision.errorClass });
+            
+            // Cancelled or over-budget runs were stopped on purpose
+            const stopped = result?.cancelled || result?.budgetExceeded || error?.budgetExceeded;
+            
+            // A retry only gets what is left of the budget after the delay
+            let remaining = null;
+            if (decision.retry && !stopped && budget) {
+                remaining = budget.remaining({ ...used, durationMs: Date.now() - startTime + decision.delayMs });
+                if (remaining.exhausted) {
+                    this._budgetSpent(validatedTask, record, remaining.exhausted);
+                }
+            }
+            
+            if (!decision.retry || stopped || remaining?.exhausted) {
+                if (error) {
+                    error.attempts = attempts;
+                    if (remaining?.exhausted) {
+                        error.budgetExceeded = remaining.exhausted;
+                    }
+                    throw error;
+                }
+                return this._withAttempts(remaining?.exhausted ? { ...result, budgetExceeded: remaining.exhausted } : result, attempts);
+            }
+            
+            if (remaining) {
+                attemptTask = { ...validatedTask, budget: remaining.limits };
+            }
+            
+            record.delayMs = decision.delayMs;
+            this.emit('task:retry', {
+                taskId: validatedTask.id,
+                attempt,
+                nextAttempt: attempt + 1,
+                maxAttempts: decision.maxAttempts,
+                errorClass: decision.errorClass,
+                error: failure,
+                delayMs: decision.delayMs,
+                timestamp: new Date()
+            });
+            console.warn(`🔁 Task ${validatedTask.id} failed (${decision.errorClass}), retrying in ${decision.delayMs}ms (attempt ${attempt + 1}/${decision.maxAttempts})`);
+            
+            await new Promise(resolve => setTimeout(resolve, decision.delayMs));
+        }
+    }
+    
+    /**
+     * Add the usage an attempt reported to the running total
+     * @private
+     */
+    _addUsage(used, result) {
+        const usage = TaskBudget.usageOf(result);
+        
+        used.costUsd += usage.costUsd;
+        used.tokens += usage.tokens;
+    }
+    
+    /**
+     * Record that a failed task is not retried because its budget is spent
+     * @private
+     */
+    _budgetSpent(task, record, exhausted) {
+        record.budgetExceeded = exhausted;
+        
+        this.emit('task:budget-exceeded', {
+            taskId: task.id,
+            ...exhausted,
+            action: 'not-retried',
+            timestamp: new Date()
+        });
+        console.warn(`💸 Task ${task.id}: ${TaskBudget.describe(exhausted)} across attempts, not retrying`);
+    }
+    
+    /**
+     * Run one attempt with the execute method matching the API version
+     * @private
+     */
+    async _executeVersioned(validatedTask, options = {}) {
         // Determine best execution method based on API version
         const currentVersion = this.apiVersion;
         
         if (currentVersion.startsWith('2.') && this.executeTaskV2) {
-            return await this.executeTaskV2(validatedTask);
+            return await this.executeTaskV2(validatedTask, options);
         } else if (currentVersion.startsWith('1.') && this.executeTaskV1) {
-            return await this.executeTaskV1(validatedTask);
+            return await this.executeTaskV1(validatedTask, options);
         } else if (this.executeTaskV1) {
             // Default to V1 for unknown versions
             console.warn(`Unknown API version ${currentVersion}, falling back to V1`);
-            return await this.executeTaskV1(validatedTask);
+            return await this.executeTaskV1(validatedTask, options);
         } else {
             throw new Error('No suitable executeTask implementation found');
         }
     }
     
+    /**
+     * Add the attempt history to a result's metrics
+     * @private
+     */
+    _withAttempts(result, attempts) {
+        if (!result || typeof result !== 'object') {
+            return result;
+        }
+        
+        return {
+            ...result,
+            metrics: {
+                ...result.metrics,
+                attempts,
+                retries: attempts.length - 1
+            }
+        };
+    }
+    
     // Versioned execution methods - implement as needed
-    async executeTaskV1(task) {
+    async executeTaskV1(task, options = {}) {
         throw new Error('executeTaskV1 must be implemented');
     }
     
-    async executeTaskV2(task) {
+    async executeTaskV2(task, options = {}) {
         // Default implementation that falls back to V1
         if (this.executeTaskV1) {
             console.warn('executeTaskV2 not implemented, falling back to V1');
-            return await this.executeTaskV1(task);
+            return await this.executeTaskV1(task, options);
         }
         throw new Error('executeTaskV2 must be implemented');
     }
@@ -0,0 +1,158 @@
+/**
+ * Retry Policy
+ *
+ * Decides whether a failed task attempt is worth repeating, and after how
+ * long. Errors are classified (timeout, rate_limit, auth, network,
+ * parsing, application) and each class can tune the defaults:
+ *
+ *   retry: {
+ *       maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 30000, factor: 2, jitter: 0.2,
+ *       errorClasses: { rate_limit: { maxAttempts: 5, baseDelayMs: 10000 } }
+ *   }
+ *
+ * Transient classes are retried by default; application errors are not,
+ * and auth errors never are, since repeating a rejected credential only
+ * delays the failure.
+ */
+
+const ERROR_CLASSES = ['timeout', 'rate_limit', 'auth', 'network', 'parsing', 'application', 'unknown'];
+
+const DEFAULTS = {
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    factor: 2,
+    jitter: 0.2
+};
+
+// Per-class defaults. General settings from config override them, but a
+// general maxAttempts never turns on retries for a class that is off here.
+const CLASS_DEFAULTS = {
+    rate_limit: { baseDelayMs: 5000 },
+    parsing: { maxAttempts: 2 },
+    application: { maxAttempts: 1 },
+    unknown: { maxAttempts: 1 },
+    auth: { maxAttempts: 1 }
+};
+
+class RetryPolicy {
+    /**
+     * @param {Object|false} options - Defaults plus `errorClasses` overrides;
+     *   false disables retries
+     */
+    constructor(options = {}) {
+        const disabled = options === false;
+        const { errorClasses = {}, ...defaults } = disabled ? {} : (options || {});
+        for (const name of Object.keys(errorClasses)) {
+            if (!ERROR_CLASSES.includes(name)) {
+                throw new Error(`Unknown error class: ${name}. Available classes: ${ERROR_CLASSES.join(', ')}`);
+            }
+        }
+        if ((errorClasses.auth?.maxAttempts ?? 1) > 1) {
+            throw new Error('Auth errors are never retried');
+        }
+        
+        this.classes = {};
+        for (const name of ERROR_CLASSES) {
+            const settings = {
+                ...DEFAULTS,
+                ...(CLASS_DEFAULTS[name] || {}),
+                ...defaults,
+                ...(errorClasses[name] || {})
+            };
+            // A general maxAttempts does not turn on retries for classes off by default
+            if (CLASS_DEFAULTS[name]?.maxAttempts && !errorClasses[name]?.maxAttempts) {
+                settings.maxAttempts = CLASS_DEFAULTS[name].maxAttempts;
+            }
+            if (disabled) {
+                settings.maxAttempts = 1;
+            }
+            
+            RetryPolicy._validate(name, settings);
+            this.classes[name] = settings;
+        }
+    }
+    
+    /**
+     * Build a policy from adapter or task config
+     * @param {Object|RetryPolicy|false|undefined} policy
+     * @returns {RetryPolicy}
+     */
+    static from(policy) {
+        return policy instanceof RetryPolicy ? policy : new RetryPolicy(policy ?? {});
+    }
+    
+    /**
+     * Classify an error by its message
+     * @param {Error|string} error - Error or error message
+     * @returns {string} One of RetryPolicy.ERROR_CLASSES
+     */
+    static classify(error) {
+        if (!error) return 'unknown';
+        
+        const errorStr = error.toString().toLowerCase();
+        
+        if (errorStr.includes('timeout') || errorStr.includes('timed out')) return 'timeout';
+        if (/rate.?limit|too many requests|overloaded|\b429\b/.test(errorStr)) return 'rate_limit';
+        if (/api key|unauthorized|authentication|not logged in|\b401\b/.test(errorStr)) return 'auth';
+        if (/network|econnreset|econnrefused|enotfound|etimedout|socket hang up/.test(errorStr)) return 'network';
+        if (errorStr.includes('parse')) return 'parsing';
+        
+        return 'application';
+    }
+    
+    /**
+     * Decide what to do after a failed attempt
+     * @param {Error|string} error - What the attempt failed with
+     * @param {number} attempt - Number of the attempt that failed, from 1
+     * @returns {Object} { retry, errorClass, maxAttempts, delayMs }
+     */
+    decide(error, attempt) {
+        const errorClass = RetryPolicy.classify(error);
+        const { maxAttempts } = this.classes[errorClass];
+        const retry = attempt < maxAttempts;
+        
+        return {
+            retry,
+            errorClass,
+            maxAttempts,
+            delayMs: retry ? this.delay(errorClass, attempt) : 0
+        };
+    }
+    
+    /**
+     * Backoff before the next attempt: baseDelayMs * factor^(attempt - 1),
+     * capped at maxDelayMs and spread by ±jitter
+     * @param {string} errorClass - Class of the error
+     * @param {number} attempt - Number of the attempt that failed, from 1
+     * @param {Function} random - Source of randomness in [0, 1)
+     * @returns {number} Milliseconds to wait
+     */
+    delay(errorClass, attempt, random = Math.random) {
+        const { baseDelayMs, maxDelayMs, factor, jitter } = this.classes[errorClass] || this.classes.unknown;
+        const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(factor, attempt - 1));
+        
+        return Math.round(backoff * (1 - jitter + random() * 2 * jitter));
+    }
+    
+    /**
+     * @private
+     */
+    static _validate(name, settings) {
+        const { maxAttempts, baseDelayMs, maxDelayMs, factor, jitter } = settings;
+        
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+            throw new Error(`Retry maxAttempts for ${name} must be a positive integer`);
+        }
+        if (!(baseDelayMs >= 0) || !(maxDelayMs >= 0) || !(factor >= 1)) {
+            throw new Error(`Retry delays for ${name} must be non-negative with a factor of at least 1`);
+        }
+        if (!(jitter >= 0 && jitter <= 1)) {
+            throw new Error(`Retry jitter for ${name} must be between 0 and 1`);
+        }
+    }
+}
+
+RetryPolicy.ERROR_CLASSES = ERROR_CLASSES;
+
+module.exports = RetryPolicy;
@@ -0,0 +1,120 @@
+/**
+ * Budget Window
+ *
+ * Aggregate spend limit over a rolling time window, e.g. $20 a day across
+ * every task a TaskRouter routes. Spend is recorded per task as results
+ * come in and drops out of the window once it is older than `windowMs`.
+ * Past `downgradeAt` of a limit the window reports itself as downgraded
+ * so routing can prefer cheaper adapters and strategies; at the limit it
+ * is exhausted and new tasks should be refused.
+ */
+
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// Limit name -> usage field it caps
+const LIMITS = {
+    maxCostUsd: 'costUsd',
+    maxTokens: 'tokens'
+};
+
+class BudgetWindow {
+    /**
+     * @param {Object} options - { windowMs, maxCostUsd, maxTokens, downgradeAt }
+     */
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+        this.downgradeAt = options.downgradeAt ?? 0.8;
+        this.limits = {};
+        
+        for (const limit of Object.keys(LIMITS)) {
+            const value = options[limit];
+            if (value === undefined || value === null) {
+                continue;
+            }
+            if (typeof value !== 'number' || !(value > 0)) {
+                throw new Error(`Budget limit ${limit} must be a positive number`);
+            }
+            this.limits[limit] = value;
+        }
+        
+        if (!(this.downgradeAt > 0 && this.downgradeAt <= 1)) {
+            throw new Error('downgradeAt must be a fraction between 0 and 1');
+        }
+        
+        this.entries = [];
+    }
+    
+    /**
+     * Record what a task spent
+     * @param {string} taskId - Task the spend belongs to
+     * @param {Object} usage - { costUsd, tokens }
+     * @param {number} at - When it was spent (ms since epoch)
+     */
+    record(taskId, usage = {}, at = Date.now()) {
+        this.entries.push({
+            taskId,
+            costUsd: usage.costUsd || 0,
+            tokens: usage.tokens || 0,
+            at
+        });
+        this._prune(at);
+    }
+    
+    /**
+     * Spend inside the current window
+     * @returns {Object} { costUsd, tokens, tasks, since }
+     */
+    usage(now = Date.now()) {
+        this._prune(now);
+        
+        const usage = { costUsd: 0, tokens: 0, tasks: 0, since: new Date(now - this.windowMs) };
+        for (const entry of this.entries) {
+            usage.costUsd += entry.costUsd;
+            usage.tokens += entry.tokens;
+            usage.tasks++;
+        }
+        usage.costUsd = Math.round(usage.costUsd * 1e6) / 1e6;
+        
+        return usage;
+    }
+    
+    /**
+     * Where the window stands against its limits
+     * @returns {Object} { usage, limits, utilization, downgraded, exceeded },
+     *   where utilization is the largest fraction of any limit used and
+     *   exceeded is { limit, max, actual } once a limit is reached
+     */
+    status(now = Date.now()) {
+        const usage = this.usage(now);
+        let utilization = 0;
+        let exceeded = null;
+        
+        for (const [limit, field] of Object.entries(LIMITS)) {
+            const max = this.limits[limit];
+            if (max === undefined) continue;
+            
+            utilization = Math.max(utilization, usage[field] / max);
+            if (!exceeded && usage[field] >= max) {
+                exceeded = { limit, max, actual: usage[field] };
+            }
+        }
+        
+        return {
+            usage,
+            limits: { ...this.limits, windowMs: this.windowMs },
+            utilization,
+            downgraded: utilization >= this.downgradeAt,
+            exceeded
+        };
+    }
+    
+    /**
+     * @private
+     */
+    _prune(now) {
+        const cutoff = now - this.windowMs;
+        this.entries = this.entries.filter(entry => entry.at > cutoff);
+    }
+}
+
+module.exports = BudgetWindow;
@@ -0,0 +1,177 @@
+/**
+ * Task Budget
+ *
+ * Limits a single task can carry so unattended runs cannot overspend:
+ *
+ *   { id, type, objective, description, budget: { maxCostUsd: 0.5, maxDurationMs: 600000, maxTokens: 200000 } }
+ *
+ * The budget may also be given as a vendor extension
+ * (`extensions[adapter].budget`). Adapters check a running task's usage
+ * against it and stop the task once a limit is passed.
+ */
+
+// Limit name -> usage field it caps
+const LIMITS = {
+    maxCostUsd: 'costUsd',
+    maxDurationMs: 'durationMs',
+    maxTokens: 'tokens'
+};
+
+class TaskBudget {
+    /**
+     * @param {Object} limits - { maxCostUsd, maxDurationMs, maxTokens }
+     */
+    constructor(limits = {}) {
+        this.limits = {};
+        
+        for (const [limit, value] of Object.entries(limits)) {
+            if (!(limit in LIMITS)) {
+                throw new Error(`Unknown budget limit: ${limit}. Available limits: ${Object.keys(LIMITS).join(', ')}`);
+            }
+            if (value === undefined || value === null) {
+                continue;
+            }
+            if (typeof value !== 'number' || !(value > 0)) {
+                throw new Error(`Budget limit ${limit} must be a positive number`);
+            }
+            this.limits[limit] = value;
+        }
+    }
+    
+    /**
+     * The budget a task carries, if any
+     * @param {Object} task - Task with `budget` or `extensions[vendorName].budget`
+     * @param {string|null} vendorName - Adapter name for the extension lookup
+     * @returns {TaskBudget|null} Budget, or null when the task sets no limits
+     */
+    static for(task, vendorName = null) {
+        const limits = task?.budget || (vendorName ? task?.extensions?.[vendorName]?.budget : null);
+        if (!limits) {
+            return null;
+        }
+        
+        const budget = new TaskBudget(limits);
+        return Object.keys(budget.limits).length > 0 ? budget : null;
+    }
+    
+    /**
+     * A copy of a task that carries `limits` in place of its own budget,
+     * including one given as a vendor extension, e.g. for a subtask run
+     * on the task's behalf
+     * @param {Object} task - Task to copy
+     * @param {Object|null} limits - Budget for the copy; null for none
+     * @returns {Object} Task
+     */
+    static assign(task, limits) {
+        const { budget, ...copy } = task;
+        if (copy.extensions) {
+            copy.extensions = Object.fromEntries(Object.entries(copy.extensions).map(([vendor, extension]) => {
+                const { budget: vendorBudget, ...rest } = extension || {};
+                return [vendor, extension && rest];
+            }));
+        }
+        return limits ? { ...copy, budget: limits } : copy;
+    }
+    
+    /**
+     * Cost and tokens a result reports
+     * @param {Object} result - Task result with metrics
+     * @returns {Object} { costUsd, tokens }
+     */
+    static usageOf(result) {
+        const metrics = result?.metrics || {};
+        const tokens = typeof metrics.tokens === 'number' ? metrics.tokens : metrics.tokens?.total;
+        
+        return { costUsd: metrics.costUsd || 0, tokens: tokens || 0 };
+    }
+    
+    /**
+     * Human-readable description of an exceeded limit
+     * @param {Object} exceeded - { limit, max, actual } from check()
+     * @returns {string} e.g. "maxCostUsd of 0.5 exceeded (0.62)"
+     */
+    static describe(exceeded) {
+        return `${exceeded.limit} of ${exceeded.max} exceeded (${exceeded.actual})`;
+    }
+    
+    /**
+     * Whether a limit is set
+     * @param {string} limit - 'maxCostUsd', 'maxDurationMs' or 'maxTokens'
+     */
+    has(limit) {
+        return limit in this.limits;
+    }
+    
+    /**
+     * First limit a usage goes past
+     * @param {Object} usage - { costUsd, durationMs, tokens }; missing
+     *   fields are not checked
+     * @returns {Object|null} { limit, max, actual }
+     */
+    check(usage = {}) {
+        for (const [limit, field] of Object.entries(LIMITS)) {
+            const max = this.limits[limit];
+            const actual = usage[field];
+            
+            if (max !== undefined && typeof actual === 'number' && actual > max) {
+                return { limit, max, actual };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Limits left once some usage is spent, e.g. for the next attempt of a
+     * retried task
+     * @param {Object} used - { costUsd, durationMs, tokens } spent so far
+     * @returns {Object} { limits, exhausted }: the limits left, or the
+     *   first limit used up ({ limit, max, actual }) with limits null
+     */
+    remaining(used = {}) {
+        const limits = {};
+        
+        for (const [limit, max] of Object.entries(this.limits)) {
+            const actual = used[LIMITS[limit]] || 0;
+            if (actual >= max) {
+                return { limits: null, exhausted: { limit, max, actual } };
+            }
+            limits[limit] = max - actual;
+        }
+        
+        return { limits, exhausted: null };
+    }
+    
+    /**
+     * One of `parts` even shares of the limits left, for subtasks that
+     * together must stay within the budget. Cost and tokens are divided;
+     * time is not, as it runs out for all of them at once.
+     * @param {Object} used - { costUsd, durationMs, tokens } spent so far
+     * @param {number} parts - Subtasks the limits left are shared by
+     * @returns {Object} { limits, exhausted } as from remaining()
+     */
+    share(used, parts) {
+        const left = this.remaining(used);
+        if (left.exhausted) {
+            return left;
+        }
+        
+        for (const limit of ['maxCostUsd', 'maxTokens']) {
+            if (limit in left.limits) {
+                left.limits[limit] /= Math.max(parts, 1);
+            }
+        }
+        return left;
+    }
+    
+    /**
+     * Time left before maxDurationMs
+     * @param {number} elapsed - Milliseconds the task has run
+     * @returns {number} Milliseconds left, Infinity without a duration limit
+     */
+    remainingDuration(elapsed) {
+        return this.has('maxDurationMs') ? Math.max(0, this.limits.maxDurationMs - elapsed) : Infinity;
+    }
+}
+
+module.exports = TaskBudget;
@@ -6,6 +6,8 @@
  */
 
 const AIAgentAdapter = require('../base/AIAgentAdapter');
+const RetryPolicy = require('../base/RetryPolicy');
+const TokenEstimator = require('../tokens/TokenEstimator');
 const { spawn } = require('child_process');
 const { promisify } = require('util');
 const exec = promisify(require('child_process').exec);
@@ -112,6 +114,12 @@ class GeminiCLIAdapterV2 extends AIAgentAdapter {
         
         // Set default model
         this.model = config.model || 'gemini-pro';
+        this.retryPolicy = RetryPolicy.from(config.retry);
+        
+        // Count this model's tokens with its own tokenizer when given one
+        if (config.tokenizer) {
+            TokenEstimator.shared.register(this.model, config.tokenizer);
+        }
         
         // Validate model capabilities
         await this._validateModelCapabilities();
@@ -761,9 +769,8 @@ class GeminiCLIAdapterV2 extends AIAgentAdapter {
     }
     
     _estimateTokens(output, input) {
-        // Rough estimation: 1 token ≈ 4 characters
-        const totalChars = (output.length + input.length);
-        return Math.ceil(totalChars / 4);
+        const estimator = TokenEstimator.shared;
+        return estimator.count(output, { model: this.model }) + estimator.count(input, { model: this.model });
     }
 }
 
@@ -8,6 +8,8 @@
 const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const RetryPolicy = require('../base/RetryPolicy');
+const TaskAnalyzer = require('../routing/TaskAnalyzer');
 
 class CoreEventAdapter extends EventEmitter {
     constructor(orchestrator, collector, featureExtractor, options = {}) {
@@ -28,6 +30,9 @@ class CoreEventAdapter extends EventEmitter {
             ...options
         };
         
+        // Context sizes counted the way TaskRouter counts them
+        this._contextAnalyzer = new TaskAnalyzer({ tokenEstimator: this.options.tokenEstimator });
+        
         // Event tracking
         this.activeEvents = new Map();
         this.eventHistory = new Map();
@@ -499,29 +504,30 @@ class CoreEventAdapter extends EventEmitter {
         return sanitized;
     }
     
+    /**
+     * Context size in tokens
+     */
     _calculateContextSize(context) {
         if (!context) return 0;
         
-        let size = 0;
-        if (context.files) size += context.files.length;
-        if (context.content) size += context.content.length / 1000; // KB
-        if (context.requirements) size += context.requirements.length;
+        let size = this._contextAnalyzer.estimateContextTokens(context).tokens;
+        if (Array.isArray(context.requirements)) {
+            size += this._contextAnalyzer.tokenEstimator.count(context.requirements.join('\n'));
+        }
         
-        return Math.round(size);
+        return size;
+    }
+    
+    /**
+     * Context size in units of about one file (500 tokens), which the
+     * duration and cost heuristics scale with
+     */
+    _contextUnits(context) {
+        return this._calculateContextSize(context) / 500;
     }
     
     _classifyError(error) {
-        if (!error) return 'unknown';
-        
-        const errorStr = error.toString().toLowerCase();
-        
-        if (errorStr.includes('timeout')) return 'timeout';
-        if (errorStr.includes('rate limit')) return 'rate_limit';
-        if (errorStr.includes('api key')) return 'auth';
-        if (errorStr.includes('network')) return 'network';
-        if (errorStr.includes('parse')) return 'parsing';
-        
-        return 'application';
+        return RetryPolicy.classify(error);
     }
     
     async _predictDuration(data) {
@@ -529,7 +535,7 @@ class CoreEventAdapter extends EventEmitter {
         // In a real implementation, this would use ML models
         const baseTime = 30000; // 30 seconds
         const complexityMultiplier = this._getComplexityMultiplier(data);
-        const contextMultiplier = 1 + (this._calculateContextSize(data.context) * 0.1);
+        const contextMultiplier = 1 + (this._contextUnits(data.context) * 0.1);
         
         return Math.round(baseTime * complexityMultiplier * contextMultiplier);
     }
@@ -538,7 +544,7 @@ class CoreEventAdapter extends EventEmitter {
         // Simple cost estimation based on complexity and context
         const baseCost = 0.01; // $0.01
         const complexityMultiplier = this._getComplexityMultiplier(data);
-        const contextMultiplier = 1 + (this._calculateContextSize(data.context) * 0.05);
+        const contextMultiplier = 1 + (this._contextUnits(data.context) * 0.05);
         
         return Math.round(baseCost * complexityMultiplier * contextMultiplier * 100) / 100;
     }
@@ -12,9 +12,21 @@
 // Core adapter framework
 const AdapterRegistry = require('./AdapterRegistry');
 const TaskRouter = require('./TaskRouter');
+const CircuitBreaker = require('./CircuitBreaker');
+const MemoryMetricsStore = require('./metrics/MemoryMetricsStore');
+const JsonFileMetricsStore = require('./metrics/JsonFileMetricsStore');
+const SqliteMetricsStore = require('./metrics/SqliteMetricsStore');
+const RoutingObjective = require('./routing/RoutingObjective');
+const TaskAnalyzer = require('./routing/TaskAnalyzer');
+const TokenEstimator = require('./tokens/TokenEstimator');
 const AIAgentAdapter = require('./base/AIAgentAdapter');
+const RetryPolicy = require('./base/RetryPolicy');
 const OrchestrationStrategy = require('./strategies/OrchestrationStrategy');
+const ContextPlanner = require('./strategies/ContextPlanner');
+const WorkflowRunner = require('./workflow/WorkflowRunner');
 const AdapterFactory = require('./factory/AdapterFactory');
+const TaskBudget = require('./budget/TaskBudget');
+const BudgetWindow = require('./budget/BudgetWindow');
 
 // Enhanced adapters
 const GeminiCLIAdapterV2 = require('./enhanced/GeminiCLIAdapterV2');
@@ -27,9 +39,21 @@ module.exports = {
     // Core Framework
     AdapterRegistry,
     TaskRouter,
+    CircuitBreaker,
+    MemoryMetricsStore,
+    JsonFileMetricsStore,
+    SqliteMetricsStore,
+    RoutingObjective,
+    TaskAnalyzer,
+    TokenEstimator,
     AIAgentAdapter,
+    RetryPolicy,
     OrchestrationStrategy,
+    ContextPlanner,
+    WorkflowRunner,
     AdapterFactory,
+    TaskBudget,
+    BudgetWindow,
     
     // Enhanced Adapters
     GeminiCLIAdapterV2,
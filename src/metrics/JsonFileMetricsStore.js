@@ -0,0 +1,87 @@
+/**
+ * JSON File Metrics Store
+ *
+ * Appends one JSON line per sample to a file. Pruning rewrites the file
+ * with the samples that are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MetricsStore = require('./MetricsStore');
+
+class JsonFileMetricsStore extends MetricsStore {
+    /**
+     * @param {string} filePath - File to keep samples in, e.g. metrics.jsonl
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        
+        // Appends and prunes take turns, so a prune rewriting the file
+        // cannot drop a sample appended meanwhile
+        this._writes = Promise.resolve();
+    }
+    
+    async load(since = 0) {
+        await this._writes;
+        return (await this._read()).filter(sample => sample.at >= since);
+    }
+    
+    async append(sample) {
+        return this._enqueue(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, JSON.stringify(sample) + '\n');
+        });
+    }
+    
+    async prune(before) {
+        return this._enqueue(async () => {
+            const samples = await this._read();
+            const kept = samples.filter(sample => sample.at >= before);
+            if (kept.length === samples.length) {
+                return 0;
+            }
+            
+            // Write aside and rename so a crash never leaves a half-written file
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, kept.map(sample => JSON.stringify(sample) + '\n').join(''));
+            await fs.promises.rename(tempPath, this.filePath);
+            return samples.length - kept.length;
+        });
+    }
+    
+    /**
+     * @private
+     */
+    _enqueue(write) {
+        const result = this._writes.then(write);
+        this._writes = result.catch(() => {});
+        return result;
+    }
+    
+    /**
+     * @private
+     */
+    async _read() {
+        let content = '';
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        
+        const samples = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                samples.push(JSON.parse(line));
+            } catch (error) {
+                // A sample cut short when the process died mid-append;
+                // the rest of the history still loads
+            }
+        }
+        return samples;
+    }
+}
+
+module.exports = JsonFileMetricsStore;
@@ -0,0 +1,31 @@
+/**
+ * Memory Metrics Store
+ *
+ * Keeps samples in memory. Nothing survives a restart; useful in tests and
+ * as a stand-in where no persistence is configured.
+ */
+
+const MetricsStore = require('./MetricsStore');
+
+class MemoryMetricsStore extends MetricsStore {
+    constructor(samples = []) {
+        super();
+        this.samples = [...samples];
+    }
+    
+    async load(since = 0) {
+        return this.samples.filter(sample => sample.at >= since);
+    }
+    
+    async append(sample) {
+        this.samples.push({ ...sample });
+    }
+    
+    async prune(before) {
+        const count = this.samples.length;
+        this.samples = this.samples.filter(sample => sample.at >= before);
+        return count - this.samples.length;
+    }
+}
+
+module.exports = MemoryMetricsStore;
@@ -0,0 +1,38 @@
+/**
+ * Metrics Store
+ *
+ * Persistence for the execution samples an AdapterRegistry learns from,
+ * so routing keeps what it learned across restarts. Stores hold samples
+ * of the shape { adapter, version, taskType, duration, success, costUsd, at }.
+ * Subclasses implement load, append and prune.
+ */
+
+class MetricsStore {
+    /**
+     * Samples recorded at or after a time
+     * @param {number} since - Milliseconds since the epoch
+     * @returns {Promise<Array<Object>>} Samples, oldest first
+     */
+    async load(since = 0) {
+        throw new Error('load method must be implemented');
+    }
+    
+    /**
+     * Persist one sample
+     * @param {Object} sample - Sample to add
+     */
+    async append(sample) {
+        throw new Error('append method must be implemented');
+    }
+    
+    /**
+     * Drop samples recorded before a time
+     * @param {number} before - Milliseconds since the epoch
+     * @returns {Promise<number>} Number of samples dropped
+     */
+    async prune(before) {
+        throw new Error('prune method must be implemented');
+    }
+}
+
+module.exports = MetricsStore;
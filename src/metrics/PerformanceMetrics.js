@@ -0,0 +1,167 @@
+/**
+ * Performance Metrics
+ *
+ * Recent execution samples per adapter version and task type, summarized
+ * as a success rate and latency percentiles. Each bucket keeps a sliding
+ * window of the latest `windowSize` runs, and within it every run is
+ * weighted by an exponential decay with a half-life of `halfLifeMs`, so
+ * an adapter that was slow last week but is fast today ranks as fast.
+ *
+ * A sample is { adapter, version, taskType, duration, success, costUsd,
+ * at }, with `at` in milliseconds since the epoch and costUsd null when
+ * the run reported no cost.
+ */
+
+const ALL_TYPES = '*';
+
+class PerformanceMetrics {
+    /**
+     * @param {Object} options - { windowSize, halfLifeMs, maxAgeMs }
+     */
+    constructor(options = {}) {
+        this.windowSize = options.windowSize || 100;
+        this.halfLifeMs = options.halfLifeMs || 24 * 60 * 60 * 1000; // 1 day
+        this.maxAgeMs = options.maxAgeMs || 30 * 24 * 60 * 60 * 1000; // 30 days
+        
+        // Map of "adapter:version" -> task type -> samples, oldest first
+        this._buckets = new Map();
+    }
+    
+    /**
+     * Normalize and add a sample
+     * @param {Object} sample - { adapter, version, taskType, duration, success, costUsd, at }
+     * @returns {Object} The stored sample
+     */
+    add(sample) {
+        const entry = {
+            adapter: sample.adapter,
+            version: sample.version,
+            taskType: sample.taskType || null,
+            duration: sample.duration || 0,
+            success: sample.success !== false,
+            costUsd: typeof sample.costUsd === 'number' ? sample.costUsd : null,
+            at: sample.at || Date.now()
+        };
+        
+        const key = `${entry.adapter}:${entry.version}`;
+        if (!this._buckets.has(key)) {
+            this._buckets.set(key, new Map());
+        }
+        
+        const types = this._buckets.get(key);
+        const type = entry.taskType || ALL_TYPES;
+        const samples = types.get(type) || [];
+        samples.push(entry);
+        
+        // Persisted samples may load out of order
+        if (samples.length > 1 && samples[samples.length - 2].at > entry.at) {
+            samples.sort((a, b) => a.at - b.at);
+        }
+        if (samples.length > this.windowSize) {
+            samples.splice(0, samples.length - this.windowSize);
+        }
+        types.set(type, samples);
+        
+        return entry;
+    }
+    
+    /**
+     * Add persisted samples, skipping those older than maxAgeMs
+     * @param {Array<Object>} samples - Samples from a metrics store
+     * @returns {number} Number of samples added
+     */
+    load(samples, now = Date.now()) {
+        let added = 0;
+        for (const sample of samples) {
+            if (now - sample.at <= this.maxAgeMs) {
+                this.add(sample);
+                added++;
+            }
+        }
+        return added;
+    }
+    
+    /**
+     * Summarize recent runs of an adapter version
+     * @param {string} adapter - Adapter name
+     * @param {string} version - Adapter version
+     * @param {string|null} taskType - Only runs of this task type; null for all
+     * @returns {Object|null} { executions, successRate, avgDuration,
+     *   avgCostUsd, p50, p95, p99, lastUpdated }, or null without recent
+     *   runs; avgCostUsd is null when no run reported a cost
+     */
+    summarize(adapter, version, taskType = null, now = Date.now()) {
+        const types = this._buckets.get(`${adapter}:${version}`);
+        if (!types) {
+            return null;
+        }
+        
+        const samples = (taskType ? (types.get(taskType) || []) : [].concat(...types.values()))
+            .filter(sample => now - sample.at <= this.maxAgeMs);
+        if (samples.length === 0) {
+            return null;
+        }
+        
+        let totalWeight = 0;
+        let successWeight = 0;
+        let durationSum = 0;
+        let costWeight = 0;
+        let costSum = 0;
+        const weighted = samples.map(sample => {
+            const weight = Math.pow(0.5, Math.max(0, now - sample.at) / this.halfLifeMs);
+            totalWeight += weight;
+            durationSum += weight * sample.duration;
+            if (sample.success) {
+                successWeight += weight;
+            }
+            if (typeof sample.costUsd === 'number') {
+                costWeight += weight;
+                costSum += weight * sample.costUsd;
+            }
+            return { duration: sample.duration, weight };
+        });
+        weighted.sort((a, b) => a.duration - b.duration);
+        
+        return {
+            executions: samples.length,
+            successRate: successWeight / totalWeight,
+            avgDuration: durationSum / totalWeight,
+            avgCostUsd: costWeight > 0 ? costSum / costWeight : null,
+            p50: PerformanceMetrics._percentile(weighted, totalWeight, 0.5),
+            p95: PerformanceMetrics._percentile(weighted, totalWeight, 0.95),
+            p99: PerformanceMetrics._percentile(weighted, totalWeight, 0.99),
+            lastUpdated: new Date(Math.max(...samples.map(sample => sample.at)))
+        };
+    }
+    
+    /**
+     * Forget an adapter's samples
+     * @param {string} adapter - Adapter name
+     * @param {string|null} version - Version, or null for all versions
+     */
+    forget(adapter, version = null) {
+        for (const key of this._buckets.keys()) {
+            if (version ? key === `${adapter}:${version}` : key.startsWith(`${adapter}:`)) {
+                this._buckets.delete(key);
+            }
+        }
+    }
+    
+    /**
+     * Smallest duration whose cumulative weight reaches the quantile
+     * @private
+     */
+    static _percentile(weighted, totalWeight, quantile) {
+        const target = quantile * totalWeight;
+        let cumulative = 0;
+        for (const { duration, weight } of weighted) {
+            cumulative += weight;
+            if (cumulative >= target - 1e-9) {
+                return duration;
+            }
+        }
+        return weighted[weighted.length - 1].duration;
+    }
+}
+
+module.exports = PerformanceMetrics;
@@ -0,0 +1,81 @@
+/**
+ * SQLite Metrics Store
+ *
+ * Keeps samples in a SQLite table through a database handle the caller
+ * opens, so no driver is bundled. Any handle with `exec(sql)` and
+ * `prepare(sql)` returning statements with `run(...params)` and
+ * `all(...params)` works, e.g. better-sqlite3 or node:sqlite:
+ *
+ *   const Database = require('better-sqlite3');
+ *   const store = new SqliteMetricsStore(new Database('metrics.db'));
+ */
+
+const MetricsStore = require('./MetricsStore');
+
+class SqliteMetricsStore extends MetricsStore {
+    /**
+     * @param {Object} database - Open database handle
+     * @param {Object} options - { table }
+     */
+    constructor(database, options = {}) {
+        super();
+        
+        const table = options.table || 'adapter_metrics';
+        if (!/^\w+$/.test(table)) {
+            throw new Error(`Invalid metrics table name: ${table}`);
+        }
+        
+        this.database = database;
+        this.table = table;
+        this._ready = false;
+    }
+    
+    async load(since = 0) {
+        this._ensureTable();
+        const rows = this.database
+            .prepare(`SELECT adapter, version, task_type, duration, success, cost_usd, at FROM ${this.table} WHERE at >= ? ORDER BY at`)
+            .all(since);
+        
+        return rows.map(row => ({
+            adapter: row.adapter,
+            version: row.version,
+            taskType: row.task_type,
+            duration: row.duration,
+            success: !!row.success,
+            costUsd: row.cost_usd ?? null,
+            at: row.at
+        }));
+    }
+    
+    async append(sample) {
+        this._ensureTable();
+        this.database
+            .prepare(`INSERT INTO ${this.table} (adapter, version, task_type, duration, success, cost_usd, at) VALUES (?, ?, ?, ?, ?, ?, ?)`)
+            .run(sample.adapter, sample.version, sample.taskType ?? null, sample.duration, sample.success ? 1 : 0, sample.costUsd ?? null, sample.at);
+    }
+    
+    async prune(before) {
+        this._ensureTable();
+        const result = this.database.prepare(`DELETE FROM ${this.table} WHERE at < ?`).run(before);
+        return Number(result?.changes || 0);
+    }
+    
+    /**
+     * @private
+     */
+    _ensureTable() {
+        if (this._ready) {
+            return;
+        }
+        
+        this.database.exec(
+            `CREATE TABLE IF NOT EXISTS ${this.table} (` +
+            'adapter TEXT NOT NULL, version TEXT NOT NULL, task_type TEXT, ' +
+            'duration INTEGER NOT NULL, success INTEGER NOT NULL, cost_usd REAL, at INTEGER NOT NULL)'
+        );
+        this.database.exec(`CREATE INDEX IF NOT EXISTS ${this.table}_at ON ${this.table} (at)`);
+        this._ready = true;
+    }
+}
+
+module.exports = SqliteMetricsStore;
@@ -0,0 +1,256 @@
+/**
+ * Routing Objective
+ *
+ * Declares what a routing decision optimizes for: weights over cost,
+ * latency, success rate and capability fit, plus hard constraints that
+ * rule adapters out. Set globally (`preferences.objectives` on the
+ * TaskRouter) or per task (`task.objectives`), either as a preset name
+ * or in full:
+ *
+ *   objectives: 'cheapest'
+ *   objectives: {
+ *       preset: 'fastest',
+ *       constraints: { maxCostUsd: 0.05 },
+ *       estimates: { 'claude-code': { costUsd: 0.08, latencyMs: 90000 } }
+ *   }
+ *
+ * Cost and latency come from the registry's recent runs of the task type,
+ * or from `estimates` for adapters without history. Each factor scores
+ * 0-1 relative to the best candidate; an adapter whose value is unknown
+ * gets the average of the known scores. Latency scores use the median
+ * (p50); the maxLatencyMs constraint checks p95.
+ */
+
+const FACTORS = ['cost', 'latency', 'successRate', 'capability'];
+const CONSTRAINTS = ['maxCostUsd', 'maxLatencyMs', 'minSuccessRate', 'adapters', 'excludeAdapters'];
+
+const PRESETS = {
+    balanced: { cost: 1, latency: 1, successRate: 1, capability: 1 },
+    cheapest: { cost: 4, latency: 0, successRate: 1, capability: 1 },
+    fastest: { cost: 0, latency: 4, successRate: 1, capability: 1 },
+    reliable: { cost: 0, latency: 1, successRate: 4, capability: 1 },
+    capable: { cost: 0, latency: 0, successRate: 1, capability: 4 }
+};
+
+// Score multiplier for the router's preferredAdapters
+const PREFERRED_BOOST = 1.5;
+
+class RoutingObjective {
+    /**
+     * @param {Object} spec - { preset, weights, constraints, estimates }
+     */
+    constructor(spec = {}) {
+        const preset = spec.preset || 'balanced';
+        if (!PRESETS[preset]) {
+            throw new Error(`Unknown routing preset: ${preset}. Available presets: ${Object.keys(PRESETS).join(', ')}`);
+        }
+        
+        this.preset = preset;
+        this.weights = { ...PRESETS[preset], ...(spec.weights || {}) };
+        this.constraints = { ...(spec.constraints || {}) };
+        this.estimates = { ...(spec.estimates || {}) };
+        
+        for (const [factor, weight] of Object.entries(this.weights)) {
+            if (!FACTORS.includes(factor)) {
+                throw new Error(`Unknown routing factor: ${factor}. Available factors: ${FACTORS.join(', ')}`);
+            }
+            if (typeof weight !== 'number' || weight < 0) {
+                throw new Error(`Weight for ${factor} must be a non-negative number`);
+            }
+        }
+        if (FACTORS.every(factor => this.weights[factor] === 0)) {
+            throw new Error('At least one routing weight must be positive');
+        }
+        for (const constraint of Object.keys(this.constraints)) {
+            if (!CONSTRAINTS.includes(constraint)) {
+                throw new Error(`Unknown routing constraint: ${constraint}. Available constraints: ${CONSTRAINTS.join(', ')}`);
+            }
+        }
+    }
+    
+    /**
+     * Build an objective from a preset name, spec or objective
+     * @param {string|Object|RoutingObjective} spec
+     * @returns {RoutingObjective}
+     */
+    static from(spec) {
+        if (spec instanceof RoutingObjective) {
+            return spec;
+        }
+        return new RoutingObjective(typeof spec === 'string' ? { preset: spec } : spec);
+    }
+    
+    /**
+     * Combine the router's objective with a task's own. The task's preset
+     * and weights replace the global ones when given; constraints and
+     * estimates are merged, the task's winning.
+     * @param {string|Object|null} globalSpec - Router-wide objective
+     * @param {string|Object|null} taskSpec - Task objective
+     * @returns {RoutingObjective|null} Null when neither is set
+     */
+    static combine(globalSpec, taskSpec) {
+        if (!globalSpec && !taskSpec) {
+            return null;
+        }
+        
+        const base = globalSpec ? RoutingObjective.from(globalSpec) : new RoutingObjective();
+        if (!taskSpec) {
+            return base;
+        }
+        
+        const task = typeof taskSpec === 'string' ? { preset: taskSpec } : taskSpec;
+        const ownWeights = task.preset || task.weights;
+        return new RoutingObjective({
+            preset: task.preset || base.preset,
+            weights: ownWeights ? task.weights : base.weights,
+            constraints: { ...base.constraints, ...(task.constraints || {}) },
+            estimates: { ...base.estimates, ...(task.estimates || {}) }
+        });
+    }
+    
+    /**
+     * Rank candidate adapters
+     * @param {Array<Object>} candidates - { name, version, adapter, score,
+     *   metrics } with `score` the capability score and `metrics` from
+     *   AdapterRegistry.getAdapterMetrics()
+     * @param {Array<string>} preferredAdapters - Names that get a boost
+     * @returns {Object} { ranked, rejected }: ranked candidates, best first,
+     *   with `score` replaced by the objective score and a `breakdown` of
+     *   it; rejected ones as { name, version, reasons }
+     */
+    rank(candidates, preferredAdapters = []) {
+        const rejected = [];
+        const eligible = [];
+        
+        for (const candidate of candidates) {
+            const values = this._values(candidate);
+            const reasons = this._violations(candidate.name, values);
+            if (reasons.length > 0) {
+                rejected.push({ name: candidate.name, version: candidate.version, reasons });
+            } else {
+                eligible.push({ candidate, values });
+            }
+        }
+        
+        const scores = RoutingObjective._normalize(eligible.map(entry => entry.values));
+        const totalWeight = FACTORS.reduce((sum, factor) => sum + this.weights[factor], 0);
+        
+        const ranked = eligible.map(({ candidate, values }, index) => {
+            const breakdown = {};
+            let weighted = 0;
+            for (const factor of FACTORS) {
+                const score = scores[index][factor];
+                breakdown[factor] = { value: values[factor], score, weight: this.weights[factor] };
+                weighted += score * this.weights[factor];
+            }
+            
+            breakdown.preferred = preferredAdapters.includes(candidate.name) ? PREFERRED_BOOST : 1;
+            breakdown.total = (weighted / totalWeight) * breakdown.preferred;
+            
+            return { ...candidate, capabilityScore: candidate.score, score: breakdown.total, breakdown };
+        });
+        
+        return { ranked: ranked.sort((a, b) => b.score - a.score), rejected };
+    }
+    
+    /**
+     * Plain description for routing decisions
+     */
+    describe() {
+        return {
+            preset: this.preset,
+            weights: { ...this.weights },
+            constraints: { ...this.constraints }
+        };
+    }
+    
+    /**
+     * Raw factor values of a candidate; null when unknown
+     * @private
+     */
+    _values(candidate) {
+        const metrics = candidate.metrics || {};
+        const estimate = this.estimates[candidate.name] || {};
+        const known = metrics.recentExecutions > 0;
+        
+        return {
+            cost: metrics.avgCostUsd ?? estimate.costUsd ?? null,
+            latency: known && metrics.p50 ? metrics.p50 : (estimate.latencyMs ?? null),
+            latencyP95: known && metrics.p95 ? metrics.p95 : (estimate.latencyMs ?? null),
+            successRate: known ? metrics.successRate : (estimate.successRate ?? null),
+            capability: candidate.score
+        };
+    }
+    
+    /**
+     * Constraints a candidate breaks; unknown values pass
+     * @private
+     */
+    _violations(name, values) {
+        const { maxCostUsd, maxLatencyMs, minSuccessRate, adapters, excludeAdapters } = this.constraints;
+        const reasons = [];
+        
+        if (adapters && !adapters.includes(name)) {
+            reasons.push('not among the allowed adapters');
+        }
+        if (excludeAdapters && excludeAdapters.includes(name)) {
+            reasons.push('excluded');
+        }
+        if (maxCostUsd !== undefined && values.cost !== null && values.cost > maxCostUsd) {
+            reasons.push(`cost $${+values.cost.toFixed(4)} over maxCostUsd $${maxCostUsd}`);
+        }
+        if (maxLatencyMs !== undefined && values.latencyP95 !== null && values.latencyP95 > maxLatencyMs) {
+            reasons.push(`p95 latency ${values.latencyP95}ms over maxLatencyMs ${maxLatencyMs}ms`);
+        }
+        if (minSuccessRate !== undefined && values.successRate !== null && values.successRate < minSuccessRate) {
+            reasons.push(`success rate ${values.successRate.toFixed(2)} under minSuccessRate ${minSuccessRate}`);
+        }
+        
+        return reasons;
+    }
+    
+    /**
+     * Score each factor 0-1 relative to the best eligible candidate
+     * @private
+     */
+    static _normalize(valueSets) {
+        const scores = valueSets.map(() => ({}));
+        
+        for (const factor of FACTORS) {
+            const known = valueSets.map(values => values[factor]).filter(value => value !== null);
+            const best = factor === 'cost' || factor === 'latency' ? Math.min(...known) : Math.max(...known);
+            
+            valueSets.forEach((values, index) => {
+                const value = values[factor];
+                if (value === null) return;
+                
+                if (factor === 'successRate') {
+                    scores[index][factor] = value;
+                } else if (factor === 'capability') {
+                    scores[index][factor] = best > 0 ? value / best : 1;
+                } else {
+                    // Lower is better; a free or instant run scores 1
+                    scores[index][factor] = value > 0 ? best / value : 1;
+                }
+            });
+            
+            // Unknown values score as the average known one
+            const knownScores = scores.map(score => score[factor]).filter(score => score !== undefined);
+            const neutral = knownScores.length > 0
+                ? knownScores.reduce((sum, score) => sum + score, 0) / knownScores.length
+                : 1;
+            for (const score of scores) {
+                if (score[factor] === undefined) {
+                    score[factor] = neutral;
+                }
+            }
+        }
+        
+        return scores;
+    }
+}
+
+RoutingObjective.PRESETS = PRESETS;
+RoutingObjective.FACTORS = FACTORS;
+
+module.exports = RoutingObjective;
@@ -0,0 +1,447 @@
+/**
+ * Task Analyzer
+ *
+ * Works out what a task needs from an adapter: features, context window,
+ * languages and execution capabilities. Evidence comes from the files the
+ * task lists (their extensions and real sizes), the manifests of the
+ * workspace it runs in (package.json, Cargo.toml, go.mod, ...), its vendor
+ * extensions and, least trusted, the wording of its description.
+ *
+ * Every requirement comes with a confidence between 0 and 1 under
+ * `requirements.confidence`, so a language guessed from the description
+ * alone can be weighed differently from one read off the files.
+ *
+ * Analysis is synchronous, as routing calls it inline, so the file system
+ * work is bounded: a directory walk stops after `maxWalkEntries` entries,
+ * and walks and manifests are cached per path for a while.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const TokenEstimator = require('../tokens/TokenEstimator');
+
+const TASK_TYPE_FEATURES = {
+    'comprehension': ['comprehension', 'explanation'],
+    'generation': ['generation', 'refactoring'],
+    'validation': ['validation', 'testing'],
+    'exploration': ['exploration', 'debugging'],
+    'refactoring': ['refactoring', 'generation'],
+    'testing': ['testing', 'generation'],
+    'documentation': ['documentation', 'generation']
+};
+
+const EXTENSION_LANGUAGES = {
+    '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+    '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'typescript',
+    '.py': 'python', '.pyi': 'python',
+    '.java': 'java',
+    '.go': 'go',
+    '.rs': 'rust',
+    '.cpp': 'c++', '.cc': 'c++', '.cxx': 'c++', '.hpp': 'c++', '.hh': 'c++', '.h': 'c++'
+};
+
+const MANIFEST_LANGUAGES = {
+    'package.json': 'javascript',
+    'tsconfig.json': 'typescript',
+    'Cargo.toml': 'rust',
+    'go.mod': 'go',
+    'pyproject.toml': 'python',
+    'setup.py': 'python',
+    'requirements.txt': 'python',
+    'Pipfile': 'python',
+    'pom.xml': 'java',
+    'build.gradle': 'java',
+    'build.gradle.kts': 'java',
+    'CMakeLists.txt': 'c++'
+};
+
+// Words that name a language in a description. Ambiguous English words
+// ("go", "node") only count in unambiguous phrases.
+const DESCRIPTION_LANGUAGES = {
+    javascript: /\b(javascript|js|jsx|node\.?js|npm)\b/,
+    typescript: /\b(typescript|ts|tsx)\b/,
+    python: /\b(python|py|pip)\b/,
+    java: /\b(java|maven|gradle)\b/,
+    go: /\b(golang|go\.mod|go modules?|go packages?|go code|goroutines?)\b/,
+    rust: /\b(rust|cargo)\b/,
+    'c++': /(c\+\+|\bcpp\b)/
+};
+
+// How much each kind of evidence is trusted
+const EVIDENCE = {
+    extension: 0.9,
+    manifest: 0.7,
+    description: 0.4,
+    measured: 0.9,
+    guessed: 0.3
+};
+
+class TaskAnalyzer {
+    /**
+     * @param {Object} options - { workspaceRoot, tokenEstimator, defaultFileTokens,
+     *   maxWalkFiles, maxWalkEntries, ignore, manifestTtlMs, walkTtlMs }
+     *   `workspaceRoot` applies to tasks whose context names none; relative
+     *   file paths are only measured when a root is known. Files are counted
+     *   with `tokenEstimator` (TokenEstimator.shared by default). A walk of
+     *   a listed directory counts at most `maxWalkFiles` files and reads at
+     *   most `maxWalkEntries` directory entries; its result is reused for
+     *   `walkTtlMs`
+     */
+    constructor(options = {}) {
+        this.workspaceRoot = options.workspaceRoot || null;
+        this.tokenEstimator = options.tokenEstimator || TokenEstimator.shared;
+        this.defaultFileTokens = options.defaultFileTokens || 500;
+        this.maxWalkFiles = options.maxWalkFiles || 5000;
+        this.maxWalkEntries = options.maxWalkEntries || 20000;
+        this.ignore = options.ignore || ['.git', 'node_modules'];
+        this.manifestTtlMs = options.manifestTtlMs ?? 30000;
+        this.walkTtlMs = options.walkTtlMs ?? 30000;
+        
+        // Workspace root -> { languages, at }
+        this._manifestCache = new Map();
+        // Directory -> { result, at }, oldest first
+        this._walkCache = new Map();
+    }
+    
+    /**
+     * Analyze a task
+     * @param {Object} task - Task to analyze
+     * @returns {Object} Requirements with a `confidence` per requirement
+     */
+    analyze(task) {
+        const context = task.context || {};
+        const root = this._workspaceRoot(context);
+        const description = (task.description || '').toLowerCase();
+        const extensions = Object.values(task.extensions || {});
+        
+        const requirements = {
+            taskType: task.type,
+            features: [],
+            minContextTokens: 0,
+            languages: [],
+            multiFile: false,
+            streaming: false,
+            subAgents: false
+        };
+        const confidence = {
+            taskType: task.type ? 1 : 0,
+            features: 0.3,
+            minContextTokens: 0.5,
+            languages: 0,
+            multiFile: 0.5,
+            streaming: 0.7,
+            subAgents: 0.7
+        };
+        
+        // Features follow from the task type
+        if (TASK_TYPE_FEATURES[task.type]) {
+            requirements.features.push(...TASK_TYPE_FEATURES[task.type]);
+            confidence.features = 0.9;
+        }
+        
+        // Context size from the files' real sizes where they can be read
+        const files = this._inspectFiles(context.files || [], root);
+        const size = this._measure(files, context);
+        requirements.minContextTokens = size.tokens;
+        confidence.minContextTokens = size.confidence;
+        
+        const fileCount = files.reduce((count, file) => count + file.fileCount, 0);
+        requirements.multiFile = fileCount > 1;
+        if (fileCount > 1 || files.some(file => file.exists)) {
+            confidence.multiFile = 1;
+        } else if (files.length === 1) {
+            confidence.multiFile = 0.7;
+        }
+        
+        // Languages from extensions, manifests and the description
+        const languages = this._detectLanguages(files, root, description);
+        requirements.languages = Object.keys(languages);
+        if (requirements.languages.length > 0) {
+            // A set of languages is only as certain as its least certain member
+            confidence.languages = Math.min(...Object.values(languages));
+        }
+        
+        // Execution capabilities from the description
+        if (description.includes('stream') || description.includes('real-time')) {
+            requirements.streaming = true;
+            confidence.streaming = 0.6;
+        }
+        if (description.includes('delegate') || description.includes('sub-agent') ||
+            description.includes('parallel') || description.includes('distribute')) {
+            requirements.subAgents = true;
+            confidence.subAgents = 0.6;
+        }
+        
+        // Vendor extensions state requirements outright
+        for (const ext of extensions) {
+            if (ext.subAgents) {
+                requirements.subAgents = true;
+                confidence.subAgents = 1;
+            }
+            if (ext.streaming) {
+                requirements.streaming = true;
+                confidence.streaming = 1;
+            }
+            if (ext.features) {
+                requirements.features.push(...ext.features);
+                confidence.features = Math.max(confidence.features, 0.9);
+            }
+        }
+        
+        requirements.features = [...new Set(requirements.features)];
+        requirements.confidence = TaskAnalyzer._round(confidence);
+        
+        return requirements;
+    }
+    
+    /**
+     * Estimate the tokens a task context takes up
+     * @param {Object} context - Task context ({ files, content, code, workspaceRoot })
+     * @returns {Object} { tokens, confidence }
+     */
+    estimateContextTokens(context = {}) {
+        const files = this._inspectFiles(context.files || [], this._workspaceRoot(context));
+        return this._measure(files, context);
+    }
+    
+    /**
+     * Languages a workspace declares through its manifests
+     * @param {string} root - Workspace root
+     * @returns {Array<string>} Languages
+     */
+    workspaceLanguages(root) {
+        const resolved = path.resolve(root);
+        const cached = this._manifestCache.get(resolved);
+        if (cached && Date.now() - cached.at < this.manifestTtlMs) {
+            return cached.languages;
+        }
+        
+        let entries = [];
+        try {
+            entries = fs.readdirSync(resolved);
+        } catch {
+            // Missing or unreadable workspace: no manifest evidence
+        }
+        
+        const languages = new Set();
+        for (const entry of entries) {
+            if (MANIFEST_LANGUAGES[entry]) {
+                languages.add(MANIFEST_LANGUAGES[entry]);
+            }
+        }
+        if (languages.has('javascript') && !languages.has('typescript') &&
+            TaskAnalyzer._dependsOnTypescript(path.join(resolved, 'package.json'))) {
+            languages.add('typescript');
+        }
+        
+        const result = [...languages];
+        this._manifestCache.set(resolved, { languages: result, at: Date.now() });
+        return result;
+    }
+    
+    /**
+     * @private
+     */
+    _workspaceRoot(context) {
+        return context.workspaceRoot || this.workspaceRoot;
+    }
+    
+    /**
+     * Count the task's files; directories count every file beneath them,
+     * estimated from their sizes
+     * @private
+     */
+    _inspectFiles(files, root) {
+        return files.map(file => {
+            const name = typeof file === 'string' ? file : (file?.path || '');
+            const info = { name, exists: false, tokens: 0, fileCount: 1, extensions: [path.extname(name).toLowerCase()] };
+            
+            const absolute = path.isAbsolute(name) ? name : (root ? path.resolve(root, name) : null);
+            if (!name || !absolute) {
+                return info;
+            }
+            
+            try {
+                const stats = fs.statSync(absolute);
+                info.exists = true;
+                if (stats.isDirectory()) {
+                    Object.assign(info, this._walk(absolute));
+                } else {
+                    const counted = this.tokenEstimator.countFile(absolute);
+                    info.tokens = counted ? counted.tokens : this.tokenEstimator.estimateBytes(stats.size, { path: absolute });
+                }
+            } catch {
+                // Not there (yet): estimated instead of measured
+            }
+            return info;
+        });
+    }
+    
+    /**
+     * Estimated tokens, file count and extensions under a directory; a
+     * walk cut short by the caps counts what it reached
+     * @private
+     */
+    _walk(directory) {
+        const cached = this._walkCache.get(directory);
+        if (cached && Date.now() - cached.at < this.walkTtlMs) {
+            return cached.result;
+        }
+        
+        const result = { tokens: 0, fileCount: 0, extensions: [], truncated: false };
+        const extensions = new Set();
+        const pending = [directory];
+        let visited = 0;
+        
+        while (pending.length > 0) {
+            const current = pending.pop();
+            let entries;
+            try {
+                entries = fs.readdirSync(current, { withFileTypes: true });
+            } catch {
+                continue;
+            }
+            
+            for (const entry of entries) {
+                if (++visited > this.maxWalkEntries || result.fileCount >= this.maxWalkFiles) {
+                    result.truncated = true;
+                    pending.length = 0;
+                    break;
+                }
+                if (this.ignore.includes(entry.name)) continue;
+                
+                const full = path.join(current, entry.name);
+                if (entry.isDirectory()) {
+                    pending.push(full);
+                } else if (entry.isFile()) {
+                    try {
+                        result.tokens += this.tokenEstimator.estimateBytes(fs.statSync(full).size, { path: full });
+                    } catch {
+                        continue;
+                    }
+                    result.fileCount++;
+                    extensions.add(path.extname(entry.name).toLowerCase());
+                }
+            }
+        }
+        
+        result.extensions = [...extensions];
+        
+        this._walkCache.delete(directory);
+        this._walkCache.set(directory, { result, at: Date.now() });
+        if (this._walkCache.size > 256) {
+            this._walkCache.delete(this._walkCache.keys().next().value);
+        }
+        return result;
+    }
+    
+    /**
+     * Tokens for inspected files plus inline content, with a confidence
+     * weighted by how much of the total was measured rather than guessed
+     * @private
+     */
+    _measure(files, context) {
+        let measured = 0;
+        let guessed = 0;
+        
+        for (const file of files) {
+            if (file.exists) {
+                measured += file.tokens;
+            } else {
+                guessed += this.defaultFileTokens;
+            }
+        }
+        
+        // Inline text is counted like file content
+        if (typeof context.content === 'string') {
+            measured += this.tokenEstimator.count(context.content);
+        }
+        if (typeof context.code === 'string') {
+            measured += this.tokenEstimator.count(context.code, { type: 'code' });
+        }
+        
+        const tokens = measured + guessed;
+        const confidence = tokens === 0
+            ? 0.5
+            : (measured * EVIDENCE.measured + guessed * EVIDENCE.guessed) / tokens;
+        
+        return { tokens, confidence: Math.round(confidence * 100) / 100 };
+    }
+    
+    /**
+     * Languages with a confidence each. Workspace manifests add languages
+     * only when the files name none; otherwise they just corroborate.
+     * @private
+     */
+    _detectLanguages(files, root, description) {
+        const evidence = {};
+        const add = (language, weight) => {
+            (evidence[language] = evidence[language] || []).push(weight);
+        };
+        
+        for (const file of files) {
+            for (const extension of file.extensions) {
+                if (EXTENSION_LANGUAGES[extension]) {
+                    add(EXTENSION_LANGUAGES[extension], EVIDENCE.extension);
+                }
+            }
+            // Manifests listed as task files count as much as source files
+            const manifest = MANIFEST_LANGUAGES[path.basename(file.name)];
+            if (manifest) {
+                add(manifest, EVIDENCE.extension);
+            }
+        }
+        
+        const fromFiles = new Set(Object.keys(evidence));
+        if (root) {
+            for (const language of this.workspaceLanguages(root)) {
+                if (fromFiles.size === 0 || fromFiles.has(language)) {
+                    add(language, EVIDENCE.manifest);
+                }
+            }
+        }
+        
+        for (const [language, pattern] of Object.entries(DESCRIPTION_LANGUAGES)) {
+            if (pattern.test(description)) {
+                add(language, EVIDENCE.description);
+            }
+        }
+        
+        // Independent pieces of evidence: 1 - product of their doubts
+        const languages = {};
+        for (const [language, weights] of Object.entries(evidence)) {
+            // Repeats of one kind of evidence (ten .js files) count once
+            const distinct = [...new Set(weights)];
+            languages[language] = 1 - distinct.reduce((doubt, weight) => doubt * (1 - weight), 1);
+        }
+        return languages;
+    }
+    
+    /**
+     * @private
+     */
+    static _dependsOnTypescript(packageJson) {
+        try {
+            const manifest = JSON.parse(fs.readFileSync(packageJson, 'utf8'));
+            return !!(manifest.dependencies?.typescript || manifest.devDependencies?.typescript);
+        } catch {
+            return false;
+        }
+    }
+    
+    /**
+     * @private
+     */
+    static _round(confidence) {
+        const rounded = {};
+        for (const [key, value] of Object.entries(confidence)) {
+            rounded[key] = Math.round(value * 100) / 100;
+        }
+        return rounded;
+    }
+}
+
+TaskAnalyzer.EXTENSION_LANGUAGES = EXTENSION_LANGUAGES;
+TaskAnalyzer.MANIFEST_LANGUAGES = MANIFEST_LANGUAGES;
+
+module.exports = TaskAnalyzer;
@@ -0,0 +1,371 @@
+/**
+ * Context Planner
+ *
+ * Splits a task whose files do not fit an adapter's context window into
+ * chunks that do. Files are packed in order into token-bounded chunks; a
+ * file too large for any chunk is cut into segments at top-level function
+ * and class boundaries where it has them, then at nested declarations,
+ * blank lines and finally plain lines.
+ *
+ * Chunks run one after another. Each carries a summary of the parts
+ * before it (what they covered and what they found). reduce() combines
+ * their results by concatenation; OrchestrationStrategy then has a reduce
+ * task synthesize the outputs into one answer.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const TokenEstimator = require('../tokens/TokenEstimator');
+const TaskBudget = require('../budget/TaskBudget');
+
+// Split points, tried in order until every segment fits
+const DECLARATION = /^(?:export\s+|default\s+|pub(?:\([^)]*\))?\s+|async\s+|public\s+|private\s+|protected\s+|static\s+|abstract\s+|final\s+)*(?:function\*?|class|def|fn|func|struct|enum|impl|trait|interface|type|mod|const\s+\w+\s*=\s*(?:async\s*)?(?:\(|function))\b/;
+const BOUNDARIES = [
+    line => DECLARATION.test(line),
+    line => DECLARATION.test(line.trimStart()),
+    line => line.trim() === '',
+    () => true
+];
+
+class ContextPlanner {
+    /**
+     * @param {Object} options - { tokenEstimator, fill, summaryTokens,
+     *   defaultFileTokens, workspaceRoot }
+     *   `fill` is the share of the context window given to task context,
+     *   leaving the rest for instructions and the answer; `summaryTokens`
+     *   bounds the summary of earlier chunks each chunk carries
+     */
+    constructor(options = {}) {
+        this.tokenEstimator = options.tokenEstimator || TokenEstimator.shared;
+        this.fill = options.fill || 0.75;
+        this.summaryTokens = options.summaryTokens || 1000;
+        this.defaultFileTokens = options.defaultFileTokens || 500;
+        this.workspaceRoot = options.workspaceRoot || null;
+    }
+    
+    /**
+     * Tokens of context an adapter takes in one run
+     * @param {Object|number} adapter - Adapter, or its maxContextTokens
+     * @returns {number} Tokens, Infinity when the adapter states no limit
+     */
+    capacity(adapter) {
+        const max = typeof adapter === 'number' ? adapter : adapter?.capabilities?.maxContextTokens;
+        return max > 0 ? Math.floor(max * this.fill) : Infinity;
+    }
+    
+    /**
+     * Measure a task's context. Files are paths or { path } objects;
+     * relative paths resolve against the task's workspaceRoot, else the
+     * adapter's, else the planner's.
+     * @param {Object} task - Task with context.files and inline content
+     * @param {Object|null} adapter - Adapter the task is for
+     * @returns {Object} { tokens, fixedTokens, files: [{ file, name, absolute, tokens, readable }] }:
+     *   `file` is the entry as given and `name` its path; `fixedTokens` is
+     *   what every chunk repeats (description and inline content)
+     */
+    measure(task, adapter = null) {
+        const context = task.context || {};
+        const root = context.workspaceRoot || adapter?.config?.workspaceRoot || this.workspaceRoot;
+        
+        const files = (context.files || []).map(file => {
+            const name = ContextPlanner.fileName(file);
+            const absolute = !name ? null : path.isAbsolute(name) ? name : (root ? path.resolve(root, name) : null);
+            const counted = absolute ? this.tokenEstimator.countFile(absolute) : null;
+            // Files that cannot be read are guessed at and never split
+            return counted
+                ? { file, name, absolute, tokens: counted.tokens, readable: true }
+                : { file, name, absolute, tokens: this.defaultFileTokens, readable: false };
+        });
+        
+        const fixedTokens = this.tokenEstimator.count(task.description) +
+            this.tokenEstimator.count(context.content) +
+            this.tokenEstimator.count(context.code, { type: 'code' });
+        
+        return {
+            tokens: fixedTokens + files.reduce((sum, file) => sum + file.tokens, 0),
+            fixedTokens,
+            files
+        };
+    }
+    
+    /**
+     * Whether a task's context overflows what an adapter takes in one run
+     * @param {Object} task - Task to check
+     * @param {Object|number} adapter - Adapter, or its maxContextTokens
+     * @returns {boolean}
+     */
+    exceeds(task, adapter) {
+        const capacity = this.capacity(adapter);
+        return capacity !== Infinity && (task.context?.files?.length || 0) > 0 &&
+            this.measure(task, typeof adapter === 'object' ? adapter : null).tokens > capacity;
+    }
+    
+    /**
+     * Pack a task's files into chunks that fit
+     * @param {Object} task - Task to plan
+     * @param {Object|number} adapter - Adapter, or its maxContextTokens
+     * @param {Object} options - { maxFiles }: also cap the files per chunk
+     * @returns {Object} { chunks: [{ index, files, segments, tokens }], budget, tokens }
+     */
+    plan(task, adapter, options = {}) {
+        const measured = this.measure(task, typeof adapter === 'object' ? adapter : null);
+        const capacity = this.capacity(adapter);
+        const maxFiles = options.maxFiles || Infinity;
+        
+        // Every chunk repeats the task and may carry a summary of the others
+        const budget = capacity - measured.fixedTokens - (capacity === Infinity ? 0 : this.summaryTokens);
+        if (budget < Math.min(256, capacity / 4)) {
+            throw new Error(`Task description and inline content leave no room for files within ${capacity} context tokens`);
+        }
+        
+        const chunks = [];
+        let current = null;
+        const startChunk = () => {
+            current = { index: chunks.length + 1, files: [], segments: [], tokens: 0 };
+            chunks.push(current);
+        };
+        const fits = (tokens) => current && current.tokens + tokens <= budget &&
+            current.files.length + current.segments.length < maxFiles;
+        
+        for (const file of measured.files) {
+            if (file.tokens <= budget || !file.readable) {
+                if (!fits(file.tokens)) startChunk();
+                current.files.push(file.file);
+                current.tokens += file.tokens;
+                continue;
+            }
+            
+            for (const segment of this.splitFile({ file: file.name, absolute: file.absolute }, budget)) {
+                if (!fits(segment.tokens)) startChunk();
+                current.segments.push(segment);
+                current.tokens += segment.tokens;
+            }
+        }
+        
+        return { chunks, budget, tokens: measured.tokens };
+    }
+    
+    /**
+     * Cut a file into segments of at most `budget` tokens, at the coarsest
+     * boundaries that get every segment under it
+     * @param {Object} file - { file, absolute }
+     * @param {number} budget - Tokens per segment
+     * @returns {Array<Object>} [{ file, startLine, endLine, tokens, content }]
+     */
+    splitFile(file, budget) {
+        const content = fs.readFileSync(file.absolute, 'utf8');
+        const lines = content.split('\n').map((text, i) => ({
+            text,
+            number: i + 1,
+            tokens: this.tokenEstimator.count(text + '\n', { path: file.file })
+        }));
+        
+        return this._split(lines, budget, 0).map(group => ({
+            file: file.file,
+            startLine: group[0].number,
+            endLine: group[group.length - 1].number,
+            tokens: group.reduce((sum, line) => sum + line.tokens, 0),
+            content: group.map(line => line.text).join('\n')
+        }));
+    }
+    
+    /**
+     * Task for one chunk: the original task narrowed to the chunk's files,
+     * with its segments inline and the summary of earlier chunks. The
+     * task's budget covers all chunks, so it is not copied; the caller
+     * gives each chunk its share.
+     * @param {Object} task - Original task
+     * @param {Object} plan - Plan from plan()
+     * @param {Object} chunk - One of plan.chunks
+     * @param {Object} options - { summary, budget, reason }: the summary of
+     *   earlier chunks, budget limits for this chunk, and why the task is
+     *   split (by default, that its context is too large for one run)
+     * @returns {Object} Task
+     */
+    chunkTask(task, plan, chunk, options = {}) {
+        const { summary = null, budget = null } = options;
+        const reason = options.reason || 'The context of this task is too large for one run and is split into parts.';
+        const count = plan.chunks.length;
+        const parts = [
+            task.description,
+            `[Part ${chunk.index} of ${count}] ${reason} Work only on the files and segments of this part.`
+        ];
+        if (summary) {
+            parts.push(`Earlier parts:\n${summary}`);
+        }
+        for (const segment of chunk.segments) {
+            parts.push(`${segment.file} lines ${segment.startLine}-${segment.endLine}:\n\`\`\`\n${segment.content}\n\`\`\``);
+        }
+        
+        return {
+            ...TaskBudget.assign(task, budget),
+            id: `${task.id}-chunk-${chunk.index}`,
+            description: parts.join('\n\n'),
+            context: {
+                ...task.context,
+                files: chunk.files,
+                segments: chunk.segments.map(({ content, ...segment }) => segment),
+                chunk: { index: chunk.index, count },
+                previousSummary: summary
+            }
+        };
+    }
+    
+    /**
+     * Summary of the chunks so far for the next one: what each covered and
+     * the start of what it found, within summaryTokens
+     * @param {Array<Object>} chunks - Chunks that have run
+     * @param {Array<Object>} results - Their results, in order
+     * @returns {string}
+     */
+    summarize(chunks, results) {
+        const share = Math.floor(this.summaryTokens / Math.max(chunks.length, 1));
+        
+        return chunks.map((chunk, i) => {
+            const result = results[i] || {};
+            const header = `Part ${chunk.index} (${ContextPlanner.describeChunk(chunk)})`;
+            const body = result.error
+                ? `failed: ${result.error}`
+                : this.truncate(String(result.output || '').trim(), share - this.tokenEstimator.count(header));
+            return `${header}: ${body}`;
+        }).join('\n');
+    }
+    
+    /**
+     * Combine chunk results: outputs concatenated under a heading per
+     * part, artifacts with repeats dropped, and costs summed. Nothing is
+     * merged or reconciled across parts.
+     * @param {Object} task - Original task
+     * @param {Object} plan - Plan the chunks came from
+     * @param {Array<Object>} results - Result per chunk; failed chunks as { error }
+     * @returns {Object} Combined result
+     */
+    reduce(task, plan, results) {
+        const succeeded = results.filter(result => !result.error);
+        if (succeeded.length === 0) {
+            throw new Error(`All ${results.length} context chunks failed: ${results[0]?.error}`);
+        }
+        
+        // The same finding reported by several chunks is kept once
+        const seen = new Set();
+        const artifacts = succeeded.flatMap(result => result.artifacts || []).filter(artifact => {
+            const key = JSON.stringify(artifact);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        
+        const costs = succeeded.map(result => result.metrics?.costUsd).filter(cost => typeof cost === 'number');
+        
+        return {
+            taskId: task.id,
+            status: succeeded.length < results.length ? 'partial' : 'completed',
+            output: plan.chunks.map((chunk, i) => {
+                const result = results[i];
+                const body = result.error ? `Failed: ${result.error}` : result.output;
+                return `## Part ${chunk.index} of ${plan.chunks.length} (${ContextPlanner.describeChunk(chunk)})\n${body}`;
+            }).join('\n\n'),
+            artifacts,
+            metrics: {
+                duration: succeeded.reduce((sum, result) => sum + (result.metrics?.duration || 0), 0),
+                costUsd: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : undefined,
+                contextTokens: plan.tokens
+            },
+            chunks: plan.chunks.map((chunk, i) => ({
+                index: chunk.index,
+                files: chunk.files,
+                segments: chunk.segments.map(({ content, ...segment }) => segment),
+                tokens: chunk.tokens,
+                status: results[i].error ? 'failed' : 'completed',
+                error: results[i].error
+            }))
+        };
+    }
+    
+    /**
+     * Cut text to about `maxTokens`
+     * @param {string} text - Text to cut
+     * @param {number} maxTokens - Tokens to keep
+     * @returns {string} The text, or its start marked with an ellipsis
+     */
+    truncate(text, maxTokens) {
+        const tokens = this.tokenEstimator.count(text);
+        if (tokens <= maxTokens) {
+            return text;
+        }
+        return text.slice(0, Math.max(0, Math.floor(text.length * maxTokens / tokens))).trimEnd() + ' …';
+    }
+    
+    /**
+     * What a chunk covers, e.g. "a.js, big.js lines 1-120"
+     * @param {Object} chunk - Chunk from plan()
+     * @returns {string}
+     */
+    static describeChunk(chunk) {
+        return [
+            ...chunk.files.map(ContextPlanner.fileName),
+            ...chunk.segments.map(segment => `${segment.file} lines ${segment.startLine}-${segment.endLine}`)
+        ].join(', ');
+    }
+    
+    /**
+     * Path of a context file entry
+     * @param {string|Object} file - Path, or { path }
+     * @returns {string} The path, '' when there is none
+     */
+    static fileName(file) {
+        return typeof file === 'string' ? file : (file?.path || '');
+    }
+    
+    /**
+     * Group lines into runs under the budget, cutting at the boundaries of
+     * `level` and going finer for runs that are still too large
+     * @private
+     */
+    _split(lines, budget, level) {
+        const isBoundary = BOUNDARIES[level];
+        
+        // Units start at boundary lines; leading comments stay with the
+        // declaration below them
+        const units = [];
+        let unit = [];
+        for (let i = 0; i < lines.length; i++) {
+            if (i > 0 && isBoundary(lines[i].text) && unit.length > 0) {
+                let start = unit.length;
+                while (start > 0 && /^\s*(\/\/|#|\/?\*|@)/.test(unit[start - 1].text)) start--;
+                units.push(unit.slice(0, start));
+                unit = unit.slice(start);
+            }
+            unit.push(lines[i]);
+        }
+        units.push(unit);
+        
+        // Pack units greedily; split any unit that alone is too large
+        const groups = [];
+        let group = [];
+        let tokens = 0;
+        for (const current of units.filter(u => u.length > 0)) {
+            const unitTokens = current.reduce((sum, line) => sum + line.tokens, 0);
+            
+            if (unitTokens > budget && level < BOUNDARIES.length - 1) {
+                if (group.length > 0) groups.push(group);
+                groups.push(...this._split(current, budget, level + 1));
+                group = [];
+                tokens = 0;
+                continue;
+            }
+            if (group.length > 0 && tokens + unitTokens > budget) {
+                groups.push(group);
+                group = [];
+                tokens = 0;
+            }
+            group.push(...current);
+            tokens += unitTokens;
+        }
+        if (group.length > 0) groups.push(group);
+        
+        return groups;
+    }
+}
+
+module.exports = ContextPlanner;
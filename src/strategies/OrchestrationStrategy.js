@@ -7,11 +7,22 @@
  */
 
 const { EventEmitter } = require('events');
+const TaskBudget = require('../budget/TaskBudget');
+const ContextPlanner = require('./ContextPlanner');
 
 class OrchestrationStrategy extends EventEmitter {
-    constructor(adapter) {
+    /**
+     * @param {AIAgentAdapter} adapter - Adapter that runs the tasks
+     * @param {Object} options - `contextPlanner` splits tasks whose context
+     *   exceeds the adapter's maxContextTokens (see ./ContextPlanner.js);
+     *   `reducer` is the adapter that runs mapReduce's reduce step when not
+     *   the same one
+     */
+    constructor(adapter, options = {}) {
         super();
         this.adapter = adapter;
+        this.contextPlanner = options.contextPlanner || new ContextPlanner();
+        this.reducer = options.reducer || null;
         
         // Default fallback chain
         this.defaultStrategies = [
@@ -31,7 +42,9 @@ class OrchestrationStrategy extends EventEmitter {
             parallel: 180000,     // 3 minutes
             streaming: 120000,    // 2 minutes
             batched: 90000,       // 1.5 minutes
-            sequential: 60000     // 1 minute
+            sequential: 60000,    // 1 minute
+            chunked: 600000,      // 10 minutes, for all chunks together
+            mapReduce: 300000     // 5 minutes
         };
     }
     
@@ -42,9 +55,10 @@ class OrchestrationStrategy extends EventEmitter {
      * @returns {Object} Execution result
      */
     async execute(task, options = {}) {
-        const strategies = options.strategies || this.defaultStrategies;
+        const requested = options.strategies || this.defaultStrategies;
         const startTime = Date.now();
         const attempts = [];
+        const budget = TaskBudget.for(task, this.adapter.name);
         
         // Check for explicit strategy in task
         const explicitStrategy = this._getExplicitStrategy(task);
@@ -55,14 +69,30 @@ class OrchestrationStrategy extends EventEmitter {
                 return result;
             } catch (error) {
                 this._recordFailure(explicitStrategy, error);
+                if (error.budgetExceeded) {
+                    throw error;
+                }
                 // Continue with fallback strategies
             }
         }
         
+        // Context the adapter cannot take in one run is chunked first;
+        // `chunking: false` turns this off
+        const strategies = options.chunking !== false && !requested.includes('chunked') &&
+            this._exceedsContext(task)
+            ? ['chunked', ...requested]
+            : requested;
+        
         // Try each strategy in order
         for (const strategy of strategies) {
             const strategyStart = Date.now();
             
+            // Fallbacks share the task's time budget; stop once it is spent
+            const remaining = budget ? budget.remainingDuration(strategyStart - startTime) : Infinity;
+            if (remaining === 0) {
+                throw this._budgetExhausted(task, budget, attempts, startTime);
+            }
+            
             try {
                 // Check if strategy is available
                 if (!this._isStrategyAvailable(strategy)) {
@@ -87,7 +117,7 @@ class OrchestrationStrategy extends EventEmitter {
                 }
                 
                 // Execute with timeout
-                const timeout = options.timeout || this.timeouts[strategy];
+                const timeout = Math.min(options.timeout || this.timeouts[strategy], remaining);
                 const result = await this._executeWithTimeout(
                     this._executeStrategy(strategy, task, options),
                     timeout
@@ -140,12 +170,22 @@ class OrchestrationStrategy extends EventEmitter {
                 // Log the failure
                 console.warn(`Strategy ${strategy} failed: ${error.message}`);
                 
+                // A fallback would spend the budget again
+                if (error.budgetExceeded) {
+                    error.attempts = attempts;
+                    throw error;
+                }
+                
                 // Continue to next strategy
                 continue;
             }
         }
         
-        // All strategies failed
+        // All strategies failed, the last perhaps cut short by the budget
+        if (budget && budget.remainingDuration(Date.now() - startTime) === 0) {
+            throw this._budgetExhausted(task, budget, attempts, startTime);
+        }
+        
         const totalDuration = Date.now() - startTime;
         const error = new Error('All execution strategies failed');
         error.attempts = attempts;
@@ -160,6 +200,96 @@ class OrchestrationStrategy extends EventEmitter {
         throw error;
     }
     
+    /**
+     * Error for a task whose fallback chain ran out of time budget
+     * @private
+     */
+    _budgetExhausted(task, budget, attempts, startTime) {
+        const exceeded = {
+            limit: 'maxDurationMs',
+            max: budget.limits.maxDurationMs,
+            actual: Date.now() - startTime
+        };
+        
+        this.emit('task:budget-exceeded', {
+            taskId: task.id,
+            ...exceeded,
+            action: 'stopped',
+            attempts,
+            timestamp: new Date()
+        });
+        
+        const error = new Error(`Task stopped over budget: ${TaskBudget.describe(exceeded)}`);
+        error.attempts = attempts;
+        error.duration = exceeded.actual;
+        error.budgetExceeded = exceeded;
+        return error;
+    }
+    
+    /**
+     * Whether a task's context overflows the adapter's window; a context
+     * that cannot be measured is left to the requested strategies
+     * @private
+     */
+    _exceedsContext(task) {
+        try {
+            return this.contextPlanner.exceeds(task, this.adapter);
+        } catch (error) {
+            console.warn(`Could not measure the context of task ${task.id}: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Error for a task whose subtasks spent its budget before all of them
+     * had run
+     * @private
+     */
+    _subtaskBudgetExhausted(task, exceeded) {
+        this._reportBudgetExceeded(task, exceeded, 'stopped');
+        
+        const error = new Error(`Task stopped over budget: ${TaskBudget.describe(exceeded)}`);
+        error.budgetExceeded = exceeded;
+        return error;
+    }
+    
+    /**
+     * @private
+     */
+    _reportBudgetExceeded(task, exceeded, action) {
+        this.emit('task:budget-exceeded', {
+            taskId: task.id,
+            ...exceeded,
+            action,
+            timestamp: new Date()
+        });
+    }
+    
+    /**
+     * Splits a task's budget among the subtasks run on its behalf: each
+     * gets an even share, among those still to run, of what the earlier
+     * ones left
+     * @private
+     */
+    _budgetSplitter(task) {
+        const budget = TaskBudget.for(task, this.adapter.name);
+        const startTime = Date.now();
+        const used = { costUsd: 0, tokens: 0 };
+        
+        return {
+            share: parts => budget
+                ? budget.share({ ...used, durationMs: Date.now() - startTime }, parts)
+                : { limits: null, exhausted: null },
+            // Subtasks can each run a little past their share
+            exceeded: () => budget ? budget.check({ ...used, durationMs: Date.now() - startTime }) : null,
+            spend: result => {
+                const usage = TaskBudget.usageOf(result);
+                used.costUsd += usage.costUsd;
+                used.tokens += usage.tokens;
+            }
+        };
+    }
+    
     /**
      * Execute a specific strategy
      * @private
@@ -178,6 +308,12 @@ class OrchestrationStrategy extends EventEmitter {
             case 'batched':
                 return await this._executeInBatches(task, options);
             
+            case 'chunked':
+                return await this._executeInChunks(task, options);
+            
+            case 'mapReduce':
+                return await this._executeMapReduce(task, options);
+            
             case 'sequential':
             default:
                 return await this._executeSequentially(task, options);
@@ -197,8 +333,11 @@ class OrchestrationStrategy extends EventEmitter {
         const config = this.adapter.getFeatureConfig('subAgents') || {};
         const maxConcurrent = config.maxConcurrent || 3;
         
-        // Decompose task into subtasks
-        const subtasks = this._decomposeForSubAgents(task, maxConcurrent);
+        // Decompose task into subtasks, which run side by side, each
+        // within an even share of the task's budget
+        const decomposed = this._decomposeForSubAgents(task, maxConcurrent);
+        const share = this._budgetSplitter(task).share(decomposed.length);
+        const subtasks = decomposed.map(subtask => TaskBudget.assign(subtask, share.limits));
         
         // Create sub-agent execution plan
         const plan = {
@@ -245,23 +384,42 @@ class OrchestrationStrategy extends EventEmitter {
         const config = this.adapter.getFeatureConfig('parallelExecution') || {};
         const maxConcurrent = config.maxConcurrent || 5;
         
-        // Execute in batches if needed
+        // Execute in batches if needed, each subtask within its share of
+        // what the batches before it left of the task's budget
+        const budget = this._budgetSplitter(task);
         const results = [];
         for (let i = 0; i < parallelTasks.length; i += maxConcurrent) {
+            const share = budget.share(parallelTasks.length - i);
+            if (share.exhausted) {
+                this._reportBudgetExceeded(task, share.exhausted, 'stopped');
+                results.push(...parallelTasks.slice(i).map(t => ({
+                    error: `Skipped: ${TaskBudget.describe(share.exhausted)}`,
+                    task: t
+                })));
+                break;
+            }
+            
             const batch = parallelTasks.slice(i, i + maxConcurrent);
             const batchPromises = batch.map(t => 
-                this.adapter.executeTask(t).catch(err => ({
+                this.adapter.executeTask(TaskBudget.assign(t, share.limits)).catch(err => ({
                     error: err.message,
                     task: t
                 }))
             );
             
             const batchResults = await Promise.all(batchPromises);
+            batchResults.forEach(result => budget.spend(result));
             results.push(...batchResults);
         }
         
         // Aggregate results
-        return this._aggregateParallelResults(results, task);
+        const aggregated = this._aggregateParallelResults(results, task);
+        const exceeded = budget.exceeded();
+        if (exceeded) {
+            this._reportBudgetExceeded(task, exceeded, 'reported');
+            aggregated.budgetExceeded = exceeded;
+        }
+        return aggregated;
     }
     
     /**
@@ -327,10 +485,16 @@ class OrchestrationStrategy extends EventEmitter {
             });
         }
         
-        // Execute batches
+        // Execute batches, each within its share of the task's budget
+        const budget = this._budgetSplitter(task);
         const results = [];
         for (const batch of batches) {
-            const result = await this.adapter.executeTask(batch);
+            const share = budget.share(batches.length - results.length);
+            if (share.exhausted) {
+                throw this._subtaskBudgetExhausted(task, share.exhausted);
+            }
+            const result = await this.adapter.executeTask(TaskBudget.assign(batch, share.limits));
+            budget.spend(result);
             results.push(result);
             
             // Emit progress
@@ -345,6 +509,322 @@ class OrchestrationStrategy extends EventEmitter {
         return this._aggregateBatchResults(results, task);
     }
     
+    /**
+     * Execute in token-bounded chunks, one after another, each told what
+     * the earlier ones found. A reduce task, as for mapReduce, then
+     * synthesizes their outputs into one answer; with `synthesize: false`,
+     * or when it fails, the answer is the outputs concatenated part by part.
+     * @private
+     */
+    async _executeInChunks(task, options) {
+        const planner = this.contextPlanner;
+        const plan = planner.plan(task, this.adapter);
+        
+        if (plan.chunks.length <= 1) {
+            return await this._executeSequentially(task, options);
+        }
+        
+        this.emit('context:chunked', {
+            taskId: task.id,
+            chunks: plan.chunks.length,
+            contextTokens: plan.tokens,
+            chunkBudget: plan.budget
+        });
+        
+        const budget = this._budgetSplitter(task);
+        const results = [];
+        for (const chunk of plan.chunks) {
+            // A cancelled or over-budget chunk stops the rest
+            const stopped = results.find(r => r.cancelled || r.budgetExceeded);
+            if (stopped) {
+                results.push({ error: `Skipped: an earlier part ${stopped.cancelled ? 'was cancelled' : 'ran over budget'}` });
+                continue;
+            }
+            
+            // Each chunk gets its share of what the earlier ones left, as
+            // does the reduce task
+            const share = budget.share(plan.chunks.length - results.length + (options.synthesize === false ? 0 : 1));
+            if (share.exhausted) {
+                results.push({ error: `Skipped: ${TaskBudget.describe(share.exhausted)}`, budgetExceeded: share.exhausted });
+                continue;
+            }
+            
+            const summary = results.length > 0 ? planner.summarize(plan.chunks.slice(0, results.length), results) : null;
+            const chunkTask = planner.chunkTask(task, plan, chunk, { summary, budget: share.limits });
+            
+            let result;
+            try {
+                result = await this.adapter.executeTask(chunkTask);
+            } catch (error) {
+                if (error.budgetExceeded) throw error;
+                result = { error: error.message };
+            }
+            budget.spend(result);
+            results.push(result);
+            
+            // Emit progress
+            this.emit('chunk:completed', {
+                taskId: task.id,
+                chunkId: chunkTask.id,
+                status: result.error ? 'failed' : 'completed',
+                progress: results.length / plan.chunks.length
+            });
+        }
+        
+        const combined = planner.reduce(task, plan, results);
+        const inputs = results
+            .map((result, i) => ({ ...result, chunk: plan.chunks[i] }))
+            .filter(result => !result.error);
+        if (options.synthesize === false || inputs.length < 2) {
+            return combined;
+        }
+        
+        const { reduceTask, reduced } = await this._reduce(task, inputs, budget, options);
+        if (reduced.error) {
+            return { ...combined, reduceError: reduced.error };
+        }
+        
+        const costs = [combined, reduced].map(r => r.metrics?.costUsd).filter(cost => typeof cost === 'number');
+        return {
+            ...combined,
+            output: reduced.output,
+            artifacts: this._dedupeArtifacts([...combined.artifacts, ...(reduced.artifacts || [])]),
+            metrics: {
+                ...combined.metrics,
+                duration: combined.metrics.duration + (reduced.metrics?.duration || 0),
+                costUsd: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : undefined
+            },
+            reduceTaskId: reduceTask.id
+        };
+    }
+    
+    /**
+     * Map-reduce: map subtasks over groups of files run in parallel on the
+     * adapter, then a reduce task built from their outputs synthesizes one
+     * answer, on the same adapter or `options.reducer`. Options:
+     *   reducer        - adapter for the reduce step
+     *   reducerPrompt  - instructions for the reduce step: a string, where
+     *                    {{description}}, {{count}} and {{results}} are
+     *                    filled in, or (task, mapResults) => string
+     *   filesPerMap    - files per map subtask (default 1)
+     *   maxConcurrent  - map subtasks running at once
+     * @private
+     */
+    async _executeMapReduce(task, options) {
+        const planner = this.contextPlanner;
+        const plan = planner.plan(task, this.adapter, { maxFiles: options.filesPerMap || 1 });
+        
+        if (plan.chunks.length <= 1) {
+            return await this._executeSequentially(task, options);
+        }
+        
+        // Map: parallel up to the adapter's limit, else one at a time
+        const config = this.adapter.supportsFeature('parallelExecution')
+            ? this.adapter.getFeatureConfig('parallelExecution') || {}
+            : { maxConcurrent: 1 };
+        const maxConcurrent = options.maxConcurrent || config.maxConcurrent || 5;
+        
+        const mapTasks = plan.chunks.map(chunk => ({
+            ...planner.chunkTask(task, plan, chunk, {
+                reason: 'The task is split into parts that run side by side and are combined afterwards.'
+            }),
+            id: `${task.id}-map-${chunk.index}`
+        }));
+        
+        // Map tasks and the reduce task share the task's budget
+        const budget = this._budgetSplitter(task);
+        const mapResults = [];
+        for (let i = 0; i < mapTasks.length; i += maxConcurrent) {
+            const share = budget.share(mapTasks.length - i + 1);
+            const batch = mapTasks.slice(i, i + maxConcurrent);
+            const batchResults = await Promise.all(batch.map(t => share.exhausted
+                ? Promise.resolve({ error: `Skipped: ${TaskBudget.describe(share.exhausted)}` })
+                : this.adapter.executeTask(TaskBudget.assign(t, share.limits))
+                    .then(result => result.status === 'failed' ? { ...result, error: result.error || 'Map task failed' } : result)
+                    .catch(err => ({ error: err.message }))
+            ));
+            
+            batchResults.forEach((result, j) => {
+                budget.spend(result);
+                mapResults.push({ ...result, task: batch[j], chunk: plan.chunks[i + j] });
+                
+                // Emit progress
+                this.emit('map:completed', {
+                    taskId: task.id,
+                    mapTaskId: batch[j].id,
+                    status: result.error ? 'failed' : 'completed',
+                    progress: mapResults.length / mapTasks.length
+                });
+            });
+        }
+        
+        const succeeded = mapResults.filter(r => !r.error);
+        if (succeeded.length === 0) {
+            throw new Error(`All ${mapResults.length} map tasks failed: ${mapResults[0].error}`);
+        }
+        
+        // Reduce: one task over the map outputs, on the reducer adapter
+        const { reducer, reduceTask, reduced } = await this._reduce(task, succeeded, budget, options);
+        
+        return this._aggregateMapReduceResults(task, mapResults, reduced, reducer, reduceTask);
+    }
+    
+    /**
+     * Run the reduce task over the outputs of map tasks or chunks, on
+     * `options.reducer`, the strategy's reducer or the adapter, with what
+     * is left of the task's budget
+     * @private
+     */
+    async _reduce(task, inputs, budget, options) {
+        const reducer = options.reducer || this.reducer || this.adapter;
+        const share = budget.share(1);
+        const reduceTask = TaskBudget.assign(this._buildReduceTask(task, inputs, reducer, options), share.limits);
+        
+        this.emit('reduce:started', {
+            taskId: task.id,
+            reduceTaskId: reduceTask.id,
+            reducer: reducer.name,
+            inputs: inputs.length
+        });
+        
+        let reduced;
+        try {
+            if (share.exhausted) {
+                throw new Error(`Skipped: ${TaskBudget.describe(share.exhausted)}`);
+            }
+            reduced = await reducer.executeTask(reduceTask);
+            if (reduced.status === 'failed') {
+                throw new Error(reduced.error || 'Reduce task failed');
+            }
+        } catch (error) {
+            reduced = { error: error.message };
+        }
+        
+        this.emit('reduce:completed', {
+            taskId: task.id,
+            reduceTaskId: reduceTask.id,
+            status: reduced.error ? 'failed' : 'completed',
+            error: reduced.error
+        });
+        
+        return { reducer, reduceTask, reduced };
+    }
+    
+    /**
+     * Reduce task from the outputs of the map tasks or chunks, cut to fit
+     * the reducer's context window
+     * @private
+     */
+    _buildReduceTask(task, mapResults, reducer, options) {
+        const prompt = options.reducerPrompt ||
+            'Synthesize the partial results below into one answer to the original task. ' +
+            'Merge duplicate findings, resolve contradictions between parts, and keep ' +
+            'specific file and line references.\n\nOriginal task: {{description}}';
+        
+        const instructions = typeof prompt === 'function'
+            ? prompt(task, mapResults)
+            : prompt
+                .replace(/\{\{description\}\}/g, task.description)
+                .replace(/\{\{count\}\}/g, String(mapResults.length));
+        
+        // Each map output gets an equal share of what the reducer can take
+        const planner = this.contextPlanner;
+        const capacity = planner.capacity(reducer);
+        const share = capacity === Infinity
+            ? Infinity
+            : Math.floor((capacity - planner.tokenEstimator.count(instructions)) / mapResults.length);
+        const results = mapResults.map(result => {
+            const output = String(result.output || '').trim();
+            const scope = ContextPlanner.describeChunk(result.chunk);
+            return `### ${scope}\n${share === Infinity ? output : planner.truncate(output, share)}`;
+        }).join('\n\n');
+        
+        const description = typeof prompt !== 'function' && prompt.includes('{{results}}')
+            ? instructions.replace(/\{\{results\}\}/g, results)
+            : `${instructions}\n\n${results}`;
+        
+        return {
+            ...task,
+            id: `${task.id}-reduce`,
+            description,
+            context: {
+                ...task.context,
+                files: [],
+                mapResults: mapResults.length
+            }
+        };
+    }
+    
+    /**
+     * Combine map and reduce results; when the reduce step failed, the map
+     * outputs are returned concatenated as a partial result
+     * @private
+     */
+    _aggregateMapReduceResults(task, mapResults, reduced, reducer, reduceTask) {
+        const succeeded = mapResults.filter(r => !r.error);
+        const failed = mapResults.filter(r => r.error);
+        
+        const candidates = [
+            ...succeeded.flatMap(r => r.artifacts || []),
+            ...(reduced.error ? [] : reduced.artifacts || [])
+        ];
+        const artifacts = this._dedupeArtifacts(candidates);
+        
+        const costs = [...succeeded, reduced]
+            .map(r => r.metrics?.costUsd)
+            .filter(cost => typeof cost === 'number');
+        
+        const mapReduce = {
+            mapped: mapResults.length,
+            succeeded: succeeded.length,
+            failed: failed.length,
+            failures: failed.map(r => ({ task: r.task.id, error: r.error })),
+            reducer: reducer.name,
+            reduceTaskId: reduceTask.id,
+            reduceError: reduced.error || null,
+            duplicatesRemoved: candidates.length - artifacts.length
+        };
+        this._recordMapReduce(mapReduce);
+        
+        return {
+            taskId: task.id,
+            status: failed.length > 0 || reduced.error ? 'partial' : 'completed',
+            output: reduced.error
+                ? succeeded.map(r => r.output).join('\n---\n')
+                : reduced.output,
+            artifacts,
+            metrics: {
+                costUsd: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : undefined
+            },
+            mapReduce
+        };
+    }
+    
+    /**
+     * Drop artifacts that repeat an earlier one: same type and location,
+     * and the same content up to case and whitespace
+     * @private
+     */
+    _dedupeArtifacts(artifacts) {
+        const seen = new Set();
+        const normalize = value => String(value ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+        
+        return artifacts.filter(artifact => {
+            const key = typeof artifact === 'object' && artifact !== null
+                ? JSON.stringify([
+                    artifact.type,
+                    artifact.file || artifact.path || null,
+                    artifact.line ?? artifact.startLine ?? null,
+                    normalize(artifact.content ?? artifact.message ?? artifact.title ?? artifact.description ?? JSON.stringify(artifact))
+                ])
+                : normalize(artifact);
+            
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+    
     /**
      * Execute sequentially (fallback)
      * @private
@@ -372,6 +852,12 @@ class OrchestrationStrategy extends EventEmitter {
             case 'batched':
                 return true; // Always available
             
+            case 'chunked':
+                return true; // Always available
+            
+            case 'mapReduce':
+                return true; // Maps run one at a time without parallel support
+            
             case 'sequential':
                 return true; // Always available
             
@@ -408,6 +894,14 @@ class OrchestrationStrategy extends EventEmitter {
                 // Good for many files or large contexts
                 return (task.context?.files?.length || 0) > 10;
             
+            case 'chunked':
+                // Needed when the context exceeds the adapter's window
+                return this._exceedsContext(task);
+            
+            case 'mapReduce':
+                // Needs more than one file to map over
+                return (task.context?.files?.length || 0) > 1;
+            
             case 'sequential':
                 // Always suitable as fallback
                 return true;
@@ -533,11 +1027,17 @@ class OrchestrationStrategy extends EventEmitter {
         const output = successful.map(r => r.output).join('\n---\n');
         const artifacts = successful.flatMap(r => r.artifacts || []);
         
+        // Failed subtasks may have spent something too
+        const costs = results.map(r => r.metrics?.costUsd).filter(cost => typeof cost === 'number');
+        
         return {
             taskId: originalTask.id,
             status: failed.length > 0 ? 'partial' : 'completed',
             output,
             artifacts,
+            metrics: {
+                costUsd: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : undefined
+            },
             parallelResults: {
                 successful: successful.length,
                 failed: failed.length,
@@ -573,16 +1073,7 @@ class OrchestrationStrategy extends EventEmitter {
      * @private
      */
     _recordSuccess(strategy, duration) {
-        if (!this.strategyStats.has(strategy)) {
-            this.strategyStats.set(strategy, {
-                attempts: 0,
-                successes: 0,
-                failures: 0,
-                totalDuration: 0
-            });
-        }
-        
-        const stats = this.strategyStats.get(strategy);
+        const stats = this._statsFor(strategy);
         stats.attempts++;
         stats.successes++;
         stats.totalDuration += duration;
@@ -593,16 +1084,7 @@ class OrchestrationStrategy extends EventEmitter {
      * @private
      */
     _recordFailure(strategy, error) {
-        if (!this.strategyStats.has(strategy)) {
-            this.strategyStats.set(strategy, {
-                attempts: 0,
-                successes: 0,
-                failures: 0,
-                totalDuration: 0
-            });
-        }
-        
-        const stats = this.strategyStats.get(strategy);
+        const stats = this._statsFor(strategy);
         stats.attempts++;
         stats.failures++;
         
@@ -614,6 +1096,34 @@ class OrchestrationStrategy extends EventEmitter {
         stats.failureReasons.set(reason, (stats.failureReasons.get(reason) || 0) + 1);
     }
     
+    /**
+     * Record what a mapReduce run did, next to its success and failure counts
+     * @private
+     */
+    _recordMapReduce(details) {
+        const stats = this._statsFor('mapReduce');
+        stats.mapTasks = (stats.mapTasks || 0) + details.mapped;
+        stats.mapFailures = (stats.mapFailures || 0) + details.failed;
+        stats.reduceFailures = (stats.reduceFailures || 0) + (details.reduceError ? 1 : 0);
+        stats.duplicatesRemoved = (stats.duplicatesRemoved || 0) + details.duplicatesRemoved;
+    }
+    
+    /**
+     * Stats entry for a strategy, created on first use
+     * @private
+     */
+    _statsFor(strategy) {
+        if (!this.strategyStats.has(strategy)) {
+            this.strategyStats.set(strategy, {
+                attempts: 0,
+                successes: 0,
+                failures: 0,
+                totalDuration: 0
+            });
+        }
+        return this.strategyStats.get(strategy);
+    }
+    
     /**
      * Get strategy statistics
      */
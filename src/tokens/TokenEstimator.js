@@ -0,0 +1,272 @@
+/**
+ * Token Estimator
+ *
+ * One place to count tokens in text and files, shared by routing, events,
+ * results parsing and adapters so they agree on context sizes. Adapters
+ * that know their model's tokenizer register it:
+ *
+ *   TokenEstimator.shared.register('gemini-2.5', text => tokenizer.encode(text).length);
+ *
+ * Models are matched like prices are: an exact entry first, then the
+ * longest registered name the model id contains. Without a tokenizer a
+ * byte-pair heuristic is used: text is split the way BPE pre-tokenizers
+ * split it (words, digit groups, symbol runs, whitespace), camelCase and
+ * snake_case words are broken into sub-words, and each piece costs tokens
+ * by its length, with separate ratios for code and prose.
+ *
+ * File counts are cached by content hash, so unchanged files are not
+ * tokenized again.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+// Characters per token for each kind of piece
+const PROFILES = {
+    code: { wordChars: 6, symbolChars: 2, indentChars: 4, bytesPerToken: 3.4 },
+    prose: { wordChars: 8, symbolChars: 1, indentChars: 8, bytesPerToken: 3.8 }
+};
+
+const PROSE_EXTENSIONS = ['.md', '.markdown', '.txt', '.rst', '.adoc', '.org', '.tex'];
+
+const PIECES = /[A-Za-z]+|\d+|[^\sA-Za-z\d]+|\s+/g;
+const SUB_WORDS = /[A-Z]?[a-z]+|[A-Z]+(?![a-z])/g;
+
+class TokenEstimator {
+    /**
+     * @param {Object} options - { tokenizers, maxCacheEntries, maxFileBytes }
+     *   `tokenizers` maps model names to tokenizers (see register());
+     *   files over `maxFileBytes` are estimated from their size unread
+     */
+    constructor(options = {}) {
+        this.maxCacheEntries = options.maxCacheEntries || 5000;
+        this.maxFileBytes = options.maxFileBytes || 2 * 1024 * 1024;
+        
+        this._tokenizers = new Map();
+        for (const [model, tokenizer] of Object.entries(options.tokenizers || {})) {
+            this.register(model, tokenizer);
+        }
+        
+        // content hash + tokenizer -> tokens; path -> { mtimeMs, size, hash }
+        this._counts = new Map();
+        this._files = new Map();
+    }
+    
+    /**
+     * Register a tokenizer for a model
+     * @param {string} model - Model id or a name it contains, e.g. 'gemini'
+     * @param {Function|Object} tokenizer - text => count, or an object with
+     *   count(text) or encode(text) returning the tokens
+     */
+    register(model, tokenizer) {
+        if (!model) {
+            throw new Error('Tokenizer registration needs a model name');
+        }
+        
+        let count = null;
+        if (typeof tokenizer === 'function') {
+            count = tokenizer;
+        } else if (typeof tokenizer?.count === 'function') {
+            count = text => tokenizer.count(text);
+        } else if (typeof tokenizer?.encode === 'function') {
+            count = text => tokenizer.encode(text).length;
+        } else {
+            throw new Error(`Tokenizer for ${model} must be a function or have count() or encode()`);
+        }
+        
+        this._tokenizers.set(model, count);
+        // Cached counts may have come from the tokenizer this one replaces
+        this._counts.clear();
+    }
+    
+    /**
+     * Remove a model's tokenizer
+     * @param {string} model - Name it was registered under
+     */
+    unregister(model) {
+        if (this._tokenizers.delete(model)) {
+            this._counts.clear();
+        }
+    }
+    
+    /**
+     * Name of the tokenizer that counts for a model
+     * @param {string|null} model - Model id
+     * @returns {string|null} Registered name, or null for the heuristic
+     */
+    tokenizerFor(model) {
+        if (!model) {
+            return null;
+        }
+        if (this._tokenizers.has(model)) {
+            return model;
+        }
+        
+        let best = null;
+        for (const name of this._tokenizers.keys()) {
+            if (model.includes(name) && (!best || name.length > best.length)) {
+                best = name;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * Count the tokens in text
+     * @param {string} text - Text to count
+     * @param {Object} options - { model, path, type }: `path` or `type`
+     *   ('code' or 'prose') picks the heuristic's ratios; otherwise they
+     *   are inferred from the text
+     * @returns {number} Tokens
+     */
+    count(text, options = {}) {
+        const value = String(text ?? '');
+        if (!value) {
+            return 0;
+        }
+        
+        const tokenizer = this.tokenizerFor(options.model);
+        if (tokenizer) {
+            return this._tokenizers.get(tokenizer)(value);
+        }
+        return TokenEstimator.heuristic(value, this._type(value, options));
+    }
+    
+    /**
+     * Count the tokens in a file, reusing the count while its content is
+     * unchanged
+     * @param {string} filePath - File to count
+     * @param {Object} options - { model, type }
+     * @returns {Object|null} { tokens, bytes, hash, estimated }, or null if
+     *   the file cannot be read; `estimated` is set for files too large to
+     *   read, counted from their size
+     */
+    countFile(filePath, options = {}) {
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch {
+            return null;
+        }
+        if (!stats.isFile()) {
+            return null;
+        }
+        if (stats.size > this.maxFileBytes) {
+            return { tokens: this.estimateBytes(stats.size, { ...options, path: filePath }), bytes: stats.size, hash: null, estimated: true };
+        }
+        
+        // Same size and mtime as last time: same content, no need to hash
+        const known = this._files.get(filePath);
+        let hash = known && known.mtimeMs === stats.mtimeMs && known.size === stats.size ? known.hash : null;
+        let content = null;
+        if (!hash) {
+            try {
+                content = fs.readFileSync(filePath, 'utf8');
+            } catch {
+                return null;
+            }
+            hash = crypto.createHash('sha256').update(content).digest('hex');
+            this._remember(this._files, filePath, { mtimeMs: stats.mtimeMs, size: stats.size, hash });
+        }
+        
+        const key = `${hash}:${this.tokenizerFor(options.model) || options.type || path.extname(filePath)}`;
+        if (!this._counts.has(key)) {
+            if (content === null) {
+                content = fs.readFileSync(filePath, 'utf8');
+            }
+            this._remember(this._counts, key, this.count(content, { ...options, path: filePath }));
+        }
+        
+        return { tokens: this._counts.get(key), bytes: stats.size, hash, estimated: false };
+    }
+    
+    /**
+     * Estimate tokens from a size alone, for content that is not read
+     * @param {number} bytes - Size in bytes
+     * @param {Object} options - { path, type }
+     * @returns {number} Tokens
+     */
+    estimateBytes(bytes, options = {}) {
+        const type = options.type || (options.path ? TokenEstimator.typeOf(options.path) : 'code');
+        return Math.ceil(bytes / PROFILES[type].bytesPerToken);
+    }
+    
+    /**
+     * Byte-pair heuristic token count
+     * @param {string} text - Text to count
+     * @param {string} type - 'code' or 'prose'
+     * @returns {number} Tokens
+     */
+    static heuristic(text, type = 'prose') {
+        const profile = PROFILES[type] || PROFILES.prose;
+        let tokens = 0;
+        
+        for (const [piece] of String(text).matchAll(PIECES)) {
+            const first = piece.charCodeAt(0);
+            if (/[A-Za-z]/.test(piece[0])) {
+                // Sub-words of camelCase identifiers are tokens of their own
+                for (const [word] of piece.matchAll(SUB_WORDS)) {
+                    tokens += Math.ceil(word.length / profile.wordChars);
+                }
+            } else if (first >= 48 && first <= 57) {
+                tokens += Math.ceil(piece.length / 3);
+            } else if (/\s/.test(piece[0])) {
+                // A single space joins the next word; indentation costs
+                const spaces = piece.length - 1;
+                if (spaces > 0) {
+                    tokens += Math.ceil(spaces / profile.indentChars);
+                }
+            } else {
+                tokens += Math.ceil(piece.length / profile.symbolChars);
+            }
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Whether a file is code or prose, by extension
+     * @param {string} filePath - File path
+     * @returns {string} 'code' or 'prose'
+     */
+    static typeOf(filePath) {
+        return PROSE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) ? 'prose' : 'code';
+    }
+    
+    /**
+     * @private
+     */
+    _type(text, options) {
+        if (PROFILES[options.type]) {
+            return options.type;
+        }
+        if (options.path) {
+            return TokenEstimator.typeOf(options.path);
+        }
+        
+        // Code is dense with symbols; prose mostly letters and spaces
+        const sample = text.slice(0, 4096);
+        const symbols = sample.replace(/[\sA-Za-z\d]/g, '').length;
+        return symbols / sample.length > 0.08 ? 'code' : 'prose';
+    }
+    
+    /**
+     * Bounded cache insert, evicting the oldest entry
+     * @private
+     */
+    _remember(map, key, value) {
+        map.delete(key);
+        map.set(key, value);
+        if (map.size > this.maxCacheEntries) {
+            map.delete(map.keys().next().value);
+        }
+    }
+}
+
+TokenEstimator.PROFILES = PROFILES;
+
+// The instance the framework counts with unless given another
+TokenEstimator.shared = new TokenEstimator();
+
+module.exports = TokenEstimator;
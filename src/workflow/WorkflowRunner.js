@@ -0,0 +1,541 @@
+/**
+ * Workflow Runner
+ *
+ * Runs a directed acyclic graph of tasks, such as "analyze, then refactor,
+ * then generate tests, then review". Each node is routed through
+ * TaskRouter.route and executed with an OrchestrationStrategy on the
+ * adapter it was routed to; nodes whose dependencies are done run
+ * concurrently.
+ *
+ *   {
+ *     id: 'harden-auth',
+ *     nodes: [
+ *       { id: 'analyze', task: { type: 'exploration', objective: 'Analyze', description: '...' } },
+ *       { id: 'refactor', dependsOn: ['analyze'], task: { ... },
+ *         inputs: { 'context.content': 'analyze.output' } },
+ *       { id: 'review', dependsOn: [{ node: 'refactor', when: { field: 'status', equals: 'completed' } }],
+ *         task: { ... } }
+ *     ]
+ *   }
+ *
+ * `inputs` maps a path in the node's task to `<upstream node>.<path>` in
+ * that node's result, or to { from, transform }. An edge's `when` is a
+ * condition on the upstream result - { field, equals | notEquals | in |
+ * exists | gt | gte | lt | lte | matches }, or (result) => boolean - and a
+ * node runs only when all its edges are taken; otherwise it is skipped,
+ * as are nodes below a failed or skipped one. validate() rejects unknown
+ * operators and patterns that do not compile; a condition that throws
+ * while the workflow runs fails its node.
+ *
+ * run() returns a result graph of every node's status, routing, result
+ * and timing and of every edge taken or not. It is plain JSON: passed back
+ * as `resume`, completed nodes are kept and the run picks up after the
+ * last successful one.
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const OrchestrationStrategy = require('../strategies/OrchestrationStrategy');
+
+const OPERATORS = {
+    equals: (actual, expected) => actual === expected,
+    notEquals: (actual, expected) => actual !== expected,
+    in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+    exists: (actual, expected) => (actual !== undefined && actual !== null) === (expected !== false),
+    gt: (actual, expected) => actual > expected,
+    gte: (actual, expected) => actual >= expected,
+    lt: (actual, expected) => actual < expected,
+    lte: (actual, expected) => actual <= expected,
+    matches: (actual, expected) => new RegExp(expected).test(String(actual ?? ''))
+};
+
+class WorkflowRunner extends EventEmitter {
+    /**
+     * @param {TaskRouter} router - Routes each node's task to an adapter
+     * @param {Object} options - { maxConcurrent, strategyOptions }:
+     *   `maxConcurrent` caps nodes running at once (default 4);
+     *   `strategyOptions` are passed to OrchestrationStrategy.execute
+     */
+    constructor(router, options = {}) {
+        super();
+        this.router = router;
+        this.maxConcurrent = options.maxConcurrent || 4;
+        this.strategyOptions = options.strategyOptions || {};
+        
+        // One strategy per adapter, so its statistics build up across runs
+        this._strategies = new Map();
+    }
+    
+    /**
+     * Check a workflow and order its nodes
+     * @param {Object} workflow - { id, nodes }
+     * @returns {Array<string>} Node ids, each after its dependencies
+     */
+    static validate(workflow) {
+        if (!workflow?.id) {
+            throw new Error('Workflow must have an id');
+        }
+        if (!Array.isArray(workflow.nodes) || workflow.nodes.length === 0) {
+            throw new Error(`Workflow ${workflow.id} has no nodes`);
+        }
+        
+        const nodes = new Map();
+        for (const node of workflow.nodes) {
+            if (!node?.id) {
+                throw new Error(`Workflow ${workflow.id} has a node without an id`);
+            }
+            if (nodes.has(node.id)) {
+                throw new Error(`Workflow ${workflow.id} has two nodes named ${node.id}`);
+            }
+            if (!node.task) {
+                throw new Error(`Workflow node ${node.id} has no task`);
+            }
+            nodes.set(node.id, node);
+        }
+        
+        for (const node of workflow.nodes) {
+            const upstream = WorkflowRunner._edges(node).map(edge => edge.node);
+            for (const dependency of upstream) {
+                if (!nodes.has(dependency)) {
+                    throw new Error(`Workflow node ${node.id} depends on unknown node ${dependency}`);
+                }
+            }
+            for (const edge of WorkflowRunner._edges(node)) {
+                WorkflowRunner._validateCondition(node, edge);
+            }
+            for (const [target, source] of Object.entries(node.inputs || {})) {
+                const from = typeof source === 'string' ? source : source?.from;
+                const dependency = String(from || '').split('.')[0];
+                if (!upstream.includes(dependency)) {
+                    throw new Error(`Workflow node ${node.id} maps ${target} from ${from || 'nothing'}, which is not one of its dependencies`);
+                }
+            }
+        }
+        
+        // Depth-first, so a cycle can be reported as the path around it
+        const order = [];
+        const state = new Map();
+        const visit = (id, trail) => {
+            if (state.get(id) === 'done') return;
+            if (state.get(id) === 'visiting') {
+                const cycle = [...trail.slice(trail.indexOf(id)), id];
+                throw new Error(`Workflow ${workflow.id} has a cycle: ${cycle.join(' -> ')}`);
+            }
+            state.set(id, 'visiting');
+            for (const edge of WorkflowRunner._edges(nodes.get(id))) {
+                visit(edge.node, [...trail, id]);
+            }
+            state.set(id, 'done');
+            order.push(id);
+        };
+        workflow.nodes.forEach(node => visit(node.id, []));
+        
+        return order;
+    }
+    
+    /**
+     * Run a workflow
+     * @param {Object} workflow - { id, nodes } (see above)
+     * @param {Object} options - { resume }: the result graph of an earlier
+     *   run of the same workflow, whose completed nodes are not run again
+     *   unless their definition or an upstream node changed
+     * @returns {Object} Result graph: { workflowId, status, nodes, edges,
+     *   order, startedAt, completedAt, duration }
+     */
+    async run(workflow, options = {}) {
+        const order = WorkflowRunner.validate(workflow);
+        const resume = options.resume || null;
+        if (resume && resume.workflowId !== workflow.id) {
+            throw new Error(`Cannot resume workflow ${workflow.id} from a run of ${resume.workflowId}`);
+        }
+        
+        const startTime = Date.now();
+        const nodes = new Map(workflow.nodes.map(node => [node.id, node]));
+        const graph = {
+            workflowId: workflow.id,
+            status: 'running',
+            nodes: {},
+            edges: [],
+            order: [],
+            resumedFrom: resume ? resume.completedAt : null,
+            startedAt: new Date(startTime).toISOString(),
+            completedAt: null,
+            duration: null
+        };
+        for (const id of order) {
+            const node = nodes.get(id);
+            graph.nodes[id] = {
+                status: 'pending',
+                dependsOn: WorkflowRunner._edges(node).map(edge => edge.node),
+                inputs: node.inputs ? Object.keys(node.inputs) : [],
+                definitionHash: this._hash(node),
+                taskId: node.task.id || `${workflow.id}-${id}`,
+                adapter: null,
+                strategy: null,
+                result: null,
+                error: null,
+                reason: null,
+                resumed: false,
+                startedAt: null,
+                completedAt: null,
+                duration: null
+            };
+            for (const edge of WorkflowRunner._edges(node)) {
+                graph.edges.push({ from: edge.node, to: id, condition: this._describe(edge.when), taken: null });
+            }
+        }
+        
+        this.emit('workflow:started', {
+            workflowId: workflow.id,
+            nodes: order.length,
+            resumed: !!resume
+        });
+        
+        // Nodes start once their dependencies settle; a slot limits how
+        // many run at once
+        const slots = this._slots(this.maxConcurrent);
+        const settled = new Map();
+        for (const id of order) {
+            const upstream = graph.nodes[id].dependsOn.map(dependency => settled.get(dependency));
+            settled.set(id, Promise.all(upstream).then(() =>
+                this._runNode(workflow, nodes.get(id), graph, resume, slots)
+            ));
+        }
+        await Promise.all(settled.values());
+        
+        const statuses = Object.values(graph.nodes).map(node => node.status);
+        graph.status = statuses.includes('failed') ? 'failed' : 'completed';
+        graph.completedAt = new Date().toISOString();
+        graph.duration = Date.now() - startTime;
+        
+        this.emit('workflow:completed', {
+            workflowId: workflow.id,
+            status: graph.status,
+            completed: statuses.filter(status => status === 'completed').length,
+            failed: statuses.filter(status => status === 'failed').length,
+            skipped: statuses.filter(status => status === 'skipped').length,
+            duration: graph.duration
+        });
+        
+        return graph;
+    }
+    
+    /**
+     * Decide whether a node runs, then route and execute it
+     * @private
+     */
+    async _runNode(workflow, node, graph, resume, slots) {
+        const record = graph.nodes[node.id];
+        const edges = WorkflowRunner._edges(node);
+        
+        // Upstream failures and skips carry down
+        const blocked = edges.find(edge => graph.nodes[edge.node].status !== 'completed');
+        if (blocked) {
+            return this._skip(workflow, node, graph, `Upstream node ${blocked.node} ${graph.nodes[blocked.node].status}`);
+        }
+        
+        for (const edge of edges) {
+            const graphEdge = graph.edges.find(e => e.from === edge.node && e.to === node.id);
+            try {
+                graphEdge.taken = this._evaluate(edge.when, graph.nodes[edge.node].result);
+            } catch (error) {
+                // A condition that throws fails its node, not the whole run
+                return this._fail(workflow, node, graph, new Error(`Condition on ${edge.node} failed: ${error.message}`), Date.now());
+            }
+            if (!graphEdge.taken) {
+                return this._skip(workflow, node, graph, `Condition on ${edge.node} not met: ${graphEdge.condition}`);
+            }
+        }
+        
+        // Keep an earlier run's result if nothing it depended on changed
+        const previous = resume?.nodes?.[node.id];
+        if (previous?.status === 'completed' && previous.definitionHash === record.definitionHash &&
+            edges.every(edge => graph.nodes[edge.node].resumed)) {
+            Object.assign(record, previous, { resumed: true });
+            graph.order.push(node.id);
+            this.emit('node:resumed', {
+                workflowId: workflow.id,
+                nodeId: node.id,
+                taskId: record.taskId
+            });
+            return;
+        }
+        
+        const release = await slots();
+        const startTime = Date.now();
+        record.status = 'running';
+        record.startedAt = new Date(startTime).toISOString();
+        
+        try {
+            const task = this._buildTask(workflow, node, graph);
+            const decision = await this.router.route(task);
+            record.adapter = decision.adapterName;
+            record.strategy = decision.strategy;
+            
+            this.emit('node:started', {
+                workflowId: workflow.id,
+                nodeId: node.id,
+                taskId: task.id,
+                adapter: decision.adapterName,
+                strategy: decision.strategy
+            });
+            
+            const strategy = this._strategyFor(decision.adapter);
+            const requested = this.strategyOptions.strategies || strategy.defaultStrategies;
+            const result = await strategy.execute(task, {
+                ...this.strategyOptions,
+                strategies: [decision.strategy, ...requested.filter(s => s !== decision.strategy)]
+            });
+            
+            // Strategies can hand back an adapter's failed result as is
+            if (result?.status === 'failed' || (result?.error && result.status !== 'partial')) {
+                const error = new Error(result.error?.message || result.error || 'Task failed');
+                error.result = result;
+                throw error;
+            }
+            
+            record.status = 'completed';
+            record.result = result;
+            this._finish(record, startTime);
+            graph.order.push(node.id);
+            
+            this.emit('node:completed', {
+                workflowId: workflow.id,
+                nodeId: node.id,
+                taskId: task.id,
+                adapter: record.adapter,
+                status: result?.status,
+                duration: record.duration
+            });
+        } catch (error) {
+            this._fail(workflow, node, graph, error, startTime);
+        } finally {
+            release();
+        }
+    }
+    
+    /**
+     * The node's task with its inputs filled in from upstream results
+     * @private
+     */
+    _buildTask(workflow, node, graph) {
+        let task = { ...node.task, id: graph.nodes[node.id].taskId };
+        
+        for (const [target, source] of Object.entries(node.inputs || {})) {
+            const from = typeof source === 'string' ? source : source.from;
+            const [dependency, ...fieldPath] = from.split('.');
+            const upstream = graph.nodes[dependency].result;
+            let value = fieldPath.length > 0 ? WorkflowRunner._get(upstream, fieldPath.join('.')) : upstream;
+            if (typeof source.transform === 'function') {
+                value = source.transform(value, upstream);
+            }
+            task = WorkflowRunner._set(task, target, value);
+        }
+        
+        return task;
+    }
+    
+    /**
+     * @private
+     */
+    _skip(workflow, node, graph, reason) {
+        const record = graph.nodes[node.id];
+        record.status = 'skipped';
+        record.reason = reason;
+        
+        this.emit('node:skipped', {
+            workflowId: workflow.id,
+            nodeId: node.id,
+            taskId: record.taskId,
+            reason
+        });
+    }
+    
+    /**
+     * @private
+     */
+    _fail(workflow, node, graph, error, startTime) {
+        const record = graph.nodes[node.id];
+        record.status = 'failed';
+        record.error = error.message;
+        record.result = error.result || null;
+        this._finish(record, startTime);
+        
+        this.emit('node:failed', {
+            workflowId: workflow.id,
+            nodeId: node.id,
+            taskId: record.taskId,
+            adapter: record.adapter,
+            error: error.message,
+            duration: record.duration
+        });
+    }
+    
+    /**
+     * @private
+     */
+    _finish(record, startTime) {
+        record.completedAt = new Date().toISOString();
+        record.duration = Date.now() - startTime;
+    }
+    
+    /**
+     * @private
+     */
+    _strategyFor(adapter) {
+        if (!this._strategies.has(adapter)) {
+            this._strategies.set(adapter, new OrchestrationStrategy(adapter, {
+                contextPlanner: this.router.contextPlanner
+            }));
+        }
+        return this._strategies.get(adapter);
+    }
+    
+    /**
+     * Whether an edge's condition holds for the upstream result
+     * @private
+     */
+    _evaluate(condition, result) {
+        if (!condition) {
+            return true;
+        }
+        if (typeof condition === 'function') {
+            return !!condition(result);
+        }
+        
+        const actual = WorkflowRunner._get(result, condition.field);
+        const operators = Object.keys(condition).filter(key => key !== 'field');
+        if (operators.length === 0) {
+            // A bare field is a truthiness check
+            return !!actual;
+        }
+        return operators.every(operator => {
+            if (!OPERATORS[operator]) {
+                throw new Error(`Unknown condition operator: ${operator}. Available operators: ${Object.keys(OPERATORS).join(', ')}`);
+            }
+            return OPERATORS[operator](actual, condition[operator]);
+        });
+    }
+    
+    /**
+     * Condition as text for the result graph
+     * @private
+     */
+    _describe(condition) {
+        if (!condition) {
+            return null;
+        }
+        if (typeof condition === 'function') {
+            return condition.name ? `${condition.name}()` : 'function';
+        }
+        const tests = Object.entries(condition)
+            .filter(([key]) => key !== 'field')
+            .map(([operator, value]) => `${operator} ${JSON.stringify(value)}`);
+        return `${condition.field} ${tests.join(' and ') || 'is truthy'}`;
+    }
+    
+    /**
+     * Hash of what a node runs, so a resumed run notices edits
+     * @private
+     */
+    _hash(node) {
+        const definition = {
+            task: node.task,
+            dependsOn: WorkflowRunner._edges(node).map(edge => ({ node: edge.node, when: this._describe(edge.when) })),
+            inputs: node.inputs
+        };
+        return crypto.createHash('sha256').update(JSON.stringify(definition)).digest('hex').slice(0, 16);
+    }
+    
+    /**
+     * Counting semaphore; resolves to a release function
+     * @private
+     */
+    _slots(count) {
+        let free = count;
+        const waiting = [];
+        const release = () => {
+            const next = waiting.shift();
+            if (next) {
+                next(release);
+            } else {
+                free++;
+            }
+        };
+        return () => new Promise(resolve => {
+            if (free > 0) {
+                free--;
+                resolve(release);
+            } else {
+                waiting.push(resolve);
+            }
+        });
+    }
+    
+    /**
+     * Check an edge's condition: known operators, and patterns that compile
+     * @private
+     */
+    static _validateCondition(node, edge) {
+        const { when } = edge;
+        if (!when || typeof when === 'function') {
+            return;
+        }
+        
+        const prefix = `Workflow node ${node.id} has a condition on ${edge.node}`;
+        if (typeof when !== 'object') {
+            throw new Error(`${prefix} that is neither an object nor a function`);
+        }
+        for (const [operator, expected] of Object.entries(when)) {
+            if (operator === 'field') {
+                continue;
+            }
+            if (!OPERATORS[operator]) {
+                throw new Error(`${prefix} with unknown operator ${operator}. Available operators: ${Object.keys(OPERATORS).join(', ')}`);
+            }
+            if (operator === 'in' && !Array.isArray(expected)) {
+                throw new Error(`${prefix} whose "in" is not an array`);
+            }
+            if (operator === 'matches') {
+                try {
+                    new RegExp(expected);
+                } catch (error) {
+                    throw new Error(`${prefix} with an invalid pattern: ${error.message}`);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Dependencies as { node, when }
+     * @private
+     */
+    static _edges(node) {
+        return (node.dependsOn || []).map(edge => typeof edge === 'string' ? { node: edge, when: null } : edge);
+    }
+    
+    /**
+     * @private
+     */
+    static _get(object, fieldPath) {
+        if (!fieldPath) {
+            return object;
+        }
+        return fieldPath.split('.').reduce((value, key) => value?.[key], object);
+    }
+    
+    /**
+     * Copy of object with fieldPath set, copying the objects along the path
+     * @private
+     */
+    static _set(object, fieldPath, value) {
+        const [key, ...rest] = fieldPath.split('.');
+        const copy = Array.isArray(object) ? [...object] : { ...object };
+        copy[key] = rest.length > 0 ? WorkflowRunner._set(object?.[key] || {}, rest.join('.'), value) : value;
+        return copy;
+    }
+}
+
+WorkflowRunner.OPERATORS = OPERATORS;
+
+module.exports = WorkflowRunner;
@@ -6,6 +6,7 @@
  */
 
 const { ClaudeCodeAdapter } = require('./src/index');
+const CommandBuilder = require('./src/adapters/claude-code/CommandBuilder');
 
 async function testClaudeCodeAdapter() {
     console.log('🧪 Testing Claude Code Adapter...\n');
@@ -86,7 +87,7 @@ async function testClaudeCodeAdapter() {
             console.log(`   Template: ${command.template}`);
             console.log(`   Expects JSON: ${command.expectsJson}`);
             console.log(`   Timeout: ${command.timeout}ms`);
-            console.log(`   Command: ${command.command.substring(0, 100)}...`);
+            console.log(`   Command: ${CommandBuilder.toDisplayString(command).substring(0, 100)}...`);
         } catch (commandError) {
             console.log(`❌ Command building failed: ${commandError.message}`);
         }
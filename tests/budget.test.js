@@ -0,0 +1,177 @@
+/**
+ * Budget Tests
+ *
+ * Validates task budgets, the aggregate budget window, and how the task
+ * router and orchestration strategy enforce them.
+ */
+
+const { expect } = require('chai');
+const { EventEmitter } = require('events');
+const TaskBudget = require('../src/budget/TaskBudget');
+const BudgetWindow = require('../src/budget/BudgetWindow');
+const TaskRouter = require('../src/TaskRouter');
+const OrchestrationStrategy = require('../src/strategies/OrchestrationStrategy');
+
+function mockAdapter(name) {
+    const adapter = new EventEmitter();
+    adapter.name = name;
+    adapter.supportsFeature = () => true;
+    return adapter;
+}
+
+function mockRegistry(adapters) {
+    return {
+        selectOptimalAdapter: (requirements, preferences) => {
+            const name = preferences.preferredAdapters?.[0] || Object.keys(adapters)[0];
+            return { adapter: adapters[name], name, version: '1.0.0', score: 1 };
+        }
+    };
+}
+
+describe('Budget Guardrails', () => {
+    describe('TaskBudget', () => {
+        it('should read limits from the task or its vendor extension', () => {
+            expect(TaskBudget.for({ budget: { maxCostUsd: 0.5 } }).limits).to.deep.equal({ maxCostUsd: 0.5 });
+            expect(TaskBudget.for({ extensions: { 'claude-code': { budget: { maxTokens: 1000 } } } }, 'claude-code').limits)
+                .to.deep.equal({ maxTokens: 1000 });
+            expect(TaskBudget.for({ id: 'no-budget' })).to.equal(null);
+            expect(() => new TaskBudget({ maxCost: 1 })).to.throw('Unknown budget limit');
+            expect(() => new TaskBudget({ maxTokens: -1 })).to.throw('positive number');
+        });
+        
+        it('should report the first limit a usage goes past', () => {
+            const budget = new TaskBudget({ maxCostUsd: 0.5, maxDurationMs: 1000 });
+            
+            expect(budget.check({ costUsd: 0.5, durationMs: 200 })).to.equal(null);
+            expect(budget.check({ costUsd: 0.62 })).to.deep.equal({ limit: 'maxCostUsd', max: 0.5, actual: 0.62 });
+            expect(TaskBudget.describe(budget.check({ durationMs: 1500 }))).to.equal('maxDurationMs of 1000 exceeded (1500)');
+            expect(budget.remainingDuration(400)).to.equal(600);
+            expect(new TaskBudget({ maxTokens: 10 }).remainingDuration(400)).to.equal(Infinity);
+        });
+    });
+    
+    describe('BudgetWindow', () => {
+        it('should downgrade near a limit and drop spend older than the window', () => {
+            const window = new BudgetWindow({ windowMs: 1000, maxCostUsd: 1, downgradeAt: 0.5 });
+            window.record('a', { costUsd: 0.3 }, 0);
+            window.record('b', { costUsd: 0.3, tokens: 100 }, 500);
+            
+            let status = window.status(600);
+            expect(status.usage).to.include({ costUsd: 0.6, tokens: 100, tasks: 2 });
+            expect(status).to.include({ downgraded: true, exceeded: null });
+            
+            window.record('c', { costUsd: 0.4 }, 900);
+            expect(window.status(900).exceeded).to.deep.equal({ limit: 'maxCostUsd', max: 1, actual: 1 });
+            
+            status = window.status(1200);
+            expect(status.usage.tasks).to.equal(2);
+            expect(status.exceeded).to.equal(null);
+        });
+    });
+    
+    describe('TaskRouter', () => {
+        const task = (id) => ({ id, type: 'analysis', objective: 'Review', description: 'Review the parser' });
+        
+        it('should record spend reported by routed tasks', async () => {
+            const premium = mockAdapter('premium');
+            const router = new TaskRouter(mockRegistry({ premium }), { budget: { maxCostUsd: 1 } });
+            
+            await router.route(task('t1'));
+            premium.emit('task:completed', { taskId: 't1', results: { metrics: { costUsd: 0.25, tokens: { total: 5000 } } } });
+            premium.emit('task:failed', { taskId: 'not-routed', metrics: { costUsd: 5 } });
+            
+            expect(router.getBudgetStatus().usage).to.include({ costUsd: 0.25, tokens: 5000, tasks: 1 });
+        });
+        
+        it('should prefer economy adapters near the limit and refuse tasks once it is spent', async () => {
+            const premium = mockAdapter('premium');
+            const economy = mockAdapter('economy');
+            const router = new TaskRouter(mockRegistry({ premium, economy }), {
+                budget: { maxCostUsd: 1, downgradeAt: 0.8, economyAdapters: ['economy'] }
+            });
+            const exceeded = [];
+            router.on('task:budget-exceeded', event => exceeded.push(event));
+            
+            router.recordUsage('earlier', { costUsd: 0.85 });
+            const decision = await router.route(task('t2'));
+            expect(decision).to.include({ adapterName: 'economy', strategy: 'sequential', economy: true });
+            
+            economy.emit('task:completed', { taskId: 't2', results: { metrics: { costUsd: 0.2 } } });
+            
+            let error = null;
+            try {
+                await router.route(task('t3'));
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include('Budget for the current window is spent');
+            expect(exceeded[0]).to.include({ taskId: 't3', scope: 'window', limit: 'maxCostUsd', action: 'rejected' });
+        });
+    });
+    
+    describe('OrchestrationStrategy', () => {
+        it('should stop falling back once the time budget is spent', async () => {
+            const adapter = {
+                name: 'slow-adapter',
+                supportsFeature: () => false,
+                executeTask: () => new Promise(resolve => setTimeout(resolve, 200))
+            };
+            const strategy = new OrchestrationStrategy(adapter);
+            const exceeded = [];
+            strategy.on('task:budget-exceeded', event => exceeded.push(event));
+            
+            let error = null;
+            try {
+                await strategy.execute({ id: 't4', type: 'analysis', budget: { maxDurationMs: 50 } }, {
+                    strategies: ['sequential', 'batched']
+                });
+            } catch (e) {
+                error = e;
+            }
+            
+            expect(error.message).to.include('Task stopped over budget: maxDurationMs of 50 exceeded');
+            expect(error.attempts).to.have.length(1);
+            expect(error.attempts[0]).to.include({ strategy: 'sequential', status: 'failed', error: 'Strategy timeout' });
+            expect(exceeded[0]).to.include({ taskId: 't4', action: 'stopped' });
+        });
+        
+        it('should share the budget among parallel subtasks and sub-agents', async () => {
+            const budgets = [];
+            let plan = null;
+            const adapter = {
+                name: 'parallel-adapter',
+                supportsFeature: feature => feature === 'parallelExecution' || feature === 'subAgents',
+                getFeatureConfig: () => ({ maxConcurrent: 2 }),
+                executeTask: async subtask => {
+                    budgets.push(subtask.budget.maxCostUsd);
+                    return { status: 'completed', output: subtask.id, metrics: { costUsd: 0.3 } };
+                },
+                executeWithSubAgents: async subAgentPlan => {
+                    plan = subAgentPlan;
+                    return { status: 'completed', output: 'done' };
+                }
+            };
+            const strategy = new OrchestrationStrategy(adapter);
+            const exceeded = [];
+            strategy.on('task:budget-exceeded', event => exceeded.push(event));
+            const task = {
+                id: 't5',
+                type: 'analysis',
+                description: 'Audit',
+                budget: { maxCostUsd: 1 },
+                context: { files: ['a.js', 'b.js', 'c.js', 'd.js'] }
+            };
+            
+            const result = await strategy.execute(task, { strategies: ['parallel'] });
+            
+            // A quarter each, then half of what the first batch left each
+            expect(budgets.map(budget => budget.toFixed(2))).to.deep.equal(['0.25', '0.25', '0.20', '0.20']);
+            expect(result.metrics.costUsd).to.be.closeTo(1.2, 1e-9);
+            expect(result.budgetExceeded).to.include({ limit: 'maxCostUsd', max: 1 });
+            expect(exceeded[0]).to.include({ taskId: 't5', action: 'reported' });
+            
+            await strategy.execute({ ...task, complexity: 'high' }, { strategies: ['subAgents'] });
+            expect(plan.subtasks.map(subtask => subtask.budget)).to.deep.equal([{ maxCostUsd: 0.5 }, { maxCostUsd: 0.5 }]);
+        });
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Circuit Breaker Tests
+ *
+ * Validates breaker state transitions and how the adapter registry leaves
+ * out adapters whose circuit is open.
+ */
+
+const { expect } = require('chai');
+const { EventEmitter } = require('events');
+const CircuitBreaker = require('../src/CircuitBreaker');
+const AdapterRegistry = require('../src/AdapterRegistry');
+const TaskRouter = require('../src/TaskRouter');
+
+function mockAdapter(health = { healthy: true }) {
+    return {
+        capabilities: { maxContextTokens: 100000, supportedLanguages: ['javascript'], multiFile: true },
+        supportsFeature: () => true,
+        healthCheck: async () => {
+            if (health instanceof Error) throw health;
+            return health;
+        }
+    };
+}
+
+describe('Circuit Breaker', () => {
+    describe('CircuitBreaker', () => {
+        it('should open after consecutive failures and half-open after the reset timeout', () => {
+            const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000 });
+            
+            expect(breaker.recordFailure('exit 1', 0)).to.equal(null);
+            expect(breaker.recordSuccess(10)).to.equal(null);
+            expect(breaker.recordFailure('exit 1', 20)).to.equal(null);
+            expect(breaker.recordFailure('exit 1', 30)).to.equal(null);
+            expect(breaker.recordFailure('exit 1', 40)).to.equal('open');
+            
+            expect(breaker.isAvailable(500)).to.equal(false);
+            expect(breaker.getStatus(500).retryAt).to.deep.equal(new Date(1040));
+            expect(breaker.currentState(1040)).to.equal('half-open');
+        });
+        
+        it('should close on a half-open success and reopen on a half-open failure', () => {
+            const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+            
+            breaker.trip('health check', 0);
+            expect(breaker.recordFailure('still broken', 1000)).to.equal('open');
+            expect(breaker.isAvailable(1500)).to.equal(false);
+            
+            expect(breaker.probe(1600)).to.equal('half-open');
+            expect(breaker.recordSuccess(1700)).to.equal('closed');
+            expect(breaker.getStatus(1700)).to.include({ state: 'closed', consecutiveFailures: 0, openedAt: null });
+        });
+    });
+    
+    describe('AdapterRegistry', () => {
+        let registry;
+        let events;
+        
+        beforeEach(() => {
+            registry = new AdapterRegistry({ circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 50 } });
+            events = [];
+            for (const name of ['adapter:circuit-open', 'adapter:circuit-half-open', 'adapter:circuit-closed']) {
+                registry.on(name, event => events.push([name, event.name]));
+            }
+        });
+        
+        it('should exclude adapters whose circuit opened from failed executions', async () => {
+            registry.registerAdapter('broken', mockAdapter(), '1.0.0');
+            registry.registerAdapter('steady', mockAdapter(), '1.0.0');
+            
+            registry.recordMetrics('broken', '1.0.0', { duration: 100, failed: true, error: 'exit 1' });
+            registry.recordMetrics('broken', '1.0.0', { duration: 100, failed: true, error: 'exit 1' });
+            
+            expect(registry.findMatchingAdapters({ multiFile: true }).map(m => m.name)).to.deep.equal(['steady']);
+            expect(registry.getAllAdapterInfo().find(info => info.name === 'broken').circuit)
+                .to.include({ state: 'open', consecutiveFailures: 2 });
+            
+            await new Promise(resolve => setTimeout(resolve, 60));
+            expect(registry.findMatchingAdapters({ multiFile: true })).to.have.length(2);
+            
+            registry.recordMetrics('broken', '1.0.0', { duration: 100 });
+            expect(events).to.deep.equal([
+                ['adapter:circuit-open', 'broken'],
+                ['adapter:circuit-half-open', 'broken'],
+                ['adapter:circuit-closed', 'broken']
+            ]);
+        });
+        
+        it('should leave the circuit closed for tasks cancelled, stopped over budget or turned away', async () => {
+            const adapter = Object.assign(new EventEmitter(), mockAdapter());
+            registry.registerAdapter('busy', adapter, '1.0.0');
+            const router = new TaskRouter(registry);
+            
+            for (const reason of ['cancelled', 'budget', 'rejected', 'error']) {
+                const task = { id: reason, type: 'analysis', objective: 'Review', description: `Review ${reason}`, context: { files: ['a.js', 'b.js'] } };
+                await router.route(task);
+                adapter.emit('task:failed', { taskId: reason, duration: 100, error: reason, reason });
+            }
+            
+            expect(registry.getCircuitState('busy', '1.0.0')).to.include({ state: 'closed', consecutiveFailures: 1 });
+            expect(registry.getAdapterMetrics('busy', '1.0.0').failures).to.equal(4);
+        });
+        
+        it('should open circuits on failed health checks and probe them on passing ones', async () => {
+            const health = { healthy: false, error: 'claude not found' };
+            registry.registerAdapter('flaky', mockAdapter(health), '1.0.0');
+            registry.registerAdapter('down', mockAdapter(new Error('tmux missing')), '1.0.0');
+            
+            const results = await registry.checkHealth();
+            expect(results.map(r => [r.name, r.healthy, r.circuit.state])).to.deep.equal([
+                ['flaky', false, 'open'],
+                ['down', false, 'open']
+            ]);
+            expect(registry.getCircuitState('down', '1.0.0').lastFailure.reason).to.equal('Health check: tmux missing');
+            expect(registry.selectOptimalAdapter({ multiFile: true })).to.equal(null);
+            
+            health.healthy = true;
+            await registry.checkHealth();
+            expect(registry.getCircuitState('flaky', '1.0.0').state).to.equal('half-open');
+            expect(registry.selectOptimalAdapter({ multiFile: true }).name).to.equal('flaky');
+        });
+        
+        it('should drop cached routes when a circuit opens', async () => {
+            registry.registerAdapter('primary', mockAdapter(), '1.0.0');
+            const router = new TaskRouter(registry);
+            const task = { id: 't1', type: 'analysis', objective: 'Review', description: 'Review the parser', context: { files: ['a.js', 'b.js'] } };
+            
+            await router.route(task);
+            expect(router.getStatistics().cacheSize).to.equal(1);
+            
+            registry.getAdapter('primary').healthCheck = async () => ({ healthy: false });
+            await registry.checkHealth();
+            expect(router.getStatistics().cacheSize).to.equal(0);
+        });
+        
+        it('should rank unreliable adapters lower when considering performance', () => {
+            registry.registerAdapter('unreliable', mockAdapter(), '1.0.0');
+            registry.registerAdapter('reliable', mockAdapter(), '1.0.0');
+            
+            for (const failed of [true, false, true, false]) {
+                registry.recordMetrics('unreliable', '1.0.0', { duration: 1000, failed });
+                registry.recordMetrics('reliable', '1.0.0', { duration: 1000 });
+            }
+            
+            expect(registry.selectOptimalAdapter({ multiFile: true }, { considerPerformance: true }).name).to.equal('reliable');
+        });
+    });
+});
@@ -0,0 +1,301 @@
+/**
+ * Claude Code Adapter Tests
+ *
+ * Drives the adapter end to end over an in-memory session backend, so
+ * session limits, conversations and retries are exercised without tmux or
+ * the Claude Code CLI.
+ */
+
+const { expect } = require('chai');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClaudeCodeAdapter = require('../src/adapters/claude-code/ClaudeCodeAdapter');
+const SessionBackend = require('../src/adapters/claude-code/SessionBackend');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' });
+
+// Runs every command by answering with the next scripted reply; a reply
+// can be a function, to act on the workspace first
+class FakeBackend extends SessionBackend {
+    constructor(replies = []) {
+        super();
+        this.replies = replies;
+        this.commands = [];
+    }
+    
+    get backendName() {
+        return 'fake';
+    }
+    
+    async initialize(config) {
+        this.config = { maxSessions: 10, ...config };
+        this.initialized = true;
+    }
+    
+    async healthCheck() {
+        return { healthy: true };
+    }
+    
+    async createSession(sessionId, options) {
+        this._assertCanCreate(sessionId);
+        const session = { sessionId, workingDirectory: options.workingDirectory, status: 'ready', lastActivity: new Date() };
+        this.sessions.set(sessionId, session);
+        return session;
+    }
+    
+    async executeCommand(sessionId, command, options = {}) {
+        this.commands.push({ sessionId, command });
+        await delay(5);
+        let reply = this.replies.length > 0 ? this.replies.shift() : 'done';
+        if (typeof reply === 'function') {
+            reply = reply();
+        }
+        if (reply instanceof Error) {
+            throw reply;
+        }
+        if (options.onProgress) {
+            options.onProgress({ sessionId, output: reply, duration: 5, status: 'running' });
+        }
+        return { sessionId, output: reply, stdout: reply, stderr: '', exitCode: 0, status: 'completed', duration: 5 };
+    }
+    
+    async getSessionStatus(sessionId) {
+        return this.sessions.get(sessionId) || null;
+    }
+    
+    async destroySession(sessionId) {
+        // Yield like a real backend would while the session shuts down
+        await delay(5);
+        this.sessions.delete(sessionId);
+    }
+    
+    async shutdown() {
+        this.sessions.clear();
+    }
+}
+
+describe('Claude Code Adapter', () => {
+    let root;
+    let adapter;
+    let backend;
+    
+    const task = (id, extra = {}) => ({ id, type: 'generation', objective: 'Write', description: `Task ${id}`, ...extra });
+    
+    const start = async (config = {}, replies = []) => {
+        backend = new FakeBackend(replies);
+        adapter = new ClaudeCodeAdapter();
+        adapter.validateClaudeCode = async () => ({ version: 'test', available: true });
+        await adapter.initialize({
+            workspaceRoot: root,
+            stateDirectory: path.join(root, '.state'),
+            sessionBackend: backend,
+            workspaceSnapshots: false,
+            retry: false,
+            ...config
+        });
+    };
+    
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-code-adapter-'));
+    });
+    
+    afterEach(async () => {
+        if (adapter?.initialized) {
+            await adapter.shutdown();
+        }
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    
+    it('should reclaim a finished session for each task admitted past maxSessions', async () => {
+        await start({ maxSessions: 2, sessionIdleTimeoutMs: 60000 });
+        
+        // Fill both slots with finished sessions kept around for debugging
+        await Promise.all([adapter.executeTask(task('a')), adapter.executeTask(task('b'))]);
+        expect(backend.sessions.size).to.equal(2);
+        
+        const results = await Promise.all(['c', 'd', 'e', 'f'].map(id => adapter.executeTask(task(id))));
+        
+        expect(results.map(result => result.status)).to.deep.equal(['completed', 'completed', 'completed', 'completed']);
+        expect(backend.sessions.size).to.equal(2);
+    });
+    
+    it('should parse and apply a worktree task\'s changes in its worktree', async () => {
+        fs.writeFileSync(path.join(root, 'app.js'), 'const port = 3000;\n');
+        git(root, 'init', '-q');
+        git(root, 'add', '-A');
+        git(root, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+        
+        const state = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-code-state-'));
+        try {
+            const diff = '```diff\n--- a/app.js\n+++ b/app.js\n@@ -1 +1 @@\n-const port = 3000;\n+const port = 8080;\n```\n';
+            await start({ isolation: 'worktree', stateDirectory: state, sessionIdleTimeoutMs: 60000 }, [diff]);
+            
+            const result = await adapter.executeTask(task('w1'));
+            expect(result.workingDirectory).to.not.equal(root);
+            expect(result.workingDirectory.startsWith(state)).to.equal(true);
+            
+            const report = await adapter.applyChanges(result, { dryRun: false });
+            expect(report.applied).to.equal(true);
+            expect(fs.readFileSync(path.join(result.workingDirectory, 'app.js'), 'utf8')).to.equal('const port = 8080;\n');
+            expect(fs.readFileSync(path.join(root, 'app.js'), 'utf8')).to.equal('const port = 3000;\n');
+        } finally {
+            await adapter.shutdown();
+            fs.rmSync(state, { recursive: true, force: true });
+        }
+    });
+    
+    it('should keep a session holding a conversation out of the backend sweep', async () => {
+        await start({ sessionIdleTimeoutMs: 60000 });
+        const { sessionId } = await adapter.executeTask(task('c1'));
+        
+        const turn = await adapter.continue(sessionId, 'Now add tests');
+        expect(turn).to.include({ status: 'completed', taskId: 'c1#2' });
+        
+        // Past the backend's own sessionTimeout, which is shorter than the conversation's
+        backend.config.sessionTimeout = 1000;
+        backend.sessions.get(sessionId).lastActivity = new Date(Date.now() - 5000);
+        expect(await backend.cleanupExpiredSessions()).to.equal(0);
+        
+        expect((await adapter.continue(sessionId, 'And docs')).status).to.equal('completed');
+        
+        await adapter.endConversation(sessionId);
+        expect(backend.sessions.has(sessionId)).to.equal(false);
+        expect(backend.retainedSessions.size).to.equal(0);
+    });
+    
+    it('should validate and repair a follow-up turn against its output schema', async () => {
+        const audit = {
+            schemaVersion: 'security_audit/v1',
+            findings: [{ id: 'SEC-1', title: 'Hard-coded key', severity: 'high', description: 'In config.js', recommendation: 'Use env' }]
+        };
+        await start({ sessionIdleTimeoutMs: 60000 }, ['done', 'Found a hard-coded key.', '```json\n' + JSON.stringify(audit) + '\n```']);
+        const { sessionId } = await adapter.executeTask(task('s1'));
+        
+        const turn = await adapter.continue(sessionId, 'Report it as an audit', { outputSchema: 'security_audit' });
+        
+        expect(turn.status).to.equal('completed');
+        expect(turn.validation).to.include({ schema: 'security_audit/v1', valid: true, reasks: 1 });
+        expect(turn.artifacts.filter(artifact => artifact.type === 'security-finding')).to.have.length(1);
+        expect(backend.commands).to.have.length(3);
+    });
+    
+    it('should hold a follow-up turn to the task\'s budget', async () => {
+        const usage = JSON.stringify({ type: 'result', usage: { input_tokens: 5000, output_tokens: 100 }, total_cost_usd: 0.05 });
+        await start({ sessionIdleTimeoutMs: 60000 }, ['done', usage]);
+        const exceeded = [];
+        adapter.on('task:budget-exceeded', event => exceeded.push([event.taskId, event.limit, event.action]));
+        
+        const { sessionId } = await adapter.executeTask(task('b1', { budget: { maxTokens: 1000 } }));
+        const turn = await adapter.continue(sessionId, 'Now rewrite the whole module');
+        
+        expect(exceeded).to.deep.equal([['b1#2', 'maxTokens', 'cancelled']]);
+        expect(turn.budgetExceeded).to.include({ limit: 'maxTokens', max: 1000 });
+    });
+    
+    it('should expire a conversation after its own idle timeout', async () => {
+        await start({ sessionIdleTimeoutMs: 20, conversationIdleTimeoutMs: 150 });
+        const closed = [];
+        adapter.on('conversation:closed', event => closed.push(event));
+        
+        const { sessionId } = await adapter.executeTask(task('i1'));
+        await adapter.continue(sessionId, 'Keep going');
+        
+        // Past the plain session timeout, within the conversation's
+        await delay(60);
+        expect(backend.sessions.has(sessionId)).to.equal(true);
+        
+        await delay(150);
+        expect(backend.sessions.has(sessionId)).to.equal(false);
+        expect(closed.map(event => [event.sessionId, event.turns, event.reason])).to.deep.equal([[sessionId, 2, 'idle']]);
+        
+        let error = null;
+        try {
+            await adapter.continue(sessionId, 'Too late');
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal(`Session ${sessionId} is not active; it may have expired`);
+    });
+    
+    it('should end a conversation on request', async () => {
+        await start({ sessionIdleTimeoutMs: 60000 });
+        const closed = [];
+        adapter.on('conversation:closed', event => closed.push(event.reason));
+        
+        const { sessionId } = await adapter.executeTask(task('e1'));
+        await adapter.continue(sessionId, 'One more thing');
+        
+        expect(await adapter.endConversation(sessionId)).to.deep.equal({ found: true, closed: true });
+        expect(backend.sessions.has(sessionId)).to.equal(false);
+        expect(closed).to.deep.equal(['ended']);
+        expect(await adapter.endConversation(sessionId)).to.deep.equal({ found: false });
+    });
+    
+    it('should say why a task failed', async () => {
+        const cancel = () => {
+            adapter.cancelTask(backend.commands[backend.commands.length - 1].sessionId);
+            return new Error('session destroyed');
+        };
+        await start({ maxSessions: 1, queueTimeoutMs: 1 }, [new Error('exit 1'), cancel, () => new Error('session destroyed')]);
+        const reasons = {};
+        adapter.on('task:failed', event => { reasons[event.taskId] = event.reason; });
+        
+        await adapter.executeTask(task('failed'));
+        await adapter.executeTask(task('cancelled'));
+        await adapter.executeTask(task('over-budget', { budget: { maxDurationMs: 1 } }));
+        await Promise.all([adapter.executeTask(task('running')), adapter.executeTask(task('rejected'))]);
+        
+        expect(reasons).to.deep.equal({
+            failed: 'error',
+            cancelled: 'cancelled',
+            'over-budget': 'budget',
+            rejected: 'rejected'
+        });
+    });
+    
+    it('should roll a retried task back to the files before its first attempt', async () => {
+        const file = path.join(root, 'f.txt');
+        fs.writeFileSync(file, 'original\n');
+        const attempt = (content, reply) => () => {
+            fs.writeFileSync(file, content);
+            return reply;
+        };
+        await start({
+            workspaceSnapshots: true,
+            retry: { baseDelayMs: 1, jitter: 0 },
+            sessionIdleTimeoutMs: 60000
+        }, [attempt('attempt1\n', new Error('connect ECONNRESET')), attempt('attempt2\n', 'done')]);
+        
+        const result = await adapter.executeTask(task('r1'));
+        expect(result.metrics.retries).to.equal(1);
+        expect(result.workspaceChanges.modified).to.deep.equal(['f.txt']);
+        expect(result.workspaceChanges.files[0].diff).to.include('-original\n+attempt2');
+        
+        await adapter.rollback('r1');
+        expect(fs.readFileSync(file, 'utf8')).to.equal('original\n');
+    });
+    
+    it('should validate and retry streamed tasks like executeTask', async () => {
+        await start({ retry: { baseDelayMs: 1, jitter: 0 }, sessionIdleTimeoutMs: 60000 }, [new Error('connect ECONNRESET'), 'streamed output\n']);
+        
+        const output = adapter.stream(task('st1'));
+        const chunks = [];
+        for await (const chunk of output) {
+            chunks.push(chunk.text);
+        }
+        const result = await output.result;
+        
+        expect(result.status).to.equal('completed');
+        expect(result.metrics.retries).to.equal(1);
+        expect(chunks.join('')).to.equal('streamed output\n');
+        
+        // An invalid task fails the stream before producing any output
+        const invalid = adapter.stream({ id: 'st2' });
+        const error = await new Promise(resolve => invalid.on('error', resolve));
+        expect(error.name).to.equal('ZodError');
+        expect(backend.commands).to.have.length(2);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Completion Sentinel Tests
+ * 
+ * Validates that wrapped commands report their exit code and separate
+ * output streams through the end-marker protocol.
+ */
+
+const { expect } = require('chai');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CompletionSentinel = require('../src/adapters/claude-code/CompletionSentinel');
+
+const execFileAsync = promisify(execFile);
+
+describe('Completion Sentinel', () => {
+    let baseDir;
+    
+    beforeEach(async () => {
+        baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sentinel-test-'));
+    });
+    
+    afterEach(async () => {
+        await fs.promises.rm(baseDir, { recursive: true, force: true });
+    });
+    
+    async function run(command) {
+        const sentinel = new CompletionSentinel(path.join(baseDir, 'run'));
+        const line = await sentinel.prepare(command);
+        await execFileAsync('sh', ['-c', line]);
+        return sentinel;
+    }
+    
+    it('should not report completion before the command runs', async () => {
+        const sentinel = new CompletionSentinel(path.join(baseDir, 'run'));
+        await sentinel.prepare('true');
+        
+        expect(await sentinel.poll()).to.be.null;
+    });
+    
+    it('should capture stdout, stderr and the exit code separately', async () => {
+        const sentinel = await run('echo out; echo err >&2; exit 3');
+        
+        expect(await sentinel.poll()).to.deep.equal({ exitCode: 3 });
+        
+        const { stdout, stderr } = await sentinel.readOutput();
+        expect(stdout).to.equal('out\n');
+        expect(stderr).to.equal('err\n');
+    });
+    
+    it('should not treat prompt-like output as completion', async () => {
+        const sentinel = await run("printf '$ \\n> '");
+        
+        const { stdout } = await sentinel.readOutput();
+        expect(stdout).to.equal('$ \n> ');
+        expect(await sentinel.poll()).to.deep.equal({ exitCode: 0 });
+    });
+    
+    it('should reject a status file written by another run', async () => {
+        const sentinel = await run('true');
+        const other = new CompletionSentinel(path.join(baseDir, 'run'));
+        
+        try {
+            await other.poll();
+            expect.fail('Should have thrown error');
+        } catch (err) {
+            expect(err.message).to.include('Unexpected completion marker');
+        }
+    });
+    
+    it('should pass argument-vector commands and stdin through unmodified', async () => {
+        const prompt = "fix `rm -rf $HOME`; $(whoami) {a} [b] <c> 'q' \"d\"\nline 2";
+        const sentinel = await run({
+            executable: 'sh',
+            args: ['-c', 'echo "$1|$GREETING"; cat', 'sh', '$(not expanded)'],
+            env: { GREETING: 'hi $USER' },
+            cwd: baseDir,
+            stdin: prompt
+        });
+        
+        const { stdout } = await sentinel.readOutput();
+        expect(stdout).to.equal(`$(not expanded)|hi $USER\n${prompt}`);
+    });
+    
+    it('should keep stdin open for answers after any stdin content', async () => {
+        const sentinel = new CompletionSentinel(path.join(baseDir, 'run'));
+        const line = await sentinel.prepare({
+            executable: 'sh',
+            args: ['-c', 'read file; printf "Overwrite $file? [y/n] "; read answer; echo "answer: $answer"'],
+            stdin: 'config.json\n',
+            keepStdinOpen: true
+        });
+        const running = execFileAsync('sh', ['-c', line]);
+        
+        while (!(await sentinel.readOutput()).stdout.endsWith('[y/n] ')) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        expect(await sentinel.acceptsInput()).to.equal(true);
+        await sentinel.sendInput('y\n');
+        await running;
+        
+        expect((await sentinel.readOutput()).stdout).to.equal('Overwrite config.json? [y/n] answer: y\n');
+        expect(await sentinel.acceptsInput()).to.equal(false);
+        
+        // Without the flag, stdin content ends where the file does
+        const closed = await run({ executable: 'sh', args: ['-c', 'cat; echo end'], stdin: 'prompt\n' });
+        expect((await closed.readOutput()).stdout).to.equal('prompt\nend\n');
+    });
+    
+    it('should reject invalid environment variable names', () => {
+        expect(() => CompletionSentinel.renderCommand({
+            executable: 'true',
+            env: { 'A;B': 'x' }
+        })).to.throw('Invalid environment variable name');
+    });
+    
+    it('should quote arguments for the shell', () => {
+        expect(CompletionSentinel.quote("it's")).to.equal(`'it'\\''s'`);
+    });
+});
@@ -0,0 +1,221 @@
+/**
+ * Context Planner Tests
+ *
+ * Validates that tasks whose files exceed an adapter's context window are
+ * packed into token-bounded chunks, split at declarations, carry a summary
+ * of earlier chunks, and come back as one answer.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContextPlanner = require('../src/strategies/ContextPlanner');
+const OrchestrationStrategy = require('../src/strategies/OrchestrationStrategy');
+const AdapterRegistry = require('../src/AdapterRegistry');
+const TaskRouter = require('../src/TaskRouter');
+
+describe('Context Planner', () => {
+    let root;
+    let planner;
+    
+    // Prose files cost one token per word
+    const write = (file, words) => {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), typeof words === 'number' ? 'word '.repeat(words) : words);
+    };
+    const task = (files, description = 'Review') => ({
+        id: 'big',
+        type: 'validation',
+        objective: 'Review',
+        description,
+        context: { files, workspaceRoot: root }
+    });
+    const adapter = (maxContextTokens, executeTask) => ({
+        name: 'small',
+        capabilities: { maxContextTokens },
+        supportsFeature: () => false,
+        executeTask
+    });
+    
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'context-planner-'));
+        planner = new ContextPlanner({ fill: 1, summaryTokens: 100 });
+    });
+    
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    
+    it('should pack files in order into chunks under the budget', () => {
+        ['a.md', 'b.md', 'c.md'].forEach(file => write(file, 300));
+        write('d.md', 500);
+        
+        const plan = planner.plan(task(['a.md', 'b.md', 'c.md', 'd.md', 'missing.md']), 1000);
+        
+        // 1000 tokens, less the description and the summary reserve
+        expect(plan.budget).to.equal(899);
+        expect(plan.tokens).to.equal(1 + 1400 + 500);
+        expect(plan.chunks.map(chunk => chunk.files)).to.deep.equal([['a.md', 'b.md'], ['c.md', 'd.md'], ['missing.md']]);
+        expect(plan.chunks.map(chunk => chunk.tokens)).to.deep.equal([600, 800, 500]);
+        
+        expect(planner.exceeds(task(['a.md', 'b.md']), 1000)).to.equal(false);
+        expect(planner.exceeds(task(['a.md', 'b.md', 'c.md', 'd.md']), 1000)).to.equal(true);
+        expect(planner.exceeds(task(['a.md', 'b.md', 'c.md', 'd.md']), { capabilities: {} })).to.equal(false);
+        expect(() => planner.plan(task(['a.md'], 'word '.repeat(950)), 1000)).to.throw('leave no room for files');
+    });
+    
+    it('should split oversized files at declarations, keeping comments with them', () => {
+        const fn = (name) => `// ${name} does things\nfunction ${name}() {\n${'    doThings();\n'.repeat(30)}}\n`;
+        write('lib.js', `'use strict';\n\n${fn('first')}\n${fn('second')}\n${fn('third')}`);
+        
+        const segments = planner.splitFile({ file: 'lib.js', absolute: path.join(root, 'lib.js') }, 250);
+        
+        expect(segments.map(s => [s.startLine, s.endLine])).to.deep.equal([[1, 36], [37, 70], [71, 104]]);
+        expect(segments[1].content.split('\n').slice(0, 2)).to.deep.equal(['// second does things', 'function second() {']);
+        expect(segments.every(s => s.tokens <= 250)).to.equal(true);
+        
+        // A function larger than the budget is cut at finer boundaries
+        const fine = planner.splitFile({ file: 'lib.js', absolute: path.join(root, 'lib.js') }, 60);
+        expect(fine.every(s => s.tokens <= 60)).to.equal(true);
+        expect(fine.map(s => s.content).join('\n')).to.equal(fs.readFileSync(path.join(root, 'lib.js'), 'utf8'));
+    });
+    
+    it('should run overflowing tasks in chunks that know what came before', async () => {
+        ['a.md', 'b.md', 'c.md'].forEach(file => write(file, 400));
+        const seen = [];
+        let reduceTask = null;
+        const strategy = new OrchestrationStrategy(adapter(1000, async (chunkTask) => {
+            if (chunkTask.id === 'big-reduce') {
+                reduceTask = chunkTask;
+                return { status: 'completed', output: 'Issues 1 and 2', artifacts: [{ type: 'finding', content: 'Shared ' }], metrics: { duration: 5, costUsd: 0.01 } };
+            }
+            seen.push(chunkTask);
+            const part = chunkTask.context.chunk.index;
+            return {
+                status: 'completed',
+                output: `Found issue ${part}`,
+                artifacts: [{ type: 'finding', content: 'shared' }, { type: 'finding', content: `part ${part}` }],
+                metrics: { duration: 10, costUsd: 0.01 }
+            };
+        }), { contextPlanner: planner });
+        
+        const events = [];
+        strategy.on('context:chunked', e => events.push(e));
+        strategy.on('chunk:completed', e => events.push(e));
+        
+        const result = await strategy.execute(task(['a.md', 'b.md', 'c.md']), { strategies: ['sequential'] });
+        
+        expect(result.strategy).to.equal('chunked');
+        expect(seen.map(t => t.context.files)).to.deep.equal([['a.md', 'b.md'], ['c.md']]);
+        expect(seen[0].context.previousSummary).to.equal(null);
+        expect(seen[1].context.previousSummary).to.equal('Part 1 (a.md, b.md): Found issue 1');
+        expect(seen[1].description).to.include('[Part 2 of 2]').and.include('Found issue 1');
+        
+        // A reduce task synthesizes the parts into one answer
+        expect(reduceTask.description).to.include('### a.md, b.md\nFound issue 1\n\n### c.md\nFound issue 2');
+        expect(result.status).to.equal('completed');
+        expect(result.output).to.equal('Issues 1 and 2');
+        expect(result.artifacts.map(a => a.content)).to.deep.equal(['shared', 'part 1', 'part 2']);
+        expect(result.metrics.duration).to.equal(25);
+        expect(result.metrics.costUsd).to.be.closeTo(0.03, 1e-9);
+        expect(events.map(e => e.chunks || e.progress)).to.deep.equal([2, 0.5, 1]);
+        
+        // Without synthesis the parts are concatenated
+        const concatenated = await strategy.execute(task(['a.md', 'b.md', 'c.md']), { strategies: ['sequential'], synthesize: false });
+        expect(concatenated.output).to.equal('## Part 1 of 2 (a.md, b.md)\nFound issue 1\n\n## Part 2 of 2 (c.md)\nFound issue 2');
+        expect(concatenated.metrics).to.include({ duration: 20, costUsd: 0.02 });
+    });
+    
+    it('should measure { path } entries and fall back when the context cannot be measured', async () => {
+        ['a.md', 'b.md', 'c.md'].forEach(file => write(file, 400));
+        const entries = ['a.md', 'b.md', 'c.md'].map(file => ({ path: file, reason: 'changed' }));
+        
+        const plan = planner.plan(task(entries), 1000);
+        expect(plan.tokens).to.equal(1 + 1200);
+        expect(plan.chunks.map(ContextPlanner.describeChunk)).to.deep.equal(['a.md, b.md', 'c.md']);
+        expect(plan.chunks[0].files[0]).to.equal(entries[0]);
+        
+        const strategy = new OrchestrationStrategy(adapter(1000, async () => ({ status: 'completed', output: 'ok' })), { contextPlanner: planner });
+        const result = await strategy.execute({ ...task(['a.md']), context: { files: 'a.md' } }, { strategies: ['sequential'] });
+        expect(result.strategy).to.equal('sequential');
+    });
+    
+    it('should give each chunk a share of the task\'s budget', async () => {
+        const files = ['a.md', 'b.md', 'c.md', 'd.md', 'e.md', 'f.md'];
+        files.forEach(file => write(file, 400));
+        const budgets = [];
+        const strategy = new OrchestrationStrategy(adapter(1000, async (chunkTask) => {
+            budgets.push(chunkTask.budget);
+            return { status: 'completed', output: 'ok', metrics: { costUsd: chunkTask.context.chunk.index === 1 ? 0.01 : 0.07 } };
+        }), { contextPlanner: planner });
+        
+        const result = await strategy.execute({ ...task(files), budget: { maxCostUsd: 0.06 } }, { strategies: ['sequential'] });
+        
+        // A quarter of the budget, as the reduce task takes a share, then
+        // a third of what the first chunk left
+        expect(budgets).to.have.length(2);
+        expect(budgets[0].maxCostUsd).to.be.closeTo(0.015, 1e-9);
+        expect(budgets[1].maxCostUsd).to.be.closeTo(0.05 / 3, 1e-9);
+        
+        expect(result.status).to.equal('partial');
+        expect(result.chunks[2].error).to.equal('Skipped: maxCostUsd of 0.06 exceeded (0.08)');
+    });
+    
+    it('should only say the context is too large when it is', async () => {
+        const files = Array.from({ length: 12 }, (_, i) => `${i}.md`);
+        files.forEach(file => write(file, 10));
+        const seen = [];
+        const strategy = new OrchestrationStrategy({
+            ...adapter(100000, async (subtask) => {
+                seen.push(subtask);
+                return { status: 'completed', output: 'ok' };
+            }),
+            getFeatureConfig: () => null
+        }, { contextPlanner: planner });
+        
+        await strategy.execute(task(files), { strategies: ['batched'] });
+        expect(seen.map(t => [t.id, t.context.files.length])).to.deep.equal([['big-batch-0', 5], ['big-batch-5', 5], ['big-batch-10', 2]]);
+        expect(seen.every(t => t.description === 'Review')).to.equal(true);
+        
+        seen.length = 0;
+        await strategy.execute(task(files.slice(0, 2)), { strategies: ['mapReduce'] });
+        expect(seen[0].description).to.include('[Part 1 of 2]').and.not.include('too large');
+    });
+    
+    it('should carry oversized file segments inline and report failed chunks', async () => {
+        write('huge.md', 'intro\n\n' + `${'word '.repeat(100)}\n\n`.repeat(12));
+        const strategy = new OrchestrationStrategy(adapter(1000, async (chunkTask) => (
+            chunkTask.context.chunk.index === 1
+                ? { status: 'failed', error: 'rate limited' }
+                : { status: 'completed', output: 'ok' }
+        )), { contextPlanner: planner });
+        
+        const result = await strategy.execute(task(['huge.md']), { strategies: ['sequential'] });
+        
+        expect(result.status).to.equal('partial');
+        expect(result.chunks[0]).to.include({ status: 'failed', error: 'rate limited' });
+        expect(result.chunks[0].files).to.deep.equal([]);
+        expect(result.chunks[0].segments[0]).to.include({ file: 'huge.md', startLine: 1 });
+        expect(result.output).to.include('Failed: rate limited');
+    });
+    
+    it('should route overflowing tasks to the chunked strategy', async () => {
+        ['a.md', 'b.md', 'c.md'].forEach(file => write(file, 400));
+        const registry = new AdapterRegistry();
+        registry.registerAdapter('small', {
+            capabilities: { maxContextTokens: 1000, supportedLanguages: [], multiFile: true },
+            supportsFeature: () => true
+        }, '1.0.0');
+        const router = new TaskRouter(registry, { workspaceRoot: root });
+        
+        const decision = await router.route(task(['a.md', 'b.md', 'c.md']));
+        
+        expect(decision.adapterName).to.equal('small');
+        expect(decision.strategy).to.equal('chunked');
+        expect(decision.contextOverflow).to.deep.equal({ contextTokens: 1200, capacity: 750, maxContextTokens: 1000, estimatedChunks: 2 });
+        
+        const fits = await router.route({ ...task(['a.md']), id: 'small' });
+        expect(fits.contextOverflow).to.equal(null);
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * Conversation Tests
+ *
+ * Validates follow-up turn commands that continue an earlier session.
+ */
+
+const { expect } = require('chai');
+const CommandBuilder = require('../src/adapters/claude-code/CommandBuilder');
+
+describe('Conversation', () => {
+    const builder = new CommandBuilder();
+    
+    it('should continue the same session with the follow-up message', () => {
+        const task = { id: 'review-1', type: 'code_review', objective: 'Review src/' };
+        const command = builder.buildCommand(task, { sessionId: 's1', workspaceRoot: '/repo' });
+        
+        const second = builder.buildFollowUpCommand(command, 'Now fix the issues you found');
+        const third = builder.buildFollowUpCommand(second, 'Add tests for the fixes');
+        
+        expect(second.turn).to.equal(2);
+        expect(third.turn).to.equal(3);
+        expect(third.sessionId).to.equal('s1');
+        expect(third.stdin).to.equal('Add tests for the fixes');
+        expect(third.args.filter(arg => arg === '--continue')).to.have.length(1);
+        expect(third.args.filter(arg => arg.startsWith('--session-id='))).to.deep.equal(['--session-id=s1']);
+        expect(third.args.filter(arg => arg.startsWith('--working-directory='))).to.have.length(1);
+    });
+    
+    it('should ask for structured output only when the turn names a schema', () => {
+        const command = builder.buildTemplateCommand('security_audit', {}, { sessionId: 's2', workspaceRoot: '/repo' });
+        
+        const plain = builder.buildFollowUpCommand(command, 'Explain the first finding');
+        expect(plain.expectsJson).to.equal(false);
+        expect(plain.outputSchema).to.equal(null);
+        
+        const structured = builder.buildFollowUpCommand(command, 'Audit again after the fix', { outputSchema: 'security_audit' });
+        expect(structured.expectsJson).to.equal(true);
+        expect(structured.prompt).to.include('Audit again after the fix');
+        expect(structured.prompt).to.include('findings');
+        
+        expect(() => builder.buildFollowUpCommand(command, '  ')).to.throw('needs a message');
+    });
+});
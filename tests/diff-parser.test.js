@@ -0,0 +1,241 @@
+/**
+ * Diff Parser and Patch Applier Tests
+ *
+ * Validates extraction of unified diffs, file blocks and before/after
+ * pairs from Claude Code output, and dry-running and applying them to a
+ * workspace with conflict reporting.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DiffParser = require('../src/adapters/claude-code/DiffParser');
+const PatchApplier = require('../src/adapters/claude-code/PatchApplier');
+const ResultsParser = require('../src/adapters/claude-code/ResultsParser');
+
+const OUTPUT = `I made the following changes.
+
+\`\`\`diff
+diff --git a/src/app.js b/src/app.js
+index 3b18e51..a1c2d3f 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,4 +1,4 @@
+ const express = require('express');
+-const port = 3000;
++const port = process.env.PORT || 3000;
+ 
+ module.exports = { express, port };
+diff --git a/src/old.js b/src/old.js
+deleted file mode 100644
+--- a/src/old.js
++++ /dev/null
+@@ -1 +0,0 @@
+-module.exports = 'old';
+diff --git a/lib/a.js b/lib/b.js
+similarity index 100%
+rename from lib/a.js
+rename to lib/b.js
+\`\`\`
+
+New file: src/config.js
+\`\`\`js
+module.exports = { debug: false };
+\`\`\`
+
+Before (README.md):
+\`\`\`md
+Run on port 3000.
+\`\`\`
+
+After (README.md):
+\`\`\`md
+Run on $PORT (default 3000).
+\`\`\`
+`;
+
+describe('Diff Parser', () => {
+    let workspace;
+    
+    beforeEach(() => {
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-parser-'));
+        fs.mkdirSync(path.join(workspace, 'src'));
+        fs.mkdirSync(path.join(workspace, 'lib'));
+        fs.writeFileSync(path.join(workspace, 'src/app.js'),
+            "const express = require('express');\nconst port = 3000;\n\nmodule.exports = { express, port };\n");
+        fs.writeFileSync(path.join(workspace, 'src/old.js'), "module.exports = 'old';\n");
+        fs.writeFileSync(path.join(workspace, 'lib/a.js'), 'a\n');
+        fs.writeFileSync(path.join(workspace, 'README.md'), '# App\n\nRun on port 3000.\n');
+    });
+    
+    afterEach(() => {
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+    
+    it('should classify diffs, file blocks and before/after pairs', () => {
+        const changes = new DiffParser().extract(OUTPUT, { workspaceRoot: workspace });
+        const summary = changes.map(c => [c.format, c.operation, c.path, c.oldPath]);
+        
+        expect(summary).to.deep.equal([
+            ['unified-diff', 'modify', 'src/app.js', null],
+            ['unified-diff', 'delete', 'src/old.js', 'src/old.js'],
+            ['unified-diff', 'rename', 'lib/b.js', 'lib/a.js'],
+            ['file-block', 'create', 'src/config.js', null],
+            ['before-after', 'modify', 'README.md', null]
+        ]);
+        expect(changes[0]).to.include({ additions: 1, deletions: 1 });
+        expect(changes[0].hunks[0].lines).to.have.length(5);
+    });
+    
+    it('should parse bare diffs and tolerate wrong hunk counts', () => {
+        const text = [
+            'Here is the patch:',
+            '--- src/app.js',
+            '+++ src/app.js',
+            '@@ -2,9 +2,1 @@',
+            '-const port = 3000;',
+            '+const port = 8080;',
+            '',
+            'Let me know if you need anything else.'
+        ].join('\n');
+        
+        const [change] = new DiffParser().extract(text);
+        expect(change).to.include({ path: 'src/app.js', operation: 'modify' });
+        expect(change.hunks[0].lines).to.deep.equal(['-const port = 3000;', '+const port = 8080;']);
+    });
+    
+    it('should dry-run without writing and then apply every change', async () => {
+        const changes = new DiffParser().extract(OUTPUT, { workspaceRoot: workspace });
+        const applier = new PatchApplier(workspace);
+        
+        const dryRun = await applier.dryRun(changes);
+        expect(dryRun).to.include({ dryRun: true, applied: false, clean: true });
+        expect(fs.existsSync(path.join(workspace, 'src/config.js'))).to.equal(false);
+        
+        const report = await applier.apply(changes);
+        expect(report.applied).to.equal(true);
+        expect(report.changes.every(c => c.status === 'applied')).to.equal(true);
+        
+        const read = (file) => fs.readFileSync(path.join(workspace, file), 'utf8');
+        expect(read('src/app.js')).to.include('process.env.PORT || 3000');
+        expect(read('src/config.js')).to.equal('module.exports = { debug: false };\n');
+        expect(read('lib/b.js')).to.equal('a\n');
+        expect(read('README.md')).to.equal('# App\n\nRun on $PORT (default 3000).\n');
+        expect(fs.existsSync(path.join(workspace, 'src/old.js'))).to.equal(false);
+        expect(fs.existsSync(path.join(workspace, 'lib/a.js'))).to.equal(false);
+    });
+    
+    it('should locate hunks that have drifted from their line numbers', async () => {
+        const file = path.join(workspace, 'src/app.js');
+        fs.writeFileSync(file, '// header\n// added since\n' + fs.readFileSync(file, 'utf8'));
+        
+        const [change] = new DiffParser().extract(OUTPUT);
+        const report = await new PatchApplier(workspace).apply([change]);
+        
+        expect(report.clean).to.equal(true);
+        expect(fs.readFileSync(file, 'utf8')).to.match(/^\/\/ header\n\/\/ added since\nconst express/);
+    });
+    
+    it('should report conflicts and leave the workspace untouched', async () => {
+        fs.writeFileSync(path.join(workspace, 'src/app.js'), 'rewritten entirely\n');
+        fs.writeFileSync(path.join(workspace, 'src/config.js'), 'exists\n');
+        
+        const changes = new DiffParser().extract(OUTPUT);
+        changes.push({ format: 'file-block', operation: 'create', path: '../escape.js', content: 'x' });
+        
+        const report = await new PatchApplier(workspace).apply(changes);
+        
+        expect(report.applied).to.equal(false);
+        expect(report.conflicts.map(c => [c.path, c.reason])).to.deep.equal([
+            ['src/app.js', 'Hunk context does not match'],
+            ['src/config.js', 'File already exists'],
+            ['../escape.js', 'Path is outside the workspace']
+        ]);
+        expect(report.conflicts[0]).to.include({ hunk: 1, expectedLine: 1 });
+        expect(fs.existsSync(path.join(workspace, 'src/old.js'))).to.equal(true);
+        expect(fs.readFileSync(path.join(workspace, 'README.md'), 'utf8')).to.include('port 3000');
+    });
+    
+    it('should not follow symlinks out of the workspace', async () => {
+        const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-parser-outside-'));
+        fs.writeFileSync(path.join(outside, 'secret.js'), 'secret\n');
+        fs.symlinkSync(outside, path.join(workspace, 'out'));
+        fs.symlinkSync(path.join(outside, 'secret.js'), path.join(workspace, 'lib/secret.js'));
+        fs.symlinkSync(path.join(outside, 'missing.js'), path.join(workspace, 'lib/dangling.js'));
+        fs.symlinkSync(path.join(workspace, 'lib'), path.join(workspace, 'library'));
+        
+        const block = (file) => ({ format: 'file-block', operation: 'modify', path: file, content: 'x\n', complete: true });
+        try {
+            const report = await new PatchApplier(workspace).apply(
+                ['out/new/evil.js', 'lib/secret.js', 'lib/dangling.js', 'library/z.js'].map(block),
+                { atomic: false }
+            );
+            
+            expect(report.conflicts.map(c => [c.path, c.reason])).to.deep.equal([
+                ['out/new/evil.js', 'Path is outside the workspace'],
+                ['lib/secret.js', 'Path is outside the workspace'],
+                ['lib/dangling.js', 'Path is outside the workspace']
+            ]);
+            expect(fs.readdirSync(outside)).to.deep.equal(['secret.js']);
+            expect(fs.readFileSync(path.join(outside, 'secret.js'), 'utf8')).to.equal('secret\n');
+            expect(fs.readFileSync(path.join(workspace, 'lib/z.js'), 'utf8')).to.equal('x\n');
+        } finally {
+            fs.rmSync(outside, { recursive: true, force: true });
+        }
+    });
+    
+    it('should read a missing final newline as belonging to the old or the new file', async () => {
+        fs.writeFileSync(path.join(workspace, 'lib/a.js'), 'a');
+        fs.writeFileSync(path.join(workspace, 'lib/c.js'), 'c\n');
+        const diff = (file, ...lines) => [`--- a/${file}`, `+++ b/${file}`, '@@ -1 +1 @@', ...lines].join('\n');
+        const text = [
+            diff('lib/a.js', '-a', '\\ No newline at end of file', '+b'),
+            diff('lib/c.js', '-c', '+d', '\\ No newline at end of file'),
+            diff('README.md', '-# App', '\\ No newline at end of file', '+# Service', '\\ No newline at end of file')
+        ].join('\n');
+        fs.writeFileSync(path.join(workspace, 'README.md'), '# App');
+        
+        const report = await new PatchApplier(workspace).apply(new DiffParser().extract(text));
+        
+        expect(report.clean).to.equal(true);
+        const read = (file) => fs.readFileSync(path.join(workspace, file), 'utf8');
+        expect([read('lib/a.js'), read('lib/c.js'), read('README.md')]).to.deep.equal(['b\n', 'd', '# Service']);
+    });
+    
+    it('should not let an excerpt labelled with a path replace the file', async () => {
+        const file = path.join(workspace, 'src/app.js');
+        const original = fs.readFileSync(file, 'utf8');
+        const excerpt = 'The port is set here:\n\n```js src/app.js\nconst port = 8080;\n```\n';
+        
+        const [change] = new DiffParser().extract(excerpt, { workspaceRoot: workspace });
+        expect(change).to.include({ format: 'file-block', operation: 'modify', complete: false });
+        
+        const report = await new PatchApplier(workspace).apply([change]);
+        expect(report.applied).to.equal(false);
+        expect(report.conflicts.map(c => c.reason)).to.deep.equal(['File block is not marked as the complete file']);
+        expect(fs.readFileSync(file, 'utf8')).to.equal(original);
+        
+        // An explicit label, or the option, says the block is the whole file
+        const [labelled] = new DiffParser().extract('Full file: src/app.js\n```js\nconst port = 8080;\n```\n');
+        expect(labelled.complete).to.equal(true);
+        const [optedIn] = new DiffParser().extract(excerpt, { wholeFileBlocks: true });
+        expect(optedIn.complete).to.equal(true);
+        
+        await new PatchApplier(workspace).apply([labelled]);
+        expect(fs.readFileSync(file, 'utf8')).to.equal('const port = 8080;\n');
+    });
+    
+    it('should expose file changes as artifacts and apply them from results', async () => {
+        const parser = new ResultsParser();
+        const results = await parser.parseResults({ output: OUTPUT }, { id: 't1', type: 'generation' }, {
+            workspaceRoot: workspace
+        });
+        
+        const modifications = results.artifacts.filter(a => a.type === 'file-modification');
+        expect(modifications).to.have.length(5);
+        
+        const report = await parser.applyChanges(results, { workspaceRoot: workspace });
+        expect(report).to.include({ dryRun: true, clean: true, applied: false });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Map-Reduce Strategy Tests
+ *
+ * Validates that map subtasks run in parallel over a task's files, a reduce
+ * task built from their outputs runs on the chosen reducer, duplicate
+ * artifacts are dropped, and the run shows up in the strategy statistics.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OrchestrationStrategy = require('../src/strategies/OrchestrationStrategy');
+
+describe('Map-Reduce Strategy', () => {
+    let root;
+    
+    const task = (files, extra = {}) => ({
+        id: 'audit',
+        type: 'validation',
+        objective: 'Audit',
+        description: 'Find unsafe eval calls',
+        executionStrategy: 'mapReduce',
+        context: { files, workspaceRoot: root },
+        ...extra
+    });
+    const adapter = (name, executeTask, maxConcurrent = 2) => ({
+        name,
+        capabilities: { maxContextTokens: 100000 },
+        supportsFeature: feature => feature === 'parallelExecution',
+        getFeatureConfig: () => ({ maxConcurrent }),
+        executeTask
+    });
+    
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'mapreduce-'));
+        ['a.js', 'b.js', 'c.js'].forEach(file => fs.writeFileSync(path.join(root, file), `eval(input); // ${file}\n`));
+    });
+    
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    
+    it('should map files in parallel and reduce on a separate adapter', async () => {
+        let running = 0;
+        let peak = 0;
+        const budgets = [];
+        const mapper = adapter('mapper', async subtask => {
+            budgets.push(subtask.budget.maxCostUsd);
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            running--;
+            const file = subtask.context.files[0];
+            return {
+                status: 'completed',
+                output: `eval in ${file}`,
+                artifacts: [
+                    { type: 'finding', file, line: 1, message: 'Unsafe eval' },
+                    { type: 'finding', file: 'shared.js', line: 3, message: 'Unsafe  EVAL ' }
+                ],
+                metrics: { costUsd: 0.01 }
+            };
+        });
+        
+        let reduceTask = null;
+        const reducer = adapter('reducer', async t => {
+            reduceTask = t;
+            return {
+                status: 'completed',
+                output: 'Three unsafe eval calls',
+                artifacts: [{ type: 'finding', file: 'a.js', line: 1, message: 'unsafe eval' }],
+                metrics: { costUsd: 0.02 }
+            };
+        });
+        
+        const strategy = new OrchestrationStrategy(mapper, { reducer });
+        const events = [];
+        ['map:completed', 'reduce:started', 'reduce:completed'].forEach(name => strategy.on(name, () => events.push(name)));
+        
+        const result = await strategy.execute(task(['a.js', 'b.js', 'c.js'], { budget: { maxCostUsd: 0.08 } }));
+        
+        expect(peak).to.equal(2);
+        expect(result.status).to.equal('completed');
+        expect(result.output).to.equal('Three unsafe eval calls');
+        expect(result.artifacts.map(a => a.file)).to.deep.equal(['a.js', 'shared.js', 'b.js', 'c.js']);
+        expect(result.metrics.costUsd).to.be.closeTo(0.05, 1e-9);
+        expect(result.mapReduce).to.include({ mapped: 3, succeeded: 3, failed: 0, reducer: 'reducer', reduceTaskId: 'audit-reduce', duplicatesRemoved: 3 });
+        expect(events).to.deep.equal(['map:completed', 'map:completed', 'map:completed', 'reduce:started', 'reduce:completed']);
+        
+        // The map tasks and the reduce task share the budget
+        expect(budgets.map(budget => budget.toFixed(3))).to.deep.equal(['0.020', '0.020', '0.030']);
+        expect(reduceTask.budget.maxCostUsd).to.be.closeTo(0.05, 1e-9);
+        
+        expect(reduceTask.context.files).to.deep.equal([]);
+        expect(reduceTask.description).to.include('Original task: Find unsafe eval calls');
+        expect(reduceTask.description).to.include('### a.js\neval in a.js');
+        
+        const stats = strategy.getStatistics().mapReduce;
+        expect(stats).to.include({ attempts: 1, successes: 1, mapTasks: 3, mapFailures: 0, reduceFailures: 0, duplicatesRemoved: 3 });
+    });
+    
+    it('should fill in a user reducer prompt and keep map outputs when the reduce fails', async () => {
+        const mapper = adapter('mapper', async subtask => {
+            if (subtask.context.files[0] === 'b.js') {
+                throw new Error('Timed out');
+            }
+            return { status: 'completed', output: `found in ${subtask.context.files[0]}` };
+        }, 1);
+        
+        let description = null;
+        const strategy = new OrchestrationStrategy(mapper);
+        const result = await strategy.execute(task(['a.js', 'b.js', 'c.js']), {
+            reducerPrompt: 'Merge {{count}} reports for "{{description}}":\n{{results}}\nEnd.',
+            reducer: adapter('reducer', async t => {
+                description = t.description;
+                return { status: 'failed', error: 'Overloaded' };
+            })
+        });
+        
+        expect(description).to.match(/^Merge 2 reports for "Find unsafe eval calls":\n### a\.js\nfound in a\.js\n\n### c\.js\nfound in c\.js\nEnd\.$/);
+        expect(result.status).to.equal('partial');
+        expect(result.output).to.equal('found in a.js\n---\nfound in c.js');
+        expect(result.mapReduce.failures).to.deep.equal([{ task: 'audit-map-2', error: 'Timed out' }]);
+        expect(result.mapReduce.reduceError).to.equal('Overloaded');
+        expect(strategy.getStatistics().mapReduce).to.include({ mapFailures: 1, reduceFailures: 1 });
+    });
+    
+    it('should only be suitable for tasks over several files', () => {
+        const strategy = new OrchestrationStrategy(adapter('mapper', async () => ({})));
+        
+        expect(strategy._isStrategySuitable('mapReduce', task(['a.js', 'b.js']))).to.equal(true);
+        expect(strategy._isStrategySuitable('mapReduce', task(['a.js']))).to.equal(false);
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Metrics Store Tests
+ *
+ * Validates recent-run statistics, the metrics stores, and how the adapter
+ * registry routes on per-task-type metrics that survive a restart.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PerformanceMetrics = require('../src/metrics/PerformanceMetrics');
+const MemoryMetricsStore = require('../src/metrics/MemoryMetricsStore');
+const JsonFileMetricsStore = require('../src/metrics/JsonFileMetricsStore');
+const SqliteMetricsStore = require('../src/metrics/SqliteMetricsStore');
+const { EventEmitter } = require('events');
+const AdapterRegistry = require('../src/AdapterRegistry');
+const TaskRouter = require('../src/TaskRouter');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Just enough of a SQLite handle for the statements the store issues
+ */
+function fakeDatabase() {
+    const rows = [];
+    return {
+        rows,
+        exec: () => {},
+        prepare: (sql) => ({
+            run: (...params) => {
+                if (sql.startsWith('INSERT')) {
+                    const [adapter, version, task_type, duration, success, cost_usd, at] = params;
+                    rows.push({ adapter, version, task_type, duration, success, cost_usd, at });
+                    return { changes: 1 };
+                }
+                const before = rows.length;
+                rows.splice(0, rows.length, ...rows.filter(row => row.at >= params[0]));
+                return { changes: before - rows.length };
+            },
+            all: (since) => rows.filter(row => row.at >= since)
+        })
+    };
+}
+
+function mockAdapter() {
+    return {
+        capabilities: { maxContextTokens: 100000, supportedLanguages: ['javascript'], multiFile: true },
+        supportsFeature: () => true
+    };
+}
+
+describe('Adapter Metrics', () => {
+    describe('PerformanceMetrics', () => {
+        it('should report latency percentiles per task type', () => {
+            const metrics = new PerformanceMetrics();
+            const now = Date.now();
+            for (let i = 1; i <= 100; i++) {
+                metrics.add({ adapter: 'a', version: '1', taskType: 'generation', duration: i * 10, at: now });
+            }
+            metrics.add({ adapter: 'a', version: '1', taskType: 'testing', duration: 5000, success: false, at: now });
+            
+            expect(metrics.summarize('a', '1', 'generation', now)).to.include({ executions: 100, successRate: 1, p50: 500, p95: 950, p99: 990 });
+            expect(metrics.summarize('a', '1', 'testing', now)).to.include({ executions: 1, successRate: 0, p50: 5000 });
+            expect(metrics.summarize('a', '1', null, now).executions).to.equal(101);
+            expect(metrics.summarize('b', '1')).to.equal(null);
+        });
+        
+        it('should weight recent runs more and keep a sliding window', () => {
+            const metrics = new PerformanceMetrics({ windowSize: 4, halfLifeMs: HOUR });
+            const now = Date.now();
+            metrics.add({ adapter: 'a', version: '1', duration: 100, success: false, at: now - 10 * HOUR });
+            metrics.add({ adapter: 'a', version: '1', duration: 100, success: false, at: now - 10 * HOUR });
+            metrics.add({ adapter: 'a', version: '1', duration: 900, at: now });
+            
+            const summary = metrics.summarize('a', '1', null, now);
+            expect(summary.successRate).to.be.above(0.99);
+            expect(summary.p50).to.equal(900);
+            
+            for (let i = 0; i < 4; i++) {
+                metrics.add({ adapter: 'a', version: '1', duration: 200, at: now });
+            }
+            expect(metrics.summarize('a', '1', null, now)).to.include({ executions: 4, successRate: 1, p99: 200 });
+        });
+    });
+    
+    describe('Stores', () => {
+        let directory;
+        
+        beforeEach(async () => {
+            directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'metrics-store-test-'));
+        });
+        
+        afterEach(async () => {
+            await fs.promises.rm(directory, { recursive: true, force: true });
+        });
+        
+        const sample = (at, taskType = 'generation') => ({ adapter: 'a', version: '1', taskType, duration: 120, success: true, costUsd: 0.02, at });
+        
+        for (const [name, create] of [
+            ['MemoryMetricsStore', () => new MemoryMetricsStore()],
+            ['JsonFileMetricsStore', () => new JsonFileMetricsStore(path.join(directory, 'nested', 'metrics.jsonl'))],
+            ['SqliteMetricsStore', () => new SqliteMetricsStore(fakeDatabase())]
+        ]) {
+            it(`${name} should append, load since a time and prune`, async () => {
+                const store = create();
+                await store.append(sample(1000));
+                await store.append(sample(2000, null));
+                await store.append(sample(3000));
+                
+                expect(await store.load(2000)).to.deep.equal([sample(2000, null), sample(3000)]);
+                expect(await store.prune(2500)).to.equal(2);
+                expect(await store.load()).to.deep.equal([sample(3000)]);
+            });
+        }
+        
+        it('JsonFileMetricsStore should skip a torn final line', async () => {
+            const filePath = path.join(directory, 'metrics.jsonl');
+            await fs.promises.writeFile(filePath, JSON.stringify(sample(1000)) + '\n{"adapter":"a","ver');
+            
+            expect(await new JsonFileMetricsStore(filePath).load()).to.deep.equal([sample(1000)]);
+        });
+    });
+    
+    describe('AdapterRegistry', () => {
+        it('should route on the metrics of the task type at hand', () => {
+            const registry = new AdapterRegistry();
+            registry.registerAdapter('fast-tests', mockAdapter(), '1.0.0');
+            registry.registerAdapter('fast-code', mockAdapter(), '1.0.0');
+            
+            for (let i = 0; i < 5; i++) {
+                registry.recordMetrics('fast-tests', '1.0.0', { duration: 1000, taskType: 'testing' });
+                registry.recordMetrics('fast-tests', '1.0.0', { duration: 60000, taskType: 'generation' });
+                registry.recordMetrics('fast-code', '1.0.0', { duration: 60000, taskType: 'testing' });
+                registry.recordMetrics('fast-code', '1.0.0', { duration: 1000, taskType: 'generation' });
+            }
+            
+            const select = (taskType) => registry.selectOptimalAdapter({ multiFile: true, taskType }, { considerPerformance: true }).name;
+            expect(select('testing')).to.equal('fast-tests');
+            expect(select('generation')).to.equal('fast-code');
+            expect(registry.getAdapterMetrics('fast-tests', '1.0.0', 'testing')).to.include({ p50: 1000, recentExecutions: 5, taskType: 'testing' });
+            expect(registry.getAdapterMetrics('fast-tests', '1.0.0', 'review')).to.include({ recentExecutions: 10, taskType: null });
+        });
+        
+        it('should learn from the outcomes of tasks it routed', async () => {
+            const registry = new AdapterRegistry();
+            const adapter = Object.assign(new EventEmitter(), mockAdapter());
+            registry.registerAdapter('a', adapter, '1.0.0');
+            const router = new TaskRouter(registry);
+            const task = { id: 't1', type: 'testing', objective: 'Test', description: 'Add tests', context: { files: ['a.js', 'b.js'] } };
+            
+            await router.route(task);
+            adapter.emit('task:failed', { taskId: 't1', duration: 400, error: 'timeout' });
+            adapter.emit('task:completed', { taskId: 't1', duration: 200, results: { metrics: {} } });
+            adapter.emit('task:completed', { taskId: 't1', duration: 999 });
+            
+            const metrics = registry.getAdapterMetrics('a', '1.0.0', 'testing');
+            expect(metrics).to.include({ recentExecutions: 2, p99: 400 });
+            // Decay weights the two outcomes a few milliseconds apart
+            expect(metrics.successRate).to.be.closeTo(0.5, 1e-6);
+        });
+        
+        it('should persist runs and load them after a restart', async () => {
+            const store = new MemoryMetricsStore([
+                { adapter: 'a', version: '1.0.0', taskType: 'testing', duration: 100, success: true, at: Date.now() - 365 * 24 * HOUR }
+            ]);
+            const registry = new AdapterRegistry({ metricsStore: store });
+            registry.recordMetrics('a', '1.0.0', { duration: 300, failed: true, taskType: 'testing' });
+            await new Promise(resolve => setImmediate(resolve));
+            
+            const restarted = new AdapterRegistry({ metricsStore: store });
+            expect(await restarted.loadMetrics()).to.equal(1);
+            expect(store.samples).to.have.length(1);
+            expect(restarted.getAdapterMetrics('a', '1.0.0', 'testing')).to.include({ successRate: 0, p50: 300 });
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Output Schema Tests
+ *
+ * Validates that template prompts carry their output schema and that
+ * results are validated, repaired and turned into typed artifacts.
+ */
+
+const { expect } = require('chai');
+const CommandBuilder = require('../src/adapters/claude-code/CommandBuilder');
+const ResultsParser = require('../src/adapters/claude-code/ResultsParser');
+const { OUTPUT_SCHEMAS, getOutputSchema } = require('../src/adapters/claude-code/OutputSchemas');
+
+const fenced = (data) => `Audit complete.\n\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\`\n`;
+
+describe('Output Schemas', () => {
+    const builder = new CommandBuilder();
+    const parser = new ResultsParser();
+    const task = { id: 'audit-1', type: 'security_audit', template: 'security_audit' };
+    
+    const finding = {
+        id: 'SEC-1',
+        title: 'SQL injection in user lookup',
+        severity: 'high',
+        file: 'src/db/users.js',
+        line: 42,
+        cwe: 'CWE-89',
+        description: 'The id parameter is concatenated into the query.',
+        recommendation: 'Use a parameterized query.'
+    };
+    
+    it('should embed the versioned schema in each template prompt', () => {
+        for (const name of ['security_audit', 'tech_debt_analysis', 'dependency_update']) {
+            const command = builder.buildTemplateCommand(name, {}, { sessionId: 's1' });
+            
+            expect(command.outputSchema).to.equal(name);
+            expect(command.prompt).to.include(`matching schema ${OUTPUT_SCHEMAS[name].version}`);
+            expect(command.prompt).to.include('"schemaVersion"');
+        }
+        
+        const audit = builder.buildTemplateCommand('security_audit', {}, { sessionId: 's1' });
+        expect(audit.prompt).to.include('"cwe"?: string matching');
+        expect(audit.prompt).to.include('"critical" | "high" | "medium" | "low" | "info"');
+        
+        const review = builder.buildCodeReviewCommand({ context: {} }, { sessionId: 's1' });
+        expect(review.outputSchema).to.equal('code_review');
+        expect(review.prompt).to.include(`matching schema ${OUTPUT_SCHEMAS.code_review.version}`);
+    });
+    
+    it('should map task type aliases onto template schemas', () => {
+        expect(getOutputSchema('security_scan').version).to.equal('security_audit/v1');
+        expect(getOutputSchema('generation')).to.equal(null);
+    });
+    
+    it('should turn valid output into typed artifacts', async () => {
+        const output = fenced({ schemaVersion: 'security_audit/v1', findings: [finding] });
+        const results = await parser.parseResults({ output }, task);
+        
+        expect(results.validation).to.include({ schema: 'security_audit/v1', valid: true, repaired: false });
+        
+        const findings = results.artifacts.filter(a => a.type === 'security-finding');
+        expect(findings).to.have.length(1);
+        expect(findings[0]).to.include({ id: 'SEC-1', severity: 'high', file: 'src/db/users.js', line: 42, cwe: 'CWE-89' });
+        expect(results.summary.keyFindings).to.deep.equal(['SQL injection in user lookup']);
+    });
+    
+    it('should repair common deviations before validating', async () => {
+        const sloppy = [{
+            ...finding,
+            id: undefined,
+            severity: 'Moderate',
+            line: '42',
+            cwe: '89'
+        }];
+        const results = await parser.parseResults({ output: fenced(sloppy) }, task);
+        
+        expect(results.validation).to.include({ valid: true, repaired: true });
+        expect(results.structuredData.schemaVersion).to.equal('security_audit/v1');
+        expect(results.structuredData.findings[0]).to.include({
+            id: 'security-finding-1',
+            severity: 'medium',
+            line: 42,
+            cwe: 'CWE-89'
+        });
+    });
+    
+    it('should report errors and build a re-ask command for invalid output', async () => {
+        const broken = { findings: [{ title: 'Missing fields', severity: 'urgent' }] };
+        const results = await parser.parseResults({ output: fenced(broken) }, task);
+        
+        expect(results.validation.valid).to.equal(false);
+        expect(results.validation.errors.map(e => e.path)).to.include('findings.0.severity');
+        
+        const command = builder.buildTemplateCommand('security_audit', {}, { sessionId: 's1', workspaceRoot: '/repo' });
+        const repair = builder.buildRepairCommand(command, results.validation);
+        
+        expect(repair.repair).to.equal(1);
+        expect(repair.sessionId).to.equal('s1');
+        expect(repair.args.filter(arg => arg.startsWith('--session-id='))).to.have.length(1);
+        expect(repair.prompt).to.include('findings.0.severity');
+        expect(repair.prompt).to.include('"Missing fields"');
+    });
+    
+    it('should find nested JSON objects without a code fence', () => {
+        const text = 'Result: {"findings": [{"id": "a", "meta": {"x": "}"}}]} trailing';
+        expect(JSON.parse(parser.extractJson(text)).findings[0].meta.x).to.equal('}');
+    });
+});
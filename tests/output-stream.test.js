@@ -0,0 +1,98 @@
+/**
+ * Output Stream Tests
+ *
+ * Validates incremental output deltas from cumulative and pane-style
+ * progress reports, ANSI handling, and the streaming task API.
+ */
+
+const { expect } = require('chai');
+const OutputDelta = require('../src/adapters/claude-code/OutputDelta');
+const TaskOutputStream = require('../src/adapters/claude-code/TaskOutputStream');
+
+describe('Output Stream', () => {
+    describe('OutputDelta', () => {
+        it('should yield only new text from cumulative output', () => {
+            const delta = new OutputDelta();
+            
+            expect(delta.next('')).to.equal(null);
+            expect(delta.next('Analyzing')).to.include({ text: 'Analyzing', offset: 0, sequence: 0 });
+            expect(delta.next('Analyzing')).to.equal(null);
+            expect(delta.next('Analyzing files...\nDone\n')).to.include({
+                text: ' files...\nDone\n',
+                offset: 9,
+                sequence: 1,
+                reset: false
+            });
+        });
+        
+        it('should strip ANSI sequences by default and keep them on request', () => {
+            const colored = '\x1b[1;32m✔ passed\x1b[0m\r\n\x1b]0;title\x07next';
+            
+            expect(new OutputDelta().next(colored).text).to.equal('✔ passed\nnext');
+            expect(new OutputDelta({ ansi: 'keep' }).next(colored).text).to.equal(colored);
+            expect(() => new OutputDelta({ ansi: 'html' })).to.throw('Unknown ANSI mode');
+        });
+        
+        it('should line up pane snapshots after the screen scrolls', () => {
+            const delta = new OutputDelta();
+            
+            delta.next('$ claude\nline 1\nline 2\n\n\n');
+            expect(delta.next('line 1\nline 2\nline 3\n\n').text).to.equal('line 3\n');
+            expect(delta.next('line 2\nline 3\nline 4 partial').text).to.equal('line 4 partial');
+            expect(delta.next('line 3\nline 4 partial and more\n').text).to.equal(' and more\n');
+        });
+        
+        it('should deliver unrelated output whole and mark it as a reset', () => {
+            const delta = new OutputDelta();
+            
+            delta.next('first screen\n');
+            expect(delta.next('cleared and redrawn\n')).to.include({ text: 'cleared and redrawn\n', reset: true });
+        });
+    });
+    
+    describe('TaskOutputStream', () => {
+        it('should iterate deltas and resolve the task result', async () => {
+            const stream = new TaskOutputStream({ taskId: 'task-1' });
+            
+            setImmediate(() => {
+                stream.update({ sessionId: 's1', output: '', status: 'started' });
+                stream.update({ sessionId: 's1', output: 'a\n', status: 'running' });
+                stream.update({ sessionId: 's1', output: 'a\nb\n', status: 'running' });
+                stream.finish({ taskId: 'task-1', status: 'completed' });
+            });
+            
+            const chunks = [];
+            for await (const chunk of stream) {
+                chunks.push(chunk);
+            }
+            
+            expect(chunks.map(chunk => chunk.text)).to.deep.equal(['a\n', 'b\n']);
+            expect(chunks[1]).to.include({ type: 'output', taskId: 'task-1', sessionId: 's1', offset: 2, sequence: 1 });
+            expect(chunks[1].timestamp).to.be.instanceOf(Date);
+            expect(chunks[1].elapsed).to.be.a('number');
+            expect((await stream.result).status).to.equal('completed');
+        });
+        
+        it('should surface errors to readers and to the result', async () => {
+            const stream = new TaskOutputStream({ taskId: 'task-2' });
+            setImmediate(() => stream.fail(new Error('Adapter not initialized')));
+            
+            let error;
+            try {
+                for await (const chunk of stream) {
+                    expect(chunk).to.equal(undefined);
+                }
+            } catch (caught) {
+                error = caught;
+            }
+            
+            expect(error.message).to.equal('Adapter not initialized');
+            try {
+                await stream.result;
+                expect.fail('result should reject');
+            } catch (caught) {
+                expect(caught.message).to.equal('Adapter not initialized');
+            }
+        });
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * Permission Prompt Tests
+ *
+ * Validates prompt detection in pane content, answer keys, and approval
+ * policies for unattended runs, and answering a command run in tmux.
+ */
+
+const { expect } = require('chai');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PermissionPrompt = require('../src/adapters/claude-code/PermissionPrompt');
+const ApprovalPolicy = require('../src/adapters/claude-code/ApprovalPolicy');
+const TmuxSessionManager = require('../src/adapters/claude-code/TmuxSessionManager');
+
+const BASH_PROMPT = [
+    '● Running the test suite',
+    '╭──────────────────────────────────────────╮',
+    '│ Bash command                             │',
+    '│                                          │',
+    '│   npm test                               │',
+    '│   Run the test suite                     │',
+    '│                                          │',
+    '│ Do you want to proceed?                  │',
+    '│ ❯ 1. Yes                                 │',
+    "│   2. Yes, and don't ask again for npm    │",
+    '│   3. No, and tell Claude what to do (esc)│',
+    '╰──────────────────────────────────────────╯',
+    '',
+    ''
+].join('\n');
+
+describe('Permission Prompt', () => {
+    describe('PermissionPrompt', () => {
+        it('should parse a Claude Code permission box', () => {
+            const prompt = PermissionPrompt.detect(BASH_PROMPT);
+            
+            expect(prompt).to.include({
+                kind: 'permission',
+                tool: 'Bash command',
+                detail: 'npm test\nRun the test suite',
+                question: 'Do you want to proceed?'
+            });
+            expect(prompt.options.map(option => [option.key, option.answer])).to.deep.equal([
+                ['1', 'approve'],
+                ['2', 'approve_always'],
+                ['3', 'deny']
+            ]);
+            
+            // Moving the selection cursor does not make it a new prompt
+            const moved = BASH_PROMPT.replace('❯ 1. Yes', '  1. Yes').replace('  2. Yes', '❯ 2. Yes');
+            expect(PermissionPrompt.detect(moved).id).to.equal(prompt.id);
+        });
+        
+        it('should parse y/n confirmations and ignore prompts that scrolled away', () => {
+            const prompt = PermissionPrompt.detect('Removing build/\nOverwrite existing files? [y/N] ');
+            expect(prompt).to.include({ kind: 'confirmation', question: 'Overwrite existing files? [y/N]' });
+            
+            expect(PermissionPrompt.detect(`${BASH_PROMPT}● Ran npm test\n  42 passing\n  Done\n`)).to.equal(null);
+            expect(PermissionPrompt.detect('Choose:\n1. first\n2. second\n')).to.equal(null);
+            expect(PermissionPrompt.detect('')).to.equal(null);
+        });
+        
+        it('should map answers to the keys that select them', () => {
+            const prompt = PermissionPrompt.detect(BASH_PROMPT);
+            
+            expect(PermissionPrompt.keysFor(prompt, 'deny')).to.include({ input: '3', enter: false });
+            expect(PermissionPrompt.keysFor(prompt, '2').option.answer).to.equal('approve_always');
+            expect(PermissionPrompt.keysFor(PermissionPrompt.detect('Continue? (yes/no)'), 'approve'))
+                .to.include({ input: 'yes', enter: true });
+            expect(() => PermissionPrompt.keysFor(prompt, 'maybe')).to.throw('Available answers: approve, approve_always, deny');
+        });
+    });
+    
+    describe('ApprovalPolicy', () => {
+        it('should let the first matching rule decide and fall back otherwise', () => {
+            const policy = new ApprovalPolicy({
+                rules: [{ tool: 'Edit file', match: /src\//, answer: 'approve' }],
+                deny: [/rm -rf/],
+                approve: [/^npm (test|run lint)$/m],
+                fallback: 'deny'
+            });
+            const bash = PermissionPrompt.detect(BASH_PROMPT);
+            
+            expect(policy.decide(bash)).to.deep.equal({ answer: 'approve', rule: 2 });
+            expect(policy.decide({ ...bash, detail: 'rm -rf / && npm test' })).to.deep.equal({ answer: 'deny', rule: 1 });
+            expect(policy.decide({ ...bash, tool: 'Edit file', detail: 'src/index.js' }).answer).to.equal('approve');
+            expect(policy.decide({ ...bash, detail: 'curl example.com' })).to.deep.equal({ answer: 'deny', rule: null });
+            expect(new ApprovalPolicy().decide(bash).answer).to.equal('ask');
+        });
+        
+        it('should reject unknown answers', () => {
+            expect(() => new ApprovalPolicy({ fallback: 'yes' })).to.throw('Unknown approval answer: yes');
+            expect(() => new ApprovalPolicy({ rules: [{ match: 'npm', answer: 'allow' }] })).to.throw('allow');
+        });
+    });
+    
+    describe('TmuxSessionManager', function () {
+        let baseDir;
+        let manager;
+        
+        this.timeout(15000);
+        
+        before(function () {
+            try {
+                execFileSync('tmux', ['-V']);
+            } catch (error) {
+                this.skip();
+            }
+        });
+        
+        beforeEach(async () => {
+            baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'permission-prompt-'));
+            manager = new TmuxSessionManager();
+            await manager.initialize({
+                runDirectory: path.join(baseDir, 'runs'),
+                transcriptDirectory: path.join(baseDir, 'transcripts'),
+                pollInterval: 50
+            });
+        });
+        
+        afterEach(async () => {
+            await manager.shutdown();
+            fs.rmSync(baseDir, { recursive: true, force: true });
+        });
+        
+        it('should answer a prompt through the command\'s stdin', async () => {
+            const sessionId = `permission-prompt-test-${process.pid}`;
+            await manager.createSession(sessionId, { workingDirectory: baseDir });
+            
+            const responses = [];
+            manager.on('session:input-required', event => {
+                manager.respond(event.sessionId, 'approve').then(response => responses.push(response));
+            });
+            
+            // Reads its input from stdin, then asks on stdout and reads the answer from stdin
+            const result = await manager.executeCommand(sessionId, {
+                executable: 'sh',
+                args: ['-c', 'read file; printf "Overwrite $file? [y/n] "; read answer; echo "answer: $answer"'],
+                stdin: 'config.json\n',
+                keepStdinOpen: true
+            }, { timeout: 10000 });
+            
+            expect(result.exitCode).to.equal(0);
+            expect(result.stdout).to.equal('Overwrite config.json? [y/n] answer: y\n');
+            expect(responses.map(response => [response.answer, response.key])).to.deep.equal([['approve', 'y']]);
+        });
+        
+        it('should refuse to answer a command whose stdin is not kept open', async () => {
+            const sessionId = `permission-prompt-closed-${process.pid}`;
+            await manager.createSession(sessionId, { workingDirectory: baseDir });
+            
+            const errors = [];
+            const answered = [];
+            manager.on('session:input-answered', event => answered.push(event));
+            manager.on('session:input-required', event => {
+                manager.respond(event.sessionId, 'approve').catch(error => errors.push(error.message));
+            });
+            
+            // Fed its input from a file, it can only ask on the terminal
+            const result = await manager.executeCommand(sessionId, {
+                executable: 'sh',
+                args: ['-c', 'cat >/dev/null; printf "Overwrite config.json? [y/n] " >/dev/tty; sleep 1'],
+                stdin: 'prompt\n'
+            }, { timeout: 10000 });
+            
+            expect(result.exitCode).to.equal(0);
+            expect(errors).to.have.length(1);
+            expect(errors[0]).to.include('cannot read an answer');
+            expect(answered).to.deep.equal([]);
+        });
+    });
+});
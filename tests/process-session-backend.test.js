@@ -0,0 +1,98 @@
+/**
+ * Process Session Backend Tests
+ * 
+ * Validates that the child_process backend runs argument-vector commands
+ * with real pipes and exit codes, and honours the SessionBackend contract.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProcessSessionBackend = require('../src/adapters/claude-code/ProcessSessionBackend');
+const SessionBackend = require('../src/adapters/claude-code/SessionBackend');
+
+describe('Process Session Backend', () => {
+    let directory;
+    let backend;
+    
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'process-backend-test-'));
+        backend = new ProcessSessionBackend();
+        await backend.initialize({
+            maxSessions: 2,
+            cleanupInterval: 60000,
+            transcriptDirectory: directory
+        });
+    });
+    
+    afterEach(async () => {
+        await backend.shutdown();
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+    
+    it('should implement the SessionBackend interface', () => {
+        expect(backend).to.be.instanceOf(SessionBackend);
+        expect(backend.backendName).to.equal('process');
+    });
+    
+    it('should pass stdin through and report stdout, stderr and exit code', async () => {
+        await backend.createSession('s1', { workingDirectory: directory });
+        
+        const result = await backend.executeCommand('s1', {
+            executable: 'sh',
+            args: ['-c', 'cat; echo oops >&2; exit 2'],
+            stdin: 'prompt with $(subshell) and `ticks`'
+        });
+        
+        expect(result.exitCode).to.equal(2);
+        expect(result.status).to.equal('failed');
+        expect(result.stdout).to.equal('prompt with $(subshell) and `ticks`');
+        expect(result.stderr).to.equal('oops\n');
+        expect(result.output).to.include('oops');
+    });
+    
+    it('should report progress with the output so far', async () => {
+        await backend.createSession('s1', { workingDirectory: directory });
+        const updates = [];
+        
+        await backend.executeCommand('s1', 'echo hello', {
+            onProgress: (progress) => updates.push(progress.status)
+        });
+        
+        expect(updates[0]).to.equal('started');
+        expect(updates).to.include('running');
+    });
+    
+    it('should time out and terminate long-running commands', async () => {
+        await backend.createSession('s1', { workingDirectory: directory });
+        
+        try {
+            await backend.executeCommand('s1', 'sleep 5', { timeout: 100 });
+            expect.fail('Should have thrown error');
+        } catch (err) {
+            expect(err.message).to.include('timeout');
+        }
+    });
+    
+    it('should enforce the session limit', async () => {
+        await backend.createSession('s1');
+        await backend.createSession('s2');
+        
+        try {
+            await backend.createSession('s3');
+            expect.fail('Should have thrown error');
+        } catch (err) {
+            expect(err.message).to.include('Maximum sessions');
+        }
+    });
+    
+    it('should expose the transcript through session status', async () => {
+        await backend.createSession('s1', { workingDirectory: directory });
+        await backend.executeCommand('s1', 'printf "one\\ntwo\\n"');
+        
+        const status = await backend.getSessionStatus('s1');
+        expect(status.found).to.be.true;
+        expect(status.transcript.lines).to.deep.equal(['one', 'two']);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Retry Policy Tests
+ *
+ * Validates error classification, backoff, and how the base adapter
+ * retries failed attempts.
+ */
+
+const { expect } = require('chai');
+const AIAgentAdapter = require('../src/base/AIAgentAdapter');
+const RetryPolicy = require('../src/base/RetryPolicy');
+
+class FlakyAdapter extends AIAgentAdapter {
+    constructor(outcomes) {
+        super();
+        this.name = 'flaky';
+        this.outcomes = outcomes;
+        this.calls = 0;
+        this.budgets = [];
+        this.retryPolicy = new RetryPolicy({ baseDelayMs: 1, jitter: 0 });
+    }
+    
+    get apiVersion() {
+        return '1.0.0';
+    }
+    
+    async executeTaskV1(task) {
+        this.budgets.push(task.budget);
+        const outcome = this.outcomes[Math.min(this.calls++, this.outcomes.length - 1)];
+        if (outcome instanceof Error) {
+            throw outcome;
+        }
+        return { taskId: task.id, ...outcome, metrics: { duration: 1, ...outcome.metrics } };
+    }
+}
+
+const task = { id: 'retry-1', type: 'analysis', objective: 'Review', description: 'Review the parser' };
+
+describe('Retry Policy', () => {
+    describe('RetryPolicy', () => {
+        it('should classify errors by message', () => {
+            expect(RetryPolicy.classify('Command execution timeout after 300000ms')).to.equal('timeout');
+            expect(RetryPolicy.classify(new Error('API Error: 429 Too Many Requests'))).to.equal('rate_limit');
+            expect(RetryPolicy.classify('Invalid API key')).to.equal('auth');
+            expect(RetryPolicy.classify('connect ECONNREFUSED 127.0.0.1:443')).to.equal('network');
+            expect(RetryPolicy.classify('Failed to parse output')).to.equal('parsing');
+            expect(RetryPolicy.classify('Claude Code exited with code 1')).to.equal('application');
+            expect(RetryPolicy.classify(null)).to.equal('unknown');
+        });
+        
+        it('should back off exponentially within the cap and jitter', () => {
+            const policy = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 350, jitter: 0.5 });
+            
+            expect(policy.delay('network', 1, () => 0.5)).to.equal(100);
+            expect(policy.delay('network', 2, () => 0.5)).to.equal(200);
+            expect(policy.delay('network', 3, () => 0.5)).to.equal(350);
+            expect(policy.delay('network', 2, () => 0)).to.equal(100);
+            expect(policy.delay('network', 2, () => 0.999)).to.be.within(299, 300);
+        });
+        
+        it('should retry transient errors only, and never auth errors', () => {
+            const policy = new RetryPolicy({ maxAttempts: 4, errorClasses: { application: { maxAttempts: 2 } } });
+            
+            expect(policy.decide('network unreachable', 3)).to.include({ retry: true, errorClass: 'network', maxAttempts: 4 });
+            expect(policy.decide('network unreachable', 4).retry).to.equal(false);
+            expect(policy.decide('exited with code 1', 1)).to.include({ retry: true, maxAttempts: 2 });
+            expect(policy.decide('Invalid API key', 1)).to.include({ retry: false, errorClass: 'auth', delayMs: 0 });
+            expect(new RetryPolicy(false).decide('timeout', 1).retry).to.equal(false);
+            expect(() => new RetryPolicy({ errorClasses: { auth: { maxAttempts: 2 } } })).to.throw('never retried');
+            expect(() => new RetryPolicy({ errorClasses: { flaky: {} } })).to.throw('Unknown error class');
+        });
+    });
+    
+    describe('AIAgentAdapter.executeTask', () => {
+        it('should retry failed results and record every attempt', async () => {
+            const adapter = new FlakyAdapter([
+                { status: 'failed', error: 'Command execution timeout after 10ms' },
+                new Error('socket hang up'),
+                { status: 'completed', output: 'done' }
+            ]);
+            const retries = [];
+            adapter.on('task:retry', event => retries.push(event));
+            
+            const result = await adapter.executeTask(task);
+            
+            expect(result.status).to.equal('completed');
+            expect(result.metrics.retries).to.equal(2);
+            expect(result.metrics.attempts.map(a => [a.status, a.errorClass])).to.deep.equal([
+                ['failed', 'timeout'],
+                ['failed', 'network'],
+                ['completed', undefined]
+            ]);
+            expect(retries.map(r => r.nextAttempt)).to.deep.equal([2, 3]);
+            expect(retries[0]).to.include({ taskId: 'retry-1', errorClass: 'timeout', delayMs: 1 });
+        });
+        
+        it('should give up on auth errors, cancelled runs and exhausted attempts', async () => {
+            const auth = new FlakyAdapter([{ status: 'failed', error: 'Invalid API key' }]);
+            expect((await auth.executeTask(task)).metrics.attempts).to.have.length(1);
+            
+            const cancelled = new FlakyAdapter([{ status: 'failed', error: 'timeout', cancelled: true }]);
+            expect((await cancelled.executeTask(task)).metrics.retries).to.equal(0);
+            
+            const down = new FlakyAdapter([new Error('network down')]);
+            let error = null;
+            try {
+                await down.executeTask(task);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal('network down');
+            expect(error.attempts).to.have.length(3);
+            expect(down.calls).to.equal(3);
+        });
+        
+        it('should take a per-task policy from the vendor extension', async () => {
+            const adapter = new FlakyAdapter([{ status: 'failed', error: 'timeout' }]);
+            const result = await adapter.executeTask({ ...task, extensions: { flaky: { retry: false } } });
+            
+            expect(result.metrics.retries).to.equal(0);
+            expect(adapter.calls).to.equal(1);
+        });
+        
+        it('should give retries only what is left of the task budget', async () => {
+            const spend = costUsd => ({ status: 'failed', error: 'timeout', metrics: { costUsd, tokens: { total: 100 } } });
+            const adapter = new FlakyAdapter([spend(0.3), spend(0.3), { status: 'completed' }]);
+            adapter.retryPolicy = new RetryPolicy({ maxAttempts: 5, baseDelayMs: 1, jitter: 0 });
+            const events = [];
+            adapter.on('task:budget-exceeded', event => events.push(event));
+            
+            const result = await adapter.executeTask({ ...task, budget: { maxCostUsd: 0.5, maxTokens: 1000 } });
+            
+            expect(adapter.calls).to.equal(2);
+            expect(adapter.budgets[0]).to.deep.equal({ maxCostUsd: 0.5, maxTokens: 1000 });
+            expect(adapter.budgets[1].maxCostUsd).to.be.closeTo(0.2, 1e-9);
+            expect(adapter.budgets[1].maxTokens).to.equal(900);
+            expect(result.status).to.equal('failed');
+            expect(result.budgetExceeded).to.include({ limit: 'maxCostUsd', max: 0.5 });
+            expect(events.map(event => event.action)).to.deep.equal(['not-retried']);
+            
+            // Time counts from the first attempt, retry delays included
+            const slow = new FlakyAdapter([new Error('timeout')]);
+            slow.retryPolicy = new RetryPolicy({ baseDelayMs: 50, jitter: 0 });
+            let error = null;
+            try {
+                await slow.executeTask({ ...task, budget: { maxDurationMs: 20 } });
+            } catch (e) {
+                error = e;
+            }
+            expect(slow.calls).to.equal(1);
+            expect(error.budgetExceeded).to.include({ limit: 'maxDurationMs', max: 20 });
+        });
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Routing Objectives Tests
+ *
+ * Validates objective presets and constraints, and that routing decisions
+ * explain why an adapter won.
+ */
+
+const { expect } = require('chai');
+const RoutingObjective = require('../src/routing/RoutingObjective');
+const AdapterRegistry = require('../src/AdapterRegistry');
+const TaskRouter = require('../src/TaskRouter');
+
+function mockAdapter(features) {
+    return {
+        capabilities: { maxContextTokens: 200000, supportedLanguages: ['javascript'], multiFile: true },
+        supportsFeature: (feature) => features.includes(feature)
+    };
+}
+
+const candidate = (name, metrics, score = 20) => ({ name, version: '1.0.0', score, metrics: { recentExecutions: 5, ...metrics } });
+
+describe('Routing Objectives', () => {
+    describe('RoutingObjective', () => {
+        it('should build presets and reject unknown factors and constraints', () => {
+            expect(RoutingObjective.from('cheapest').weights).to.deep.equal({ cost: 4, latency: 0, successRate: 1, capability: 1 });
+            expect(() => RoutingObjective.from('fancy')).to.throw('Unknown routing preset');
+            expect(() => new RoutingObjective({ weights: { vibes: 1 } })).to.throw('Unknown routing factor');
+            expect(() => new RoutingObjective({ constraints: { maxCost: 1 } })).to.throw('Unknown routing constraint');
+            expect(() => new RoutingObjective({ weights: { cost: 0, latency: 0, successRate: 0, capability: 0 } })).to.throw('must be positive');
+        });
+        
+        it('should let a task refine the global objective', () => {
+            const combined = RoutingObjective.combine(
+                { preset: 'reliable', constraints: { maxCostUsd: 1, minSuccessRate: 0.9 } },
+                { preset: 'fastest', constraints: { maxCostUsd: 0.05 } }
+            );
+            
+            expect(combined.describe()).to.deep.equal({
+                preset: 'fastest',
+                weights: RoutingObjective.PRESETS.fastest,
+                constraints: { maxCostUsd: 0.05, minSuccessRate: 0.9 }
+            });
+            expect(RoutingObjective.combine('cheapest', { constraints: { maxLatencyMs: 1000 } }).preset).to.equal('cheapest');
+            expect(RoutingObjective.combine(null, null)).to.equal(null);
+        });
+        
+        it('should rank by weighted factors and explain the score', () => {
+            const objective = new RoutingObjective({ weights: { cost: 1, latency: 1, successRate: 0, capability: 0 } });
+            const { ranked } = objective.rank([
+                candidate('pricey', { avgCostUsd: 0.2, p50: 10000, p95: 12000, successRate: 1 }),
+                candidate('cheap', { avgCostUsd: 0.05, p50: 20000, p95: 30000, successRate: 1 }),
+                candidate('new', { recentExecutions: 0 })
+            ]);
+            
+            expect(ranked.map(entry => entry.name)).to.deep.equal(['cheap', 'new', 'pricey']);
+            expect(ranked[0].breakdown.cost).to.deep.equal({ value: 0.05, score: 1, weight: 1 });
+            expect(ranked[0].breakdown.latency).to.include({ value: 20000, score: 0.5 });
+            // Unknown cost and latency score as the average of the known ones
+            expect(ranked[1].breakdown.cost.score).to.equal(0.625);
+            expect(ranked[0].breakdown.total).to.equal(0.75);
+        });
+        
+        it('should rule out adapters that break a constraint, letting unknown values pass', () => {
+            const objective = new RoutingObjective({ constraints: { maxCostUsd: 0.1, maxLatencyMs: 20000, excludeAdapters: ['banned'] } });
+            const { ranked, rejected } = objective.rank([
+                candidate('pricey', { avgCostUsd: 0.2, p50: 10000, p95: 12000 }),
+                candidate('slow', { avgCostUsd: 0.01, p50: 10000, p95: 60000 }),
+                candidate('banned', {}),
+                candidate('new', { recentExecutions: 0 })
+            ]);
+            
+            expect(ranked.map(entry => entry.name)).to.deep.equal(['new']);
+            expect(rejected).to.deep.equal([
+                { name: 'pricey', version: '1.0.0', reasons: ['cost $0.2 over maxCostUsd $0.1'] },
+                { name: 'slow', version: '1.0.0', reasons: ['p95 latency 60000ms over maxLatencyMs 20000ms'] },
+                { name: 'banned', version: '1.0.0', reasons: ['excluded'] }
+            ]);
+        });
+    });
+    
+    describe('TaskRouter', () => {
+        let registry;
+        
+        beforeEach(() => {
+            registry = new AdapterRegistry();
+            registry.registerAdapter('premium', mockAdapter(['refactoring', 'generation', 'testing']), '1.0.0');
+            registry.registerAdapter('budget', mockAdapter(['refactoring', 'generation']), '1.0.0');
+            registry.registerAdapter('docs-only', mockAdapter(['documentation', 'generation']), '1.0.0');
+            
+            for (let i = 0; i < 5; i++) {
+                registry.recordMetrics('premium', '1.0.0', { duration: 20000, costUsd: 0.12, taskType: 'refactoring' });
+                registry.recordMetrics('budget', '1.0.0', { duration: 60000, costUsd: 0.03, taskType: 'refactoring' });
+                registry.recordMetrics('docs-only', '1.0.0', { duration: 5000, costUsd: 0.01, taskType: 'refactoring' });
+            }
+        });
+        
+        const task = (objectives) => ({ id: 'r1', type: 'refactoring', objective: 'Refactor', description: 'Refactor the parser', objectives });
+        
+        it('should route to the cheapest adapter that supports the task', async () => {
+            const router = new TaskRouter(registry, { objectives: 'cheapest' });
+            const decision = await router.route(task());
+            
+            expect(decision.adapterName).to.equal('budget');
+            expect(decision.objective.preset).to.equal('cheapest');
+            // Decay weights the samples milliseconds apart, so the mean is not exact
+            expect(decision.breakdown.cost).to.include({ score: 1, weight: 4 });
+            expect(decision.breakdown.cost.value).to.be.closeTo(0.03, 1e-9);
+            expect(decision.alternatives.map(entry => entry.name)).to.deep.equal(['premium']);
+        });
+        
+        it('should pick the fastest adapter under a cost cap set on the task', async () => {
+            const router = new TaskRouter(registry, { objectives: 'cheapest' });
+            const decision = await router.route(task({ preset: 'fastest', constraints: { maxCostUsd: 0.15 } }));
+            
+            expect(decision.adapterName).to.equal('premium');
+            expect(decision.breakdown.latency).to.include({ value: 20000, score: 1 });
+        });
+        
+        it('should name the constraints that ruled every adapter out', async () => {
+            const router = new TaskRouter(registry);
+            
+            let error = null;
+            try {
+                await router.route(task({ constraints: { maxCostUsd: 0.02 } }));
+            } catch (e) {
+                error = e;
+            }
+            
+            expect(error.message).to.equal('No adapter meets the routing constraints: ' +
+                'premium v1.0.0 (cost $0.12 over maxCostUsd $0.02); budget v1.0.0 (cost $0.03 over maxCostUsd $0.02)');
+        });
+        
+        it('should explain legacy scoring too', async () => {
+            const router = new TaskRouter(registry, { preferredAdapters: ['budget'] });
+            const decision = await router.route(task());
+            
+            expect(decision.adapterName).to.equal('budget');
+            expect(decision.breakdown.preferred).to.equal(1.5);
+            expect(decision.breakdown.total).to.equal(decision.score);
+            expect(decision.objective).to.equal(null);
+        });
+    });
+});
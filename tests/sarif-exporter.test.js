@@ -0,0 +1,114 @@
+/**
+ * SARIF Exporter Tests
+ *
+ * Validates the SARIF 2.1.0 documents produced from security_audit and
+ * code_review results: rules, levels and physical locations.
+ */
+
+const { expect } = require('chai');
+const ResultsParser = require('../src/adapters/claude-code/ResultsParser');
+const SarifExporter = require('../src/adapters/claude-code/SarifExporter');
+
+const fenced = (data) => `\`\`\`json\n${JSON.stringify(data)}\n\`\`\`\n`;
+
+describe('SARIF Exporter', () => {
+    const parser = new ResultsParser();
+    
+    it('should export structured security findings with rules and locations', async () => {
+        const results = await parser.parseResults({
+            output: fenced({
+                schemaVersion: 'security_audit/v1',
+                findings: [
+                    {
+                        id: 'SEC-1', title: 'SQL injection', severity: 'critical',
+                        file: './src/db/users.js', line: 42, cwe: 'CWE-89',
+                        description: 'Query built by concatenation.', recommendation: 'Use parameters.'
+                    },
+                    {
+                        id: 'SEC-2', title: 'Another injection', severity: 'medium',
+                        file: 'src/db/orders.js', line: 7, cwe: 'CWE-89',
+                        description: 'Same pattern.', recommendation: 'Use parameters.'
+                    }
+                ]
+            }),
+            status: 'completed'
+        }, { id: 'audit-1', type: 'security_audit' });
+        
+        const sarif = parser.toSarif(results, { workspaceRoot: '/repo' });
+        
+        expect(sarif.version).to.equal('2.1.0');
+        expect(sarif.$schema).to.include('sarif-2.1.0');
+        expect(sarif.runs).to.have.length(1);
+        
+        const [run] = sarif.runs;
+        expect(run.originalUriBaseIds['%SRCROOT%'].uri).to.equal('file:///repo/');
+        expect(run.tool.driver.rules).to.have.length(1);
+        expect(run.tool.driver.rules[0]).to.include({ id: 'CWE-89' });
+        expect(run.tool.driver.rules[0].properties['security-severity']).to.equal('9.5');
+        expect(run.properties.schemaVersion).to.equal('security_audit/v1');
+        
+        expect(run.results.map(r => r.level)).to.deep.equal(['error', 'warning']);
+        expect(run.results[0]).to.include({ ruleId: 'CWE-89', ruleIndex: 0 });
+        expect(run.results[0].locations[0].physicalLocation).to.deep.equal({
+            artifactLocation: { uri: 'src/db/users.js', uriBaseId: '%SRCROOT%' },
+            region: { startLine: 42 }
+        });
+        expect(run.results[0].properties).to.include({ findingId: 'SEC-1', recommendation: 'Use parameters.' });
+    });
+    
+    it('should export code review findings by category', async () => {
+        const results = await parser.parseResults({
+            output: fenced({
+                schemaVersion: 'code_review/v1',
+                findings: [{
+                    id: 'CR-1', title: 'Unchecked null', severity: 'low', category: 'bug',
+                    file: 'lib/app.js', line: 3, endLine: 5,
+                    description: 'value may be null', recommendation: 'Guard it.'
+                }]
+            })
+        }, { id: 'review-1', type: 'code_review' });
+        
+        const [run] = new SarifExporter().export(results).runs;
+        
+        expect(run.tool.driver.rules[0]).to.include({ id: 'claude-code/bug', name: 'Bug' });
+        expect(run.results[0].level).to.equal('note');
+        expect(run.results[0].locations[0].physicalLocation.region).to.deep.equal({ startLine: 3, endLine: 5 });
+        expect(run.originalUriBaseIds).to.equal(undefined);
+    });
+    
+    it('should keep absolute paths outside the source root out of %SRCROOT%', () => {
+        const finding = file => ({ type: 'review-finding', title: 'Issue', file, line: 1 });
+        const locate = (workspaceRoot, ...files) => new SarifExporter()
+            .export({ artifacts: files.map(finding) }, { workspaceRoot })
+            .runs[0].results.map(r => r.locations[0].physicalLocation.artifactLocation);
+        
+        expect(locate('/repo', '/repo/src/my app.js', '/etc/app.conf', '/repository/x.js')).to.deep.equal([
+            { uri: 'src/my%20app.js', uriBaseId: '%SRCROOT%' },
+            { uri: 'file:///etc/app.conf' },
+            { uri: 'file:///repository/x.js' }
+        ]);
+        
+        const [run] = new SarifExporter().export({ artifacts: [finding('C:\\work\\repo\\src\\x.js'), finding('D:\\tmp\\y.js')] }, { workspaceRoot: 'C:\\work\\repo' }).runs;
+        expect(run.originalUriBaseIds['%SRCROOT%'].uri).to.equal('file:///C:/work/repo/');
+        expect(run.results.map(r => r.locations[0].physicalLocation.artifactLocation)).to.deep.equal([
+            { uri: 'src/x.js', uriBaseId: '%SRCROOT%' },
+            { uri: 'file:///D:/tmp/y.js' }
+        ]);
+        
+        // Without a root there is nothing to be relative to
+        expect(locate(undefined, '/repo/src/a.js')).to.deep.equal([{ uri: 'file:///repo/src/a.js' }]);
+    });
+    
+    it('should export heuristic findings without locations', async () => {
+        const results = await parser.parseResults({
+            output: 'Vulnerability: hard-coded credentials in config'
+        }, { id: 'audit-2', type: 'security_audit' });
+        
+        const [run] = parser.toSarif(results).runs;
+        
+        expect(run.results).to.have.length(1);
+        expect(run.results[0].message.text).to.equal('hard-coded credentials in config');
+        expect(run.results[0].level).to.equal('warning');
+        expect(run.results[0].locations).to.equal(undefined);
+    });
+});
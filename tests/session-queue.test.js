@@ -0,0 +1,121 @@
+/**
+ * Session Queue Tests
+ *
+ * Validates admission control for Claude Code sessions: priority ordering,
+ * queue depth limits, wait timeouts and queue events.
+ */
+
+const { expect } = require('chai');
+const SessionQueue = require('../src/adapters/claude-code/SessionQueue');
+
+describe('Session Queue', () => {
+    it('should admit tasks immediately while slots are free', async () => {
+        const queue = new SessionQueue({ maxConcurrent: 2 });
+        
+        const releaseA = await queue.acquire({ id: 'a' });
+        const releaseB = await queue.acquire({ id: 'b' });
+        
+        expect(queue.getStats()).to.include({ running: 2, depth: 0 });
+        
+        releaseA();
+        releaseA(); // releasing twice must not free a second slot
+        releaseB();
+        expect(queue.running).to.equal(0);
+    });
+    
+    it('should admit waiting tasks by priority, then arrival order', async () => {
+        const queue = new SessionQueue({ maxConcurrent: 1 });
+        const admitted = [];
+        const events = [];
+        queue.on('task:queued', event => events.push(['queued', event.taskId]));
+        queue.on('task:dequeued', event => events.push(['dequeued', event.taskId]));
+        
+        const release = await queue.acquire({ id: 'running' });
+        
+        const waiters = [
+            queue.acquire({ id: 'low' }, { priority: 'low' }),
+            queue.acquire({ id: 'normal-1' }),
+            queue.acquire({ id: 'high' }, { priority: 'high' }),
+            queue.acquire({ id: 'normal-2' }, { priority: 1 })
+        ].map((promise, index) => promise.then(releaseSlot => {
+            admitted.push(index);
+            releaseSlot();
+        }));
+        
+        expect(queue.listWaiting().map(w => w.taskId))
+            .to.deep.equal(['high', 'normal-1', 'normal-2', 'low']);
+        
+        release();
+        await Promise.all(waiters);
+        
+        expect(admitted).to.deep.equal([2, 1, 3, 0]);
+        expect(events.filter(([type]) => type === 'queued')).to.have.length(4);
+        expect(events.filter(([type]) => type === 'dequeued').map(([, id]) => id))
+            .to.deep.equal(['high', 'normal-1', 'normal-2', 'low']);
+    });
+    
+    it('should reject tasks when the queue is full', async () => {
+        const queue = new SessionQueue({ maxConcurrent: 1, maxQueueDepth: 1 });
+        
+        const release = await queue.acquire({ id: 'running' });
+        const waiting = queue.acquire({ id: 'waiting' });
+        
+        let error;
+        try {
+            await queue.acquire({ id: 'overflow' });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include('queue is full');
+        expect(error.queueRejected).to.equal(true);
+        
+        release();
+        (await waiting)();
+    });
+    
+    it('should time out tasks that wait too long', async () => {
+        const queue = new SessionQueue({ maxConcurrent: 1 });
+        const release = await queue.acquire({ id: 'running' });
+        
+        let error;
+        try {
+            await queue.acquire({ id: 'slow' }, { timeout: 20 });
+        } catch (e) {
+            error = e;
+        }
+        
+        expect(error.message).to.include('waited longer than 20ms');
+        expect(queue.getStats().depth).to.equal(0);
+        release();
+    });
+    
+    it('should estimate waits from completed run times', async () => {
+        const queue = new SessionQueue({ maxConcurrent: 2 });
+        expect(queue.estimateWait(0)).to.equal(null);
+        
+        const release = await queue.acquire({ id: 'a' });
+        await new Promise(resolve => setTimeout(resolve, 30));
+        release();
+        
+        const average = queue.getStats().averageRunTime;
+        expect(average).to.be.at.least(25);
+        expect(queue.estimateWait(0)).to.equal(average);
+        expect(queue.estimateWait(2)).to.equal(average * 2);
+    });
+    
+    it('should reject waiting tasks when cleared', async () => {
+        const queue = new SessionQueue({ maxConcurrent: 1 });
+        await queue.acquire({ id: 'running' });
+        const waiting = queue.acquire({ id: 'waiting' });
+        
+        queue.clear('shutting down');
+        
+        let error;
+        try {
+            await waiting;
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal('shutting down');
+    });
+});
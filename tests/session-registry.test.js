@@ -0,0 +1,67 @@
+/**
+ * Session Registry Tests
+ *
+ * Validates that session records persist across registry instances and
+ * that the JSON-lines file is compacted and tolerant of torn writes.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRegistry = require('../src/adapters/claude-code/SessionRegistry');
+
+describe('Session Registry', () => {
+    let directory;
+    
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'session-registry-test-'));
+    });
+    
+    afterEach(async () => {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+    
+    it('should persist merged records for a new instance', async () => {
+        const registry = new SessionRegistry(directory);
+        await registry.load();
+        
+        await registry.record('s1', { taskId: 't1', status: 'running' });
+        await registry.record('s1', { run: { runId: 'abc' } });
+        await registry.record('s2', { taskId: 't2', status: 'running' });
+        await registry.remove('s2');
+        
+        const reloaded = new SessionRegistry(directory);
+        await reloaded.load();
+        
+        expect(reloaded.list()).to.have.length(1);
+        expect(reloaded.get('s1')).to.include({ taskId: 't1', status: 'running' });
+        expect(reloaded.get('s1').run).to.deep.equal({ runId: 'abc' });
+        expect(reloaded.get('s2')).to.equal(null);
+    });
+    
+    it('should compact the file to one line per session on load', async () => {
+        const registry = new SessionRegistry(directory);
+        await registry.load();
+        await registry.record('s1', { status: 'running' });
+        await registry.record('s1', { status: 'completed' });
+        
+        await new SessionRegistry(directory).load();
+        
+        const lines = (await fs.promises.readFile(registry.filePath, 'utf8')).trim().split('\n');
+        expect(lines).to.have.length(1);
+        expect(JSON.parse(lines[0]).status).to.equal('completed');
+    });
+    
+    it('should skip a torn final line', async () => {
+        await fs.promises.writeFile(
+            path.join(directory, 'sessions.jsonl'),
+            JSON.stringify({ sessionId: 's1', status: 'running' }) + '\n{"sessionId":"s2","sta'
+        );
+        
+        const registry = new SessionRegistry(directory);
+        await registry.load();
+        
+        expect(registry.list().map(r => r.sessionId)).to.deep.equal(['s1']);
+    });
+});
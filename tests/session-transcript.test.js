@@ -0,0 +1,68 @@
+/**
+ * Session Transcript Tests
+ * 
+ * Validates ANSI cleaning and paged reads of on-disk session transcripts.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionTranscript = require('../src/adapters/claude-code/SessionTranscript');
+
+describe('Session Transcript', () => {
+    let directory;
+    let transcript;
+    
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcript-test-'));
+        transcript = new SessionTranscript(directory, 'session-1');
+        await transcript.open();
+    });
+    
+    afterEach(async () => {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+    
+    describe('clean', () => {
+        it('should strip colour, cursor and title sequences', () => {
+            const raw = '\x1b]0;title\x07\x1b[1;31mError\x1b[0m \x1b[2Kdone';
+            expect(SessionTranscript.clean(raw)).to.equal('Error done');
+        });
+        
+        it('should render carriage returns and backspaces', () => {
+            expect(SessionTranscript.clean('50%\r100%\r\n')).to.equal('100%\n');
+            expect(SessionTranscript.clean('abx\bc')).to.equal('abc');
+        });
+    });
+    
+    describe('storage', () => {
+        it('should keep raw and cleaned text in separate files', async () => {
+            await fs.promises.appendFile(transcript.rawPath, '\x1b[32mok\x1b[0m\r\n');
+            await transcript.sync();
+            
+            expect(await fs.promises.readFile(transcript.rawPath, 'utf8')).to.include('\x1b[32m');
+            expect(await fs.promises.readFile(transcript.cleanPath, 'utf8')).to.equal('ok\n');
+        });
+        
+        it('should read the segment written after an offset', async () => {
+            await fs.promises.appendFile(transcript.rawPath, 'before\n');
+            const start = await transcript.size();
+            await fs.promises.appendFile(transcript.rawPath, 'after\n');
+            
+            expect(await transcript.readSegment(start)).to.equal('after\n');
+        });
+        
+        it('should page through lines, defaulting to the last page', async () => {
+            const lines = Array.from({ length: 25 }, (_, i) => `line ${i + 1}`);
+            await fs.promises.appendFile(transcript.rawPath, lines.join('\n') + '\n');
+            
+            const last = await transcript.page({ pageSize: 10 });
+            expect(last).to.include({ page: 2, totalPages: 3, totalLines: 25 });
+            expect(last.lines).to.deep.equal(lines.slice(20));
+            
+            const first = await transcript.page({ page: 0, pageSize: 10 });
+            expect(first.lines[0]).to.equal('line 1');
+        });
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Task Analyzer Tests
+ *
+ * Validates that routing requirements come from the workspace a task runs
+ * in - file extensions, manifests and real file sizes - with a confidence
+ * for each.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TaskAnalyzer = require('../src/routing/TaskAnalyzer');
+const AdapterRegistry = require('../src/AdapterRegistry');
+const TaskRouter = require('../src/TaskRouter');
+
+describe('Task Analyzer', () => {
+    let root;
+    let analyzer;
+    
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    };
+    const task = (description, context = {}) => ({ id: 't1', type: 'exploration', objective: 'Fix', description, context });
+    
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'task-analyzer-'));
+        analyzer = new TaskAnalyzer({ workspaceRoot: root });
+    });
+    
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    
+    it('should take the language from workspace manifests when the task names no files', () => {
+        write('Cargo.toml', '[package]\nname = "utils"\n');
+        write('src/utils.rs', 'pub fn parse() {}\n');
+        
+        const requirements = analyzer.analyze(task('Fix the bug in utils'));
+        
+        expect(requirements.languages).to.deep.equal(['rust']);
+        expect(requirements.confidence.languages).to.equal(0.7);
+    });
+    
+    it('should not mistake English for a language', () => {
+        write('package.json', JSON.stringify({ name: 'app', devDependencies: { typescript: '^5.0.0' } }));
+        write('src/app.ts', 'export const go = true;\n');
+        
+        const requirements = analyzer.analyze(task('Make the retry logic go faster', { files: ['src/app.ts'] }));
+        
+        // package.json corroborates the files rather than adding JavaScript
+        expect(requirements.languages).to.deep.equal(['typescript']);
+        expect(requirements.confidence.languages).to.equal(0.97);
+        expect(analyzer.workspaceLanguages(root)).to.have.members(['javascript', 'typescript']);
+    });
+    
+    it('should size context from real files and guess only for missing ones', () => {
+        write('src/big.js', 'const value = 1;\n'.repeat(2000));
+        write('lib/a.js', 'a'.repeat(400));
+        write('lib/b.js', 'b'.repeat(400));
+        
+        const measured = analyzer.analyze(task('Explain', { files: ['src/big.js'] }));
+        expect(measured.minContextTokens).to.equal(10000);
+        expect(measured.multiFile).to.equal(false);
+        expect(measured.confidence).to.include({ minContextTokens: 0.9, multiFile: 1 });
+        
+        const mixed = analyzer.analyze(task('Explain', { files: ['lib', 'missing.js'], content: 'y'.repeat(100) }));
+        // Walked directories are estimated from their sizes; missing files guessed
+        expect(mixed.minContextTokens).to.equal(118 + 118 + 500 + 13);
+        expect(mixed.multiFile).to.equal(true);
+        expect(mixed.confidence.minContextTokens).to.equal(0.5);
+        
+        // A context can point at a workspace of its own
+        const other = new TaskAnalyzer();
+        expect(other.estimateContextTokens({ files: ['src/big.js'] }).tokens).to.equal(500);
+        expect(other.estimateContextTokens({ files: ['src/big.js'], workspaceRoot: root }).tokens).to.equal(10000);
+    });
+    
+    it('should cap directory walks and reuse them while fresh', () => {
+        ['a', 'b', 'c', 'd'].forEach(name => write(`lib/${name}.js`, name.repeat(400)));
+        
+        const capped = new TaskAnalyzer({ workspaceRoot: root, maxWalkEntries: 2 });
+        const walked = capped.analyze(task('Explain', { files: ['lib'] }));
+        expect(walked.minContextTokens).to.equal(2 * 118);
+        expect(capped._walk(path.join(root, 'lib'))).to.include({ fileCount: 2, truncated: true });
+        
+        // Later routes reuse the walk until it goes stale
+        write('lib/e.js', 'e'.repeat(400));
+        expect(analyzer.estimateContextTokens({ files: ['lib'] }).tokens).to.equal(5 * 118);
+        write('lib/f.js', 'f'.repeat(400));
+        expect(analyzer.estimateContextTokens({ files: ['lib'] }).tokens).to.equal(5 * 118);
+        
+        const uncached = new TaskAnalyzer({ workspaceRoot: root, walkTtlMs: 0 });
+        expect(uncached.estimateContextTokens({ files: ['lib'] }).tokens).to.equal(6 * 118);
+    });
+    
+    it('should trust vendor extensions over wording', () => {
+        const requirements = analyzer.analyze({
+            ...task('Stream progress while you port this to Python'),
+            extensions: { 'claude-code': { subAgents: true, features: ['advanced-analysis'] } }
+        });
+        
+        expect(requirements.languages).to.deep.equal(['python']);
+        expect(requirements.features).to.include('advanced-analysis');
+        expect(requirements.confidence).to.include({ languages: 0.4, streaming: 0.6, subAgents: 1, features: 0.9 });
+    });
+    
+    it('should not rule adapters out over languages guessed from the description', async () => {
+        const registry = new AdapterRegistry();
+        registry.registerAdapter('js-only', {
+            capabilities: { maxContextTokens: 100000, supportedLanguages: ['javascript'], multiFile: true },
+            supportsFeature: () => true
+        }, '1.0.0');
+        const router = new TaskRouter(registry, { workspaceRoot: root });
+        
+        const guessed = await router.route(task('Port the cargo build script'));
+        expect(guessed.adapterName).to.equal('js-only');
+        expect(guessed.requirements.languages).to.deep.equal(['rust']);
+        
+        write('Cargo.toml', '[package]\n');
+        write('build.rs', 'fn main() {}\n');
+        
+        let error = null;
+        try {
+            await router.route({ ...task('Port the build script', { files: ['build.rs'] }), id: 't2' });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include('No suitable adapter');
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Token Estimator Tests
+ *
+ * Validates the byte-pair heuristic, per-model tokenizers, content-hash
+ * caching of file counts, and that the framework's context sizes agree.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenEstimator = require('../src/tokens/TokenEstimator');
+const TaskAnalyzer = require('../src/routing/TaskAnalyzer');
+const CoreEventAdapter = require('../src/events/CoreEventAdapter');
+const GeminiCLIAdapterV2 = require('../src/enhanced/GeminiCLIAdapterV2');
+
+describe('Token Estimator', () => {
+    let root;
+    let estimator;
+    
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'token-estimator-'));
+        estimator = new TokenEstimator();
+    });
+    
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    
+    it('should count words, sub-words and symbols like a byte-pair tokenizer', () => {
+        expect(estimator.count('The quick brown fox jumps over the lazy dog.')).to.equal(10);
+        expect(estimator.count('')).to.equal(0);
+        
+        // camelCase splits; operators and indentation cost more in code
+        expect(TokenEstimator.heuristic('getUserName', 'code')).to.equal(3);
+        expect(estimator.count('if (a) {\n        return b;\n}', { type: 'code' })).to.equal(11);
+        expect(estimator.count('if (a) {\n        return b;\n}', { path: 'notes.md' })).to.equal(10);
+        
+        // Without a path or type, symbol-dense text is treated as code
+        const code = 'const x = { a: [1, 2], b: () => c?.d };';
+        expect(estimator.count(code)).to.equal(TokenEstimator.heuristic(code, 'code'));
+    });
+    
+    it('should use the tokenizer registered for the closest model name', () => {
+        estimator.register('gemini', text => text.length);
+        estimator.register('gemini-2.5', { encode: text => text.split('').slice(0, 2) });
+        
+        expect(estimator.tokenizerFor('gemini-2.5-pro')).to.equal('gemini-2.5');
+        expect(estimator.count('hello', { model: 'gemini-2.5-pro' })).to.equal(2);
+        expect(estimator.count('hello', { model: 'gemini-1.5-flash' })).to.equal(5);
+        expect(estimator.count('hello', { model: 'claude-sonnet' })).to.equal(1);
+        
+        estimator.unregister('gemini');
+        expect(estimator.tokenizerFor('gemini-1.5-flash')).to.equal(null);
+        expect(() => estimator.register('bad', {})).to.throw('must be a function');
+    });
+    
+    it('should count each file content once, by hash', () => {
+        let calls = 0;
+        estimator.register('counting', text => {
+            calls++;
+            return text.length;
+        });
+        
+        const a = path.join(root, 'a.js');
+        const b = path.join(root, 'b.js');
+        fs.writeFileSync(a, 'module.exports = 1;\n');
+        fs.writeFileSync(b, 'module.exports = 1;\n');
+        
+        expect(estimator.countFile(a, { model: 'counting' })).to.include({ tokens: 20, bytes: 20, estimated: false });
+        expect(estimator.countFile(a, { model: 'counting' }).tokens).to.equal(20);
+        // Same content elsewhere is a cache hit too
+        expect(estimator.countFile(b, { model: 'counting' }).tokens).to.equal(20);
+        expect(calls).to.equal(1);
+        
+        fs.writeFileSync(a, 'module.exports = 42;\n');
+        expect(estimator.countFile(a, { model: 'counting' }).tokens).to.equal(21);
+        expect(calls).to.equal(2);
+        
+        expect(estimator.countFile(path.join(root, 'missing.js'))).to.equal(null);
+    });
+    
+    it('should estimate files too large to read from their size', () => {
+        const small = new TokenEstimator({ maxFileBytes: 100 });
+        const file = path.join(root, 'README.md');
+        fs.writeFileSync(file, 'word '.repeat(100));
+        
+        expect(small.countFile(file)).to.include({ tokens: Math.ceil(500 / 3.8), estimated: true, hash: null });
+        expect(estimator.countFile(file).tokens).to.equal(100);
+    });
+    
+    it('should give routing, events and adapters the same counts', () => {
+        const file = path.join(root, 'app.js');
+        fs.writeFileSync(file, 'const port = 3000;\n'.repeat(50));
+        const context = { files: [file], content: 'Keep the port configurable.' };
+        
+        const tokens = new TaskAnalyzer({ tokenEstimator: estimator }).estimateContextTokens(context).tokens;
+        expect(tokens).to.equal(estimator.countFile(file).tokens + estimator.count(context.content));
+        
+        const events = new CoreEventAdapter(null, null, null, { enabled: false, tokenEstimator: estimator });
+        expect(events._calculateContextSize(context)).to.equal(tokens);
+        
+        const gemini = new GeminiCLIAdapterV2();
+        gemini.model = 'test-model-for-estimates';
+        TokenEstimator.shared.register('test-model-for-estimates', text => text.length);
+        try {
+            expect(gemini._estimateTokens('output', 'input')).to.equal(11);
+        } finally {
+            TokenEstimator.shared.unregister('test-model-for-estimates');
+        }
+    });
+});
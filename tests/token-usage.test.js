@@ -0,0 +1,109 @@
+/**
+ * Token Usage Tests
+ *
+ * Validates token counts read from Claude Code JSON output, pricing, and
+ * the metrics reported by the results parser.
+ */
+
+const { expect } = require('chai');
+const TokenUsage = require('../src/adapters/claude-code/TokenUsage');
+const PricingTable = require('../src/adapters/claude-code/PricingTable');
+const ResultsParser = require('../src/adapters/claude-code/ResultsParser');
+
+const RESULT_JSON = JSON.stringify({
+    type: 'result',
+    subtype: 'success',
+    result: 'Refactored the parser.',
+    total_cost_usd: 0.0421,
+    usage: {
+        input_tokens: 1200,
+        output_tokens: 800,
+        cache_read_input_tokens: 20000,
+        cache_creation_input_tokens: 3000
+    },
+    modelUsage: {
+        'claude-sonnet-4-5-20250929': { inputTokens: 1000, outputTokens: 750, cacheReadInputTokens: 20000, cacheCreationInputTokens: 3000 },
+        'claude-3-5-haiku-20241022': { inputTokens: 200, outputTokens: 50, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 }
+    }
+});
+
+describe('Token Usage', () => {
+    describe('TokenUsage', () => {
+        it('should read usage and per-model counts from a result object', () => {
+            const usage = TokenUsage.extract(`Working...\n${RESULT_JSON}\n`);
+            
+            expect(usage).to.include({
+                input: 1200,
+                output: 800,
+                cacheRead: 20000,
+                cacheWrite: 3000,
+                total: 25000,
+                model: 'claude-sonnet-4-5-20250929',
+                reportedCostUsd: 0.0421
+            });
+            expect(usage.models['claude-3-5-haiku-20241022']).to.deep.equal({ input: 200, output: 50, cacheRead: 0, cacheWrite: 0 });
+        });
+        
+        it('should count each streamed assistant message once', () => {
+            const message = (id, output) => JSON.stringify({
+                type: 'assistant',
+                message: { id, model: 'claude-opus-4-1', usage: { input_tokens: 10, output_tokens: output } }
+            });
+            const stream = [
+                JSON.stringify({ type: 'system', subtype: 'init', model: 'claude-opus-4-1' }),
+                message('msg_1', 5),
+                message('msg_1', 5),
+                message('msg_2', 7)
+            ].join('\n');
+            
+            expect(TokenUsage.extract(stream)).to.include({ input: 20, output: 12, model: 'claude-opus-4-1' });
+            expect(TokenUsage.extract('no usage here {"findings": []}')).to.equal(null);
+        });
+    });
+    
+    describe('PricingTable', () => {
+        it('should price each model by its longest matching entry', () => {
+            const pricing = new PricingTable();
+            const usage = TokenUsage.extract(RESULT_JSON);
+            
+            expect(pricing.priceFor('claude-opus-4-5-20251101').output).to.equal(25);
+            expect(pricing.priceFor('claude-opus-4-1-20250805').output).to.equal(75);
+            // Sonnet: 1000*3 + 750*15 + 20000*0.3 + 3000*3.75; Haiku: 200*0.8 + 50*4 (per million)
+            expect(pricing.cost(usage)).to.deep.equal({ costUsd: 0.03186, priced: true });
+        });
+        
+        it('should take configured prices and flag models it cannot price', () => {
+            const pricing = new PricingTable({ models: { 'claude-sonnet': { input: 2, output: 10 } } });
+            
+            expect(pricing.cost({ models: { 'claude-sonnet-4': { input: 1e6, output: 1e6, cacheRead: 1e6 } } }))
+                .to.deep.equal({ costUsd: 14, priced: true });
+            expect(pricing.cost({ models: { 'gpt-x': { output: 1e6 } } })).to.deep.equal({ costUsd: 10, priced: false });
+            expect(() => new PricingTable({ models: { broken: { input: '3' } } })).to.throw('numeric input and output');
+        });
+    });
+    
+    describe('ResultsParser metrics', () => {
+        const task = { id: 'task-1', type: 'refactor' };
+        
+        it('should report real tokens and cost from stdout', async () => {
+            const parser = new ResultsParser();
+            const results = await parser.parseResults({ output: 'Refactored the parser.', stdout: RESULT_JSON }, task);
+            
+            expect(results.metrics.tokens).to.include({ input: 1200, output: 800, total: 25000, estimated: false });
+            expect(results.metrics).to.include({ model: 'claude-sonnet-4-5-20250929', costUsd: 0.03186, estimated: false });
+        });
+        
+        it('should fall back to an estimate and sum usage across runs', async () => {
+            const parser = new ResultsParser({ pricing: { defaultModel: 'claude-haiku-4-5' } });
+            const first = await parser.parseResults({ output: 'word '.repeat(1000) }, task);
+            
+            expect(first.metrics.tokens).to.include({ output: 1000, estimated: true });
+            expect(first.metrics).to.include({ costUsd: 0.005, estimated: true });
+            
+            const second = await parser.parseResults({ output: '', stdout: RESULT_JSON }, task);
+            const combined = parser.addUsage(second.metrics, first.metrics);
+            expect(combined.tokens).to.include({ output: 1800, estimated: true });
+            expect(combined.costUsd).to.equal(0.03686);
+        });
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * Workflow Runner Tests
+ *
+ * Validates that a DAG of tasks is routed and executed in dependency order,
+ * with independent branches running together, inputs mapped from upstream
+ * results, conditional edges, and resuming after the last completed node.
+ */
+
+const { expect } = require('chai');
+const AdapterRegistry = require('../src/AdapterRegistry');
+const TaskRouter = require('../src/TaskRouter');
+const WorkflowRunner = require('../src/workflow/WorkflowRunner');
+
+describe('Workflow Runner', () => {
+    let executed;
+    let runner;
+    let behaviour;
+    
+    const node = (id, dependsOn = [], extra = {}) => ({
+        id,
+        dependsOn,
+        task: { type: 'generation', objective: id, description: `Step ${id}` },
+        ...extra
+    });
+    
+    beforeEach(() => {
+        executed = [];
+        behaviour = {};
+        
+        const registry = new AdapterRegistry();
+        registry.registerAdapter('worker', {
+            name: 'worker',
+            capabilities: { maxContextTokens: 100000, multiFile: true, supportedLanguages: ['javascript'] },
+            // Task features, but none of the fan-out execution ones
+            supportsFeature: feature => !['subAgents', 'parallelExecution', 'streaming'].includes(feature),
+            executeTask: async task => {
+                executed.push(task);
+                await new Promise(resolve => setTimeout(resolve, 10));
+                const step = task.objective;
+                if (behaviour[step]) {
+                    return behaviour[step](task);
+                }
+                return { taskId: task.id, status: 'completed', output: `${step} done`, artifacts: [] };
+            }
+        }, '1.0.0');
+        
+        runner = new WorkflowRunner(new TaskRouter(registry), { maxConcurrent: 2 });
+    });
+    
+    it('should reject unknown dependencies, stray inputs and cycles', () => {
+        expect(() => WorkflowRunner.validate({ id: 'w', nodes: [node('a', ['missing'])] }))
+            .to.throw('depends on unknown node missing');
+        expect(() => WorkflowRunner.validate({ id: 'w', nodes: [node('a'), node('b', [], { inputs: { 'context.content': 'a.output' } })] }))
+            .to.throw('not one of its dependencies');
+        expect(() => WorkflowRunner.validate({ id: 'w', nodes: [node('a', ['c']), node('b', ['a']), node('c', ['b'])] }))
+            .to.throw('has a cycle: a -> c -> b -> a');
+        expect(WorkflowRunner.validate({ id: 'w', nodes: [node('b', ['a']), node('a')] })).to.deep.equal(['a', 'b']);
+        
+        const when = condition => ({ id: 'w', nodes: [node('a'), node('b', [{ node: 'a', when: condition }])] });
+        expect(() => WorkflowRunner.validate(when({ field: 'status', equal: 'completed' })))
+            .to.throw('Workflow node b has a condition on a with unknown operator equal');
+        expect(() => WorkflowRunner.validate(when({ field: 'output', matches: '(unclosed' })))
+            .to.throw('Workflow node b has a condition on a with an invalid pattern');
+        expect(() => WorkflowRunner.validate(when({ field: 'status', in: 'completed' })))
+            .to.throw('whose "in" is not an array');
+    });
+    
+    it('should run branches concurrently and map upstream results into tasks', async () => {
+        behaviour.analyze = task => ({ taskId: task.id, status: 'completed', output: 'auth.js is unsafe', artifacts: ['auth.js'] });
+        
+        const events = [];
+        ['node:started', 'node:completed', 'workflow:completed'].forEach(name =>
+            runner.on(name, event => events.push(`${name} ${event.nodeId || event.status}`)));
+        
+        const graph = await runner.run({
+            id: 'harden',
+            nodes: [
+                node('analyze'),
+                node('refactor', ['analyze'], { inputs: { 'context.content': 'analyze.output', 'context.files': 'analyze.artifacts' } }),
+                node('tests', ['analyze'], { inputs: { description: { from: 'analyze.output', transform: output => `Test: ${output}` } } }),
+                node('review', ['refactor', 'tests'])
+            ]
+        });
+        
+        expect(graph.status).to.equal('completed');
+        expect(graph.order[0]).to.equal('analyze');
+        expect(graph.order[3]).to.equal('review');
+        expect(graph.nodes.refactor).to.include({ status: 'completed', adapter: 'worker', strategy: 'sequential', taskId: 'harden-refactor' });
+        expect(graph.nodes.review.dependsOn).to.deep.equal(['refactor', 'tests']);
+        
+        const refactor = executed.find(task => task.objective === 'refactor');
+        expect(refactor.context).to.deep.equal({ content: 'auth.js is unsafe', files: ['auth.js'] });
+        expect(executed.find(task => task.objective === 'tests').description).to.equal('Test: auth.js is unsafe');
+        
+        // refactor and tests start before either completes
+        expect(events.slice(2, 4)).to.have.members(['node:started refactor', 'node:started tests']);
+        expect(events[events.length - 1]).to.equal('workflow:completed completed');
+    });
+    
+    it('should follow conditional edges and skip below failures', async () => {
+        behaviour.review = task => ({ taskId: task.id, status: 'completed', output: 'changes requested', approved: false });
+        behaviour.deploy = () => { throw new Error('should not deploy'); };
+        behaviour.fix = () => ({ status: 'failed', error: 'Compilation failed' });
+        
+        const graph = await runner.run({
+            id: 'ship',
+            nodes: [
+                node('review'),
+                node('deploy', [{ node: 'review', when: { field: 'approved', equals: true } }]),
+                node('fix', [{ node: 'review', when: { field: 'output', matches: 'changes requested' } }]),
+                node('recheck', ['fix'])
+            ]
+        });
+        
+        expect(graph.status).to.equal('failed');
+        expect(graph.nodes.deploy).to.include({ status: 'skipped', reason: 'Condition on review not met: approved equals true' });
+        expect(graph.nodes.fix).to.include({ status: 'failed', error: 'Compilation failed' });
+        expect(graph.nodes.recheck).to.include({ status: 'skipped', reason: 'Upstream node fix failed' });
+        expect(graph.edges.map(edge => edge.taken)).to.deep.equal([false, true, null]);
+        expect(executed.map(task => task.objective)).to.deep.equal(['review', 'fix']);
+    });
+    
+    it('should fail a node whose condition throws and carry on with the rest', async () => {
+        const graph = await runner.run({
+            id: 'guarded',
+            nodes: [
+                node('build'),
+                node('publish', [{ node: 'build', when: function hasArtifacts(result) { return result.metadata.artifacts > 0; } }]),
+                node('notify', ['build'])
+            ]
+        });
+        
+        expect(graph.status).to.equal('failed');
+        expect(graph.nodes.publish.status).to.equal('failed');
+        expect(graph.nodes.publish.error).to.match(/^Condition on build failed: Cannot read properties of undefined/);
+        expect(graph.nodes.notify.status).to.equal('completed');
+        expect(executed.map(task => task.objective)).to.deep.equal(['build', 'notify']);
+    });
+    
+    it('should resume after the last completed node', async () => {
+        behaviour.test = () => ({ status: 'failed', error: 'Flaky runner' });
+        const workflow = {
+            id: 'pipeline',
+            nodes: [node('build'), node('test', ['build']), node('publish', ['test'])]
+        };
+        
+        const first = await runner.run(workflow);
+        expect(first.nodes.build.status).to.equal('completed');
+        expect(first.nodes.publish.status).to.equal('skipped');
+        
+        delete behaviour.test;
+        executed = [];
+        const resumedEvents = [];
+        runner.on('node:resumed', event => resumedEvents.push(event.nodeId));
+        
+        // The graph survives being stored as JSON
+        const second = await runner.run(workflow, { resume: JSON.parse(JSON.stringify(first)) });
+        
+        expect(second.status).to.equal('completed');
+        expect(resumedEvents).to.deep.equal(['build']);
+        expect(second.nodes.build).to.include({ status: 'completed', resumed: true });
+        expect(second.nodes.build.result.output).to.equal('build done');
+        expect(executed.map(task => task.objective)).to.deep.equal(['test', 'publish']);
+        
+        // An edited node runs again, and so does everything below it
+        executed = [];
+        const edited = { ...workflow, nodes: [node('build'), node('test', ['build'], { task: { ...workflow.nodes[1].task, description: 'Run all tests' } }), workflow.nodes[2]] };
+        await runner.run(edited, { resume: second });
+        expect(executed.map(task => task.objective)).to.deep.equal(['test', 'publish']);
+        
+        let error = null;
+        try {
+            await runner.run({ ...workflow, id: 'other' }, { resume: second });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal('Cannot resume workflow other from a run of pipeline');
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Workspace Snapshot Tests
+ *
+ * Validates change detection and rollback around a task, both inside a
+ * git repository and for plain directories using a hash manifest.
+ */
+
+const { expect } = require('chai');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkspaceSnapshot = require('../src/adapters/claude-code/WorkspaceSnapshot');
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' });
+
+describe('Workspace Snapshot', () => {
+    let root;
+    
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    };
+    const read = (file) => fs.readFileSync(path.join(root, file), 'utf8');
+    
+    // What a task typically does to a workspace
+    const simulateTask = () => {
+        write('src/app.js', 'const port = 8080;\n');
+        fs.unlinkSync(path.join(root, 'old.txt'));
+        write('src/new/feature.js', 'module.exports = {};\n');
+    };
+    
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-snapshot-'));
+        write('src/app.js', 'const port = 3000;\n');
+        write('old.txt', 'old\n');
+    });
+    
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    
+    describe('in a git repository', () => {
+        beforeEach(() => {
+            git(root, 'init', '-q');
+            git(root, 'add', '-A');
+            git(root, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+            write('untracked.txt', 'kept\n');
+        });
+        
+        it('should report added, modified and deleted files with diffs', async () => {
+            const snapshots = new WorkspaceSnapshot(root);
+            const snapshot = await snapshots.capture('task-1');
+            expect(snapshot.method).to.equal('git');
+            
+            simulateTask();
+            const changes = await snapshots.diff(snapshot);
+            
+            expect(changes).to.include({ snapshotId: snapshot.id, method: 'git' });
+            expect(changes.added).to.deep.equal(['src/new/feature.js']);
+            expect(changes.modified).to.deep.equal(['src/app.js']);
+            expect(changes.deleted).to.deep.equal(['old.txt']);
+            
+            const app = changes.files.find(file => file.path === 'src/app.js');
+            expect(app).to.include({ additions: 1, deletions: 1, binary: false });
+            expect(app.diff).to.include('-const port = 3000;\n+const port = 8080;');
+            
+            // The user's index and stash are left alone
+            expect(git(root, 'status', '--porcelain')).to.not.match(/^[AMD]/m);
+            expect(git(root, 'stash', 'list')).to.equal('');
+        });
+        
+        it('should roll back files, commits and staging made during the task', async () => {
+            const snapshots = new WorkspaceSnapshot(root);
+            const snapshot = await snapshots.capture('task-1');
+            const head = git(root, 'rev-parse', 'HEAD');
+            
+            simulateTask();
+            git(root, 'add', '-A');
+            git(root, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'task');
+            
+            const result = await snapshots.restore(snapshot);
+            
+            expect(result.restored).to.have.members(['src/app.js', 'old.txt']);
+            expect(result.removed).to.deep.equal(['src/new/feature.js']);
+            expect(read('src/app.js')).to.equal('const port = 3000;\n');
+            expect(read('old.txt')).to.equal('old\n');
+            expect(read('untracked.txt')).to.equal('kept\n');
+            expect(fs.existsSync(path.join(root, 'src/new'))).to.equal(false);
+            expect(git(root, 'rev-parse', 'HEAD')).to.equal(head);
+            expect(git(root, 'status', '--porcelain')).to.equal('?? untracked.txt\n');
+            
+            await snapshots.discard(snapshot);
+            expect(git(root, 'for-each-ref', 'refs/repochief')).to.equal('');
+        });
+    });
+    
+    describe('in a plain directory', () => {
+        let store;
+        
+        beforeEach(() => {
+            store = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-snapshot-store-'));
+        });
+        
+        afterEach(() => {
+            fs.rmSync(store, { recursive: true, force: true });
+        });
+        
+        it('should detect changes and roll back from a hash manifest', async () => {
+            const snapshots = new WorkspaceSnapshot(root, { directory: store });
+            const snapshot = await snapshots.capture('task-2');
+            expect(snapshot).to.include({ method: 'manifest', files: 2 });
+            
+            simulateTask();
+            const changes = await snapshots.diff(snapshot);
+            
+            expect(changes.added).to.deep.equal(['src/new/feature.js']);
+            expect(changes.modified).to.deep.equal(['src/app.js']);
+            expect(changes.deleted).to.deep.equal(['old.txt']);
+            expect(changes.files.find(file => file.path === 'old.txt').diff).to.include('+++ /dev/null');
+            
+            await snapshots.restore(snapshot);
+            expect(read('src/app.js')).to.equal('const port = 3000;\n');
+            expect(read('old.txt')).to.equal('old\n');
+            expect((await snapshots.diff(snapshot)).files).to.deep.equal([]);
+            
+            await snapshots.discard(snapshot);
+            expect(fs.readdirSync(store)).to.deep.equal([]);
+        });
+        
+        it('should leave its own store and the state directory out', async () => {
+            const state = path.join(root, '.state');
+            const snapshots = new WorkspaceSnapshot(root, { directory: path.join(state, 'snapshots'), ignorePaths: [state] });
+            const snapshot = await snapshots.capture('task-6');
+            expect(snapshot.files).to.equal(2);
+            
+            write('.state/sessions.jsonl', '{}\n');
+            write('src/app.js', 'changed\n');
+            expect((await snapshots.diff(snapshot)).files.map(file => file.path)).to.deep.equal(['src/app.js']);
+            
+            await snapshots.restore(snapshot);
+            expect(read('.state/sessions.jsonl')).to.equal('{}\n');
+        });
+        
+        it('should report files too large to keep without restoring them', async () => {
+            const snapshots = new WorkspaceSnapshot(root, { directory: store, maxFileBytes: 4 });
+            const snapshot = await snapshots.capture('task-3');
+            
+            write('src/app.js', 'changed\n');
+            const changes = await snapshots.diff(snapshot);
+            expect(changes.files[0]).to.include({ path: 'src/app.js', diff: null });
+            
+            const result = await snapshots.restore(snapshot);
+            expect(result.skipped).to.deep.equal(['src/app.js']);
+        });
+        
+        it('should copy only the task\'s files and stop at the size cap', async () => {
+            write('docs/guide.md', 'guide\n');
+            write('src/lib/util.js', 'util\n');
+            
+            const focused = await new WorkspaceSnapshot(root, { directory: store })
+                .capture('task-4', { files: [{ path: 'src/lib' }, 'old.txt'] });
+            expect(focused).to.include({ files: 4, stored: 2, storedBytes: 9 });
+            
+            const snapshots = new WorkspaceSnapshot(root, { directory: store, maxSnapshotBytes: 10 });
+            const capped = await snapshots.capture('task-5');
+            expect(capped.storedBytes).to.be.at.most(10);
+            expect(fs.readdirSync(path.join(capped.directory, 'objects'))).to.have.length(capped.stored);
+            
+            // Files kept by size and time alone still show up as changed
+            simulateTask();
+            write('docs/guide.md', 'rewritten guide\n');
+            const changes = await snapshots.diff(capped);
+            expect(changes.modified).to.deep.equal(['docs/guide.md', 'src/app.js']);
+            expect(changes.deleted).to.deep.equal(['old.txt']);
+        });
+    });
+});
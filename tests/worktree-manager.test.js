@@ -0,0 +1,109 @@
+/**
+ * Worktree Manager Tests
+ *
+ * Validates per-task git worktrees: creation on a temporary branch,
+ * committing a task's changes as a branch and patch, and cleanup.
+ */
+
+const { expect } = require('chai');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorktreeManager = require('../src/adapters/claude-code/WorktreeManager');
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' });
+
+describe('Worktree Manager', () => {
+    let repository;
+    let directory;
+    let manager;
+    
+    beforeEach(async () => {
+        repository = fs.mkdtempSync(path.join(os.tmpdir(), 'worktree-repo-'));
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'worktree-dir-'));
+        
+        fs.mkdirSync(path.join(repository, 'pkg'));
+        fs.writeFileSync(path.join(repository, 'pkg/index.js'), 'module.exports = 1;\n');
+        git(repository, 'init', '-q');
+        git(repository, 'add', '-A');
+        git(repository, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+        
+        manager = new WorktreeManager(path.join(repository, 'pkg'), { directory });
+        await manager.initialize();
+    });
+    
+    afterEach(() => {
+        fs.rmSync(repository, { recursive: true, force: true });
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    it('should give parallel tasks separate checkouts on their own branches', async () => {
+        const [first, second] = await Promise.all([manager.create('task-1'), manager.create('task-2')]);
+        
+        expect(first.path).to.not.equal(second.path);
+        expect(first.branch).to.match(/^repochief\/task\/task-1-/);
+        expect(first.workingDirectory).to.equal(path.join(first.path, 'pkg'));
+        
+        fs.writeFileSync(path.join(first.workingDirectory, 'index.js'), 'module.exports = 2;\n');
+        fs.writeFileSync(path.join(second.workingDirectory, 'index.js'), 'module.exports = 3;\n');
+        
+        expect(fs.readFileSync(path.join(repository, 'pkg/index.js'), 'utf8')).to.equal('module.exports = 1;\n');
+    });
+    
+    it('should commit a task\'s changes to its branch and return a patch', async () => {
+        const worktree = await manager.create('task-1');
+        fs.writeFileSync(path.join(worktree.workingDirectory, 'added.js'), 'new\n');
+        
+        const outcome = await manager.finalize(worktree, { message: 'task-1: add file' });
+        
+        expect(outcome).to.include({ branch: worktree.branch, baseCommit: worktree.baseCommit, changed: true });
+        expect(outcome.patch).to.include('+++ b/pkg/added.js');
+        expect(git(repository, 'log', '-1', '--format=%s', worktree.branch).trim()).to.equal('task-1: add file');
+        expect(git(repository, 'rev-parse', worktree.branch).trim()).to.equal(outcome.commit);
+        
+        // The patch applies to the main checkout
+        fs.writeFileSync(path.join(directory, 'task.patch'), outcome.patch);
+        git(repository, 'apply', path.join(directory, 'task.patch'));
+        expect(fs.readFileSync(path.join(repository, 'pkg/added.js'), 'utf8')).to.equal('new\n');
+    });
+    
+    it('should remove worktrees and drop branches without changes', async () => {
+        const unchanged = await manager.create('task-1');
+        const changed = await manager.create('task-2');
+        fs.writeFileSync(path.join(changed.workingDirectory, 'index.js'), 'module.exports = 2;\n');
+        
+        const [idle, edited] = await Promise.all([manager.finalize(unchanged), manager.finalize(changed)]);
+        expect(idle).to.include({ changed: false, commit: null, patch: '' });
+        
+        await manager.remove(unchanged, { keepBranch: idle.changed });
+        await manager.remove(changed, { keepBranch: edited.changed });
+        
+        expect(fs.existsSync(unchanged.path)).to.equal(false);
+        expect(fs.existsSync(changed.path)).to.equal(false);
+        expect(git(repository, 'branch', '--list', 'repochief/*')).to.equal(`  ${changed.branch}\n`);
+    });
+    
+    it('should prune leftover worktrees except those still in use', async () => {
+        const leftover = await manager.create('task-1');
+        const inUse = await manager.create('task-2');
+        
+        const removed = await manager.prune([inUse.path]);
+        
+        expect(removed).to.deep.equal([leftover.path]);
+        expect(fs.existsSync(inUse.path)).to.equal(true);
+        expect(git(repository, 'worktree', 'list')).to.not.include(leftover.path);
+    });
+    
+    it('should refuse workspaces outside a git repository', async () => {
+        const plain = new WorktreeManager(directory, { directory: path.join(directory, 'trees') });
+        
+        let error;
+        try {
+            await plain.initialize();
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.message).to.include('requires a git repository');
+    });
+});